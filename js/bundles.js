@@ -0,0 +1,98 @@
+/* ============================================================
+   MERIDIAN — bundles.js
+   Bundles: catalog records sold as one item at one price, made
+   up of other products. A bundle lists its components by id:
+
+     "bundle": [
+       { "id": "frog-face-lift", "qty": 1 },
+       { "id": "lotus-pod-eye",  "qty": 1 }
+     ]
+
+   It has no stock of its own — js/inventory.js works out how
+   many can be made from the components' stock. Components are
+   single products without variants. The saving is what the
+   components would cost one by one, less the bundle price.
+   Used by cart.js, js/inventory.js, products.js,
+   scripts/build-products.js and scripts/validate-catalog.js.
+   Public API exposed on window.MeridianBundles, or
+   module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  function roundMoney(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /**
+   * isBundle(product)
+   * @param {Object} product — catalog record
+   * @returns {boolean}
+   */
+  function isBundle(product) {
+    return !!(product && Array.isArray(product.bundle) && product.bundle.length > 0);
+  }
+
+  /**
+   * components(product, getProduct)
+   * @param {Object} product — a bundle
+   * @param {function(string): Object|null} getProduct — catalog lookup by id
+   * @returns {Array<{ product: Object|null, id: string, qty: number }>}
+   *   One entry per component, in catalog order; product is null for ids
+   *   missing from the catalog. Empty for products that are not bundles.
+   */
+  function components(product, getProduct) {
+    if (!isBundle(product)) return [];
+    return product.bundle.map(function (c) {
+      return { product: getProduct(c.id) || null, id: c.id, qty: c.qty || 1 };
+    });
+  }
+
+  /**
+   * componentsPrice(product, getProduct)
+   * @param {Object} product — a bundle
+   * @param {function(string): Object|null} getProduct
+   * @returns {number|null} The components bought separately; null when
+   *   one of them is missing from the catalog
+   */
+  function componentsPrice(product, getProduct) {
+    var list = components(product, getProduct);
+    var total = 0;
+    for (var i = 0; i < list.length; i++) {
+      if (!list[i].product) return null;
+      total += list[i].product.price * list[i].qty;
+    }
+    return roundMoney(total);
+  }
+
+  /**
+   * savings(product, getProduct)
+   * @param {Object} product — a bundle
+   * @param {function(string): Object|null} getProduct
+   * @returns {number} Per bundle; 0 when unknown or not a saving
+   */
+  function savings(product, getProduct) {
+    var separately = componentsPrice(product, getProduct);
+    return separately === null ? 0 : Math.max(0, roundMoney(separately - product.price));
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    isBundle:        isBundle,
+    components:      components,
+    componentsPrice: componentsPrice,
+    savings:         savings
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianBundles = api;
+
+}(this));
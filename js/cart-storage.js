@@ -0,0 +1,386 @@
+/* ============================================================
+   MERIDIAN — cart-storage.js
+   The one reader / writer for the `meridian_cart` localStorage
+   key (and its `meridian_saved_for_later` companion). The cart is
+   stored in a versioned envelope ({ version, updatedAt, items });
+   older shapes are migrated on read, and lines that fail
+   validation are moved to a quarantine key instead of taking the
+   whole cart down with them. Lines are keyed by SKU: the product
+   id, plus the variant id for products sold in several forms
+   (see js/variants.js).
+   Used by cart.js and main.js (nav badge); server/server.js
+   shares the quantity limit.
+   Public API exposed on window.MeridianCartStorage, or
+   module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  var STORAGE_KEY    = 'meridian_cart';
+  var SAVED_KEY      = 'meridian_saved_for_later';
+  var QUARANTINE_KEY = 'meridian_cart_quarantine';
+  var VERSION        = 3;
+  var MAX_QTY        = 10;
+  var MAX_QUARANTINE = 20;
+
+  /* Each migration takes the data stored at its version and returns the
+     data for the next one. Version 0 is the original bare array of lines,
+     written before quantities were capped. */
+  var MIGRATIONS = {
+    0: function (lines) {
+      return {
+        version:   1,
+        updatedAt: null,
+        items:     lines.map(function (line) {
+          if (line && typeof line.qty === 'number' && line.qty > MAX_QTY) line.qty = MAX_QTY;
+          return line;
+        })
+      };
+    },
+
+    /* Lines gain addedAt / updatedAt. Their real age is unknown, so they
+       take the envelope's timestamp (or now, for carts from version 0). */
+    1: function (data) {
+      var stamp = data.updatedAt || new Date().toISOString();
+      return {
+        version:   2,
+        updatedAt: data.updatedAt,
+        items:     (Array.isArray(data.items) ? data.items : []).map(function (line) {
+          if (line && typeof line === 'object') {
+            line.addedAt   = line.addedAt || stamp;
+            line.updatedAt = line.updatedAt || stamp;
+          }
+          return line;
+        })
+      };
+    },
+
+    /* Lines gain `sku`. Every line so far was one per product, so the SKU
+       is the id; cart.js moves lines of products that now have variants
+       onto the default variant once the catalog has loaded. */
+    2: function (data) {
+      return {
+        version:   3,
+        updatedAt: data.updatedAt,
+        items:     (Array.isArray(data.items) ? data.items : []).map(function (line) {
+          if (line && typeof line === 'object' && typeof line.id === 'string') {
+            line.sku = skuFor(line.id, null);
+          }
+          return line;
+        })
+      };
+    }
+  };
+
+  /* ──────────────────────────────────────────────
+     SKUs
+  ────────────────────────────────────────────── */
+
+  /**
+   * skuFor(productId, [variantId])
+   * @param {string} productId
+   * @param {string|null} [variantId]
+   * @returns {string} e.g. "frog-face-lift", "bianshi-ring:pendant"
+   */
+  function skuFor(productId, variantId) {
+    return variantId ? productId + ':' + variantId : productId;
+  }
+
+  /* ──────────────────────────────────────────────
+     Validation
+  ────────────────────────────────────────────── */
+
+  function isFinitePositive(n) {
+    return typeof n === 'number' && isFinite(n) && n > 0;
+  }
+
+  function isTimestamp(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+  }
+
+  /**
+   * validateItem(item)
+   * Checks one stored cart line and returns a clean copy of it. Missing
+   * timestamps are filled in with the current time; the SKU is always
+   * rebuilt from the id and variant.
+   * @param {*} item
+   * @returns {{ ok: true, item: Object } | { ok: false, error: string }}
+   */
+  function validateItem(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { ok: false, error: 'Line is not an object' };
+    }
+    if (typeof item.id !== 'string' || !item.id) {
+      return { ok: false, error: 'Missing product id' };
+    }
+    if (item.variant != null && (typeof item.variant !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(item.variant))) {
+      return { ok: false, error: 'Invalid variant id' };
+    }
+    if (!isFinitePositive(item.price)) {
+      return { ok: false, error: 'Price must be a positive number' };
+    }
+    if (typeof item.qty !== 'number' || item.qty % 1 !== 0 || item.qty < 1 || item.qty > MAX_QTY) {
+      return { ok: false, error: 'Quantity must be a whole number from 1 to ' + MAX_QTY };
+    }
+
+    var now = new Date().toISOString();
+    var clean = {
+      sku:       skuFor(item.id, item.variant),
+      id:        item.id,
+      name:      typeof item.name === 'string' ? item.name : '',
+      price:     item.price,
+      qty:       item.qty,
+      image:     typeof item.image === 'string' ? item.image : '',
+      addedAt:   isTimestamp(item.addedAt) ? item.addedAt : now,
+      updatedAt: isTimestamp(item.updatedAt) ? item.updatedAt : now
+    };
+    if (item.variant) clean.variant = item.variant;
+    if (isFinitePositive(item.previousPrice)) clean.previousPrice = item.previousPrice;
+    if (item.unavailable === true) clean.unavailable = true;
+    if (isTimestamp(item.savedAt)) clean.savedAt = item.savedAt;
+
+    return { ok: true, item: clean };
+  }
+
+  /* ──────────────────────────────────────────────
+     Parsing & migration
+  ────────────────────────────────────────────── */
+
+  function versionOf(data) {
+    if (Array.isArray(data)) return 0;
+    if (data && typeof data === 'object' && typeof data.version === 'number') return data.version;
+    return -1;
+  }
+
+  /**
+   * parse(raw)
+   * Turns the stored string into validated lines. Never throws.
+   *   migrated   — the stored shape was older than VERSION (or unreadable)
+   *                and should be written back
+   *   quarantine — entries that could not be used, with the reason
+   * @param {string|null} raw
+   * @returns {{ items: Array, updatedAt: string|null, migrated: boolean,
+   *             quarantine: Array<{ reason: string, entry: * }> }}
+   */
+  function parse(raw) {
+    var result = { items: [], updatedAt: null, migrated: false, quarantine: [] };
+    if (raw == null || raw === '') return result;
+
+    var data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      result.migrated = true;
+      result.quarantine.push({ reason: 'Stored cart is not valid JSON', entry: String(raw) });
+      return result;
+    }
+
+    var version = versionOf(data);
+    if (version === -1) {
+      result.migrated = true;
+      result.quarantine.push({ reason: 'Stored cart has an unknown shape', entry: data });
+      return result;
+    }
+
+    while (version < VERSION) {
+      if (!MIGRATIONS[version]) {
+        result.migrated = true;
+        result.quarantine.push({ reason: 'No migration from cart version ' + version, entry: data });
+        return result;
+      }
+      data = MIGRATIONS[version](data);
+      version = data.version;
+      result.migrated = true;
+    }
+
+    /* Written by a newer release: read what we can; the next save stores it
+       at this version */
+    if (version > VERSION) {
+      console.warn('[MeridianCartStorage] Cart was saved by a newer version (' + version + ').');
+    }
+
+    if (!Array.isArray(data.items)) {
+      result.migrated = true;
+      result.quarantine.push({ reason: 'Stored cart has no item list', entry: data });
+      return result;
+    }
+
+    data.items.forEach(function (entry) {
+      var checked = validateItem(entry);
+      if (checked.ok) {
+        result.items.push(checked.item);
+      } else {
+        result.quarantine.push({ reason: checked.error, entry: entry });
+      }
+    });
+
+    result.updatedAt = typeof data.updatedAt === 'string' ? data.updatedAt : null;
+    return result;
+  }
+
+  /**
+   * serialize(items, [updatedAt])
+   * @param {Array} items
+   * @param {string|null} [updatedAt] — defaults to now
+   * @returns {string} The envelope as stored
+   */
+  function serialize(items, updatedAt) {
+    return JSON.stringify({
+      version:   VERSION,
+      updatedAt: updatedAt === undefined ? new Date().toISOString() : updatedAt,
+      items:     items
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     localStorage (browser only)
+  ────────────────────────────────────────────── */
+
+  /**
+   * getQuarantine()
+   * Entries set aside by read(), newest last.
+   * @returns {Array<{ quarantinedAt: string, reason: string, entry: * }>}
+   */
+  function getQuarantine() {
+    try {
+      var list = JSON.parse(root.localStorage.getItem(QUARANTINE_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function quarantine(entries) {
+    var now = new Date().toISOString();
+    var list = getQuarantine().concat(entries.map(function (q) {
+      return { quarantinedAt: now, reason: q.reason, entry: q.entry };
+    }));
+
+    try {
+      root.localStorage.setItem(QUARANTINE_KEY, JSON.stringify(list.slice(-MAX_QUARANTINE)));
+    } catch (e) {
+      console.error('[MeridianCartStorage] Could not save quarantined lines:', e);
+    }
+    entries.forEach(function (q) {
+      console.warn('[MeridianCartStorage] Quarantined cart line (' + q.reason + '):', q.entry);
+    });
+  }
+
+  /**
+   * clearQuarantine()
+   */
+  function clearQuarantine() {
+    try {
+      root.localStorage.removeItem(QUARANTINE_KEY);
+    } catch (e) { /* nothing to clear */ }
+  }
+
+  /**
+   * write(items, [updatedAt])
+   * Stores the lines in the current envelope.
+   * @param {Array} items
+   * @param {string|null} [updatedAt] — when the customer last changed the
+   *   cart; defaults to now
+   * @returns {boolean} False if storage refused the write
+   */
+  function write(items, updatedAt) {
+    try {
+      root.localStorage.setItem(STORAGE_KEY, serialize(items, updatedAt));
+      return true;
+    } catch (e) {
+      console.error('[MeridianCartStorage] Could not save cart:', e);
+      return false;
+    }
+  }
+
+  /**
+   * read()
+   * The stored cart lines. Migrates older shapes and quarantines bad
+   * entries, writing the cleaned cart back so it happens only once.
+   * The clean-up keeps the cart's updatedAt: it is not a customer change.
+   * @returns {Array}
+   */
+  function read() {
+    var result = parse(getRaw(STORAGE_KEY));
+    if (result.quarantine.length) quarantine(result.quarantine);
+    if (result.migrated || result.quarantine.length) write(result.items, result.updatedAt);
+    return result.items;
+  }
+
+  /**
+   * lastUpdated()
+   * @returns {Date|null} When the customer last changed the cart, if known
+   */
+  function lastUpdated() {
+    var updatedAt = parse(getRaw(STORAGE_KEY)).updatedAt;
+    return updatedAt ? new Date(updatedAt) : null;
+  }
+
+  function getRaw(key) {
+    try {
+      return root.localStorage.getItem(key);
+    } catch (e) {
+      console.error('[MeridianCartStorage] Could not read ' + key + ':', e);
+      return null;
+    }
+  }
+
+  /**
+   * readSaved()
+   * Lines moved out of the cart into "Saved for later", each with `savedAt`.
+   * Uses the same envelope and validation as the cart.
+   * @returns {Array}
+   */
+  function readSaved() {
+    var result = parse(getRaw(SAVED_KEY));
+    if (result.quarantine.length) quarantine(result.quarantine);
+    if (result.migrated || result.quarantine.length) writeSaved(result.items);
+    return result.items;
+  }
+
+  /**
+   * writeSaved(items)
+   * @param {Array} items
+   * @returns {boolean} False if storage refused the write
+   */
+  function writeSaved(items) {
+    try {
+      root.localStorage.setItem(SAVED_KEY, serialize(items));
+      return true;
+    } catch (e) {
+      console.error('[MeridianCartStorage] Could not save saved-for-later lines:', e);
+      return false;
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    STORAGE_KEY:     STORAGE_KEY,
+    SAVED_KEY:       SAVED_KEY,
+    VERSION:         VERSION,
+    MAX_QTY:         MAX_QTY,
+    skuFor:          skuFor,
+    validateItem:    validateItem,
+    parse:           parse,
+    serialize:       serialize,
+    read:            read,
+    write:           write,
+    lastUpdated:     lastUpdated,
+    readSaved:       readSaved,
+    writeSaved:      writeSaved,
+    getQuarantine:   getQuarantine,
+    clearQuarantine: clearQuarantine
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianCartStorage = api;
+
+}(this));
@@ -7,7 +7,33 @@
 (function () {
   'use strict';
 
-  var STORAGE_KEY = 'meridian_cart';
+  var PROMO_KEY   = 'meridian_promo';
+  var Catalog     = window.MeridianCatalog;
+  var Storage     = window.MeridianCartStorage;
+  var I18n        = window.MeridianI18n;
+  var Variants    = window.MeridianVariants;
+  var Bundles     = window.MeridianBundles;
+  var Inventory   = window.MeridianInventory;
+  var MAX_QTY     = Storage.MAX_QTY;
+
+  /* Defaults; override before this script loads with
+     window.MERIDIAN_CART = { expiryDays: 14 }
+     or afterwards with MeridianCart.configure({...}).
+     expiryDays:       lines untouched this long move to "Saved for later"
+                       (0 turns expiry off)
+     welcomeBackHours: a cart left this long gets a welcome-back prompt */
+  var config = {
+    expiryDays:       30,
+    welcomeBackHours: 24
+  };
+
+  var HOUR_MS        = 60 * 60 * 1000;
+  var WELCOME_KEY    = 'meridian_welcome_back';   /* sessionStorage */
+  var welcomeBack    = null;                      /* { count } while shown */
+
+  /* Quantities each getCart() result was read with, so saveCart() can tell
+     this tab's edits apart from another tab's (see mergeCart) */
+  var snapshots   = new WeakMap();
 
   /* ──────────────────────────────────────────────
      Core data helpers
@@ -15,35 +41,218 @@
 
   /**
    * getCart()
-   * Returns the cart array from localStorage.
-   * Each item: { id: string, name: string, price: number, qty: number }
+   * Returns the cart array from localStorage (via MeridianCartStorage, which
+   * validates each line), reconciled against the catalog.
+   * Each item: { sku: string, id: string, name: string, price: number, qty: number,
+   *              image: string, addedAt: string, updatedAt: string }
+   * Lines of products sold in several forms also carry `variant` (see
+   * js/variants.js) and are keyed by SKU, so each form is its own line.
+   * Lines may also carry `previousPrice` (repriced from the catalog),
+   * `unavailable: true` (id or variant no longer in the catalog, or sold out)
+   * or `stockLimit: { max, limit, reason }` when stock or the product's
+   * per-order limit caps the line (see applyStockLimits). A bundle is one
+   * line; its components are read from the catalog (see js/bundles.js).
    * @returns {Array}
    */
   function getCart() {
-    try {
-      var raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : [];
-    } catch (e) {
-      console.error('[MeridianCart] Could not parse cart:', e);
-      return [];
+    /* Snapshot after reconciling, so lines moved onto a variant SKU
+       still match when saveCart() merges */
+    var cart = reconcileCart(Storage.read());
+    snapshots.set(cart, quantities(cart));
+    return cart;
+  }
+
+  /**
+   * reconcileCart(cart)
+   * Once the catalog is loaded, refreshes each line's name and image from it,
+   * reprices lines whose stored price differs (keeping the old one in
+   * `previousPrice`) and flags lines whose id or variant no longer exists.
+   * Lines saved before their product had variants move to its default
+   * variant, merging with a line already there. Quantities are then held
+   * to stock and per-order limits.
+   * Before the catalog has loaded the cart is returned untouched.
+   * @param {Array} cart
+   * @returns {Array} The same array, mutated
+   */
+  function reconcileCart(cart) {
+    if (!Catalog || !Catalog.isLoaded()) return cart;
+
+    var bySku = {};
+    for (var i = 0; i < cart.length; i++) {
+      var item = cart[i];
+      var product = Catalog.getProduct(item.id);
+
+      if (product && !item.variant && Variants.hasVariants(product)) {
+        item.variant = Variants.defaultVariant(product).id;
+        item.sku = Storage.skuFor(item.id, item.variant);
+      }
+
+      var resolved = Variants.resolve(product, item.variant);
+      if (!resolved) {
+        item.unavailable = true;
+      } else {
+        delete item.unavailable;
+        if (Number(item.price) !== resolved.price) {
+          item.previousPrice = Number(item.price) || 0;
+          item.price = resolved.price;
+        }
+        item.name  = product.name;
+        item.image = resolved.images[0] || '';
+      }
+
+      if (bySku[item.sku]) {
+        bySku[item.sku].qty = Math.min(MAX_QTY, bySku[item.sku].qty + item.qty);
+        cart.splice(i--, 1);
+      } else {
+        bySku[item.sku] = item;
+      }
     }
+    return applyStockLimits(cart);
+  }
+
+  /**
+   * applyStockLimits(cart)
+   * Lowers quantities to what stock and each product's `max_per_order`
+   * allow (see MeridianInventory.allocate); earlier lines claim stock
+   * first, and variants and bundles share their tools' stock. A line left
+   * with none — sold out — is kept but flagged unavailable, so it is
+   * excluded from totals and checkout. Capped lines get `stockLimit` for
+   * itemNote().
+   * @param {Array} cart — reconciled lines
+   * @returns {Array} The same array, mutated
+   */
+  function applyStockLimits(cart) {
+    cart.forEach(function (item) { delete item.stockLimit; });
+
+    var open = cart.filter(function (item) { return !item.unavailable; });
+    var rooms = Inventory.allocate(open, Catalog.getProduct);
+
+    open.forEach(function (item, i) {
+      var room = rooms[i];
+      if (!room || item.qty < room.max) return;
+
+      item.stockLimit = room;
+      if (room.max === 0) {
+        item.unavailable = true;
+      } else {
+        item.qty = room.max;
+      }
+    });
+    return cart;
+  }
+
+  /* ──────────────────────────────────────────────
+     Cross-tab merge
+  ────────────────────────────────────────────── */
+
+  function lineKey(item) {
+    return item.sku;
+  }
+
+  function quantities(cart) {
+    var map = {};
+    cart.forEach(function (item) { map[lineKey(item)] = item.qty; });
+    return map;
+  }
+
+  /**
+   * mergeCart(cart, base, latest)
+   * Three-way merge of this tab's edits into what is stored now.
+   * `cart` is what the caller got from getCart() and changed, `base` the
+   * quantities it was read with, `latest` the lines currently in storage
+   * (possibly written by another tab since). Each line's local quantity
+   * change is applied on top of the latest quantity, lines removed here
+   * are removed, and lines only another tab touched are kept as they are.
+   * @param {Array} cart
+   * @param {Object} base — { key: qty }
+   * @param {Array} latest
+   * @returns {Array} Merged lines, in the latest order with new lines last
+   */
+  function mergeCart(cart, base, latest) {
+    var local = {};
+    cart.forEach(function (item) { local[lineKey(item)] = item; });
+
+    var merged = [];
+    var seen = {};
+
+    latest.forEach(function (item) {
+      var key = lineKey(item);
+      seen[key] = true;
+
+      if (key in base && !(key in local)) return; /* removed in this tab */
+      if (!(key in local)) {
+        merged.push(item);
+        return;
+      }
+
+      var delta = local[key].qty - (base[key] || 0);
+      if (delta === 0) {
+        merged.push(item);
+        return;
+      }
+
+      var qty = Math.min(MAX_QTY, item.qty + delta);
+      if (qty > 0) {
+        local[key].qty = qty;
+        merged.push(local[key]);
+      }
+    });
+
+    /* Added here, or changed here after another tab removed it */
+    cart.forEach(function (item) {
+      var key = lineKey(item);
+      if (seen[key]) return;
+      var qty = Math.min(MAX_QTY, item.qty - (base[key] || 0));
+      if (qty > 0) {
+        item.qty = qty;
+        merged.push(item);
+      }
+    });
+
+    return merged;
   }
 
   /**
    * saveCart(cart)
    * Writes the cart array to localStorage, then refreshes all UI.
+   * A cart that came from getCart() is merged with anything another tab
+   * saved in the meantime; any other array replaces the stored cart.
    * Also fires a 'cart:updated' CustomEvent for external listeners (e.g. main.js).
    * @param {Array} cart
+   * @returns {Array|null} The cart as saved, or null when storage refused the
+   *   write (full or blocked); the UI is then left showing the stored cart
    */
   function saveCart(cart) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(cart));
-    } catch (e) {
-      console.error('[MeridianCart] Could not save cart:', e);
+    var base = snapshots.get(cart);
+    if (base) cart = reconcileCart(mergeCart(cart, base, reconcileCart(Storage.read())));
+
+    if (!Storage.write(cart)) {
+      renderCartIcon();
+      renderCartSidebar();
+      return null;
     }
+    snapshots.set(cart, quantities(cart));
     document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart: cart } }));
     renderCartIcon();
     renderCartSidebar();
+    return cart;
+  }
+
+  /**
+   * handleRemoteChange(e)
+   * Another tab wrote the cart (or the active promo code or gift options):
+   * re-render and let this tab's listeners (cart.html, the nav badge) know.
+   * @param {StorageEvent} e
+   */
+  function handleRemoteChange(e) {
+    var giftKey = window.MeridianGift ? window.MeridianGift.STORAGE_KEY : null;
+    if (e.key !== Storage.STORAGE_KEY && e.key !== Storage.SAVED_KEY && e.key !== PROMO_KEY
+        && e.key !== giftKey && e.key !== null) return;
+
+    var cart = getCart();
+    document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart: cart, remote: true } }));
+    renderCartIcon();
+    renderCartSidebar();
   }
 
   /* ──────────────────────────────────────────────
@@ -51,118 +260,160 @@
   ────────────────────────────────────────────── */
 
   /**
-   * addToCart(productId, name, price)
+   * addToCart(productId, [variantId])
    * Adds a product or increments its quantity if already in the cart.
+   * Name, price and image always come from the catalog.
    * Opens the sidebar drawer on success.
    * @param {string} productId
-   * @param {string} name
-   * @param {number} price
+   * @param {string} [variantId] — defaults to the product's first variant, if it has any
+   * @returns {Promise<Array>} Updated cart; rejects for unknown ids or variants
+   *   and when the cart could not be saved
    */
-  function addToCart(productId, name, price) {
-    var cart = getCart();
-    var existing = null;
-
-    for (var i = 0; i < cart.length; i++) {
-      if (cart[i].id === productId) {
-        existing = cart[i];
-        break;
-      }
-    }
-
-    if (existing) {
-      existing.qty = (existing.qty || 1) + 1;
-    } else {
-      cart.push({
-        id:    String(productId),
-        name:  String(name),
-        price: Number(price) || 0,
-        qty:   1
-      });
-    }
-
-    saveCart(cart);
-    openCart();
+  function addToCart(productId, variantId) {
+    return addItem(productId, 1, variantId).then(function (cart) {
+      openCart();
+      return cart;
+    });
   }
 
   /**
-   * addItem(productId, name, price, qty)
-   * Legacy alias for addToCart with optional qty parameter.
-   * Kept for backward compatibility with existing product pages.
+   * addItem(productId, [qty], [variantId])
+   * Like addToCart, with an optional qty and without opening the drawer.
+   * The line's quantity is capped at MAX_QTY and at what the product's
+   * stock and per-order limit leave; when nothing is left the promise
+   * rejects with an error whose `code` is 'sold_out' or 'limit_reached'.
    * @param {string} productId
-   * @param {string} name
-   * @param {number} price
    * @param {number} [qty=1]
-   * @returns {Array} Updated cart
+   * @param {string} [variantId] — defaults to the product's first variant, if it has any
+   * @returns {Promise<Array>} Updated cart; rejects for unknown ids or variants
+   *   and when the cart could not be saved
    */
-  function addItem(productId, name, price, qty) {
-    qty = parseInt(qty, 10) || 1;
-    var cart = getCart();
-    var existing = null;
+  function addItem(productId, qty, variantId) {
+    qty = Math.max(1, parseInt(qty, 10) || 1);
+    productId = String(productId);
 
-    for (var i = 0; i < cart.length; i++) {
-      if (cart[i].id === productId) {
-        existing = cart[i];
-        break;
-      }
+    if (!Catalog) {
+      return Promise.reject(new Error('MeridianCatalog is not loaded'));
     }
 
-    if (existing) {
-      existing.qty = (existing.qty || 1) + qty;
-    } else {
-      cart.push({
-        id:    String(productId),
-        name:  String(name),
-        price: Number(price) || 0,
-        qty:   qty
+    return Catalog.findProduct(productId).then(function (product) {
+      if (!product) {
+        throw new Error('Unknown product: ' + productId);
+      }
+
+      var resolved = Variants.resolve(product, variantId);
+      if (!resolved) {
+        throw new Error('Unknown variant of ' + productId + ': ' + variantId);
+      }
+
+      var variant = resolved.variant ? resolved.variant.id : null;
+      var sku = Storage.skuFor(product.id, variant);
+      var cart = getCart();
+      var existing = null;
+
+      for (var i = 0; i < cart.length; i++) {
+        if (cart[i].sku === sku) {
+          existing = cart[i];
+          break;
+        }
+      }
+
+      /* What stock and limits leave for this line once the others are served */
+      var others = cart.filter(function (line) {
+        return line !== existing && !line.unavailable;
       });
-    }
+      var room = Inventory.allocate(others.concat([{ id: product.id, qty: Infinity }]), Catalog.getProduct).pop();
+      var held = existing ? existing.qty : 0;
+      if (room.max <= held) {
+        throw stockError(product, room);
+      }
+      qty = Math.min(qty, room.max - held);
+
+      var now = new Date().toISOString();
+      if (existing) {
+        existing.qty = Math.min(MAX_QTY, existing.qty + qty);
+        existing.updatedAt = now;
+        delete existing.previousPrice;
+      } else {
+        var line = {
+          sku:       sku,
+          id:        product.id,
+          name:      product.name,
+          price:     resolved.price,
+          image:     resolved.images[0] || '',
+          qty:       Math.min(MAX_QTY, qty),
+          addedAt:   now,
+          updatedAt: now
+        };
+        if (variant) line.variant = variant;
+        cart.push(line);
+      }
 
-    saveCart(cart);
-    return cart;
+      var saved = saveCart(cart);
+      if (!saved) throw new Error('Could not save the cart');
+      return saved;
+    });
   }
 
   /**
-   * removeFromCart(productId)
-   * Removes a product entirely from the cart.
-   * @param {string} productId
+   * stockError(product, room)
+   * @param {Object} product
+   * @param {{ max: number, reason: string }} room — from MeridianInventory.allocate()
+   * @returns {Error} With `code` 'sold_out' or 'limit_reached'
    */
-  function removeFromCart(productId) {
-    var cart = getCart().filter(function (item) {
-      return item.id !== productId;
-    });
+  function stockError(product, room) {
+    var soldOut = room.max === 0 && room.reason === 'stock';
+    var err = new Error((soldOut ? 'Sold out: ' : 'Order limit reached for ') + product.id);
+    err.code = soldOut ? 'sold_out' : 'limit_reached';
+    return err;
+  }
+
+  /**
+   * removeFromCart(sku)
+   * Removes a line entirely from the cart.
+   * @param {string} sku — the line's SKU; for products without variants, the product id
+   */
+  function removeFromCart(sku) {
+    var cart = getCart();
+    for (var i = cart.length - 1; i >= 0; i--) {
+      if (cart[i].sku === sku) cart.splice(i, 1);
+    }
     saveCart(cart);
   }
 
   /**
-   * removeItem(productId)
+   * removeItem(sku)
    * Alias for removeFromCart (backward compatibility).
-   * @param {string} productId
+   * @param {string} sku
    * @returns {Array} Updated cart
    */
-  function removeItem(productId) {
-    removeFromCart(productId);
+  function removeItem(sku) {
+    removeFromCart(sku);
     return getCart();
   }
 
   /**
-   * updateQuantity(productId, qty)
-   * Sets a cart item's quantity. Removes the item if qty <= 0.
-   * @param {string} productId
+   * updateQuantity(sku, qty)
+   * Sets a cart line's quantity, capped at MAX_QTY and at the product's stock
+   * and per-order limit (see applyStockLimits). Removes the line if qty <= 0.
+   * @param {string} sku
    * @param {number} qty
    */
-  function updateQuantity(productId, qty) {
+  function updateQuantity(sku, qty) {
     qty = parseInt(qty, 10);
     if (isNaN(qty) || qty < 0) return;
 
     if (qty === 0) {
-      removeFromCart(productId);
+      removeFromCart(sku);
       return;
     }
 
     var cart = getCart();
     for (var i = 0; i < cart.length; i++) {
-      if (cart[i].id === productId) {
-        cart[i].qty = qty;
+      if (cart[i].sku === sku) {
+        cart[i].qty = Math.min(MAX_QTY, qty);
+        cart[i].updatedAt = new Date().toISOString();
+        delete cart[i].previousPrice;
         break;
       }
     }
@@ -171,37 +422,477 @@
 
   /**
    * clearCart()
-   * Empties the entire cart.
+   * Empties the entire cart and drops its gift options.
    */
   function clearCart() {
+    if (window.MeridianGift) window.MeridianGift.clear();
     saveCart([]);
   }
 
+  /**
+   * removeOrdered(order)
+   * Takes a placed order out of the cart: each SKU loses the quantity that
+   * was bought, so lines added since (here or in another tab) stay. Clears
+   * the order's promo code, if it is still the applied one, and the gift
+   * options.
+   * @param {{ items: Array<{ sku?: string, id: string, variant?: string, qty: number }>,
+   *           discount?: { code: string } }} order
+   */
+  function removeOrdered(order) {
+    var bought = {};
+    (order.items || []).forEach(function (item) {
+      var sku = item.sku || Storage.skuFor(item.id, item.variant || null);
+      bought[sku] = (bought[sku] || 0) + (Number(item.qty) || 0);
+    });
+
+    var cart = getCart();
+    for (var i = cart.length - 1; i >= 0; i--) {
+      if (!bought[cart[i].sku]) continue;
+      cart[i].qty -= bought[cart[i].sku];
+      if (cart[i].qty <= 0) cart.splice(i, 1);
+    }
+
+    if (order.discount && getPromoCode() === order.discount.code) {
+      try {
+        localStorage.removeItem(PROMO_KEY);
+      } catch (e) { /* nothing stored */ }
+    }
+    if (window.MeridianGift) window.MeridianGift.clear();
+    saveCart(cart);
+  }
+
+  /* ──────────────────────────────────────────────
+     Configuration
+  ────────────────────────────────────────────── */
+
+  /**
+   * configure(options)
+   * Merges options into the cart config.
+   * @param {Object} options — { expiryDays, welcomeBackHours }
+   * @returns {Object} The resulting config
+   */
+  function configure(options) {
+    for (var key in options) {
+      if (Object.prototype.hasOwnProperty.call(options, key)) {
+        config[key] = options[key];
+      }
+    }
+    return config;
+  }
+
+  /* ──────────────────────────────────────────────
+     Saved for later
+  ────────────────────────────────────────────── */
+
+  /**
+   * getSavedForLater()
+   * Lines moved out of the cart, newest first. Each keeps the price it had
+   * in the cart; restoring it reprices from the catalog.
+   * @returns {Array}
+   */
+  function getSavedForLater() {
+    return Storage.readSaved().sort(function (a, b) {
+      return String(b.savedAt).localeCompare(String(a.savedAt));
+    });
+  }
+
+  function notifySavedChanged() {
+    document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart: getCart() } }));
+  }
+
+  /**
+   * expireStaleLines()
+   * Moves lines not touched for config.expiryDays into "Saved for later",
+   * so a cart picked up weeks later never checks out at old prices unseen.
+   * @returns {Array} The lines that were moved
+   */
+  function expireStaleLines() {
+    if (!(config.expiryDays > 0)) return [];
+
+    var cutoff = Date.now() - config.expiryDays * 24 * HOUR_MS;
+    var cart = getCart();
+    var stale = [];
+
+    for (var i = cart.length - 1; i >= 0; i--) {
+      if (Date.parse(cart[i].updatedAt) < cutoff) stale.unshift(cart.splice(i, 1)[0]);
+    }
+    if (stale.length === 0) return stale;
+
+    var now = new Date().toISOString();
+    var saved = Storage.readSaved().filter(function (line) {
+      return !stale.some(function (s) { return s.sku === line.sku; });
+    });
+    stale.forEach(function (line) {
+      line.savedAt = now;
+      saved.push(line);
+    });
+
+    Storage.writeSaved(saved);
+    saveCart(cart);
+    return stale;
+  }
+
+  /**
+   * restoreSaved(sku)
+   * Moves a saved line back into the cart at the current catalog price.
+   * @param {string} sku
+   * @returns {Promise<Array>} Updated cart; rejects (and keeps the saved
+   *   line) for products or variants that have been retired
+   */
+  function restoreSaved(sku) {
+    var line = Storage.readSaved().filter(function (s) { return s.sku === sku; })[0];
+    if (!line) return Promise.reject(new Error('Not saved for later: ' + sku));
+
+    return addItem(line.id, line.qty, line.variant).then(function (cart) {
+      removeSaved(sku);
+      return cart;
+    });
+  }
+
+  /**
+   * removeSaved(sku)
+   * Deletes a line from "Saved for later".
+   * @param {string} sku
+   */
+  function removeSaved(sku) {
+    Storage.writeSaved(Storage.readSaved().filter(function (s) {
+      return s.sku !== sku;
+    }));
+    notifySavedChanged();
+  }
+
+  /* ──────────────────────────────────────────────
+     Welcome back
+  ────────────────────────────────────────────── */
+
+  /**
+   * checkWelcomeBack(lastUpdated)
+   * Once per browser session, prompts a visitor whose cart has sat
+   * untouched for config.welcomeBackHours.
+   * @param {Date|null} lastUpdated — read before this visit changed anything
+   */
+  function checkWelcomeBack(lastUpdated) {
+    try {
+      if (sessionStorage.getItem(WELCOME_KEY)) return;
+      sessionStorage.setItem(WELCOME_KEY, '1');
+    } catch (e) {
+      return;
+    }
+
+    if (!lastUpdated || Date.now() - lastUpdated.getTime() < config.welcomeBackHours * HOUR_MS) return;
+
+    var count = getCart().reduce(function (sum, item) { return sum + item.qty; }, 0);
+    if (count > 0) welcomeBack = { count: count };
+  }
+
+  function dismissWelcomeBack() {
+    welcomeBack = null;
+    renderCartSidebar();
+  }
+
   /**
    * calculateTotal()
-   * Returns the sum of (price * qty) across all cart items.
+   * Returns the sum of (price * qty) across all purchasable cart items.
+   * Lines flagged `unavailable` are excluded.
    * @returns {number}
    */
   function calculateTotal() {
     return getCart().reduce(function (sum, item) {
+      if (item.unavailable) return sum;
       return sum + (Number(item.price) || 0) * (Number(item.qty) || 0);
     }, 0);
   }
 
+  /**
+   * calculateShipping()
+   * Quotes shipping for the saved destination / method (see MeridianShipping),
+   * after any promo discount.
+   * @returns {Object|null} MeridianShipping.quote() result, or null when
+   *   shipping.js is not on the page
+   */
+  function calculateShipping() {
+    return calculateBreakdown().shipping;
+  }
+
+  /**
+   * calculateBreakdown()
+   * Subtotal, promo discount, gift wrap, shipping, tax and grand total for
+   * the purchasable lines, for the saved destination. Shared by the sidebar
+   * and cart.html. Shipping thresholds apply to the discounted subtotal;
+   * tax to that plus gift wrap. `shipping` / `tax` are null when
+   * shipping.js / tax.js are not loaded; `promo` is null when no code is
+   * applied, `gift` when no gift option is chosen (see MeridianGift).
+   * @returns {{ subtotal: number, discount: number, promo: Object|null,
+   *             gift: Object|null, giftWrap: number, shipping: Object|null,
+   *             tax: Object|null, total: number }}
+   */
+  function calculateBreakdown() {
+    var Shipping = window.MeridianShipping;
+    var Tax = window.MeridianTax;
+    var Gift = window.MeridianGift;
+    var subtotal = calculateTotal();
+    var promo = evaluatePromo();
+    var discount = promo && promo.ok ? promo.amount : 0;
+    var net = Math.max(0, subtotal - discount);
+    var gift = Gift ? Gift.getOptions() : null;
+    var giftWrap = gift && subtotal > 0 ? Gift.wrapCost(gift) : 0;
+    var selection = Shipping ? Shipping.getSelection() : null;
+    var shipping = null;
+    var tax = null;
+
+    if (Shipping) {
+      shipping = Shipping.quote(net, selection);
+      if (window.MeridianPromotions) shipping = window.MeridianPromotions.applyToShipping(shipping, promo);
+    }
+
+    var shippingCost = shipping ? shipping.cost : 0;
+    if (Tax && selection) {
+      tax = Tax.calculate({ subtotal: net + giftWrap, shipping: shippingCost }, selection);
+    }
+
+    return {
+      subtotal: subtotal,
+      discount: discount,
+      promo:    promo,
+      gift:     gift && Gift.isGift(gift) ? gift : null,
+      giftWrap: giftWrap,
+      shipping: shipping,
+      tax:      tax,
+      total:    tax ? Tax.grandTotal(net + giftWrap, shippingCost, tax) : net + giftWrap + shippingCost
+    };
+  }
+
+  /**
+   * needsRegion([breakdown])
+   * True while tax waits on a state (US without one): checkout stays shut,
+   * as the server refuses orders whose tax is still pending.
+   * @param {Object} [breakdown] — calculateBreakdown() result
+   * @returns {boolean}
+   */
+  function needsRegion(breakdown) {
+    breakdown = breakdown || calculateBreakdown();
+    return !!(breakdown.tax && breakdown.tax.mode === 'pending');
+  }
+
+  /**
+   * checkoutBlocker([breakdown])
+   * What checkout is waiting for, as the i18n key of the note to show: a
+   * state for sales tax, then (where shipping.js collects one) a complete
+   * shipping address.
+   * @param {Object} [breakdown] — calculateBreakdown() result
+   * @returns {string|null} null when checkout can go ahead
+   */
+  function checkoutBlocker(breakdown) {
+    if (needsRegion(breakdown)) return 'cart.chooseState';
+    if (window.MeridianShipping && !window.MeridianShipping.shippingAddress()) return 'cart.addAddress';
+    return null;
+  }
+
+  /* ──────────────────────────────────────────────
+     Promo codes
+  ────────────────────────────────────────────── */
+
+  /**
+   * getPromoCode()
+   * @returns {string} The applied code, or ''
+   */
+  function getPromoCode() {
+    try {
+      return localStorage.getItem(PROMO_KEY) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * evaluatePromo()
+   * Re-checks the applied code against the current cart. A code stays
+   * applied when the cart drops below its minimum; the result then
+   * carries the reason instead of a discount.
+   * @returns {Object|null} MeridianPromotions.evaluate() result, or null
+   */
+  function evaluatePromo() {
+    var code = getPromoCode();
+    if (!code || !window.MeridianPromotions) return null;
+
+    var lines = getCart().filter(function (item) {
+      return !item.unavailable;
+    });
+    return window.MeridianPromotions.evaluate(code, lines, {
+      getProduct: Catalog ? Catalog.getProduct : null
+    });
+  }
+
+  /**
+   * isFreeShippingPromo(promo)
+   * @param {Object|null} promo — evaluatePromo() result
+   * @returns {boolean} True when a valid free-shipping code is applied
+   */
+  function isFreeShippingPromo(promo) {
+    return !!(promo && promo.ok && promo.freeShipping);
+  }
+
+  /**
+   * applyPromoCode(code)
+   * Validates a code against the cart and, if it applies, persists it
+   * (replacing any previous code) and refreshes the UI.
+   * @param {string} code
+   * @returns {Object} MeridianPromotions.evaluate() result — check `ok` / `error`
+   */
+  function applyPromoCode(code) {
+    var Promotions = window.MeridianPromotions;
+    if (!Promotions) {
+      return { ok: false, code: String(code || ''), error: t('promo.unavailable') };
+    }
+
+    var lines = getCart().filter(function (item) {
+      return !item.unavailable;
+    });
+    var result = Promotions.evaluate(code, lines, {
+      getProduct: Catalog ? Catalog.getProduct : null
+    });
+
+    if (result.ok) {
+      try {
+        localStorage.setItem(PROMO_KEY, result.code);
+      } catch (e) {
+        console.error('[MeridianCart] Could not save promo code:', e);
+      }
+      saveCart(getCart());
+    }
+    return result;
+  }
+
+  /**
+   * removePromoCode()
+   * Clears the applied code and refreshes the UI.
+   */
+  function removePromoCode() {
+    try {
+      localStorage.removeItem(PROMO_KEY);
+    } catch (e) { /* nothing stored */ }
+    saveCart(getCart());
+  }
+
   /* ──────────────────────────────────────────────
      UI helpers
   ────────────────────────────────────────────── */
 
+  /* In the display currency when currency.js is on the page */
   function formatPrice(amount) {
+    if (window.MeridianCurrency) return window.MeridianCurrency.format(amount);
     return '$' + Number(amount).toFixed(2);
   }
 
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  /**
+   * itemName(item)
+   * The line's product name in the current language, from the catalog when
+   * it has loaded; the name stored with the line otherwise.
+   * @param {Object} item
+   * @returns {string}
+   */
+  function itemName(item) {
+    var product = Catalog && Catalog.getProduct(item.id);
+    return product ? I18n.productText(product, 'name') : item.name;
+  }
+
+  /**
+   * itemOptions(item)
+   * The line's selected variant in the current language, e.g. "Style: Pendant".
+   * @param {Object} item
+   * @returns {string} '' for products without variants or before the catalog loads
+   */
+  function itemOptions(item) {
+    var product = item.variant && Catalog && Catalog.getProduct(item.id);
+    return product ? Variants.describe(product, item.variant, I18n.get()) : '';
+  }
+
+  /**
+   * bundleContents(item)
+   * What a bundle line holds, for the expandable list under it.
+   * @param {Object} item
+   * @returns {{ items: Array<{ name: string, qty: number }>, savings: number }|null}
+   *   items per set, in the current language; savings for the whole line.
+   *   null for lines that are not bundles or before the catalog loads.
+   */
+  function bundleContents(item) {
+    var product = Catalog && Catalog.getProduct(item.id);
+    if (!product || !Bundles.isBundle(product)) return null;
+    return {
+      items: Bundles.components(product, Catalog.getProduct).map(function (c) {
+        return { name: c.product ? I18n.productText(c.product, 'name') : c.id, qty: c.qty };
+      }),
+      savings: Bundles.savings(product, Catalog.getProduct) * item.qty
+    };
+  }
+
   function totalItems() {
     return getCart().reduce(function (sum, item) {
       return sum + (Number(item.qty) || 0);
     }, 0);
   }
 
+  /**
+   * itemNote(item)
+   * Short customer-facing note for repriced, discontinued, sold-out or
+   * stock-capped lines.
+   * @param {Object} item
+   * @returns {string} Plain text, or '' when nothing to report
+   */
+  function itemNote(item) {
+    var stock = item.stockLimit;
+    if (stock && stock.max === 0 && stock.reason === 'stock') return t('stock.soldOut');
+    if (item.unavailable && !stock) return t('cart.noLongerAvailable');
+
+    var notes = [];
+    if (stock) {
+      notes.push(stock.reason === 'max_per_order'
+        ? t('stock.limitPerOrder', { n: stock.limit })
+        : t('stock.onlyLeft', { n: stock.limit }));
+    }
+    if (item.previousPrice != null && item.previousPrice !== item.price) {
+      notes.push(t('cart.priceUpdated', { price: formatPrice(item.previousPrice) }));
+    }
+    return notes.join(' · ');
+  }
+
+  /**
+   * maxQuantity(item)
+   * The highest quantity the line's + button may reach.
+   * @param {Object} item
+   * @returns {number}
+   */
+  function maxQuantity(item) {
+    return item.stockLimit ? Math.min(MAX_QTY, item.stockLimit.max) : MAX_QTY;
+  }
+
+  /* "Gift message · Gift receipt (no prices)" */
+  function giftNote(gift) {
+    var notes = [];
+    if (gift.message) notes.push(t('gift.messageIncluded'));
+    if (gift.hidePrices) notes.push(t('gift.receipt'));
+    return notes.join(' · ');
+  }
+
+  /* Collapsed by default: "Includes 3 tools · You save $28.00" */
+  function renderBundleContents(bundle) {
+    var summary = t('bundle.includes', { n: bundle.items.length });
+    if (bundle.savings > 0) summary += ' · ' + t('bundle.savings', { amount: formatPrice(bundle.savings) });
+
+    return '<details class="cs-item-bundle">'
+         +   '<summary>' + escapeHtml(summary) + '</summary>'
+         +   '<ul>'
+         +     bundle.items.map(function (c) {
+                 return '<li>' + escapeHtml(c.name) + (c.qty > 1 ? ' × ' + c.qty : '') + '</li>';
+               }).join('')
+         +   '</ul>'
+         + '</details>';
+  }
+
   function escapeHtml(str) {
     return String(str)
       .replace(/&/g, '&amp;')
@@ -258,17 +949,27 @@
 
     /* Header */
     html += '<div class="cs-header">'
-          +   '<span class="cs-title">Your Cart</span>'
-          +   '<button class="cs-close" id="cartCloseBtn" aria-label="Close cart">'
+          +   '<span class="cs-title">' + escapeHtml(t('cart.title')) + '</span>'
+          +   '<button class="cs-close" id="cartCloseBtn" aria-label="' + escapeHtml(t('cart.close')) + '">'
           +     svgClose()
           +   '</button>'
           + '</div>';
 
+    /* Returning visitor */
+    if (welcomeBack && cart.length) {
+      html += '<div class="cs-welcome" role="status">'
+            +   '<p>' + escapeHtml(t(welcomeBack.count === 1 ? 'cart.welcomeOne' : 'cart.welcomeOther', { n: welcomeBack.count })) + '</p>'
+            +   '<button type="button" class="cs-welcome-dismiss" id="cartWelcomeDismiss" aria-label="' + escapeHtml(t('cart.dismiss')) + '">'
+            +     svgClose()
+            +   '</button>'
+            + '</div>';
+    }
+
     /* Body */
     if (cart.length === 0) {
       html += '<div class="cs-body cs-empty">'
-            +   '<p>Your cart is empty.</p>'
-            +   '<a href="products.html" class="cs-browse-link">Browse products &rarr;</a>'
+            +   '<p>' + escapeHtml(t('cart.empty')) + '</p>'
+            +   '<a href="products.html" class="cs-browse-link">' + escapeHtml(t('cart.browse')) + '</a>'
             + '</div>';
     } else {
       html += '<div class="cs-body">';
@@ -276,19 +977,26 @@
 
       for (var i = 0; i < cart.length; i++) {
         var item = cart[i];
-        html += '<li class="cs-item">'
+        var note = itemNote(item);
+        var options = itemOptions(item);
+        var bundle = bundleContents(item);
+        html += '<li class="cs-item' + (item.unavailable ? ' cs-item--unavailable' : '') + '">'
               +   '<div class="cs-item-info">'
-              +     '<span class="cs-item-name">' + escapeHtml(item.name) + '</span>'
+              +     '<span class="cs-item-name">' + escapeHtml(itemName(item)) + '</span>'
               +     '<span class="cs-item-unit-price">' + formatPrice(item.price) + '</span>'
               +   '</div>'
+              +   (options ? '<p class="cs-item-options">' + escapeHtml(options) + '</p>' : '')
+              +   (bundle ? renderBundleContents(bundle) : '')
+              +   (note ? '<p class="cs-item-note">' + escapeHtml(note) + '</p>' : '')
               +   '<div class="cs-item-row2">'
               +     '<div class="cs-qty-wrap">'
-              +       '<button class="cs-qty-btn cs-qty-dec" data-id="' + escapeHtml(item.id) + '" aria-label="Decrease">−</button>'
+              +       '<button class="cs-qty-btn cs-qty-dec" data-sku="' + escapeHtml(item.sku) + '" aria-label="' + escapeHtml(t('cart.decrease')) + '">−</button>'
               +       '<span class="cs-qty-val">' + item.qty + '</span>'
-              +       '<button class="cs-qty-btn cs-qty-inc" data-id="' + escapeHtml(item.id) + '" aria-label="Increase">+</button>'
+              +       '<button class="cs-qty-btn cs-qty-inc" data-sku="' + escapeHtml(item.sku) + '" aria-label="' + escapeHtml(t('cart.increase')) + '"'
+              +         (item.qty >= maxQuantity(item) ? ' disabled' : '') + '>+</button>'
               +     '</div>'
               +     '<span class="cs-item-subtotal">' + formatPrice(item.price * item.qty) + '</span>'
-              +     '<button class="cs-remove" data-id="' + escapeHtml(item.id) + '" aria-label="Remove">'
+              +     '<button class="cs-remove" data-sku="' + escapeHtml(item.sku) + '" aria-label="' + escapeHtml(t('cart.remove')) + '">'
               +       svgTrash()
               +     '</button>'
               +   '</div>'
@@ -299,14 +1007,68 @@
       html += '</div>'; /* .cs-body */
 
       /* Footer */
+      var breakdown = calculateBreakdown();
+      var shipping = breakdown.shipping;
+
       html += '<div class="cs-footer">'
+            +   (shipping && !isFreeShippingPromo(breakdown.promo)
+                  ? window.MeridianShipping.renderProgress(total - breakdown.discount, shipping.country)
+                  : '')
             +   '<div class="cs-total-row">'
-            +     '<span>Subtotal</span>'
+            +     '<span>' + escapeHtml(t('cart.subtotal')) + '</span>'
             +     '<span class="cs-total-amount">' + formatPrice(total) + '</span>'
-            +   '</div>'
-            +   '<p class="cs-shipping-note">Shipping &amp; taxes calculated at checkout</p>'
-            +   '<button class="cs-checkout-btn" id="cartCheckoutBtn">Proceed to Checkout</button>'
-            +   '<a href="cart.html" class="cs-view-cart-link">View full cart</a>'
+            +   '</div>';
+
+      if (breakdown.discount > 0) {
+        html += '<div class="cs-total-row cs-ship-row cs-discount-row">'
+              +   '<span>' + escapeHtml(t('cart.discount', { code: breakdown.promo.code })) + '</span>'
+              +   '<span>&minus;' + formatPrice(breakdown.discount) + '</span>'
+              + '</div>';
+      }
+
+      if (breakdown.giftWrap > 0) {
+        html += '<div class="cs-total-row cs-ship-row">'
+              +   '<span>' + escapeHtml(t('gift.wrap')) + '</span>'
+              +   '<span>' + formatPrice(breakdown.giftWrap) + '</span>'
+              + '</div>';
+      }
+
+      if (breakdown.gift && (breakdown.gift.message || breakdown.gift.hidePrices)) {
+        html += '<p class="cs-gift-note">' + escapeHtml(giftNote(breakdown.gift)) + '</p>';
+      }
+
+      if (shipping) {
+        html += '<div class="cs-total-row cs-ship-row">'
+              +   '<span>' + escapeHtml(t('cart.shippingVia', { method: shipping.label, country: shipping.country })) + '</span>'
+              +   '<span>' + window.MeridianShipping.renderCostLabel(shipping) + '</span>'
+              + '</div>';
+      }
+
+      if (breakdown.tax) {
+        var tax = window.MeridianTax.describe(breakdown.tax);
+        html += '<div class="cs-total-row cs-ship-row">'
+              +   '<span>' + escapeHtml(tax.label) + '</span>'
+              +   '<span>' + escapeHtml(tax.value) + '</span>'
+              + '</div>'
+              + '<div class="cs-total-row cs-grand-row">'
+              +   '<span>' + escapeHtml(t('cart.total')) + '</span>'
+              +   '<span class="cs-total-amount">' + formatPrice(breakdown.total) + '</span>'
+              + '</div>';
+      } else {
+        html += '<p class="cs-shipping-note">'
+              + escapeHtml(t(shipping ? 'cart.taxesAtCheckout' : 'cart.allAtCheckout'))
+              + '</p>';
+      }
+
+      var blocker = checkoutBlocker(breakdown);
+      if (blocker) {
+        html += '<p class="cs-shipping-note">' + escapeHtml(t(blocker)) + '</p>';
+      }
+
+      html +=   '<button class="cs-checkout-btn" id="cartCheckoutBtn"' + (blocker ? ' disabled' : '') + '>'
+            +     escapeHtml(t('cart.checkout'))
+            +   '</button>'
+            +   '<a href="cart.html" class="cs-view-cart-link">' + escapeHtml(t('cart.viewFull')) + '</a>'
             + '</div>';
     }
 
@@ -324,6 +1086,11 @@
       closeBtn.addEventListener('click', closeCart);
     }
 
+    var welcomeBtn = document.getElementById('cartWelcomeDismiss');
+    if (welcomeBtn) {
+      welcomeBtn.addEventListener('click', dismissWelcomeBack);
+    }
+
     var checkoutBtn = document.getElementById('cartCheckoutBtn');
     if (checkoutBtn) {
       checkoutBtn.addEventListener('click', initCheckout);
@@ -333,11 +1100,11 @@
     for (var d = 0; d < decBtns.length; d++) {
       (function (btn) {
         btn.addEventListener('click', function () {
-          var id = btn.getAttribute('data-id');
+          var sku = btn.getAttribute('data-sku');
           var cart = getCart();
           for (var i = 0; i < cart.length; i++) {
-            if (cart[i].id === id) {
-              updateQuantity(id, cart[i].qty - 1);
+            if (cart[i].sku === sku) {
+              updateQuantity(sku, cart[i].qty - 1);
               break;
             }
           }
@@ -349,11 +1116,11 @@
     for (var n = 0; n < incBtns.length; n++) {
       (function (btn) {
         btn.addEventListener('click', function () {
-          var id = btn.getAttribute('data-id');
+          var sku = btn.getAttribute('data-sku');
           var cart = getCart();
           for (var i = 0; i < cart.length; i++) {
-            if (cart[i].id === id) {
-              updateQuantity(id, cart[i].qty + 1);
+            if (cart[i].sku === sku) {
+              updateQuantity(sku, cart[i].qty + 1);
               break;
             }
           }
@@ -365,7 +1132,7 @@
     for (var r = 0; r < removeBtns.length; r++) {
       (function (btn) {
         btn.addEventListener('click', function () {
-          removeFromCart(btn.getAttribute('data-id'));
+          removeFromCart(btn.getAttribute('data-sku'));
         });
       }(removeBtns[r]));
     }
@@ -375,11 +1142,12 @@
      Open / Close / Toggle
   ────────────────────────────────────────────── */
 
-  /** openCart() — slides the cart drawer in from the right. */
+  /** openCart() — slides the cart drawer in from the right; a no-op on pages without one. */
   function openCart() {
     var sidebar = document.getElementById('cartSidebar');
     var overlay = document.getElementById('cartOverlay');
-    if (sidebar) sidebar.classList.add('open');
+    if (!sidebar) return;   /* only cart.html has the drawer */
+    sidebar.classList.add('open');
     if (overlay) overlay.classList.add('open');
     document.body.style.overflow = 'hidden';
   }
@@ -409,99 +1177,135 @@
   ────────────────────────────────────────────── */
 
   /**
-   * initCheckout()
-   * Placeholder: alerts an order summary.
-   * Replace this function body with a Stripe Checkout session call when ready.
+   * initCheckout([trigger])
+   * Hands the purchasable lines to MeridianCheckout, which creates a
+   * session on the checkout endpoint and redirects to it.
+   * @param {HTMLButtonElement|Event} [trigger] — button (or its click event)
+   *   that shows the loading / error / retry states
+   * @returns {Promise|undefined}
    */
-  function initCheckout() {
-    var cart = getCart();
+  function initCheckout(trigger) {
+    var button = trigger && trigger.currentTarget ? trigger.currentTarget : trigger;
+    var cart = getCart().filter(function (item) {
+      return !item.unavailable;
+    });
 
     if (cart.length === 0) {
-      alert('Your cart is empty.');
+      alert(t('cart.empty'));
+      return;
+    }
+
+    var blocker = checkoutBlocker();
+    if (blocker) {
+      alert(t(blocker));
       return;
     }
 
-    /* TODO: Replace with Stripe Checkout integration
-       e.g. fetch('/api/create-checkout-session', { method: 'POST', body: JSON.stringify(cart) })
-              .then(res => res.json())
-              .then(data => stripe.redirectToCheckout({ sessionId: data.id }))             */
+    if (!window.MeridianCheckout) {
+      console.error('[MeridianCart] checkout.js is not loaded on this page.');
+      return;
+    }
 
-    var lines = cart.map(function (item) {
-      return '  ' + item.name + '  \u00d7' + item.qty + '  \u2014  ' + formatPrice(item.price * item.qty);
+    return window.MeridianCheckout.start(cart, button).catch(function () {
+      /* Already surfaced on the button by MeridianCheckout */
     });
-
-    alert(
-      'Checkout coming soon.\n\n'
-      + 'Order summary:\n'
-      + lines.join('\n')
-      + '\n\n'
-      + 'Total: ' + formatPrice(calculateTotal())
-    );
   }
 
   /* ──────────────────────────────────────────────
-     Product page: "Add to Cart" button binding
+     Add to Cart: one pipeline for every button
+     A click on any <button data-product-id> (product page, catalog and
+     home-page quick-add, journal tool cards) fires 'meridian:add-to-cart',
+     with the button's data-variant when it has one (the product page
+     picker sets it); other scripts may fire it too. handleAddToCart()
+     is its only listener.
   ────────────────────────────────────────────── */
 
-  function bindAddToCartButtons() {
-    var btns = document.querySelectorAll('[data-product-id]');
-    for (var i = 0; i < btns.length; i++) {
-      (function (btn) {
-        if (btn.dataset.cartBound) return;
-        btn.dataset.cartBound = 'true';
+  var ADD_FEEDBACK_MS = 1400;
 
-        btn.addEventListener('click', function () {
-          var id    = btn.dataset.productId;
-          var name  = btn.dataset.productName  || id;
-          var price = parseFloat(btn.dataset.productPrice) || 0;
-
-          addItem(id, name, price, 1);
-          openCart();
-
-          /* Brief "Added" feedback */
-          var original = btn.textContent;
-          btn.textContent = 'Added';
-          btn.style.opacity = '0.75';
-          setTimeout(function () {
-            btn.textContent = original;
-            btn.style.opacity = '';
-          }, 1400);
-        });
-      }(btns[i]));
-    }
+  /* i18n keys for addItem() error codes; anything else reads "Unavailable" */
+  var ADD_ERROR_LABELS = {
+    sold_out:      'stock.soldOut',
+    limit_reached: 'stock.limitReached'
+  };
+
+  /* Buttons showing add feedback → { timer } */
+  var addFeedback = new WeakMap();
+
+  function handleAddButtonClick(e) {
+    var btn = e.target.closest('button[data-product-id]');
+    if (!btn || btn.disabled) return;
+    e.preventDefault();
+
+    btn.dispatchEvent(new CustomEvent('meridian:add-to-cart', {
+      bubbles:    true,
+      cancelable: true,
+      detail:     { productId: btn.dataset.productId, variant: btn.dataset.variant || null, qty: 1 }
+    }));
   }
 
-  /* ──────────────────────────────────────────────
-     Wishlist binding (preserved from original)
-  ────────────────────────────────────────────── */
+  /**
+   * handleAddToCart(e)
+   * 'meridian:add-to-cart' listener. e.detail: { productId, variant?, qty? }.
+   * Only the id is read from the page; price and name come from the catalog.
+   * When the event was fired from a button, that button shows progress
+   * and then the outcome — "Added" only once the cart has been saved.
+   * Calls preventDefault() so senders can tell the event was handled.
+   * @param {CustomEvent} e
+   */
+  function handleAddToCart(e) {
+    var detail = e.detail || {};
+    var btn = e.target instanceof Element ? e.target.closest('button') : null;
 
-  function bindWishlist() {
-    var btns = document.querySelectorAll('[data-wishlist-id]');
-    for (var i = 0; i < btns.length; i++) {
-      (function (btn) {
-        if (btn.dataset.wishlistBound) return;
-        btn.dataset.wishlistBound = 'true';
+    if (!detail.productId) {
+      console.error('[MeridianCart] meridian:add-to-cart needs a productId:', detail);
+      if (btn) showAddState(btn, 'error');
+      return;
+    }
+    e.preventDefault();
+    if (btn) showAddState(btn, 'busy');
 
-        btn.addEventListener('click', function () {
-          var id = btn.dataset.wishlistId;
-          var wish = [];
-          try {
-            wish = JSON.parse(localStorage.getItem('meridian_wishlist') || '[]');
-          } catch (e) {}
-
-          if (wish.indexOf(id) === -1) {
-            wish.push(id);
-            localStorage.setItem('meridian_wishlist', JSON.stringify(wish));
-            btn.textContent = 'Saved to Wishlist';
-          } else {
-            btn.textContent = 'Already in Wishlist';
-          }
-          setTimeout(function () {
-            btn.textContent = 'Add to Wishlist';
-          }, 1600);
-        });
-      }(btns[i]));
+    addItem(detail.productId, detail.qty, detail.variant).then(function () {
+      openCart();
+      if (btn) showAddState(btn, 'added');
+    }, function (err) {
+      console.error('[MeridianCart] Could not add to cart:', err);
+      if (btn) showAddState(btn, 'error', ADD_ERROR_LABELS[err && err.code]);
+    });
+  }
+
+  /**
+   * showAddState(btn, state, [errorKey])
+   * 'busy' disables the button while the cart is written; 'added' and
+   * 'error' swap its label briefly, then put back "Add to Cart" in the
+   * current language.
+   * The state is exposed as data-add-state for styling.
+   * @param {HTMLButtonElement} btn
+   * @param {'busy'|'added'|'error'} state
+   * @param {string} [errorKey] — i18n key for the error label
+   */
+  function showAddState(btn, state, errorKey) {
+    var shown = addFeedback.get(btn);
+    if (shown) {
+      clearTimeout(shown.timer);
+    } else {
+      shown = { timer: null };
+      addFeedback.set(btn, shown);
     }
+
+    btn.setAttribute('data-add-state', state);
+    btn.disabled = state === 'busy';
+    if (state === 'busy') {
+      btn.setAttribute('aria-busy', 'true');
+      return;
+    }
+
+    btn.removeAttribute('aria-busy');
+    btn.textContent = t(state === 'added' ? 'cart.added' : errorKey || 'cart.unavailable');
+    shown.timer = setTimeout(function () {
+      addFeedback.delete(btn);
+      btn.textContent = t('cart.add');
+      btn.removeAttribute('data-add-state');
+    }, ADD_FEEDBACK_MS);
   }
 
   /* ──────────────────────────────────────────────
@@ -548,6 +1352,13 @@
 
       /* Body scroll area */
       '.cs-body { flex:1; overflow-y:auto; padding:1.5rem 1.75rem; }',
+      '.cs-welcome { display:flex; align-items:flex-start; justify-content:space-between; gap:1rem;',
+      '  padding:0.9rem 1.75rem; background:var(--color-surface-2,#241e1b);',
+      '  border-bottom:1px solid var(--color-border,rgba(255,255,255,0.08)); }',
+      '.cs-welcome p { margin:0; font-size:0.8rem; line-height:1.5; color:var(--color-copper,#b87333); }',
+      '.cs-welcome-dismiss { background:none; border:none; padding:0; cursor:pointer;',
+      '  color:var(--color-text-faint,#5a504a); display:flex; }',
+      '.cs-welcome-dismiss svg { width:14px; height:14px; }',
       '.cs-empty { display:flex; flex-direction:column; align-items:center; justify-content:center;',
       '  gap:1.5rem; color:var(--color-text-muted,#9c8f85); font-size:0.9rem; min-height:200px; }',
       '.cs-browse-link { font-size:0.75rem; letter-spacing:0.15em; text-transform:uppercase;',
@@ -564,6 +1375,14 @@
       '.cs-item-name { font-size:0.875rem; color:var(--color-text,#f5f0eb); line-height:1.4; flex:1; }',
       '.cs-item-unit-price { font-size:0.8rem; color:var(--color-text-muted,#9c8f85); white-space:nowrap; }',
 
+      '.cs-item-options { margin:0; font-size:0.72rem; color:var(--color-text-muted,#9c8f85); }',
+      '.cs-item-note { margin:0; font-size:0.72rem; color:var(--color-copper,#b87333); }',
+      '.cs-item-bundle { font-size:0.72rem; color:var(--color-text-muted,#9c8f85); }',
+      '.cs-item-bundle summary { cursor:pointer; color:var(--color-copper,#b87333); }',
+      '.cs-item-bundle ul { margin:0.35rem 0 0; padding-left:1rem; line-height:1.6; }',
+      '.cs-item--unavailable .cs-item-name,',
+      '.cs-item--unavailable .cs-item-unit-price { opacity:0.5; text-decoration:line-through; }',
+
       '.cs-item-row2 { display:flex; align-items:center; gap:0.75rem; }',
 
       '.cs-qty-wrap { display:flex; align-items:center; gap:0.35rem; }',
@@ -572,6 +1391,8 @@
       '  font-size:1rem; line-height:1; cursor:pointer; display:flex; align-items:center;',
       '  justify-content:center; transition:border-color 0.2s,color 0.2s; }',
       '.cs-qty-btn:hover { border-color:var(--color-copper,#b87333); color:var(--color-copper,#b87333); }',
+      '.cs-qty-btn:disabled { opacity:0.35; cursor:default; border-color:var(--color-border-light,#3a302c);',
+      '  color:var(--color-text,#f5f0eb); }',
       '.cs-qty-val { min-width:1.75rem; text-align:center; font-size:0.875rem;',
       '  color:var(--color-text,#f5f0eb); }',
 
@@ -588,7 +1409,11 @@
       '.cs-total-row { display:flex; justify-content:space-between; align-items:center;',
       '  font-size:0.9rem; color:var(--color-text-muted,#9c8f85); }',
       '.cs-total-amount { font-size:1rem; color:var(--color-text,#f5f0eb); font-weight:500; }',
+      '.cs-ship-row { font-size:0.8rem; margin-top:-0.4rem; }',
+      '.cs-discount-row { color:var(--color-copper,#b87333); }',
+      '.cs-grand-row { padding-top:0.6rem; border-top:1px solid var(--color-border,#2a2320); }',
       '.cs-shipping-note { font-size:0.75rem; color:var(--color-text-faint,#5a504a); }',
+      '.cs-gift-note { margin:-0.4rem 0 0; font-size:0.72rem; color:var(--color-copper,#b87333); }',
 
       '.cs-checkout-btn { width:100%; padding:0.9rem 1rem;',
       '  background:var(--color-copper,#b87333); color:var(--color-bg,#0f0d0c);',
@@ -596,11 +1421,17 @@
       '  cursor:pointer; font-family:var(--font-sans,"Inter",sans-serif); font-weight:500;',
       '  transition:background 0.2s; }',
       '.cs-checkout-btn:hover { background:var(--color-copper-light,#d4956a); }',
+      '.cs-checkout-btn:disabled { opacity:0.45; cursor:not-allowed; background:var(--color-copper,#b87333); }',
 
       '.cs-view-cart-link { display:block; text-align:center; font-size:0.75rem;',
       '  letter-spacing:0.1em; color:var(--color-text-faint,#5a504a); text-decoration:none;',
       '  transition:color 0.2s; }',
-      '.cs-view-cart-link:hover { color:var(--color-copper,#b87333); }'
+      '.cs-view-cart-link:hover { color:var(--color-copper,#b87333); }',
+
+      /* Add to Cart buttons while the cart is written, and after */
+      'button[data-add-state="busy"] { opacity:0.6; cursor:progress; }',
+      'button[data-add-state="added"] { opacity:0.75; }',
+      'button[data-add-state="error"] { background-color:#8f3b2e; border-color:#8f3b2e; color:#f5f0eb; }'
     ].join('\n');
 
     var style = document.createElement('style');
@@ -614,11 +1445,32 @@
   ────────────────────────────────────────────── */
 
   function init() {
+    var lastUpdated = Storage.lastUpdated();
+    expireStaleLines();
+    checkWelcomeBack(lastUpdated);
+
     injectCartStyles();
     renderCartIcon();
     renderCartSidebar();
-    bindAddToCartButtons();
-    bindWishlist();
+
+    /* Reconcile stored lines against the catalog and persist any repricing */
+    if (Catalog) {
+      Catalog.load().then(function () {
+        var stored = JSON.stringify(Storage.read());
+        var cart = getCart();
+        /* Compare as stored: stockLimit is worked out again on every read */
+        var reconciled = JSON.stringify(cart.map(function (line) {
+          var checked = Storage.validateItem(line);
+          return checked.ok ? checked.item : line;
+        }));
+        if (reconciled !== stored && cart.length) {
+          saveCart(cart);
+        } else {
+          renderCartIcon();
+          renderCartSidebar();
+        }
+      }, function () { /* logged by MeridianCatalog */ });
+    }
 
     /* Nav cart toggle button */
     var toggleBtn = document.getElementById('cartToggleBtn');
@@ -637,8 +1489,28 @@
       if (e.key === 'Escape') { closeCart(); }
     });
 
-    /* Re-bind add-to-cart buttons when new product cards are injected dynamically */
-    document.addEventListener('products:rendered', bindAddToCartButtons);
+    /* Another tab changed the cart */
+    window.addEventListener('storage', handleRemoteChange);
+
+    /* Destination or method changed (cart.html order summary) */
+    document.addEventListener('shipping:updated', renderCartSidebar);
+
+    /* Gift wrap, message or receipt changed (cart.html gift options) */
+    document.addEventListener('gift:updated', renderCartSidebar);
+
+    /* Display currency or exchange rates changed */
+    document.addEventListener('currency:updated', renderCartSidebar);
+
+    /* English / Chinese toggle */
+    document.addEventListener('language:updated', renderCartSidebar);
+
+    /* Add to Cart, delegated so cards injected later (products:rendered) work too */
+    document.addEventListener('click', handleAddButtonClick);
+    document.addEventListener('meridian:add-to-cart', handleAddToCart);
+  }
+
+  if (window.MERIDIAN_CART) {
+    configure(window.MERIDIAN_CART);
   }
 
   if (document.readyState === 'loading') {
@@ -653,22 +1525,40 @@
 
   window.MeridianCart = {
     /* Primary API (task requirements) */
-    addToCart:         addToCart,
-    removeFromCart:    removeFromCart,
-    updateQuantity:    updateQuantity,
-    getCart:           getCart,
-    saveCart:          saveCart,
-    renderCartIcon:    renderCartIcon,
-    renderCartSidebar: renderCartSidebar,
-    toggleCart:        toggleCart,
-    openCart:          openCart,
-    closeCart:         closeCart,
-    calculateTotal:    calculateTotal,
-    initCheckout:      initCheckout,
+    addToCart:          addToCart,
+    removeFromCart:     removeFromCart,
+    updateQuantity:     updateQuantity,
+    getCart:            getCart,
+    saveCart:           saveCart,
+    renderCartIcon:     renderCartIcon,
+    renderCartSidebar:  renderCartSidebar,
+    toggleCart:         toggleCart,
+    openCart:           openCart,
+    closeCart:          closeCart,
+    calculateTotal:     calculateTotal,
+    calculateShipping:  calculateShipping,
+    calculateBreakdown: calculateBreakdown,
+    needsRegion:        needsRegion,
+    checkoutBlocker:    checkoutBlocker,
+    applyPromoCode:     applyPromoCode,
+    removePromoCode:    removePromoCode,
+    getPromoCode:       getPromoCode,
+    itemNote:           itemNote,
+    itemName:           itemName,
+    itemOptions:        itemOptions,
+    bundleContents:     bundleContents,
+    maxQuantity:        maxQuantity,
+    initCheckout:       initCheckout,
+    configure:          configure,
+    getSavedForLater:   getSavedForLater,
+    restoreSaved:       restoreSaved,
+    removeSaved:        removeSaved,
+    expireStaleLines:   expireStaleLines,
+    removeOrdered:      removeOrdered,
     /* Legacy aliases */
-    addItem:           addItem,
-    removeItem:        removeItem,
-    clearCart:         clearCart
+    addItem:            addItem,
+    removeItem:         removeItem,
+    clearCart:          clearCart
   };
 
 }());
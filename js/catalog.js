@@ -0,0 +1,153 @@
+/* ============================================================
+   MERIDIAN — catalog.js
+   Product catalog loader: fetches data/products.json once and
+   caches it for the rest of the page.
+   Public API exposed on window.MeridianCatalog.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var CATALOG_PATH = 'data/products.json';
+
+  /* Site root, derived from this script's own URL so that pages in
+     sub-folders (product/*.html) resolve the same catalog file. */
+  var ROOT_URL = (function () {
+    var script = document.currentScript;
+    if (script && script.src) {
+      return new URL('../', script.src).href;
+    }
+    return new URL('./', window.location.href).href;
+  }());
+
+  var products = null;
+  var byId     = {};
+  var pending  = null;
+
+  /* ──────────────────────────────────────────────
+     Loading
+  ────────────────────────────────────────────── */
+
+  /**
+   * load()
+   * Fetches the catalog once; later calls return the same promise.
+   * A failed request is not cached, so the next call retries.
+   * @returns {Promise<Array>} Resolves with the product records
+   */
+  function load() {
+    if (products) return Promise.resolve(products);
+    if (pending) return pending;
+
+    pending = fetch(resolveUrl(CATALOG_PATH), { credentials: 'same-origin' })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        if (!Array.isArray(data)) throw new Error('Catalog is not an array');
+        products = data;
+        byId = {};
+        for (var i = 0; i < data.length; i++) {
+          byId[data[i].id] = data[i];
+        }
+        document.dispatchEvent(new CustomEvent('catalog:loaded', { detail: { products: data } }));
+        return data;
+      })
+      .catch(function (e) {
+        pending = null;
+        console.error('[MeridianCatalog] Could not load catalog:', e);
+        throw e;
+      });
+
+    return pending;
+  }
+
+  /* ──────────────────────────────────────────────
+     Lookups (synchronous, cache only)
+  ────────────────────────────────────────────── */
+
+  /** isLoaded() — true once the catalog has been fetched. */
+  function isLoaded() {
+    return products !== null;
+  }
+
+  /**
+   * getProducts()
+   * @returns {Array} Cached product records, or [] before load() resolves
+   */
+  function getProducts() {
+    return products ? products.slice() : [];
+  }
+
+  /**
+   * getProduct(id)
+   * @param {string} id
+   * @returns {Object|null} Cached product record, or null if unknown / not loaded
+   */
+  function getProduct(id) {
+    return Object.prototype.hasOwnProperty.call(byId, id) ? byId[id] : null;
+  }
+
+  /**
+   * findProduct(id)
+   * Async variant of getProduct() that waits for the catalog.
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  function findProduct(id) {
+    return load().then(function () {
+      return getProduct(id);
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     URL helpers
+  ────────────────────────────────────────────── */
+
+  /**
+   * resolveUrl(path)
+   * Resolves a site-root-relative path (as stored in the catalog).
+   * @param {string} path
+   * @returns {string}
+   */
+  function resolveUrl(path) {
+    return new URL(path, ROOT_URL).href;
+  }
+
+  /**
+   * imageUrl(product, [index])
+   * @param {Object} product
+   * @param {number} [index=0]
+   * @returns {string} Absolute image URL, or '' if the product has no images
+   */
+  function imageUrl(product, index) {
+    var images = (product && product.images) || [];
+    var path = images[index || 0];
+    return path ? resolveUrl(path) : '';
+  }
+
+  /**
+   * productUrl(product)
+   * @param {Object} product
+   * @returns {string} Absolute URL of the product detail page
+   */
+  function productUrl(product) {
+    return resolveUrl('product/' + product.slug + '.html');
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianCatalog = {
+    load:        load,
+    isLoaded:    isLoaded,
+    getProducts: getProducts,
+    getProduct:  getProduct,
+    findProduct: findProduct,
+    resolveUrl:  resolveUrl,
+    imageUrl:    imageUrl,
+    productUrl:  productUrl
+  };
+
+}());
@@ -0,0 +1,302 @@
+/* ============================================================
+   MERIDIAN — checkout.js
+   Checkout flow: posts the cart to the checkout endpoint and
+   redirects to the session URL it returns.
+   The payment processor is a pluggable provider adapter.
+   Public API exposed on window.MeridianCheckout.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  /* Defaults; override before this script loads with
+     window.MERIDIAN_CHECKOUT = { endpoint: '...', provider: '...' }
+     or afterwards with MeridianCheckout.configure({...}). */
+  var config = {
+    endpoint:       '/api/create-checkout-session',
+    provider:       'session',
+    timeout:        15000,
+    publishableKey: ''
+  };
+
+  var I18n      = window.MeridianI18n;
+  var providers = {};
+  var inFlight  = null;
+
+  /* Error codes from the checkout endpoint → i18n keys; other errors
+     show the server's own message */
+  var ERROR_KEYS = {
+    state_required: 'checkout.stateRequired'
+  };
+
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  /* ──────────────────────────────────────────────
+     Configuration
+  ────────────────────────────────────────────── */
+
+  /**
+   * configure(options)
+   * Merges options into the checkout config.
+   * @param {Object} options — { endpoint, provider, timeout, publishableKey }
+   * @returns {Object} The resulting config
+   */
+  function configure(options) {
+    for (var key in options) {
+      if (Object.prototype.hasOwnProperty.call(options, key)) {
+        config[key] = options[key];
+      }
+    }
+    return config;
+  }
+
+  /* ──────────────────────────────────────────────
+     Provider adapters
+     An adapter is { createSession(payload, config), redirect(session) }:
+       createSession → Promise<{ id: string, url: string }>
+       redirect      → navigates away (may return a Promise that
+                       rejects if the processor refuses the session)
+  ────────────────────────────────────────────── */
+
+  /**
+   * registerProvider(name, adapter)
+   * @param {string} name
+   * @param {{ createSession: Function, redirect: Function }} adapter
+   */
+  function registerProvider(name, adapter) {
+    if (!adapter || typeof adapter.createSession !== 'function' || typeof adapter.redirect !== 'function') {
+      throw new TypeError('[MeridianCheckout] Provider "' + name + '" must implement createSession() and redirect()');
+    }
+    providers[name] = adapter;
+  }
+
+  /**
+   * postJson(url, body, timeout)
+   * POSTs JSON and resolves with the parsed response.
+   * Non-2xx responses reject with our copy for the server's `code`, else
+   * its `error` message when present; the error carries the code.
+   */
+  function postJson(url, body, timeout) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    var timer = controller ? setTimeout(function () { controller.abort(); }, timeout) : null;
+
+    return fetch(url, {
+      method:      'POST',
+      headers:     { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body:        JSON.stringify(body),
+      credentials: 'same-origin',
+      signal:      controller ? controller.signal : undefined
+    }).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok) {
+          var err = new Error(ERROR_KEYS[data.code] ? t(ERROR_KEYS[data.code])
+            : data.error || t('checkout.unavailable', { status: res.status }));
+          if (data.code) err.code = data.code;
+          throw err;
+        }
+        return data;
+      });
+    }, function (e) {
+      throw new Error(e && e.name === 'AbortError'
+        ? t('checkout.timeout')
+        : t('checkout.offline'));
+    }).then(function (data) {
+      clearTimeout(timer);
+      return data;
+    }, function (e) {
+      clearTimeout(timer);
+      throw e;
+    });
+  }
+
+  function requireSession(data) {
+    if (!data || !data.url) {
+      throw new Error(t('checkout.invalidSession'));
+    }
+    return data;
+  }
+
+  /* Generic hosted-checkout provider: the endpoint returns { id, url }. */
+  registerProvider('session', {
+    createSession: function (payload, cfg) {
+      return postJson(cfg.endpoint, payload, cfg.timeout).then(requireSession);
+    },
+    redirect: function (session) {
+      window.location.assign(session.url);
+    }
+  });
+
+  /* Stripe Checkout: same endpoint contract; uses Stripe.js when it is on the
+     page and a publishable key is configured, otherwise the session URL. */
+  registerProvider('stripe', {
+    createSession: function (payload, cfg) {
+      return postJson(cfg.endpoint, payload, cfg.timeout).then(requireSession);
+    },
+    redirect: function (session) {
+      if (typeof window.Stripe === 'function' && config.publishableKey && session.id) {
+        return window.Stripe(config.publishableKey)
+          .redirectToCheckout({ sessionId: session.id })
+          .then(function (result) {
+            if (result && result.error) throw new Error(result.error.message);
+          });
+      }
+      window.location.assign(session.url);
+    }
+  });
+
+  /* ──────────────────────────────────────────────
+     Payload
+  ────────────────────────────────────────────── */
+
+  /**
+   * buildPayload(cart)
+   * Only ids, variants, quantities, the shipping choice and address, a valid
+   * promo code and any gift options are sent — the server prices the order
+   * itself.
+   * @param {Array} cart
+   * @returns {Object}
+   */
+  function buildPayload(cart) {
+    var payload = {
+      items: cart.map(function (item) {
+        return { id: item.id, variant: item.variant || null, qty: item.qty };
+      }),
+      currency:  'USD',
+      cancelUrl: window.location.href
+    };
+    if (window.MeridianShipping) {
+      payload.shipping = window.MeridianShipping.getSelection();
+      var address = window.MeridianShipping.shippingAddress();
+      if (address) payload.shippingAddress = address;
+    }
+    if (window.MeridianCart && window.MeridianCart.calculateBreakdown) {
+      var promo = window.MeridianCart.calculateBreakdown().promo;
+      if (promo && promo.ok) payload.promoCode = promo.code;
+    }
+    if (window.MeridianGift) {
+      var gift = window.MeridianGift.getOptions();
+      if (window.MeridianGift.isGift(gift)) payload.gift = gift;
+    }
+    return payload;
+  }
+
+  /* ──────────────────────────────────────────────
+     Button states
+  ────────────────────────────────────────────── */
+
+  function errorElFor(button) {
+    var next = button.nextElementSibling;
+    if (next && next.classList.contains('checkout-error')) return next;
+
+    var el = document.createElement('p');
+    el.className = 'checkout-error';
+    el.setAttribute('role', 'alert');
+    button.parentNode.insertBefore(el, button.nextSibling);
+    return el;
+  }
+
+  function setLoading(button) {
+    if (!button) return;
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+    button.textContent = t('checkout.redirecting');
+
+    var next = button.nextElementSibling;
+    if (next && next.classList.contains('checkout-error')) next.remove();
+  }
+
+  function setError(button, message) {
+    if (!button) {
+      alert(message);
+      return;
+    }
+    button.disabled = false;
+    button.removeAttribute('aria-busy');
+    button.textContent = t('checkout.retry');
+    errorElFor(button).textContent = message;
+  }
+
+  /* ──────────────────────────────────────────────
+     Checkout
+  ────────────────────────────────────────────── */
+
+  /**
+   * start(cart, [button])
+   * Creates a checkout session for the cart and redirects to it.
+   * While a request is in flight further calls return the same promise,
+   * so double clicks cannot open two sessions.
+   * @param {Array} cart — purchasable cart lines
+   * @param {HTMLButtonElement} [button] — receives loading / error / retry states
+   * @returns {Promise} Resolves once the redirect has been issued
+   */
+  function start(cart, button) {
+    if (inFlight) return inFlight;
+
+    var provider = providers[config.provider];
+    if (!provider) {
+      setError(button, t('checkout.misconfigured'));
+      console.error('[MeridianCheckout] Unknown provider:', config.provider);
+      return Promise.reject(new Error('Unknown provider: ' + config.provider));
+    }
+
+    setLoading(button);
+    document.dispatchEvent(new CustomEvent('checkout:start', { detail: { cart: cart } }));
+
+    inFlight = provider.createSession(buildPayload(cart), config)
+      .then(function (session) {
+        document.dispatchEvent(new CustomEvent('checkout:redirect', { detail: { session: session } }));
+        return provider.redirect(session);
+      })
+      .then(function () {
+        inFlight = null;
+      }, function (e) {
+        inFlight = null;
+        console.error('[MeridianCheckout] Checkout failed:', e);
+        setError(button, e.message);
+        document.dispatchEvent(new CustomEvent('checkout:error', { detail: { error: e } }));
+        throw e;
+      });
+
+    return inFlight;
+  }
+
+  /* ──────────────────────────────────────────────
+     Styles (error message under the button)
+  ────────────────────────────────────────────── */
+
+  function injectCheckoutStyles() {
+    if (document.getElementById('meridian-checkout-styles')) return;
+
+    var style = document.createElement('style');
+    style.id = 'meridian-checkout-styles';
+    style.textContent = [
+      '.checkout-error { margin:0.6rem 0 0; font-size:0.75rem; line-height:1.5; color:#c0392b; text-align:center; }',
+      '[aria-busy="true"].checkout-btn, [aria-busy="true"].cs-checkout-btn { cursor:progress; opacity:0.75; }'
+    ].join('\n');
+    document.head.appendChild(style);
+  }
+
+  if (window.MERIDIAN_CHECKOUT) {
+    configure(window.MERIDIAN_CHECKOUT);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', injectCheckoutStyles);
+  } else {
+    injectCheckoutStyles();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianCheckout = {
+    configure:        configure,
+    registerProvider: registerProvider,
+    buildPayload:     buildPayload,
+    start:            start
+  };
+
+}());
@@ -0,0 +1,335 @@
+/* ============================================================
+   MERIDIAN — currency.js
+   Display currency: the nav selector ([data-currency-select]),
+   exchange rates from data/currency-rates.json and locale-aware
+   formatting with Intl.NumberFormat. Prices are stored and
+   charged in the base currency (USD); only what is shown is
+   converted. Static prices carry [data-price] (a base amount) and
+   are rewritten whenever the currency or the rates change.
+   Fires 'currency:updated'. Public API exposed on
+   window.MeridianCurrency.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var RATES_PATH  = 'data/currency-rates.json';
+  var STORAGE_KEY = 'meridian_currency';
+  var BASE        = 'USD';
+
+  /* [code, label, locale] — the locale decides symbol placement,
+     separators and grouping for that currency. */
+  var CURRENCIES = [
+    ['USD', 'US Dollar',         'en-US'],
+    ['EUR', 'Euro',              'de-DE'],
+    ['GBP', 'British Pound',     'en-GB'],
+    ['CAD', 'Canadian Dollar',   'en-CA'],
+    ['AUD', 'Australian Dollar', 'en-AU'],
+    ['JPY', 'Japanese Yen',      'ja-JP'],
+    ['CNY', 'Chinese Yuan',      'zh-CN']
+  ];
+
+  /* Site root, derived from this script's own URL (as in catalog.js) */
+  var ROOT_URL = (function () {
+    var script = document.currentScript;
+    if (script && script.src) {
+      return new URL('../', script.src).href;
+    }
+    return new URL('./', window.location.href).href;
+  }());
+
+  var rates      = null;
+  var pending    = null;
+  var formatters = {};
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function findCurrency(code) {
+    for (var i = 0; i < CURRENCIES.length; i++) {
+      if (CURRENCIES[i][0] === code) return CURRENCIES[i];
+    }
+    return null;
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /* Cached per currency + digits; Intl.NumberFormat is slow to build */
+  function formatter(code, compact) {
+    var key = code + (compact ? ':compact' : '');
+    if (!formatters[key]) {
+      var options = { style: 'currency', currency: code };
+      if (compact) options.minimumFractionDigits = 0;
+      formatters[key] = new Intl.NumberFormat(findCurrency(code)[2], options);
+    }
+    return formatters[key];
+  }
+
+  /* ──────────────────────────────────────────────
+     Rates
+  ────────────────────────────────────────────── */
+
+  /**
+   * load()
+   * Fetches the exchange rates once; later calls return the same promise.
+   * Fires 'currency:updated' when they arrive, so anything rendered in the
+   * base currency meanwhile can redraw.
+   * @returns {Promise<Object>} Resolves with { code: rate } against USD
+   */
+  function load() {
+    if (rates) return Promise.resolve(rates);
+    if (pending) return pending;
+
+    pending = fetch(new URL(RATES_PATH, ROOT_URL).href, { credentials: 'same-origin' })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        if (!data || data.base !== BASE || !data.rates) throw new Error('Rates file has no ' + BASE + ' rates');
+        rates = data.rates;
+        notify();
+        return rates;
+      })
+      .catch(function (e) {
+        pending = null;
+        console.error('[MeridianCurrency] Could not load exchange rates:', e);
+        throw e;
+      });
+
+    return pending;
+  }
+
+  /* ──────────────────────────────────────────────
+     Selection
+  ────────────────────────────────────────────── */
+
+  /**
+   * getSelected()
+   * The customer's chosen currency, whether or not its rate is known yet.
+   * @returns {string}
+   */
+  function getSelected() {
+    var code = null;
+    try {
+      code = localStorage.getItem(STORAGE_KEY);
+    } catch (e) { /* storage unavailable — use the base */ }
+    return findCurrency(code) ? code : BASE;
+  }
+
+  /**
+   * get()
+   * The currency prices are shown in right now: the selection once its
+   * rate has loaded, the base currency until then.
+   * @returns {string}
+   */
+  function get() {
+    var code = getSelected();
+    return rates && typeof rates[code] === 'number' ? code : BASE;
+  }
+
+  /**
+   * set(code)
+   * Persists the display currency and fires 'currency:updated'.
+   * @param {string} code
+   * @returns {boolean} False for currencies we do not offer
+   */
+  function set(code) {
+    code = String(code || '').toUpperCase();
+    if (!findCurrency(code)) return false;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (e) {
+      console.error('[MeridianCurrency] Could not save currency:', e);
+    }
+    notify();
+    load().catch(function () { /* logged above; prices stay in USD */ });
+    return true;
+  }
+
+  /* ──────────────────────────────────────────────
+     Conversion & formatting
+  ────────────────────────────────────────────── */
+
+  /**
+   * convert(amount, [code])
+   * @param {number} amount — in USD
+   * @param {string} [code] — defaults to the display currency
+   * @returns {number} Rounded to the currency's minor unit
+   */
+  function convert(amount, code) {
+    code = code || get();
+    var rate = code === BASE ? 1 : rates && rates[code];
+    if (typeof rate !== 'number') return Number(amount);
+
+    var digits = formatter(code).resolvedOptions().maximumFractionDigits;
+    var factor = Math.pow(10, digits);
+    return Math.round(Number(amount) * rate * factor) / factor;
+  }
+
+  /**
+   * toBase(amount, [code])
+   * The inverse of convert(): an amount typed in a display currency, in USD.
+   * @param {number} amount — in `code`
+   * @param {string} [code] — defaults to the display currency
+   * @returns {number} Rounded to the cent
+   */
+  function toBase(amount, code) {
+    code = code || get();
+    var rate = code === BASE ? 1 : rates && rates[code];
+    if (typeof rate !== 'number') return Number(amount);
+    return Math.round(Number(amount) / rate * 100) / 100;
+  }
+
+  /**
+   * formatIn(amount, code, [options])
+   * Formats an amount that is already in `code` (e.g. a past order).
+   * @param {number} amount
+   * @param {string} code
+   * @param {{ compact?: boolean }} [options] — compact drops ".00" on whole amounts
+   * @returns {string}
+   */
+  function formatIn(amount, code, options) {
+    amount = Number(amount) || 0;
+    if (!findCurrency(code)) code = BASE;
+    var compact = !!(options && options.compact) && amount % 1 === 0;
+    return formatter(code, compact).format(amount);
+  }
+
+  /**
+   * format(amount, [options])
+   * Converts a USD amount to the display currency and formats it.
+   * @param {number} amount — in USD
+   * @param {{ compact?: boolean }} [options]
+   * @returns {string}
+   */
+  function format(amount, options) {
+    var code = get();
+    return formatIn(convert(amount, code), code, options);
+  }
+
+  /**
+   * formatHtml(amount)
+   * Like format(amount, { compact: true }), with the currency symbol in a
+   * <sup> for the large serif prices on cards and product pages.
+   * @param {number} amount — in USD
+   * @returns {string} HTML
+   */
+  function formatHtml(amount) {
+    var code = get();
+    var value = convert(amount, code);
+    var parts = formatter(code, value % 1 === 0).formatToParts(value);
+
+    return parts.map(function (part) {
+      if (part.type === 'currency') return '<sup>' + escapeHtml(part.value) + '</sup>';
+      if (part.type === 'literal' && /^\s+$/.test(part.value)) return '';
+      return escapeHtml(part.value);
+    }).join('');
+  }
+
+  /* ──────────────────────────────────────────────
+     Page wiring
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderPrices([scope])
+   * Rewrites every [data-price] element (a USD amount) in the display
+   * currency. Elements containing a <sup> keep the superscript symbol.
+   * [data-currency-code] elements show the currency code.
+   * @param {ParentNode} [scope=document]
+   */
+  function renderPrices(scope) {
+    scope = scope || document;
+
+    var els = scope.querySelectorAll('[data-price]');
+    for (var i = 0; i < els.length; i++) {
+      var amount = Number(els[i].getAttribute('data-price'));
+      if (els[i].querySelector('sup')) {
+        els[i].innerHTML = formatHtml(amount);
+      } else {
+        els[i].textContent = format(amount, { compact: true });
+      }
+    }
+
+    var codes = scope.querySelectorAll('[data-currency-code]');
+    for (var c = 0; c < codes.length; c++) {
+      codes[c].textContent = get();
+    }
+  }
+
+  function renderSelectors() {
+    var selects = document.querySelectorAll('[data-currency-select]');
+    for (var i = 0; i < selects.length; i++) {
+      var select = selects[i];
+      if (select.options.length < CURRENCIES.length) {
+        select.innerHTML = CURRENCIES.map(function (c) {
+          return '<option value="' + c[0] + '" title="' + escapeHtml(c[1]) + '">' + c[0] + '</option>';
+        }).join('');
+      }
+      select.value = getSelected();
+    }
+  }
+
+  function notify() {
+    renderSelectors();
+    renderPrices();
+    document.dispatchEvent(new CustomEvent('currency:updated', { detail: { code: get() } }));
+  }
+
+  function init() {
+    renderSelectors();
+
+    document.addEventListener('change', function (e) {
+      if (e.target.matches('[data-currency-select]')) set(e.target.value);
+    });
+
+    /* Cards rendered after load (products.html) */
+    document.addEventListener('products:rendered', function () {
+      renderPrices();
+    });
+
+    /* Another tab switched currency */
+    window.addEventListener('storage', function (e) {
+      if (e.key === STORAGE_KEY) notify();
+    });
+
+    if (getSelected() !== BASE) {
+      load().catch(function () { /* logged above; prices stay in USD */ });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianCurrency = {
+    BASE:         BASE,
+    CURRENCIES:   CURRENCIES,
+    load:         load,
+    get:          get,
+    getSelected:  getSelected,
+    set:          set,
+    convert:      convert,
+    toBase:       toBase,
+    format:       format,
+    formatIn:     formatIn,
+    formatHtml:   formatHtml,
+    renderPrices: renderPrices
+  };
+
+}());
@@ -0,0 +1,135 @@
+/* ============================================================
+   MERIDIAN — gift.js
+   Gift options for the whole order: gift wrap (a flat add-on,
+   charged once per order), a message for the gift card, and a
+   gift receipt — the packing slip goes out without prices.
+   Chosen on cart.html and kept in localStorage beside the cart;
+   shown in the cart sidebar and sent with the checkout request.
+   server/server.js checks them and charges the wrap itself.
+   Fires 'gift:updated'. Public API exposed on
+   window.MeridianGift, or module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  var STORAGE_KEY = 'meridian_gift';
+  var WRAP_PRICE  = 6;     /* USD, per order */
+  var MESSAGE_MAX = 200;   /* characters */
+
+  /* ──────────────────────────────────────────────
+     Rules
+  ────────────────────────────────────────────── */
+
+  /**
+   * normalize(options)
+   * Coerces stored or submitted options into their canonical shape. The
+   * message is trimmed and cut to MESSAGE_MAX.
+   * @param {*} options
+   * @returns {{ wrap: boolean, message: string, hidePrices: boolean }}
+   */
+  function normalize(options) {
+    options = options && typeof options === 'object' ? options : {};
+    var message = typeof options.message === 'string' ? options.message.replace(/\r\n?/g, '\n').trim() : '';
+
+    return {
+      wrap:       options.wrap === true,
+      message:    message.slice(0, MESSAGE_MAX),
+      hidePrices: options.hidePrices === true
+    };
+  }
+
+  /**
+   * isGift(options)
+   * @param {Object} options — as returned by normalize()
+   * @returns {boolean} True when any gift option is chosen
+   */
+  function isGift(options) {
+    return !!(options && (options.wrap || options.message || options.hidePrices));
+  }
+
+  /**
+   * wrapCost(options)
+   * @param {Object} options
+   * @returns {number} USD; 0 without gift wrap
+   */
+  function wrapCost(options) {
+    return options && options.wrap ? WRAP_PRICE : 0;
+  }
+
+  /* ──────────────────────────────────────────────
+     Saved options (browser only)
+  ────────────────────────────────────────────── */
+
+  /**
+   * getOptions()
+   * @returns {{ wrap: boolean, message: string, hidePrices: boolean }}
+   */
+  function getOptions() {
+    var saved = null;
+    try {
+      saved = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+    } catch (e) { /* missing or corrupt — no options */ }
+    return normalize(saved);
+  }
+
+  /**
+   * setOptions(changes)
+   * Merges and persists gift options, then fires 'gift:updated'.
+   * Nothing is stored once every option is cleared.
+   * @param {{ wrap?: boolean, message?: string, hidePrices?: boolean }} changes
+   * @returns {{ wrap: boolean, message: string, hidePrices: boolean }}
+   */
+  function setOptions(changes) {
+    var current = getOptions();
+    var options = normalize({
+      wrap:       typeof changes.wrap === 'boolean' ? changes.wrap : current.wrap,
+      message:    typeof changes.message === 'string' ? changes.message : current.message,
+      hidePrices: typeof changes.hidePrices === 'boolean' ? changes.hidePrices : current.hidePrices
+    });
+
+    try {
+      if (isGift(options)) {
+        root.localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+      } else {
+        root.localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (e) {
+      console.error('[MeridianGift] Could not save gift options:', e);
+    }
+    root.document.dispatchEvent(new CustomEvent('gift:updated', { detail: options }));
+    return options;
+  }
+
+  /**
+   * clear()
+   * Drops every gift option (after an order is placed).
+   */
+  function clear() {
+    setOptions({ wrap: false, message: '', hidePrices: false });
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    STORAGE_KEY: STORAGE_KEY,
+    WRAP_PRICE:  WRAP_PRICE,
+    MESSAGE_MAX: MESSAGE_MAX,
+    normalize:   normalize,
+    isGift:      isGift,
+    wrapCost:    wrapCost,
+    getOptions:  getOptions,
+    setOptions:  setOptions,
+    clear:       clear
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianGift = api;
+
+}(this));
@@ -0,0 +1,736 @@
+/* ============================================================
+   MERIDIAN — i18n.js
+   English / Simplified Chinese copy: the nav toggle
+   ([data-lang-toggle]), the string table used by the catalog,
+   cart, checkout, order and wishlist pages, and <html lang>.
+   The choice is kept in localStorage.
+   Static markup opts in with [data-i18n="key"] (text, with
+   {tokens} from a [data-i18n-vars] JSON object),
+   [data-i18n-label="key"] (aria-label) or
+   [data-i18n-placeholder="key"]; paired blocks rendered
+   in both languages carry [data-lang] and only the current one
+   is shown. Fires 'language:updated'. Public API exposed on
+   window.MeridianI18n.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'meridian_lang';
+  var DEFAULT     = 'en';
+
+  /* [code, name, toggle label] */
+  var LANGUAGES = [
+    ['en',    'English',  'EN'],
+    ['zh-CN', '简体中文', '中文']
+  ];
+
+  /* Plain text; callers escape. {name} tokens are filled by t(). */
+  var STRINGS = {
+    'en': {
+      'lang.switchTo':           'Switch to English',
+
+      'catalog.viewDetails':     'View Details',
+      'catalog.addNamed':        'Add {name} to cart',
+      'catalog.countOne':        '{n} tool',
+      'catalog.countOther':      '{n} tools',
+      'catalog.countFiltered':   '{shown} of {total} tools',
+      'catalog.noMatch':         'No tools match those filters.',
+      'catalog.clearFilters':    'Clear filters',
+      'catalog.loadError':       'The collection could not be loaded. Please refresh the page.',
+      'catalog.filterLabel':     'Filter the collection',
+      'catalog.search':          'Search',
+      'catalog.searchHint':      'Name, technique, area…',
+      'catalog.material':        'Material',
+      'catalog.allMaterials':    'All materials',
+      'catalog.area':            'Area',
+      'catalog.allAreas':        'All areas',
+      'catalog.price':           'Price ({currency})',
+      'catalog.min':             'Min',
+      'catalog.max':             'Max',
+      'catalog.minLabel':        'Minimum price',
+      'catalog.maxLabel':        'Maximum price',
+      'catalog.sort':            'Sort',
+      'catalog.sortFeatured':    'Featured',
+      'catalog.sortPriceAsc':    'Price: low to high',
+      'catalog.sortPriceDesc':   'Price: high to low',
+      'catalog.clear':           'Clear',
+
+      'material.beech':          'Beech',
+      'material.bianshiStone':   'Bianshi Stone',
+      'material.blackWalnut':    'Black Walnut',
+      'material.copper':         'Copper',
+      'material.goldenSilkEbony': 'Golden Silk Ebony',
+      'material.rosewood':       'Rosewood',
+
+      'area.breastMeridians':    'Breast meridians',
+      'area.dailyAcupressure':   'Daily acupressure',
+      'area.ears':               'Ears',
+      'area.eyeContour':         'Eye contour',
+      'area.eyeCorners':         'Eye corners',
+      'area.forehead':           'Forehead',
+      'area.fullBody':           'Full body',
+      'area.fullBodyAcupoints':  'Full body acupoints',
+      'area.glutes':             'Glutes',
+      'area.hips':               'Hips',
+      'area.jawline':            'Jawline',
+      'area.nasalWings':         'Nasal wings',
+      'area.nasolabialFolds':    'Nasolabial folds',
+      'area.neck':               'Neck',
+      'area.orbitalBone':        'Orbital bone',
+      'area.platysmaMuscle':     'Platysma muscle',
+      'area.ribcage':            'Ribcage',
+      'area.soles':              'Soles',
+      'area.sternocleidomastoid': 'Sternocleidomastoid',
+      'area.underEye':           'Under-eye',
+      'area.upperArms':          'Upper arms',
+
+      'product.collection':      'The Collection',
+      'product.targetAreas':     'Target areas',
+      'product.about':           'About this tool',
+      'product.whyItWorks':      'Why it works',
+      'product.size':            'Size:',
+      'product.material':        'Material:',
+      'product.ritualEyebrow':   'Ritual guide',
+      'product.howToUse':        'How to Use',
+      'product.alsoEyebrow':     'Continue exploring',
+      'product.alsoLike':        'You May Also Like',
+      'product.journalEyebrow':  'From the practitioner',
+      'product.journalHeading':  'Read More in the Journal',
+
+      'journal.minRead':         '{n} min read',
+      'journal.newer':           '← Newer',
+      'journal.older':           'Older →',
+      'journal.emptyTopic':      'No articles on this topic yet.',
+      'journal.seeAll':          'See all articles',
+      'journal.loadError':       'The journal could not be loaded. Please refresh the page.',
+
+      'wishlist.add':            'Add to Wishlist',
+      'wishlist.saved':          'Saved to Wishlist',
+      'wishlist.eyebrow':        'Saved for later',
+      'wishlist.title':          'Wishlist',
+      'wishlist.countEmpty':     'Nothing saved yet',
+      'wishlist.countOne':       '{n} saved tool',
+      'wishlist.countOther':     '{n} saved tools',
+      'wishlist.moveAll':        'Move All to Cart',
+      'wishlist.move':           'Move to Cart',
+      'wishlist.empty':          'Tap “Add to Wishlist” on any tool to save it here.',
+      'wishlist.loadError':      'Your wishlist could not be loaded. Please refresh the page.',
+      'wishlist.moved':          'Moved to your cart.',
+      'wishlist.moveFailed':     'That tool could not be added to your cart.',
+      'wishlist.movedSome':      '{moved} moved to your cart; {failed} could not be added.',
+      'wishlist.movedAll':       'Everything has been moved to your cart.',
+
+      'stock.soldOut':           'Sold out',
+      'stock.onlyLeft':          'Only {n} left',
+      'stock.limitPerOrder':     'Limit {n} per order',
+      'stock.limitReached':      'Limit reached',
+
+      'bundle.badge':            'Set',
+      'bundle.eyebrow':          'The set',
+      'bundle.inside':           'What’s in the Set',
+      'bundle.includes':         'Includes {n} tools',
+      'bundle.separately':       'Bought separately',
+      'bundle.setPrice':         'Set price',
+      'bundle.youSave':          'You save',
+      'bundle.savings':          'You save {amount}',
+
+      'address.title':           'Shipping address',
+      'address.intro':           'The country and state are the ones chosen in the order summary.',
+      'address.name':            'Full name',
+      'address.line1':           'Address',
+      'address.line2':           'Apartment, suite, etc. (optional)',
+      'address.city':            'City',
+      'address.postalCode':      'Postal code',
+      'gift.title':              'Gift options',
+      'gift.intro':              'Sending it to someone? We can wrap it, add a card and leave the prices off.',
+      'gift.wrap':               'Gift wrap',
+      'gift.addWrap':            'Add gift wrap',
+      'gift.message':            'Gift message',
+      'gift.charsLeft':          '{n} characters left',
+      'gift.hidePrices':         'Hide prices on the packing slip',
+      'gift.messageIncluded':    'Gift message included',
+      'gift.receipt':            'Prices hidden on packing slip',
+
+      'cart.add':                'Add to Cart',
+      'cart.added':              'Added',
+      'cart.unavailable':        'Unavailable',
+      'cart.title':              'Your Cart',
+      'cart.close':              'Close cart',
+      'cart.welcomeOne':         'Welcome back — you left {n} item in your cart.',
+      'cart.welcomeOther':       'Welcome back — you left {n} items in your cart.',
+      'cart.dismiss':            'Dismiss',
+      'cart.empty':              'Your cart is empty.',
+      'cart.browse':             'Browse products →',
+      'cart.decrease':           'Decrease',
+      'cart.increase':           'Increase',
+      'cart.remove':             'Remove',
+      'cart.subtotal':           'Subtotal',
+      'cart.discount':           'Discount ({code})',
+      'cart.shippingVia':        'Shipping ({method}, {country})',
+      'cart.total':              'Total',
+      'cart.taxesAtCheckout':    'Taxes calculated at checkout',
+      'cart.allAtCheckout':      'Shipping & taxes calculated at checkout',
+      'cart.checkout':           'Proceed to Checkout',
+      'cart.chooseState':        'Choose a state to calculate sales tax before checking out.',
+      'cart.addAddress':         'Add a shipping address to check out.',
+      'cart.viewFull':           'View full cart',
+      'cart.noLongerAvailable':  'No longer available',
+      'cart.priceUpdated':       'Price updated from {price}',
+
+      'shipping.standard':       'Standard',
+      'shipping.express':        'Express',
+      'shipping.days':           '{min}–{max} business days',
+      'shipping.free':           'Free',
+      'shipping.away':           'You’re {amount} away from free shipping',
+      'shipping.unlocked':       'You’ve unlocked free shipping',
+      'shipping.progress':       'Progress to free shipping',
+
+      'tax.salesTax':            'Sales tax',
+      'tax.vat':                 'VAT',
+      'tax.gst':                 'GST',
+      'tax.consumption':         'Consumption tax',
+      'tax.tax':                 'Tax',
+      'tax.exclusive':           '{label} ({rate})',
+      'tax.inclusive':           'Includes {label} ({rate})',
+      'tax.selectState':         'Select a state',
+      'tax.duties':              'Taxes & duties',
+      'tax.onDelivery':          'May apply on delivery',
+
+      'checkout.redirecting':    'Redirecting…',
+      'checkout.retry':          'Try Again',
+      'checkout.misconfigured':  'Checkout is misconfigured. Please contact us.',
+      'checkout.unavailable':    'Checkout is unavailable right now (HTTP {status}).',
+      'checkout.timeout':        'Checkout timed out. Please check your connection.',
+      'checkout.offline':        'Could not reach checkout. Please check your connection.',
+      'checkout.invalidSession': 'Checkout returned an invalid session.',
+      'checkout.stateRequired':  'Choose a state so sales tax can be calculated, then try again.',
+
+      'promo.enterCode':         'Enter a promo code.',
+      'promo.invalid':           '“{code}” isn’t a valid code.',
+      'promo.notStarted':        '{code} starts on {date}.',
+      'promo.expired':           '{code} expired on {date}.',
+      'promo.minimum':           'Spend {amount} more to use {code} (minimum {minimum}).',
+      'promo.onlyFor':           '{code} only applies to {items}.',
+      'promo.selectedTools':     'selected tools',
+      'promo.addMore':           'Add {n} more tool(s) to use {code}.',
+      'promo.unavailable':       'Promo codes are unavailable right now.',
+
+      'cartPage.eyebrow':        'Your selection',
+      'cartPage.countEmpty':     'Your cart is empty',
+      'cartPage.countOne':       '{n} item',
+      'cartPage.countOther':     '{n} items',
+      'cartPage.nothingYet':     'You haven’t added anything yet.',
+      'cartPage.browse':         'Browse the collection',
+      'cartPage.product':        'Product',
+      'cartPage.price':          'Price',
+      'cartPage.qty':            'Qty',
+      'cartPage.removeItem':     'Remove item',
+      'cartPage.continue':       'Continue Shopping',
+      'cartPage.savedTitle':     'Saved for later',
+      'cartPage.savedIntro':     'These sat in your cart for a while, so we set them aside. Move them back to check out at today’s prices.',
+      'cartPage.restore':        'Move to cart',
+      'cartPage.summary':        'Order Summary',
+      'cartPage.shipTo':         'Ship to',
+      'cartPage.state':          'State',
+      'cartPage.selectState':    'Select a state…',
+      'cartPage.delivery':       'Delivery',
+      'cartPage.shipping':       'Shipping',
+      'cartPage.taxes':          'Taxes',
+      'cartPage.atCheckout':     'Calculated at checkout',
+      'cartPage.promoCode':      'Promo code',
+      'cartPage.apply':          'Apply',
+      'cartPage.estimate':       'Prices in {currency} are estimates; you will be charged {amount} ({base}).',
+      'cartPage.secure':         'Secure checkout via Stripe.',
+      'cartPage.ssl':            'SSL encrypted',
+
+      'orders.account':          'Your account',
+      'orders.historyTitle':     'Order History',
+      'orders.historyMeta':      'Orders placed on this device.',
+      'orders.confirmEyebrow':   'Order confirmation',
+      'orders.confirming':       'Confirming your order…',
+      'orders.eyebrow':          'Order {id}',
+      'orders.thanks':           'Thank you for your order',
+      'orders.placed':           'Placed {date}',
+      'orders.items':            'Items',
+      'orders.shipTo':           'Shipping to',
+      'orders.viaPayment':        'Confirmed with your payment details.',
+      'orders.gift':             'Gift',
+      'orders.noPrices':         'The packing slip will not show prices.',
+      'orders.shipping':         'Shipping ({method})',
+      'orders.continue':         'Continue shopping',
+      'orders.viewHistory':      'View order history',
+      'orders.returnToCart':     'Return to cart',
+      'orders.empty':            'You haven’t placed any orders on this device yet.',
+      'orders.explore':          'Explore the collection',
+      'orders.reorder':          'Reorder',
+      'orders.noneAvailable':    'None of these tools are available any more.',
+      'orders.soldOutOne':       '{n} sold-out tool was left out.',
+      'orders.soldOutOther':     '{n} sold-out tools were left out.',
+      'orders.limitedOne':       '{n} tool already at its order limit was left out.',
+      'orders.limitedOther':     '{n} tools already at their order limit were left out.',
+      'orders.retiredOne':       '{n} retired tool was left out.',
+      'orders.retiredOther':     '{n} retired tools were left out.',
+      'orders.reorderFailed':    'Could not refill your cart.',
+      'orders.none':             'No order to show',
+      'orders.needsRef':         'This page needs an order reference.',
+      'orders.notPaid':          'Payment not completed',
+      'orders.cartKept':         'Your cart has been kept so you can try again.',
+      'orders.loadFailed':       'We couldn’t load this order',
+      'orders.cartUnchanged':    'Your cart has not been changed.',
+      'orders.loadError':        'Order could not be loaded (HTTP {status}).'
+    },
+
+    'zh-CN': {
+      'lang.switchTo':           '切换到中文',
+
+      'catalog.viewDetails':     '查看详情',
+      'catalog.addNamed':        '将{name}加入购物车',
+      'catalog.countOne':        '{n} 件工具',
+      'catalog.countOther':      '{n} 件工具',
+      'catalog.countFiltered':   '{shown} / {total} 件工具',
+      'catalog.noMatch':         '没有符合筛选条件的工具。',
+      'catalog.clearFilters':    '清除筛选',
+      'catalog.loadError':       '商品列表加载失败，请刷新页面。',
+      'catalog.filterLabel':     '筛选工具',
+      'catalog.search':          '搜索',
+      'catalog.searchHint':      '名称、手法、部位…',
+      'catalog.material':        '材质',
+      'catalog.allMaterials':    '全部材质',
+      'catalog.area':            '部位',
+      'catalog.allAreas':        '全部部位',
+      'catalog.price':           '价格（{currency}）',
+      'catalog.min':             '最低',
+      'catalog.max':             '最高',
+      'catalog.minLabel':        '最低价格',
+      'catalog.maxLabel':        '最高价格',
+      'catalog.sort':            '排序',
+      'catalog.sortFeatured':    '推荐',
+      'catalog.sortPriceAsc':    '价格：从低到高',
+      'catalog.sortPriceDesc':   '价格：从高到低',
+      'catalog.clear':           '清除',
+
+      'material.beech':          '榉木',
+      'material.bianshiStone':   '砭石',
+      'material.blackWalnut':    '黑胡桃木',
+      'material.copper':         '铜',
+      'material.goldenSilkEbony': '金丝乌木',
+      'material.rosewood':       '花梨木',
+
+      'area.breastMeridians':    '乳腺经络',
+      'area.dailyAcupressure':   '日常指压',
+      'area.ears':               '耳朵',
+      'area.eyeContour':         '眼周',
+      'area.eyeCorners':         '眼角纹',
+      'area.forehead':           '额头',
+      'area.fullBody':           '全身',
+      'area.fullBodyAcupoints':  '全身穴位',
+      'area.glutes':             '臀部',
+      'area.hips':               '胯部',
+      'area.jawline':            '下颌',
+      'area.nasalWings':         '鼻翼',
+      'area.nasolabialFolds':    '法令纹',
+      'area.neck':               '颈部',
+      'area.orbitalBone':        '眼眶骨',
+      'area.platysmaMuscle':     '颈阔肌',
+      'area.ribcage':            '肋骨',
+      'area.soles':              '足底',
+      'area.sternocleidomastoid': '胸锁乳突肌',
+      'area.underEye':           '眼下',
+      'area.upperArms':          '大臂',
+
+      'product.collection':      '全部工具',
+      'product.targetAreas':     '适用部位',
+      'product.about':           '关于这件工具',
+      'product.whyItWorks':      '功效原理',
+      'product.size':            '尺寸：',
+      'product.material':        '材质：',
+      'product.ritualEyebrow':   '使用指南',
+      'product.howToUse':        '使用方法',
+      'product.alsoEyebrow':     '继续探索',
+      'product.alsoLike':        '您可能还喜欢',
+      'product.journalEyebrow':  '来自理疗师',
+      'product.journalHeading':  '在手记中阅读更多',
+
+      'journal.minRead':         '阅读约 {n} 分钟',
+      'journal.newer':           '← 较新',
+      'journal.older':           '较早 →',
+      'journal.emptyTopic':      '这个主题下还没有文章。',
+      'journal.seeAll':          '查看全部文章',
+      'journal.loadError':       '文章列表加载失败，请刷新页面。',
+
+      'wishlist.add':            '加入心愿单',
+      'wishlist.saved':          '已加入心愿单',
+      'wishlist.eyebrow':        '收藏待购',
+      'wishlist.title':          '心愿单',
+      'wishlist.countEmpty':     '还没有收藏',
+      'wishlist.countOne':       '已收藏 {n} 件工具',
+      'wishlist.countOther':     '已收藏 {n} 件工具',
+      'wishlist.moveAll':        '全部移入购物车',
+      'wishlist.move':           '移入购物车',
+      'wishlist.empty':          '在任意工具页点击“加入心愿单”，即可收藏到这里。',
+      'wishlist.loadError':      '心愿单加载失败，请刷新页面。',
+      'wishlist.moved':          '已移入购物车。',
+      'wishlist.moveFailed':     '这件工具无法加入购物车。',
+      'wishlist.movedSome':      '{moved} 件已移入购物车，{failed} 件无法加入。',
+      'wishlist.movedAll':       '已全部移入购物车。',
+
+      'stock.soldOut':           '已售罄',
+      'stock.onlyLeft':          '仅剩 {n} 件',
+      'stock.limitPerOrder':     '每单限购 {n} 件',
+      'stock.limitReached':      '已达限购数量',
+
+      'bundle.badge':            '套装',
+      'bundle.eyebrow':          '套装',
+      'bundle.inside':           '套装包含',
+      'bundle.includes':         '含 {n} 件工具',
+      'bundle.separately':       '单独购买',
+      'bundle.setPrice':         '套装价',
+      'bundle.youSave':          '立省',
+      'bundle.savings':          '立省 {amount}',
+
+      'address.title':           '收货地址',
+      'address.intro':           '国家和州以订单摘要中的选择为准。',
+      'address.name':            '收件人姓名',
+      'address.line1':           '地址',
+      'address.line2':           '门牌、楼层等（选填）',
+      'address.city':            '城市',
+      'address.postalCode':      '邮政编码',
+      'gift.title':              '礼品选项',
+      'gift.intro':              '送给他人？我们可以为您包装、附上贺卡，并隐去价格。',
+      'gift.wrap':               '礼品包装',
+      'gift.addWrap':            '添加礼品包装',
+      'gift.message':            '礼品留言',
+      'gift.charsLeft':          '还可输入 {n} 字',
+      'gift.hidePrices':         '装箱单不显示价格',
+      'gift.messageIncluded':    '附礼品留言',
+      'gift.receipt':            '装箱单不显示价格',
+
+      'cart.add':                '加入购物车',
+      'cart.added':              '已加入',
+      'cart.unavailable':        '暂不可购',
+      'cart.title':              '购物车',
+      'cart.close':              '关闭购物车',
+      'cart.welcomeOne':         '欢迎回来——您的购物车里还有 {n} 件商品。',
+      'cart.welcomeOther':       '欢迎回来——您的购物车里还有 {n} 件商品。',
+      'cart.dismiss':            '关闭',
+      'cart.empty':              '您的购物车是空的。',
+      'cart.browse':             '浏览商品 →',
+      'cart.decrease':           '减少',
+      'cart.increase':           '增加',
+      'cart.remove':             '移除',
+      'cart.subtotal':           '小计',
+      'cart.discount':           '折扣（{code}）',
+      'cart.shippingVia':        '运费（{method}，{country}）',
+      'cart.total':              '合计',
+      'cart.taxesAtCheckout':    '税费在结账时计算',
+      'cart.allAtCheckout':      '运费和税费在结账时计算',
+      'cart.checkout':           '去结账',
+      'cart.chooseState':        '请先选择州以计算销售税，再去结账。',
+      'cart.addAddress':         '请填写收货地址后再结账。',
+      'cart.viewFull':           '查看完整购物车',
+      'cart.noLongerAvailable':  '已停售',
+      'cart.priceUpdated':       '价格已从 {price} 调整',
+
+      'shipping.standard':       '标准配送',
+      'shipping.express':        '加急配送',
+      'shipping.days':           '{min}–{max} 个工作日',
+      'shipping.free':           '免运费',
+      'shipping.away':           '还差 {amount} 即可免运费',
+      'shipping.unlocked':       '已享受免运费',
+      'shipping.progress':       '免运费进度',
+
+      'tax.salesTax':            '销售税',
+      'tax.vat':                 '增值税',
+      'tax.gst':                 '商品及服务税',
+      'tax.consumption':         '消费税',
+      'tax.tax':                 '税费',
+      'tax.exclusive':           '{label}（{rate}）',
+      'tax.inclusive':           '含{label}（{rate}）',
+      'tax.selectState':         '请选择州',
+      'tax.duties':              '税费与关税',
+      'tax.onDelivery':          '可能在收货时收取',
+
+      'checkout.redirecting':    '正在跳转…',
+      'checkout.retry':          '重试',
+      'checkout.misconfigured':  '结账配置有误，请联系我们。',
+      'checkout.unavailable':    '结账暂时不可用（HTTP {status}）。',
+      'checkout.timeout':        '结账超时，请检查网络连接。',
+      'checkout.offline':        '无法连接结账服务，请检查网络连接。',
+      'checkout.invalidSession': '结账服务返回了无效的会话。',
+      'checkout.stateRequired':  '请选择州以计算销售税，然后重试。',
+
+      'promo.enterCode':         '请输入优惠码。',
+      'promo.invalid':           '“{code}”不是有效的优惠码。',
+      'promo.notStarted':        '{code} 将于 {date} 开始使用。',
+      'promo.expired':           '{code} 已于 {date} 过期。',
+      'promo.minimum':           '再消费 {amount} 即可使用 {code}（最低消费 {minimum}）。',
+      'promo.onlyFor':           '{code} 仅适用于{items}。',
+      'promo.selectedTools':     '指定工具',
+      'promo.addMore':           '再添加 {n} 件工具即可使用 {code}。',
+      'promo.unavailable':       '优惠码暂时无法使用。',
+
+      'cartPage.eyebrow':        '您的选择',
+      'cartPage.countEmpty':     '购物车是空的',
+      'cartPage.countOne':       '{n} 件商品',
+      'cartPage.countOther':     '{n} 件商品',
+      'cartPage.nothingYet':     '您还没有添加任何商品。',
+      'cartPage.browse':         '浏览全部工具',
+      'cartPage.product':        '商品',
+      'cartPage.price':          '单价',
+      'cartPage.qty':            '数量',
+      'cartPage.removeItem':     '移除商品',
+      'cartPage.continue':       '继续购物',
+      'cartPage.savedTitle':     '稍后购买',
+      'cartPage.savedIntro':     '这些商品在购物车里放了一段时间，我们先为您另存。移回购物车即可按今日价格结账。',
+      'cartPage.restore':        '移回购物车',
+      'cartPage.summary':        '订单摘要',
+      'cartPage.shipTo':         '寄送至',
+      'cartPage.state':          '州',
+      'cartPage.selectState':    '请选择州…',
+      'cartPage.delivery':       '配送方式',
+      'cartPage.shipping':       '运费',
+      'cartPage.taxes':          '税费',
+      'cartPage.atCheckout':     '结账时计算',
+      'cartPage.promoCode':      '优惠码',
+      'cartPage.apply':          '使用',
+      'cartPage.estimate':       '{currency} 价格仅供参考，实际将按 {amount}（{base}）扣款。',
+      'cartPage.secure':         '通过 Stripe 安全结账。',
+      'cartPage.ssl':            'SSL 加密传输',
+
+      'orders.account':          '我的账户',
+      'orders.historyTitle':     '订单记录',
+      'orders.historyMeta':      '在此设备上下的订单。',
+      'orders.confirmEyebrow':   '订单确认',
+      'orders.confirming':       '正在确认您的订单…',
+      'orders.eyebrow':          '订单 {id}',
+      'orders.thanks':           '感谢您的订购',
+      'orders.placed':           '下单于 {date}',
+      'orders.items':            '商品',
+      'orders.shipTo':           '寄送至',
+      'orders.viaPayment':        '已随付款信息确认。',
+      'orders.gift':             '礼品',
+      'orders.noPrices':         '装箱单上不会显示价格。',
+      'orders.shipping':         '运费（{method}）',
+      'orders.continue':         '继续购物',
+      'orders.viewHistory':      '查看订单记录',
+      'orders.returnToCart':     '返回购物车',
+      'orders.empty':            '您还没有在此设备上下过订单。',
+      'orders.explore':          '浏览全部工具',
+      'orders.reorder':          '再次购买',
+      'orders.noneAvailable':    '这些工具都已无法购买。',
+      'orders.soldOutOne':       '{n} 件已售罄的工具未加入。',
+      'orders.soldOutOther':     '{n} 件已售罄的工具未加入。',
+      'orders.limitedOne':       '{n} 件工具已达每单限购数量，未加入。',
+      'orders.limitedOther':     '{n} 件工具已达每单限购数量，未加入。',
+      'orders.retiredOne':       '{n} 件已停售的工具未加入。',
+      'orders.retiredOther':     '{n} 件已停售的工具未加入。',
+      'orders.reorderFailed':    '无法重新填充购物车。',
+      'orders.none':             '没有可显示的订单',
+      'orders.needsRef':         '此页面需要订单编号。',
+      'orders.notPaid':          '付款未完成',
+      'orders.cartKept':         '您的购物车已保留，可以再试一次。',
+      'orders.loadFailed':       '无法加载此订单',
+      'orders.cartUnchanged':    '您的购物车未做更改。',
+      'orders.loadError':        '订单加载失败（HTTP {status}）。'
+    }
+  };
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function findLanguage(code) {
+    for (var i = 0; i < LANGUAGES.length; i++) {
+      if (LANGUAGES[i][0] === code) return LANGUAGES[i];
+    }
+    return null;
+  }
+
+  /* The language the toggle switches to */
+  function other(code) {
+    return code === DEFAULT ? LANGUAGES[1][0] : DEFAULT;
+  }
+
+  /* ──────────────────────────────────────────────
+     Selection
+  ────────────────────────────────────────────── */
+
+  /**
+   * get()
+   * @returns {string} 'en' or 'zh-CN'
+   */
+  function get() {
+    var code = null;
+    try {
+      code = localStorage.getItem(STORAGE_KEY);
+    } catch (e) { /* storage unavailable — use the default */ }
+    return findLanguage(code) ? code : DEFAULT;
+  }
+
+  /**
+   * set(code)
+   * Persists the language, updates the page and fires 'language:updated'.
+   * @param {string} code
+   * @returns {boolean} False for languages we do not offer
+   */
+  function set(code) {
+    if (!findLanguage(code)) return false;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (e) {
+      console.error('[MeridianI18n] Could not save language:', e);
+    }
+    notify();
+    return true;
+  }
+
+  /* ──────────────────────────────────────────────
+     Lookups
+  ────────────────────────────────────────────── */
+
+  /**
+   * t(key, [vars])
+   * The string for `key` in the current language, falling back to English.
+   * @param {string} key
+   * @param {Object} [vars] — values for {name} tokens
+   * @returns {string} Plain text
+   */
+  function t(key, vars) {
+    var table = STRINGS[get()];
+    var str = Object.prototype.hasOwnProperty.call(table, key) ? table[key] : STRINGS[DEFAULT][key];
+
+    if (str === undefined) {
+      console.warn('[MeridianI18n] Missing string: ' + key);
+      return key;
+    }
+    return str.replace(/\{(\w+)\}/g, function (match, name) {
+      return vars && vars[name] !== undefined ? String(vars[name]) : match;
+    });
+  }
+
+  /**
+   * has(key)
+   * @param {string} key
+   * @returns {boolean} True when the current language has the string
+   */
+  function has(key) {
+    return Object.prototype.hasOwnProperty.call(STRINGS[get()], key);
+  }
+
+  /**
+   * productText(product, field)
+   * A catalog field in the current language: `<field>_cn` when Chinese is
+   * selected and the record has it, the English field otherwise.
+   * @param {Object} product
+   * @param {string} field — e.g. 'name', 'description'
+   * @returns {string}
+   */
+  function productText(product, field) {
+    if (!product) return '';
+    var cn = product[field + '_cn'];
+    if (get() === 'zh-CN' && typeof cn === 'string' && cn) return cn;
+    return product[field] == null ? '' : String(product[field]);
+  }
+
+  /* ──────────────────────────────────────────────
+     Page wiring
+  ────────────────────────────────────────────── */
+
+  /* [data-i18n-vars] — e.g. '{"n":3}' for 'Only {n} left' */
+  function textVars(el) {
+    var raw = el.getAttribute('data-i18n-vars');
+    if (!raw) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('[MeridianI18n] Bad data-i18n-vars:', raw);
+      return undefined;
+    }
+  }
+
+  /**
+   * translatePage([scope])
+   * Applies the current language to [data-i18n], [data-i18n-label],
+   * [data-i18n-placeholder], [data-lang] blocks and the toggle buttons.
+   * @param {ParentNode} [scope=document]
+   */
+  function translatePage(scope) {
+    scope = scope || document;
+    var lang = get();
+    var i;
+
+    var texts = scope.querySelectorAll('[data-i18n]');
+    for (i = 0; i < texts.length; i++) {
+      texts[i].textContent = t(texts[i].getAttribute('data-i18n'), textVars(texts[i]));
+    }
+
+    var labels = scope.querySelectorAll('[data-i18n-label]');
+    for (i = 0; i < labels.length; i++) {
+      labels[i].setAttribute('aria-label', t(labels[i].getAttribute('data-i18n-label')));
+    }
+
+    var placeholders = scope.querySelectorAll('[data-i18n-placeholder]');
+    for (i = 0; i < placeholders.length; i++) {
+      placeholders[i].setAttribute('placeholder', t(placeholders[i].getAttribute('data-i18n-placeholder')));
+    }
+
+    var blocks = scope.querySelectorAll('[data-lang]');
+    for (i = 0; i < blocks.length; i++) {
+      blocks[i].hidden = blocks[i].getAttribute('data-lang') !== lang;
+    }
+
+    /* The toggle names the language it switches to, in that language */
+    var next = findLanguage(other(lang));
+    var toggles = scope.querySelectorAll('[data-lang-toggle]');
+    for (i = 0; i < toggles.length; i++) {
+      toggles[i].textContent = next[2];
+      toggles[i].setAttribute('lang', next[0]);
+      toggles[i].setAttribute('aria-label', STRINGS[next[0]]['lang.switchTo']);
+    }
+  }
+
+  function notify() {
+    document.documentElement.lang = get();
+    translatePage();
+    document.dispatchEvent(new CustomEvent('language:updated', { detail: { lang: get() } }));
+  }
+
+  function init() {
+    translatePage();
+
+    document.addEventListener('click', function (e) {
+      if (e.target.closest('[data-lang-toggle]')) set(other(get()));
+    });
+
+    /* Another tab switched language */
+    window.addEventListener('storage', function (e) {
+      if (e.key === STORAGE_KEY) notify();
+    });
+  }
+
+  /* Before first paint, so screen readers and fonts pick the right language */
+  document.documentElement.lang = get();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianI18n = {
+    LANGUAGES:     LANGUAGES,
+    get:           get,
+    set:           set,
+    t:             t,
+    has:           has,
+    productText:   productText,
+    translatePage: translatePage
+  };
+
+}());
@@ -0,0 +1,161 @@
+/* ============================================================
+   MERIDIAN — inventory.js
+   Stock levels and purchase limits. A product in
+   data/products.json may set `stock` (units on hand) and
+   `max_per_order`; either left unset means no limit. One order
+   holds at most the smaller of the two, counted across all of a product's variants; the cart's
+   per-line cap (MeridianCartStorage.MAX_QTY) still applies on
+   top. A bundle has no stock of its own: it draws on its
+   components' (see js/bundles.js), so a bundle and the same
+   tools bought singly share one pool. Stock at or below
+   LOW_STOCK is shown as "Only N left", none as "Sold out".
+   Used by cart.js, products.js, scripts/build-products.js and
+   server/server.js, so the shop and the checkout agree.
+   Public API exposed on window.MeridianInventory, or
+   module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  var Bundles = typeof module === 'object' && module.exports
+    ? require('./bundles.js')
+    : root.MeridianBundles;
+
+  var LOW_STOCK = 5;
+
+  function noLookup() {
+    return null;
+  }
+
+  /* Units of one tracked product: Infinity when stock is not tracked */
+  function ownStock(product) {
+    if (!product || typeof product.stock !== 'number') return Infinity;
+    return Math.max(0, Math.floor(product.stock));
+  }
+
+  /**
+   * draws(product, getProduct)
+   * The stock one unit of `product` uses up.
+   * @param {Object} product
+   * @param {function(string): Object|null} getProduct
+   * @returns {Array<{ product: Object|null, id: string, qty: number }>}
+   *   The bundle's components, or the product itself
+   */
+  function draws(product, getProduct) {
+    return Bundles.isBundle(product)
+      ? Bundles.components(product, getProduct || noLookup)
+      : [{ product: product, id: product.id, qty: 1 }];
+  }
+
+  /**
+   * stockOf(product, [getProduct])
+   * @param {Object} product — catalog record
+   * @param {function(string): Object|null} [getProduct] — needed for bundles
+   * @returns {number} Units on hand (for a bundle, how many its components
+   *   make up); Infinity for products whose stock is not tracked
+   */
+  function stockOf(product, getProduct) {
+    if (!product) return 0;
+    return draws(product, getProduct).reduce(function (min, c) {
+      return Math.min(min, c.product ? Math.floor(ownStock(c.product) / c.qty) : 0);
+    }, Infinity);
+  }
+
+  /**
+   * orderLimit(product, [getProduct])
+   * The most units of `product` one order may hold, and which limit that is.
+   * @param {Object} product
+   * @param {function(string): Object|null} [getProduct] — needed for bundles
+   * @returns {{ max: number, reason: 'stock'|'max_per_order' }}
+   *   max is Infinity when neither limit is set
+   */
+  function orderLimit(product, getProduct) {
+    var stock = stockOf(product, getProduct);
+    var perOrder = product && typeof product.max_per_order === 'number' ? product.max_per_order : Infinity;
+    return perOrder < stock
+      ? { max: perOrder, reason: 'max_per_order' }
+      : { max: stock, reason: 'stock' };
+  }
+
+  /**
+   * availability(product, [getProduct])
+   * @param {Object} product
+   * @param {function(string): Object|null} [getProduct] — needed for bundles
+   * @returns {{ status: 'in_stock'|'low_stock'|'sold_out', left: number|null }}
+   *   left is the units on hand for low and sold-out stock, null otherwise
+   */
+  function availability(product, getProduct) {
+    var stock = stockOf(product, getProduct);
+    if (stock === 0) return { status: 'sold_out', left: 0 };
+    if (stock <= LOW_STOCK) return { status: 'low_stock', left: stock };
+    return { status: 'in_stock', left: null };
+  }
+
+  /**
+   * allocate(lines, getProduct)
+   * Works through order lines in turn, giving each as many units as
+   * stock and its product's per-order limit still allow after the lines
+   * before it. Stock is shared by every line that draws on it: a
+   * product's variants, and bundles containing it.
+   * @param {Array<{ id: string, qty: number }>} lines
+   * @param {function(string): Object|null} getProduct
+   * @returns {Array<{ max: number, limit: number, reason: 'stock'|'max_per_order' }|null>}
+   *   Per line: max is the most it may hold (0 when sold out), limit the
+   *   figure to tell the customer (the per-order limit, or max). null for
+   *   lines whose product is not in the catalog.
+   */
+  function allocate(lines, getProduct) {
+    var stockUsed = {};
+    var orderUsed = {};
+
+    return lines.map(function (line) {
+      var product = getProduct(line.id);
+      if (!product) return null;
+
+      var parts = draws(product, getProduct);
+      var stockRoom = parts.reduce(function (min, c) {
+        var left = c.product ? ownStock(c.product) - (stockUsed[c.id] || 0) : 0;
+        return Math.min(min, Math.floor(left / c.qty));
+      }, Infinity);
+
+      var perOrder = typeof product.max_per_order === 'number' ? product.max_per_order : Infinity;
+      var orderRoom = perOrder - (orderUsed[product.id] || 0);
+
+      var byOrder = orderRoom < stockRoom;
+      var max = Math.max(0, byOrder ? orderRoom : stockRoom);
+      var qty = Math.min(line.qty, max);
+
+      orderUsed[product.id] = (orderUsed[product.id] || 0) + qty;
+      parts.forEach(function (c) {
+        stockUsed[c.id] = (stockUsed[c.id] || 0) + qty * c.qty;
+      });
+
+      return {
+        max:    max,
+        limit:  byOrder ? perOrder : max,
+        reason: byOrder ? 'max_per_order' : 'stock'
+      };
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    LOW_STOCK:    LOW_STOCK,
+    stockOf:      stockOf,
+    orderLimit:   orderLimit,
+    availability: availability,
+    allocate:     allocate
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianInventory = api;
+
+}(this));
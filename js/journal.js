@@ -0,0 +1,285 @@
+/* ============================================================
+   MERIDIAN — journal.js
+   Article list for journal.html. Reads data/journal.json (built
+   from data/journal/*.md by scripts/build-journal.js), filters
+   by the topic pills and pages through the results.
+   Topic and page round-trip through the query string, e.g.
+   journal.html?topic=ritual&page=2
+   Copy goes through MeridianI18n (js/i18n.js must load first).
+   Public API exposed on window.MeridianJournal.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var I18n       = window.MeridianI18n;
+  var INDEX_PATH = 'data/journal.json';
+  var PAGE_SIZE  = 6;
+
+  /* Site root, derived from this script's own URL (as in catalog.js) */
+  var ROOT_URL = (function () {
+    var script = document.currentScript;
+    if (script && script.src) {
+      return new URL('../', script.src).href;
+    }
+    return new URL('./', window.location.href).href;
+  }());
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function resolveUrl(path) {
+    return new URL(path, ROOT_URL).href;
+  }
+
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  /* "2026-02-10" → "February 2026" (or "2026年2月") */
+  function formatMonth(date) {
+    var lang = I18n.get();
+    return new Date(date + 'T00:00:00Z').toLocaleDateString(lang === 'en' ? 'en-US' : lang, {
+      year: 'numeric', month: 'long', timeZone: 'UTC'
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     State ⇄ query string
+  ────────────────────────────────────────────── */
+
+  /**
+   * readState(search)
+   * @param {string} search — e.g. window.location.search
+   * @returns {{ topic: string, page: number }} Unknown topics are checked
+   *   later against the index; malformed pages fall back to 1
+   */
+  function readState(search) {
+    var params = new URLSearchParams(search);
+    var page = parseInt(params.get('page'), 10);
+
+    return {
+      topic: params.get('topic') || '',
+      page:  isNaN(page) || page < 1 ? 1 : page
+    };
+  }
+
+  /**
+   * writeState(state)
+   * @param {{ topic: string, page: number }} state
+   * @returns {string} Query string including the leading '?', or ''
+   */
+  function writeState(state) {
+    var params = new URLSearchParams();
+    if (state.topic) params.set('topic', state.topic);
+    if (state.page > 1) params.set('page', String(state.page));
+
+    var query = params.toString();
+    return query ? '?' + query : '';
+  }
+
+  /**
+   * paginate(articles, state)
+   * @param {Array} articles — the full index, newest first
+   * @param {{ topic: string, page: number }} state
+   * @returns {{ items: Array, page: number, pages: number, total: number }}
+   *   page is clamped to the pages that exist
+   */
+  function paginate(articles, state) {
+    var matching = articles.filter(function (a) {
+      return !state.topic || a.topic === state.topic;
+    });
+    var pages = Math.max(1, Math.ceil(matching.length / PAGE_SIZE));
+    var page = Math.min(state.page, pages);
+
+    return {
+      items: matching.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      page:  page,
+      pages: pages,
+      total: matching.length
+    };
+  }
+
+  /* ──────────────────────────────────────────────
+     Render
+  ────────────────────────────────────────────── */
+
+  function renderCard(article) {
+    var href = escapeHtml(resolveUrl(article.url));
+
+    return '<article class="article-card">'
+         +   '<a class="article-img-wrap" href="' + href + '" tabindex="-1" aria-hidden="true">'
+         +     '<img src="' + escapeHtml(resolveUrl(article.hero)) + '" alt="" class="article-img" loading="lazy" />'
+         +   '</a>'
+         +   '<p class="article-tag">' + escapeHtml(article.tag) + '</p>'
+         +   '<a href="' + href + '" class="article-title">' + escapeHtml(article.title) + '</a>'
+         +   '<p class="article-excerpt">' + escapeHtml(article.excerpt) + '</p>'
+         +   '<span class="article-meta">' + escapeHtml(formatMonth(article.date) + ' · ' + t('journal.minRead', { n: Number(article.read_time) })) + '</span>'
+         + '</article>';
+  }
+
+  function pageLink(state, page, label, className, current) {
+    return '<a class="' + className + (current ? ' is-current' : '') + '"'
+         + ' href="journal.html' + escapeHtml(writeState({ topic: state.topic, page: page })) + '"'
+         + ' data-page="' + page + '"'
+         + (current ? ' aria-current="page"' : '')
+         + '>' + escapeHtml(label) + '</a>';
+  }
+
+  /**
+   * renderPagination(nav, state, result)
+   * Previous / numbered / next links; hidden when everything fits on one page.
+   */
+  function renderPagination(nav, state, result) {
+    if (!nav) return;
+    nav.hidden = result.pages < 2;
+    if (nav.hidden) {
+      nav.innerHTML = '';
+      return;
+    }
+
+    var html = result.page > 1
+      ? pageLink(state, result.page - 1, t('journal.newer'), 'journal-pagination__step', false)
+      : '<span class="journal-pagination__step" aria-hidden="true"></span>';
+
+    html += '<span class="journal-pagination__pages">';
+    for (var p = 1; p <= result.pages; p++) {
+      html += pageLink(state, p, String(p), 'journal-pagination__page', p === result.page);
+    }
+    html += '</span>';
+
+    html += result.page < result.pages
+      ? pageLink(state, result.page + 1, t('journal.older'), 'journal-pagination__step', false)
+      : '<span class="journal-pagination__step" aria-hidden="true"></span>';
+
+    nav.innerHTML = html;
+  }
+
+  function renderTopics(state) {
+    var pills = document.querySelectorAll('[data-topic]');
+    for (var i = 0; i < pills.length; i++) {
+      var active = pills[i].getAttribute('data-topic') === state.topic;
+      pills[i].classList.toggle('journal-topic--active', active);
+      if (active) {
+        pills[i].setAttribute('aria-current', 'true');
+      } else {
+        pills[i].removeAttribute('aria-current');
+      }
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Initialization
+  ────────────────────────────────────────────── */
+
+  function init() {
+    var grid = document.getElementById('journalGrid');
+    if (!grid) return;
+
+    var nav = document.getElementById('journalPagination');
+    var index = null;
+    var state = readState(window.location.search);
+
+    function update() {
+      /* A shared link may name a topic that has since been renamed */
+      var known = index.topics.some(function (t) { return t.slug === state.topic; });
+      if (!known) state.topic = '';
+
+      var result = paginate(index.articles, state);
+      state.page = result.page;
+
+      /* Keep the address bar in step when the requested state was corrected */
+      var query = writeState(state);
+      if (query !== window.location.search) {
+        history.replaceState(null, '', window.location.pathname + query + window.location.hash);
+      }
+
+      renderTopics(state);
+      grid.innerHTML = result.items.length
+        ? result.items.map(renderCard).join('')
+        : '<p class="journal-empty">' + escapeHtml(t('journal.emptyTopic'))
+          + ' <a href="journal.html" data-topic-link="">' + escapeHtml(t('journal.seeAll')) + '</a></p>';
+      renderPagination(nav, state, result);
+    }
+
+    function go(next) {
+      state = next;
+      history.pushState(null, '', window.location.pathname + writeState(state) + window.location.hash);
+      update();
+    }
+
+    /* Pills and page links are real links; handle them in place once loaded */
+    document.addEventListener('click', function (e) {
+      if (!index || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      var pill = e.target.closest('[data-topic], [data-topic-link]');
+      var pageLinkEl = nav && e.target.closest('#journalPagination [data-page]');
+
+      if (pill) {
+        e.preventDefault();
+        go({ topic: pill.getAttribute('data-topic') || pill.getAttribute('data-topic-link') || '', page: 1 });
+      } else if (pageLinkEl) {
+        e.preventDefault();
+        go({ topic: state.topic, page: Number(pageLinkEl.getAttribute('data-page')) });
+        grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    });
+
+    window.addEventListener('popstate', function () {
+      state = readState(window.location.search);
+      if (index) update();
+    });
+
+    document.addEventListener('language:updated', function () {
+      if (index) update();
+    });
+
+    grid.setAttribute('aria-busy', 'true');
+    fetch(resolveUrl(INDEX_PATH), { credentials: 'same-origin' })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        if (!data || !Array.isArray(data.articles) || !Array.isArray(data.topics)) {
+          throw new Error('Journal index has no articles');
+        }
+        index = data;
+        grid.removeAttribute('aria-busy');
+        update();
+      })
+      .catch(function (e) {
+        console.error('[MeridianJournal] Could not load the journal:', e);
+        grid.removeAttribute('aria-busy');
+        grid.innerHTML = '<p class="journal-empty">' + escapeHtml(t('journal.loadError')) + '</p>';
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianJournal = {
+    PAGE_SIZE:  PAGE_SIZE,
+    readState:  readState,
+    writeState: writeState,
+    paginate:   paginate
+  };
+
+}());
@@ -279,18 +279,15 @@ function initHeroParallax() {
 
 
 /* =============================================================================
-   Cart Count — reads from localStorage (set by cart.js)
+   Cart Count — reads the cart through MeridianCartStorage (shared with cart.js)
    ============================================================================= */
 
 function initCartBadge() {
   function update() {
-    var cart  = [];
-    try {
-      cart = JSON.parse(localStorage.getItem('meridian_cart') || '[]');
-    } catch (_) {}
+    var cart = window.MeridianCartStorage ? window.MeridianCartStorage.read() : [];
 
     var total = cart.reduce(function (sum, item) {
-      return sum + (item.qty || 1);
+      return sum + item.qty;
     }, 0);
 
     qsa('.nav-cart__count').forEach(function (el) {
@@ -306,35 +303,12 @@ function initCartBadge() {
 
 
 /* =============================================================================
-   Product Cards — quick-add feedback + card navigation
+   Product Cards — card navigation
+   Quick-add buttons carry data-product-id and are handled by cart.js,
+   which adds the item and shows the result on the button.
    ============================================================================= */
 
 function initProductCards() {
-  // Quick-add button
-  document.addEventListener('click', function (e) {
-    var btn = e.target.closest('.product-card__quick-add');
-    if (!btn) return;
-    e.preventDefault();
-    e.stopPropagation();
-
-    var originalText = btn.textContent;
-    btn.textContent  = 'Added';
-    btn.disabled     = true;
-
-    var card = btn.closest('.product-card');
-    if (card) {
-      card.dispatchEvent(new CustomEvent('meridian:add-to-cart', {
-        bubbles: true,
-        detail:  { productName: qs('.product-card__name', card)?.textContent },
-      }));
-    }
-
-    setTimeout(function () {
-      btn.textContent = originalText;
-      btn.disabled    = false;
-    }, 1800);
-  });
-
   // Card click — navigate
   document.addEventListener('click', function (e) {
     var card = e.target.closest('.product-card[data-href]');
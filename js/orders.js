@@ -0,0 +1,467 @@
+/* ============================================================
+   MERIDIAN — orders.js
+   Order confirmation (order-confirmation.html?order=<id>) and
+   order history (orders.html).
+   Confirmed orders are fetched from the checkout backend and a
+   snapshot is kept in localStorage for the history view.
+   Both re-render when the language changes or the catalog loads
+   (for product names in the current language).
+   Public API exposed on window.MeridianOrders.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY  = 'meridian_orders';
+  var ORDERS_API   = '/api/orders/';
+  var MAX_ORDERS   = 50;
+  var PAID_STATUSES = ['paid', 'complete'];
+
+  var I18n = window.MeridianI18n;
+
+  /* Redraws whatever the page last rendered */
+  var rerender = null;
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  /* Orders are shown in the currency they were charged in, not the
+     current display currency */
+  function formatPrice(amount, currency) {
+    if (window.MeridianCurrency) return window.MeridianCurrency.formatIn(amount, currency || 'USD');
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  function formatDate(iso) {
+    var d = new Date(iso);
+    if (isNaN(d.getTime())) return '';
+    var lang = I18n.get();
+    return d.toLocaleDateString(lang === 'en' ? 'en-US' : lang, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  /* The product name in the current language once the catalog has loaded;
+     the name stored with the order otherwise */
+  function lineName(item) {
+    var product = window.MeridianCatalog && window.MeridianCatalog.getProduct(item.id);
+    return product ? I18n.productText(product, 'name') : item.name;
+  }
+
+  function lineOption(item) {
+    var product = item.variant && window.MeridianCatalog && window.MeridianCatalog.getProduct(item.id);
+    var option = product && window.MeridianVariants
+      ? window.MeridianVariants.describe(product, item.variant, I18n.get())
+      : '';
+    return option || item.option || '';
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function isPaid(order) {
+    return PAID_STATUSES.indexOf(order.status) !== -1;
+  }
+
+  /* ──────────────────────────────────────────────
+     Backend
+  ────────────────────────────────────────────── */
+
+  /**
+   * fetchOrder(id)
+   * @param {string} id
+   * @returns {Promise<Object>} The order; rejects if missing or unreachable
+   */
+  function fetchOrder(id) {
+    return fetch(ORDERS_API + encodeURIComponent(id), {
+      headers:     { 'Accept': 'application/json' },
+      credentials: 'same-origin'
+    }).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok) {
+          throw new Error(data.error || t('orders.loadError', { status: res.status }));
+        }
+        return data;
+      });
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Local history
+  ────────────────────────────────────────────── */
+
+  /**
+   * getOrders()
+   * Locally saved orders, newest first.
+   * @returns {Array}
+   */
+  function getOrders() {
+    try {
+      var raw = localStorage.getItem(STORAGE_KEY);
+      var orders = raw ? JSON.parse(raw) : [];
+      return Array.isArray(orders) ? orders : [];
+    } catch (e) {
+      console.error('[MeridianOrders] Could not parse order history:', e);
+      return [];
+    }
+  }
+
+  /**
+   * hasOrder(id)
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function hasOrder(id) {
+    return getOrders().some(function (o) { return o.id === id; });
+  }
+
+  /**
+   * saveOrder(order)
+   * Stores (or refreshes) a snapshot of the order at the top of the history.
+   * @param {Object} order
+   */
+  function saveOrder(order) {
+    var orders = getOrders().filter(function (o) { return o.id !== order.id; });
+    orders.push(order);
+    orders.sort(function (a, b) {
+      return String(b.createdAt).localeCompare(String(a.createdAt));
+    });
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(orders.slice(0, MAX_ORDERS)));
+    } catch (e) {
+      console.error('[MeridianOrders] Could not save order history:', e);
+    }
+  }
+
+  /**
+   * reorder(order)
+   * Adds every line of a past order back into the cart at current catalog
+   * prices, in the variant that was ordered. Lines the cart refuses are
+   * skipped and sorted by why: sold out, already at the per-order limit,
+   * or retired (the product or variant is gone from the catalog).
+   * @param {Object} order
+   * @returns {Promise<{ added: Array, skipped: Array, soldOut: Array,
+   *                     limited: Array, retired: Array }>} skipped holds all three
+   */
+  function reorder(order) {
+    var Cart = window.MeridianCart;
+    var added = [];
+    var skipped = [];
+    var soldOut = [];
+    var limited = [];
+    var retired = [];
+
+    if (!Cart) return Promise.reject(new Error('MeridianCart is not loaded'));
+
+    /* Sequential, so each addItem sees the previous line's write */
+    return (order.items || []).reduce(function (chain, item) {
+      return chain.then(function () {
+        return Cart.addItem(item.id, item.qty, item.variant).then(function () {
+          added.push(item);
+        }, function (err) {
+          skipped.push(item);
+          if (err && err.code === 'sold_out') {
+            soldOut.push(item);
+          } else if (err && err.code === 'limit_reached') {
+            limited.push(item);
+          } else {
+            retired.push(item);
+          }
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      return { added: added, skipped: skipped, soldOut: soldOut, limited: limited, retired: retired };
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: shared pieces
+  ────────────────────────────────────────────── */
+
+  function renderLines(order) {
+    var html = '<ul class="order-lines">';
+    (order.items || []).forEach(function (item) {
+      var option = lineOption(item);
+      html += '<li class="order-line">'
+            +   '<span class="order-line__name">' + escapeHtml(lineName(item))
+            +     (option ? '<span class="order-line__option">' + escapeHtml(option) + '</span>' : '')
+            +   '</span>'
+            +   '<span class="order-line__qty">&times;' + escapeHtml(item.qty) + '</span>'
+            +   '<span class="order-line__total">' + formatPrice(item.lineTotal != null ? item.lineTotal : item.price * item.qty, order.currency) + '</span>'
+            + '</li>';
+    });
+    return html + '</ul>';
+  }
+
+  function renderTotals(order) {
+    var html = '<div class="order-totals">'
+             +   '<div class="order-totals__line"><span>' + escapeHtml(t('cart.subtotal')) + '</span><span>' + formatPrice(order.subtotal, order.currency) + '</span></div>';
+
+    if (order.discount) {
+      html += '<div class="order-totals__line"><span>' + escapeHtml(t('cart.discount', { code: order.discount.code })) + '</span>'
+            +   '<span>&minus;' + formatPrice(order.discount.amount, order.currency) + '</span></div>';
+    }
+
+    if (order.gift && order.gift.cost > 0) {
+      html += '<div class="order-totals__line"><span>' + escapeHtml(t('gift.wrap')) + '</span>'
+            +   '<span>' + formatPrice(order.gift.cost, order.currency) + '</span></div>';
+    }
+
+    if (order.shipping) {
+      html += '<div class="order-totals__line"><span>' + escapeHtml(t('orders.shipping', { method: t('shipping.' + order.shipping.method) })) + '</span>'
+            +   '<span>' + (order.shipping.cost > 0 ? formatPrice(order.shipping.cost, order.currency) : escapeHtml(t('shipping.free'))) + '</span></div>';
+    }
+
+    if (order.tax && window.MeridianTax && order.tax.amount > 0) {
+      var tax = window.MeridianTax.describe(order.tax, function (amount) {
+        return formatPrice(amount, order.currency);
+      });
+      html += '<div class="order-totals__line"><span>' + escapeHtml(tax.label) + '</span>'
+            +   '<span>' + escapeHtml(tax.value) + '</span></div>';
+    }
+
+    return html
+         +   '<div class="order-totals__line order-totals__line--total"><span>' + escapeHtml(t('cart.total')) + '</span><span>' + formatPrice(order.total, order.currency) + '</span></div>'
+         + '</div>';
+  }
+
+  /* Message for the gift card and packing slip choice; '' for orders without gift options */
+  function renderGift(gift) {
+    if (!gift || !(gift.message || gift.hidePrices)) return '';
+    return '<div class="order-card__section">'
+         +   '<h2 class="order-card__heading">' + escapeHtml(t('orders.gift')) + '</h2>'
+         +   (gift.message ? '<p class="order-gift__message">' + escapeHtml(gift.message) + '</p>' : '')
+         +   (gift.hidePrices ? '<p class="order-gift__note">' + escapeHtml(t('orders.noPrices')) + '</p>' : '')
+         + '</div>';
+  }
+
+  function renderAddress(address) {
+    if (!address) {
+      return '<p class="order-address">' + escapeHtml(t('orders.viaPayment')) + '</p>';
+    }
+    var lines = [
+      address.name,
+      address.line1,
+      address.line2,
+      [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+      address.country
+    ].filter(Boolean).map(escapeHtml);
+
+    return '<address class="order-address">' + lines.join('<br>') + '</address>';
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: confirmation page
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderConfirmation(el, order)
+   * @param {Element} el
+   * @param {Object} order
+   */
+  function renderConfirmation(el, order) {
+    el.innerHTML = '<header class="orders-page__header">'
+                 +   '<span class="orders-page__eyebrow">' + escapeHtml(t('orders.eyebrow', { id: order.id })) + '</span>'
+                 +   '<h1 class="orders-page__title">' + escapeHtml(t('orders.thanks')) + '</h1>'
+                 +   '<p class="orders-page__meta">' + escapeHtml(t('orders.placed', { date: formatDate(order.createdAt) })) + '</p>'
+                 + '</header>'
+                 + '<div class="order-card">'
+                 +   '<div class="order-card__section">'
+                 +     '<h2 class="order-card__heading">' + escapeHtml(t('orders.items')) + '</h2>'
+                 +     renderLines(order)
+                 +     renderTotals(order)
+                 +   '</div>'
+                 +   '<div class="order-card__section">'
+                 +     '<h2 class="order-card__heading">' + escapeHtml(t('orders.shipTo')) + '</h2>'
+                 +     renderAddress(order.shippingAddress)
+                 +   '</div>'
+                 +   renderGift(order.gift)
+                 + '</div>'
+                 + '<p class="orders-page__links">'
+                 +   '<a href="products.html">' + escapeHtml(t('orders.continue')) + '</a>'
+                 +   '<a href="orders.html">' + escapeHtml(t('orders.viewHistory')) + '</a>'
+                 + '</p>';
+  }
+
+  function renderMessage(el, title, text) {
+    el.innerHTML = '<header class="orders-page__header">'
+                 +   '<h1 class="orders-page__title">' + escapeHtml(title) + '</h1>'
+                 +   '<p class="orders-page__meta">' + escapeHtml(text) + '</p>'
+                 + '</header>'
+                 + '<p class="orders-page__links">'
+                 +   '<a href="cart.html">' + escapeHtml(t('orders.returnToCart')) + '</a>'
+                 +   '<a href="orders.html">' + escapeHtml(t('orders.viewHistory')) + '</a>'
+                 + '</p>';
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: history page
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderHistory(el, orders)
+   * @param {Element} el
+   * @param {Array} orders
+   */
+  function renderHistory(el, orders) {
+    if (orders.length === 0) {
+      el.innerHTML = '<p class="orders-empty">' + escapeHtml(t('orders.empty')) + ' '
+                   + '<a href="products.html">' + escapeHtml(t('orders.explore')) + '</a></p>';
+      return;
+    }
+
+    el.innerHTML = orders.map(function (order) {
+      return '<article class="order-card" data-order-id="' + escapeHtml(order.id) + '">'
+           +   '<header class="order-card__header">'
+           +     '<div>'
+           +       '<h2 class="order-card__heading">' + escapeHtml(formatDate(order.createdAt)) + '</h2>'
+           +       '<a class="order-card__id" href="order-confirmation.html?order=' + encodeURIComponent(order.id) + '">'
+           +         escapeHtml(order.id) + '</a>'
+           +     '</div>'
+           +     '<button type="button" class="order-card__reorder" data-reorder="' + escapeHtml(order.id) + '">' + escapeHtml(t('orders.reorder')) + '</button>'
+           +   '</header>'
+           +   renderLines(order)
+           +   renderTotals(order)
+           +   '<p class="order-card__status" aria-live="polite"></p>'
+           + '</article>';
+    }).join('');
+  }
+
+  /* ──────────────────────────────────────────────
+     Page controllers
+  ────────────────────────────────────────────── */
+
+  /* One sentence per reason reorder() left lines out */
+  function skippedMessage(result) {
+    return [['soldOut', 'orders.soldOut'], ['limited', 'orders.limited'], ['retired', 'orders.retired']]
+      .filter(function (reason) { return result[reason[0]].length > 0; })
+      .map(function (reason) {
+        var n = result[reason[0]].length;
+        return t(reason[1] + (n === 1 ? 'One' : 'Other'), { n: n });
+      })
+      .join(' ');
+  }
+
+  /* Renders now and again on language / catalog changes */
+  function show(render) {
+    rerender = render;
+    render();
+  }
+
+  function refresh() {
+    if (rerender) rerender();
+  }
+
+  /**
+   * initConfirmation(el)
+   * Loads the order named in ?order=. The ordered quantities and the
+   * order's promo code leave the cart only once the backend reports the
+   * order as paid, and only the first time it is confirmed on this
+   * device — revisiting the link later leaves a new cart alone.
+   */
+  function initConfirmation(el) {
+    var id = new URLSearchParams(window.location.search).get('order');
+
+    if (!id) {
+      show(function () { renderMessage(el, t('orders.none'), t('orders.needsRef')); });
+      return;
+    }
+
+    el.setAttribute('aria-busy', 'true');
+    fetchOrder(id).then(function (order) {
+      el.removeAttribute('aria-busy');
+
+      if (!isPaid(order)) {
+        show(function () { renderMessage(el, t('orders.notPaid'), t('orders.cartKept')); });
+        return;
+      }
+
+      var firstVisit = !hasOrder(order.id);
+      saveOrder(order);
+      if (firstVisit && window.MeridianCart) {
+        window.MeridianCart.removeOrdered(order);
+      }
+
+      show(function () { renderConfirmation(el, order); });
+      document.dispatchEvent(new CustomEvent('order:confirmed', { detail: { order: order } }));
+    }, function (e) {
+      el.removeAttribute('aria-busy');
+      console.error('[MeridianOrders] Could not load order:', e);
+      show(function () { renderMessage(el, t('orders.loadFailed'), e.message + ' ' + t('orders.cartUnchanged')); });
+    });
+  }
+
+  function initHistory(el) {
+    show(function () { renderHistory(el, getOrders()); });
+
+    el.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-reorder]');
+      if (!btn) return;
+
+      var order = getOrders().filter(function (o) { return o.id === btn.dataset.reorder; })[0];
+      var status = btn.closest('.order-card').querySelector('.order-card__status');
+      if (!order) return;
+
+      btn.disabled = true;
+      reorder(order).then(function (result) {
+        if (result.added.length === 0) {
+          btn.disabled = false;
+          status.textContent = result.retired.length === result.skipped.length
+            ? t('orders.noneAvailable')
+            : skippedMessage(result);
+          return;
+        }
+        if (result.skipped.length) {
+          status.textContent = skippedMessage(result);
+          setTimeout(function () { window.location.href = 'cart.html'; }, 1500);
+          return;
+        }
+        window.location.href = 'cart.html';
+      }, function (err) {
+        btn.disabled = false;
+        status.textContent = t('orders.reorderFailed');
+        console.error('[MeridianOrders] Reorder failed:', err);
+      });
+    });
+  }
+
+  function init() {
+    var confirmation = document.getElementById('orderConfirmation');
+    var history = document.getElementById('orderHistory');
+
+    if (confirmation) initConfirmation(confirmation);
+    if (history) initHistory(history);
+
+    document.addEventListener('language:updated', refresh);
+    document.addEventListener('catalog:loaded', refresh);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianOrders = {
+    fetchOrder: fetchOrder,
+    getOrders:  getOrders,
+    hasOrder:   hasOrder,
+    saveOrder:  saveOrder,
+    reorder:    reorder
+  };
+
+}());
@@ -0,0 +1,487 @@
+/* ============================================================
+   MERIDIAN — products.js
+   Catalog grid renderer for products.html.
+   Builds the instrument cards from data/products.json (via
+   MeridianCatalog) and fires 'products:rendered' when done so
+   cart.js can bind the quick-add buttons.
+   Filter / sort / search state round-trips through the query string,
+   e.g. products.html?area=Eye%20contour&sort=price-asc; min / max
+   are USD there and in the display currency in the toolbar.
+   Public API exposed on window.MeridianProducts.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var Catalog   = window.MeridianCatalog;
+  var I18n      = window.MeridianI18n;
+  var Inventory = window.MeridianInventory;
+  var Bundles   = window.MeridianBundles;
+
+  var DEFAULT_SORT = 'featured';
+  var SEARCH_DELAY = 200;
+
+  /* Sort comparators, keyed by the `sort` query value.
+     Array.prototype.sort is stable, so ties keep catalog order. */
+  var SORTS = {
+    'featured': function (a, b) {
+      return (b.featured ? 1 : 0) - (a.featured ? 1 : 0);
+    },
+    'price-asc': function (a, b) {
+      return a.price - b.price;
+    },
+    'price-desc': function (a, b) {
+      return b.price - a.price;
+    }
+  };
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function uniqueSorted(values) {
+    var seen = {};
+    var out = [];
+    for (var i = 0; i < values.length; i++) {
+      if (!seen[values[i]]) {
+        seen[values[i]] = true;
+        out.push(values[i]);
+      }
+    }
+    return out.sort(function (a, b) { return a.localeCompare(b); });
+  }
+
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  function svgArrow() {
+    return '<svg viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">'
+         + '<path d="M1 6h10M7 2l4 4-4 4"/>'
+         + '</svg>';
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: single card
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderCard(product, index)
+   * Returns the HTML for one catalog card.
+   * The first two cards load eagerly (above the fold), the rest lazily.
+   * Low and sold-out stock is flagged on the image; sold-out cards have
+   * no quick-add. Bundles carry a Set badge and what they save.
+   * @param {Object} product
+   * @param {number} index — position in the grid
+   * @returns {string}
+   */
+  function renderCard(product, index) {
+    var image = Catalog.imageUrl(product, 0);
+    var href  = Catalog.productUrl(product);
+    var name  = I18n.productText(product, 'name');
+    var material = I18n.productText(product, 'material');
+    var stock = Inventory.availability(product, Catalog.getProduct);
+    var soldOut = stock.status === 'sold_out';
+    var bundle  = Bundles.isBundle(product);
+    var saving  = bundle ? Bundles.savings(product, Catalog.getProduct) : 0;
+
+    return '<article class="catalog-card' + (soldOut ? ' catalog-card--sold-out' : '') + '" data-product-slug="' + escapeHtml(product.slug) + '">'
+         +   '<div class="catalog-card__image">'
+         +     (image
+                 ? '<img src="' + escapeHtml(image) + '" alt="' + escapeHtml(name + ' — ' + material) + '"'
+                   + ' loading="' + (index < 2 ? 'eager' : 'lazy') + '" />'
+                 : '')
+         +     (stock.status === 'in_stock' ? ''
+                 : '<span class="catalog-card__stock catalog-card__stock--' + (soldOut ? 'sold-out' : 'low') + '">'
+                   + escapeHtml(soldOut ? t('stock.soldOut') : t('stock.onlyLeft', { n: stock.left }))
+                   + '</span>')
+         +     (bundle ? '<span class="catalog-card__set">' + escapeHtml(t('bundle.badge')) + '</span>' : '')
+         +   '</div>'
+         +   '<div class="catalog-card__body">'
+         +     '<span class="catalog-card__material">' + escapeHtml(material) + '</span>'
+         +     '<h2 class="catalog-card__name"><a href="' + escapeHtml(href) + '">' + escapeHtml(name) + '</a></h2>'
+         +     '<p class="catalog-card__tagline">' + escapeHtml(I18n.productText(product, 'tagline')) + '</p>'
+         +     (saving
+                 ? '<p class="catalog-card__saving">' + escapeHtml(t('bundle.youSave'))
+                   + ' <span data-price="' + escapeHtml(saving) + '">$' + escapeHtml(saving) + '</span></p>'
+                 : '')
+         +     '<div class="catalog-card__footer">'
+         +       '<div class="catalog-card__price" data-price="' + escapeHtml(product.price) + '"><sup>$</sup>' + escapeHtml(product.price) + '</div>'
+         +       '<div class="catalog-card__actions">'
+         +         (soldOut
+                     ? '<button type="button" class="btn-quick-add" disabled>' + escapeHtml(t('stock.soldOut')) + '</button>'
+                     : '<button type="button" class="btn-quick-add" data-product-id="' + escapeHtml(product.id) + '"'
+                       + ' aria-label="' + escapeHtml(t('catalog.addNamed', { name: name })) + '">' + escapeHtml(t('cart.add')) + '</button>')
+         +         '<a href="' + escapeHtml(href) + '" class="btn-view-details">' + escapeHtml(t('catalog.viewDetails')) + ' ' + svgArrow() + '</a>'
+         +       '</div>'
+         +     '</div>'
+         +   '</div>'
+         + '</article>';
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: grid
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderGrid(grid, products)
+   * Replaces the grid's content with cards for the given products
+   * and dispatches 'products:rendered'.
+   * @param {Element} grid
+   * @param {Array} products
+   */
+  function renderGrid(grid, products) {
+    var html = '';
+    for (var i = 0; i < products.length; i++) {
+      html += renderCard(products[i], i);
+    }
+    grid.innerHTML = html;
+    grid.removeAttribute('aria-busy');
+
+    document.dispatchEvent(new CustomEvent('products:rendered', {
+      detail: { container: grid, products: products }
+    }));
+  }
+
+  /**
+   * renderCounts(count)
+   * Updates every [data-catalog-count] element (header tab, info bar).
+   * @param {number} count
+   */
+  function renderCounts(count) {
+    var els = document.querySelectorAll('[data-catalog-count]');
+    for (var i = 0; i < els.length; i++) {
+      els[i].textContent = String(count);
+    }
+  }
+
+  /**
+   * renderResultCount(shown, total)
+   * @param {number} shown
+   * @param {number} total
+   */
+  function renderResultCount(shown, total) {
+    var el = document.getElementById('catalogResultCount');
+    if (!el) return;
+    el.textContent = shown === total
+      ? t(total === 1 ? 'catalog.countOne' : 'catalog.countOther', { n: total })
+      : t('catalog.countFiltered', { shown: shown, total: total });
+  }
+
+  function renderEmpty(grid) {
+    grid.innerHTML = '<p class="catalog-grid__message">'
+                   + escapeHtml(t('catalog.noMatch')) + ' '
+                   + '<button type="button" class="catalog-grid__reset" data-filter-reset>' + escapeHtml(t('catalog.clearFilters')) + '</button>'
+                   + '</p>';
+  }
+
+  function renderError(grid) {
+    grid.removeAttribute('aria-busy');
+    grid.innerHTML = '<p class="catalog-grid__message">'
+                   + escapeHtml(t('catalog.loadError'))
+                   + '</p>';
+  }
+
+  /* ──────────────────────────────────────────────
+     Filter state ⇄ query string
+  ────────────────────────────────────────────── */
+
+  /**
+   * readState(search)
+   * Parses filter state from a query string. Unknown or malformed
+   * values fall back to "no filter" rather than throwing.
+   * @param {string} search — e.g. window.location.search
+   * @returns {{ q: string, material: string, area: string, min: number|null, max: number|null, sort: string }}
+   *   min / max in USD
+   */
+  function readState(search) {
+    var params = new URLSearchParams(search);
+    var min = parseFloat(params.get('min'));
+    var max = parseFloat(params.get('max'));
+    var sort = params.get('sort') || DEFAULT_SORT;
+
+    return {
+      q:        (params.get('q') || '').trim(),
+      material: params.get('material') || '',
+      area:     params.get('area') || '',
+      min:      isNaN(min) ? null : min,
+      max:      isNaN(max) ? null : max,
+      sort:     SORTS.hasOwnProperty(sort) ? sort : DEFAULT_SORT
+    };
+  }
+
+  /**
+   * writeState(state)
+   * Serialises filter state, omitting defaults so unfiltered views keep a clean URL.
+   * @param {Object} state
+   * @returns {string} Query string including the leading '?', or ''
+   */
+  function writeState(state) {
+    var params = new URLSearchParams();
+    if (state.q)            params.set('q', state.q);
+    if (state.material)     params.set('material', state.material);
+    if (state.area)         params.set('area', state.area);
+    if (state.min !== null) params.set('min', String(state.min));
+    if (state.max !== null) params.set('max', String(state.max));
+    if (state.sort !== DEFAULT_SORT) params.set('sort', state.sort);
+
+    var query = params.toString();
+    return query ? '?' + query : '';
+  }
+
+  /* ──────────────────────────────────────────────
+     Filtering & sorting
+  ────────────────────────────────────────────── */
+
+  function matchesSearch(product, q) {
+    if (!q) return true;
+    var haystack = [
+      product.name, product.name_cn,
+      product.tagline, product.tagline_cn,
+      product.description, product.description_cn,
+      (product.usage_areas || []).join(' '), product.usage_cn
+    ].join(' ')
+      .toLowerCase();
+    var words = q.toLowerCase().split(/\s+/);
+    for (var i = 0; i < words.length; i++) {
+      if (haystack.indexOf(words[i]) === -1) return false;
+    }
+    return true;
+  }
+
+  /**
+   * applyState(products, state)
+   * Returns a new, filtered and sorted array; the input is left untouched.
+   * @param {Array} products
+   * @param {Object} state — as returned by readState()
+   * @returns {Array}
+   */
+  function applyState(products, state) {
+    return products.filter(function (p) {
+      if (state.material && (p.materials || []).indexOf(state.material) === -1) return false;
+      if (state.area && (p.usage_areas || []).indexOf(state.area) === -1) return false;
+      if (state.min !== null && p.price < state.min) return false;
+      if (state.max !== null && p.price > state.max) return false;
+      return matchesSearch(p, state.q);
+    }).sort(SORTS[state.sort]);
+  }
+
+  /* ──────────────────────────────────────────────
+     Toolbar (#catalogFilters)
+  ────────────────────────────────────────────── */
+
+  /* A material or area value in the current language, e.g. 'Eye contour' → 'area.eyeContour';
+     values without a string show as they are */
+  function valueLabel(group, value) {
+    var key = group + '.' + value.toLowerCase().replace(/[^a-z0-9]+(.)/g, function (match, c) {
+      return c.toUpperCase();
+    });
+    return I18n.has(key) ? t(key) : value;
+  }
+
+  function fillSelect(select, group, values) {
+    if (!select) return;
+    for (var i = 0; i < values.length; i++) {
+      var opt = document.createElement('option');
+      opt.value = values[i];
+      opt.textContent = valueLabel(group, values[i]);
+      select.appendChild(opt);
+    }
+  }
+
+  /* Relabels the material / area options and the price legend after a
+     language or currency change */
+  function labelFilters(form) {
+    ['material', 'area'].forEach(function (group) {
+      var options = form.elements[group].options;
+      for (var i = 0; i < options.length; i++) {
+        if (options[i].value) options[i].textContent = valueLabel(group, options[i].value);
+      }
+    });
+
+    var legend = document.getElementById('catalogPriceLabel');
+    if (legend) {
+      legend.textContent = t('catalog.price', {
+        currency: window.MeridianCurrency ? window.MeridianCurrency.get() : 'USD'
+      });
+    }
+  }
+
+  /* Price bounds are kept in USD and typed in the display currency */
+  function toDisplay(usd) {
+    if (usd === null) return '';
+    return String(window.MeridianCurrency ? window.MeridianCurrency.convert(usd) : usd);
+  }
+
+  function fromDisplay(value, previous) {
+    if (value === toDisplay(previous)) return previous;   /* untouched: no rounding drift */
+    var amount = parseFloat(value);
+    if (isNaN(amount)) return null;
+    return window.MeridianCurrency ? window.MeridianCurrency.toBase(amount) : amount;
+  }
+
+  /**
+   * populateFilters(form, products)
+   * Builds the material / area options from the catalog, so new
+   * materials or usage areas appear without touching the HTML.
+   */
+  function populateFilters(form, products) {
+    var materials = [];
+    var areas = [];
+    for (var i = 0; i < products.length; i++) {
+      materials = materials.concat(products[i].materials || []);
+      areas = areas.concat(products[i].usage_areas || []);
+    }
+    fillSelect(form.elements.material, 'material', uniqueSorted(materials));
+    fillSelect(form.elements.area, 'area', uniqueSorted(areas));
+    labelFilters(form);
+  }
+
+  function stateToForm(form, state) {
+    form.elements.q.value        = state.q;
+    form.elements.material.value = state.material;
+    form.elements.area.value     = state.area;
+    form.elements.min.value      = toDisplay(state.min);
+    form.elements.max.value      = toDisplay(state.max);
+    form.elements.sort.value     = state.sort;
+
+    /* A shared link may name a value this catalog no longer has */
+    if (form.elements.material.value !== state.material) state.material = '';
+    if (form.elements.area.value !== state.area) state.area = '';
+  }
+
+  /**
+   * formToState(form, previous)
+   * @param {HTMLFormElement} form
+   * @param {Object} previous — the state the form was last filled from;
+   *   price bounds left as shown keep their exact USD value
+   * @returns {Object}
+   */
+  function formToState(form, previous) {
+    var query = new URLSearchParams();
+    var fields = ['q', 'material', 'area', 'sort'];
+    for (var i = 0; i < fields.length; i++) {
+      query.set(fields[i], form.elements[fields[i]].value);
+    }
+
+    var state = readState(query.toString());
+    state.min = fromDisplay(form.elements.min.value, previous.min);
+    state.max = fromDisplay(form.elements.max.value, previous.max);
+    return state;
+  }
+
+  /* ──────────────────────────────────────────────
+     Initialization
+  ────────────────────────────────────────────── */
+
+  function init() {
+    var grid = document.getElementById('catalogGrid');
+    if (!grid || !Catalog) return;
+
+    var form = document.getElementById('catalogFilters');
+    var products = [];
+    var state = readState(window.location.search);
+    var searchTimer = null;
+
+    function update() {
+      var shown = applyState(products, state);
+      renderResultCount(shown.length, products.length);
+      if (shown.length === 0) {
+        renderEmpty(grid);
+      } else {
+        renderGrid(grid, shown);
+      }
+    }
+
+    function commit() {
+      state = formToState(form, state);
+      history.replaceState(null, '', window.location.pathname + writeState(state) + window.location.hash);
+      update();
+    }
+
+    function reset() {
+      state = readState('');
+      stateToForm(form, state);
+      commit();
+    }
+
+    grid.setAttribute('aria-busy', 'true');
+    Catalog.load().then(function (data) {
+      products = data;
+      renderCounts(products.length);
+
+      if (form) {
+        populateFilters(form, products);
+        stateToForm(form, state);
+
+        form.addEventListener('submit', function (e) {
+          e.preventDefault();
+          commit();
+        });
+        form.addEventListener('change', commit);
+        form.elements.q.addEventListener('input', function () {
+          clearTimeout(searchTimer);
+          searchTimer = setTimeout(commit, SEARCH_DELAY);
+        });
+        form.addEventListener('reset', function (e) {
+          e.preventDefault();
+          reset();
+        });
+      }
+
+      grid.addEventListener('click', function (e) {
+        if (form && e.target.closest('[data-filter-reset]')) reset();
+      });
+
+      /* Cards, option labels and the price bounds follow the language and currency */
+      function relabel() {
+        if (form) {
+          labelFilters(form);
+          form.elements.min.value = toDisplay(state.min);
+          form.elements.max.value = toDisplay(state.max);
+        }
+        update();
+      }
+      document.addEventListener('currency:updated', relabel);
+      document.addEventListener('language:updated', relabel);
+
+      window.addEventListener('popstate', function () {
+        state = readState(window.location.search);
+        if (form) stateToForm(form, state);
+        update();
+      });
+
+      update();
+    }, function () {
+      renderError(grid);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianProducts = {
+    renderCard: renderCard,
+    renderGrid: renderGrid,
+    readState:  readState,
+    writeState: writeState,
+    applyState: applyState
+  };
+
+}());
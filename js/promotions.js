@@ -0,0 +1,285 @@
+/* ============================================================
+   MERIDIAN — promotions.js
+   Promo code rules: percentage, fixed-amount, free-shipping and
+   buy-X-get-Y codes, with minimum subtotal, product eligibility
+   and start / expiry dates. cart.js applies codes and persists
+   the active one; server/server.js re-evaluates it at checkout.
+   Descriptions and messages are in the page language when
+   MeridianI18n is loaded, English otherwise.
+   Public API exposed on window.MeridianPromotions, or
+   module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  /* type:        'percent' | 'fixed' | 'free-shipping' | 'bogo'
+     value:       percent off, or dollars off for 'fixed'
+     buy / get:   for 'bogo' — every `buy` eligible units, the next `get`
+                  cheapest are `value`% off (100 = free)
+     minSubtotal: merchandise subtotal required (before discounts)
+     eligible:    { ids?: [], materials?: [] } — omit for every product
+     starts / expires: inclusive 'YYYY-MM-DD' dates, omit for open-ended
+     description / eligibleLabel: English, with a `_cn` twin */
+  var PROMOTIONS = [
+    {
+      code:        'WELCOME10',
+      type:        'percent',
+      value:       10,
+      description: '10% off your order',
+      description_cn: '全单立减 10%'
+    },
+    {
+      code:        'COPPER15',
+      type:        'percent',
+      value:       15,
+      minSubtotal: 100,
+      eligible:    { materials: ['Copper'] },
+      eligibleLabel: 'copper tools',
+      eligibleLabel_cn: '铜制工具',
+      expires:     '2027-06-30',
+      description: '15% off copper tools',
+      description_cn: '铜制工具 85 折'
+    },
+    {
+      code:        'RITUAL20',
+      type:        'fixed',
+      value:       20,
+      minSubtotal: 150,
+      description: '$20 off orders over $150',
+      description_cn: '满 $150 减 $20'
+    },
+    {
+      code:        'SHIPFREE',
+      type:        'free-shipping',
+      minSubtotal: 40,
+      description: 'Free standard shipping',
+      description_cn: '标准配送免运费'
+    },
+    {
+      code:        'TRIO',
+      type:        'bogo',
+      buy:         2,
+      get:         1,
+      value:       100,
+      description: 'Buy two tools, get the third free',
+      description_cn: '买二送一'
+    },
+    {
+      code:        'SPRING26',
+      type:        'percent',
+      value:       20,
+      starts:      '2026-03-01',
+      expires:     '2026-05-31',
+      description: '20% off spring collection',
+      description_cn: '春季系列 8 折'
+    }
+  ];
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function roundMoney(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /* In the display currency in the browser; always USD under Node */
+  function formatPrice(amount) {
+    if (root.MeridianCurrency) return root.MeridianCurrency.format(amount);
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  function language() {
+    return root.MeridianI18n ? root.MeridianI18n.get() : 'en';
+  }
+
+  function formatDate(ymd) {
+    var d = new Date(ymd + 'T12:00:00');
+    var lang = language();
+    return d.toLocaleDateString(lang === 'en' ? 'en-US' : lang, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /* MeridianI18n.t() in the browser; the English copy under Node */
+  function text(key, english, vars) {
+    if (root.MeridianI18n) return root.MeridianI18n.t(key, vars);
+    return english.replace(/\{(\w+)\}/g, function (match, name) {
+      return vars && vars[name] !== undefined ? String(vars[name]) : match;
+    });
+  }
+
+  /* A promotion's description or eligibleLabel in the page language */
+  function promoText(promo, field) {
+    var cn = promo[field + '_cn'];
+    return language() === 'zh-CN' && cn ? cn : promo[field];
+  }
+
+  function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  function findPromotion(code) {
+    code = normalizeCode(code);
+    for (var i = 0; i < PROMOTIONS.length; i++) {
+      if (PROMOTIONS[i].code === code) return PROMOTIONS[i];
+    }
+    return null;
+  }
+
+  function isEligible(promo, product) {
+    var rule = promo.eligible;
+    if (!rule) return true;
+    if (!product) return false;
+    if (rule.ids && rule.ids.indexOf(product.id) !== -1) return true;
+    if (rule.materials) {
+      var materials = product.materials || [];
+      for (var i = 0; i < rule.materials.length; i++) {
+        if (materials.indexOf(rule.materials[i]) !== -1) return true;
+      }
+    }
+    return false;
+  }
+
+  /* ──────────────────────────────────────────────
+     Discount calculation
+  ────────────────────────────────────────────── */
+
+  /* Unit prices of eligible lines, most expensive first */
+  function eligibleUnits(promo, lines, getProduct) {
+    var units = [];
+    lines.forEach(function (line) {
+      if (!isEligible(promo, getProduct(line.id))) return;
+      for (var q = 0; q < line.qty; q++) units.push(Number(line.price) || 0);
+    });
+    return units.sort(function (a, b) { return b - a; });
+  }
+
+  function bogoDiscount(promo, units) {
+    var groupSize = promo.buy + promo.get;
+    var discount = 0;
+    for (var start = 0; start + groupSize <= units.length; start += groupSize) {
+      /* The cheapest `get` units of each group are discounted */
+      for (var k = start + promo.buy; k < start + groupSize; k++) {
+        discount += units[k] * promo.value / 100;
+      }
+    }
+    return discount;
+  }
+
+  /**
+   * evaluate(code, lines, [options])
+   * Checks a code against the cart and works out its discount.
+   * @param {string} code
+   * @param {Array} lines — purchasable cart lines { id, price, qty }
+   * @param {{ getProduct?: Function, now?: Date }} [options]
+   *   getProduct(id) returns the catalog record (needed for eligibility)
+   * @returns {{ ok: true, code: string, description: string, amount: number, freeShipping: boolean }
+   *         | { ok: false, code: string, error: string }}
+   */
+  function evaluate(code, lines, options) {
+    options = options || {};
+    var getProduct = options.getProduct || function () { return null; };
+    var now = options.now || new Date();
+    var normalized = normalizeCode(code);
+    var promo = findPromotion(normalized);
+
+    function fail(message) {
+      return { ok: false, code: normalized, error: message };
+    }
+
+    if (!normalized) return fail(text('promo.enterCode', 'Enter a promo code.'));
+    if (!promo) return fail(text('promo.invalid', '“{code}” isn’t a valid code.', { code: normalized }));
+
+    if (promo.starts && now < new Date(promo.starts + 'T00:00:00')) {
+      return fail(text('promo.notStarted', '{code} starts on {date}.', { code: promo.code, date: formatDate(promo.starts) }));
+    }
+    if (promo.expires && now > new Date(promo.expires + 'T23:59:59')) {
+      return fail(text('promo.expired', '{code} expired on {date}.', { code: promo.code, date: formatDate(promo.expires) }));
+    }
+
+    var subtotal = lines.reduce(function (sum, line) {
+      return sum + (Number(line.price) || 0) * (Number(line.qty) || 0);
+    }, 0);
+
+    if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+      return fail(text('promo.minimum', 'Spend {amount} more to use {code} (minimum {minimum}).', {
+        amount:  formatPrice(promo.minSubtotal - subtotal),
+        code:    promo.code,
+        minimum: formatPrice(promo.minSubtotal)
+      }));
+    }
+
+    var units = eligibleUnits(promo, lines, getProduct);
+    if (units.length === 0) {
+      return fail(text('promo.onlyFor', '{code} only applies to {items}.', {
+        code:  promo.code,
+        items: promo.eligibleLabel ? promoText(promo, 'eligibleLabel') : text('promo.selectedTools', 'selected tools')
+      }));
+    }
+
+    var eligibleTotal = units.reduce(function (sum, p) { return sum + p; }, 0);
+    var amount = 0;
+
+    switch (promo.type) {
+      case 'percent':
+        amount = eligibleTotal * promo.value / 100;
+        break;
+      case 'fixed':
+        amount = Math.min(promo.value, eligibleTotal);
+        break;
+      case 'bogo':
+        if (units.length < promo.buy + promo.get) {
+          return fail(text('promo.addMore', 'Add {n} more tool(s) to use {code}.', {
+            n:    promo.buy + promo.get - units.length,
+            code: promo.code
+          }));
+        }
+        amount = bogoDiscount(promo, units);
+        break;
+    }
+
+    return {
+      ok:           true,
+      code:         promo.code,
+      description:  promoText(promo, 'description'),
+      amount:       roundMoney(amount),
+      freeShipping: promo.type === 'free-shipping'
+    };
+  }
+
+  /**
+   * applyToShipping(quote, result)
+   * Waives standard shipping for a successful free-shipping code.
+   * @param {Object} quote — MeridianShipping.quote() result
+   * @param {Object|null} result — evaluate() result
+   * @returns {Object} The quote, or a free copy of it
+   */
+  function applyToShipping(quote, result) {
+    if (!quote || !result || !result.ok || !result.freeShipping || quote.method !== 'standard') {
+      return quote;
+    }
+    var waived = {};
+    for (var key in quote) waived[key] = quote[key];
+    waived.cost = 0;
+    waived.free = true;
+    return waived;
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    normalizeCode:   normalizeCode,
+    evaluate:        evaluate,
+    applyToShipping: applyToShipping
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianPromotions = api;
+
+}(this));
@@ -0,0 +1,463 @@
+/* ============================================================
+   MERIDIAN — shipping.js
+   Shipping rules: the single source for the free-shipping
+   threshold, zone rates by destination country and the express
+   option. Used by the cart sidebar, the cart.html order summary
+   and server/server.js (which re-quotes shipping at checkout).
+   In the browser it also keeps the chosen destination and the
+   shipping address typed on cart.html, which checkout sends.
+   Copy goes through MeridianI18n when the page has it.
+   Public API exposed on window.MeridianShipping, or module.exports
+   under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  var STORAGE_KEY     = 'meridian_shipping';
+  var ADDRESS_KEY     = 'meridian_address';   /* sessionStorage */
+  var DEFAULT_COUNTRY = 'US';
+  var DEFAULT_METHOD  = 'standard';
+
+  /* Typed on cart.html; the country and state are the selection's */
+  var ADDRESS_FIELDS   = ['name', 'line1', 'line2', 'city', 'postalCode'];
+  var ADDRESS_REQUIRED = ['name', 'line1', 'city', 'postalCode'];
+
+  var METHODS = {
+    standard: 'Standard',
+    express:  'Express'
+  };
+
+  /* Rates are per order, in USD; days are [fastest, slowest] business
+     days. `freeOver` applies to standard shipping only; zones without it
+     never ship free. The last zone is the fallback for any country not
+     listed elsewhere. */
+  var ZONES = [
+    {
+      id:        'us',
+      label:     'United States',
+      countries: ['US'],
+      rates:     { standard: 8, express: 20 },
+      days:      { standard: [3, 5], express: [1, 2] },
+      freeOver:  75
+    },
+    {
+      id:        'north-america',
+      label:     'Canada & Mexico',
+      countries: ['CA', 'MX'],
+      rates:     { standard: 15, express: 32 },
+      days:      { standard: [5, 8], express: [2, 4] }
+    },
+    {
+      id:        'europe',
+      label:     'Europe',
+      countries: ['AT', 'BE', 'CH', 'DE', 'DK', 'ES', 'FI', 'FR', 'GB', 'IE', 'IT', 'NL', 'NO', 'PL', 'PT', 'SE'],
+      rates:     { standard: 18, express: 38 },
+      days:      { standard: [6, 10], express: [3, 5] }
+    },
+    {
+      id:        'international',
+      label:     'Rest of world',
+      countries: [],
+      rates:     { standard: 25, express: 45 },
+      days:      { standard: [8, 14], express: [4, 6] }
+    }
+  ];
+
+  /* Destinations offered in the cart's country picker */
+  var COUNTRIES = [
+    ['US', 'United States'],
+    ['CA', 'Canada'],
+    ['MX', 'Mexico'],
+    ['GB', 'United Kingdom'],
+    ['IE', 'Ireland'],
+    ['DE', 'Germany'],
+    ['FR', 'France'],
+    ['NL', 'Netherlands'],
+    ['IT', 'Italy'],
+    ['ES', 'Spain'],
+    ['SE', 'Sweden'],
+    ['AU', 'Australia'],
+    ['NZ', 'New Zealand'],
+    ['JP', 'Japan'],
+    ['SG', 'Singapore'],
+    ['CN', 'China'],
+    ['HK', 'Hong Kong']
+  ];
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  /* In the display currency in the browser; always USD under Node */
+  function formatPrice(amount) {
+    if (root.MeridianCurrency) return root.MeridianCurrency.format(amount);
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  function formatWhole(amount) {
+    if (root.MeridianCurrency) return root.MeridianCurrency.format(amount, { compact: true });
+    return '$' + (amount % 1 === 0 ? String(amount) : Number(amount).toFixed(2));
+  }
+
+  function roundMoney(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /* MeridianI18n.t() in the browser; the English copy under Node */
+  function text(key, english, vars) {
+    if (root.MeridianI18n) return root.MeridianI18n.t(key, vars);
+    return english.replace(/\{(\w+)\}/g, function (match, name) {
+      return vars && vars[name] !== undefined ? String(vars[name]) : match;
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Rules
+  ────────────────────────────────────────────── */
+
+  /**
+   * zoneFor(country)
+   * @param {string} country — ISO 3166-1 alpha-2 code
+   * @returns {Object} The matching zone, or the rest-of-world zone
+   */
+  function zoneFor(country) {
+    var code = String(country || '').toUpperCase();
+    for (var i = 0; i < ZONES.length - 1; i++) {
+      if (ZONES[i].countries.indexOf(code) !== -1) return ZONES[i];
+    }
+    return ZONES[ZONES.length - 1];
+  }
+
+  /**
+   * isMethod(method)
+   * @param {string} method
+   * @returns {boolean}
+   */
+  function isMethod(method) {
+    return Object.prototype.hasOwnProperty.call(METHODS, method);
+  }
+
+  /**
+   * methodLabel(method)
+   * @param {string} method
+   * @returns {string} 'Standard' / 'Express' in the page language
+   */
+  function methodLabel(method) {
+    return isMethod(method) ? text('shipping.' + method, METHODS[method]) : String(method || '');
+  }
+
+  /**
+   * countryName(code)
+   * The destination's name in the page language, from Intl.DisplayNames
+   * where the browser has it; the English name from COUNTRIES otherwise.
+   * @param {string} code — ISO 3166-1 alpha-2
+   * @returns {string}
+   */
+  function countryName(code) {
+    code = String(code || '').toUpperCase();
+    var lang = root.MeridianI18n ? root.MeridianI18n.get() : 'en';
+
+    if (lang !== 'en' && typeof Intl === 'object' && Intl.DisplayNames) {
+      try {
+        var name = new Intl.DisplayNames([lang], { type: 'region' }).of(code);
+        if (name && name !== code) return name;
+      } catch (e) { /* unknown code or locale — fall through */ }
+    }
+    for (var i = 0; i < COUNTRIES.length; i++) {
+      if (COUNTRIES[i][0] === code) return COUNTRIES[i][1];
+    }
+    return code;
+  }
+
+  /**
+   * quote(subtotal, [selection])
+   * Prices shipping for an order. An empty order ships for nothing.
+   * label and days are in the page language (English under Node).
+   * @param {number} subtotal — merchandise total in USD
+   * @param {{ country?: string, method?: string }} [selection]
+   * @returns {{ country: string, zone: string, method: string, label: string,
+   *             days: string, cost: number, free: boolean }}
+   */
+  function quote(subtotal, selection) {
+    selection = selection || {};
+    var country = String(selection.country || DEFAULT_COUNTRY).toUpperCase();
+    var method  = isMethod(selection.method) ? selection.method : DEFAULT_METHOD;
+    var zone    = zoneFor(country);
+
+    var free = subtotal <= 0
+      || (method === 'standard' && zone.freeOver != null && subtotal >= zone.freeOver);
+
+    var days = zone.days[method];
+
+    return {
+      country: country,
+      zone:    zone.id,
+      method:  method,
+      label:   methodLabel(method),
+      days:    text('shipping.days', '{min}–{max} business days', { min: days[0], max: days[1] }),
+      cost:    free ? 0 : roundMoney(zone.rates[method]),
+      free:    free
+    };
+  }
+
+  /**
+   * progress(subtotal, [country])
+   * Distance to free shipping for the destination's zone.
+   * @param {number} subtotal
+   * @param {string} [country]
+   * @returns {{ threshold: number, remaining: number, percent: number }|null}
+   *   null when the zone has no free-shipping threshold
+   */
+  function progress(subtotal, country) {
+    var zone = zoneFor(country || DEFAULT_COUNTRY);
+    if (zone.freeOver == null) return null;
+
+    var remaining = roundMoney(Math.max(0, zone.freeOver - subtotal));
+    return {
+      threshold: zone.freeOver,
+      remaining: remaining,
+      percent:   Math.min(100, Math.round((subtotal / zone.freeOver) * 100))
+    };
+  }
+
+  /**
+   * freeShippingThreshold()
+   * The domestic free-shipping threshold shown in site banners.
+   * @returns {number}
+   */
+  function freeShippingThreshold() {
+    return zoneFor(DEFAULT_COUNTRY).freeOver;
+  }
+
+  /* ──────────────────────────────────────────────
+     Saved selection (browser only)
+  ────────────────────────────────────────────── */
+
+  /**
+   * getSelection()
+   * The destination and method chosen in the cart. `region` is a
+   * state / province code where the destination has one (see MeridianTax).
+   * @returns {{ country: string, region: string, method: string }}
+   */
+  function getSelection() {
+    var saved = null;
+    try {
+      saved = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+    } catch (e) { /* missing or corrupt — use defaults */ }
+
+    return {
+      country: saved && typeof saved.country === 'string' ? saved.country : DEFAULT_COUNTRY,
+      region:  saved && typeof saved.region === 'string' ? saved.region : '',
+      method:  saved && isMethod(saved.method) ? saved.method : DEFAULT_METHOD
+    };
+  }
+
+  /**
+   * setSelection(changes)
+   * Merges and persists the destination / method, then fires 'shipping:updated'.
+   * Changing the country clears the region.
+   * @param {{ country?: string, region?: string, method?: string }} changes
+   * @returns {{ country: string, region: string, method: string }}
+   */
+  function setSelection(changes) {
+    var selection = getSelection();
+    if (changes.country && String(changes.country).toUpperCase() !== selection.country) {
+      selection.country = String(changes.country).toUpperCase();
+      selection.region = '';
+    }
+    if (typeof changes.region === 'string') selection.region = changes.region.toUpperCase();
+    if (isMethod(changes.method)) selection.method = changes.method;
+
+    try {
+      root.localStorage.setItem(STORAGE_KEY, JSON.stringify(selection));
+    } catch (e) {
+      console.error('[MeridianShipping] Could not save selection:', e);
+    }
+    root.document.dispatchEvent(new CustomEvent('shipping:updated', { detail: selection }));
+    return selection;
+  }
+
+  /**
+   * getAddress()
+   * The address lines typed on cart.html. Kept in sessionStorage, so a
+   * shared computer forgets them when the browser closes.
+   * @returns {{ name: string, line1: string, line2: string, city: string, postalCode: string }}
+   */
+  function getAddress() {
+    var saved = null;
+    try {
+      saved = JSON.parse(root.sessionStorage.getItem(ADDRESS_KEY));
+    } catch (e) { /* missing or corrupt — start blank */ }
+
+    var address = {};
+    ADDRESS_FIELDS.forEach(function (field) {
+      address[field] = saved && typeof saved[field] === 'string' ? saved[field] : '';
+    });
+    return address;
+  }
+
+  /**
+   * setAddress(changes)
+   * Merges and persists address lines, then fires 'shipping:updated'.
+   * @param {Object} changes — any of the getAddress() fields
+   * @returns {Object} The saved address
+   */
+  function setAddress(changes) {
+    var address = getAddress();
+    ADDRESS_FIELDS.forEach(function (field) {
+      if (typeof changes[field] === 'string') address[field] = changes[field];
+    });
+
+    try {
+      root.sessionStorage.setItem(ADDRESS_KEY, JSON.stringify(address));
+    } catch (e) {
+      console.error('[MeridianShipping] Could not save address:', e);
+    }
+    root.document.dispatchEvent(new CustomEvent('shipping:updated', { detail: getSelection() }));
+    return address;
+  }
+
+  /**
+   * shippingAddress()
+   * The address to send with the order: the typed lines, trimmed, with
+   * the selection's country and state.
+   * @returns {{ name: string, line1: string, line2: string, city: string,
+   *             state: string, postalCode: string, country: string }|null}
+   *   null until every required line is filled in
+   */
+  function shippingAddress() {
+    var address = getAddress();
+    var selection = getSelection();
+    var out = {};
+
+    ADDRESS_FIELDS.forEach(function (field) { out[field] = address[field].trim(); });
+    for (var i = 0; i < ADDRESS_REQUIRED.length; i++) {
+      if (!out[ADDRESS_REQUIRED[i]]) return null;
+    }
+    out.state = selection.region;
+    out.country = selection.country;
+    return out;
+  }
+
+  /* ──────────────────────────────────────────────
+     Render helpers (HTML strings)
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderProgress(subtotal, [country])
+   * "$X away from free shipping" bar; '' for zones that never ship free.
+   * @param {number} subtotal
+   * @param {string} [country]
+   * @returns {string}
+   */
+  function renderProgress(subtotal, country) {
+    var p = progress(subtotal, country);
+    if (!p) return '';
+
+    /* The amount is bolded inside the translated sentence */
+    var message = p.remaining > 0
+      ? escapeHtml(text('shipping.away', 'You’re {amount} away from free shipping'))
+          .replace('{amount}', '<strong>' + escapeHtml(formatPrice(p.remaining)) + '</strong>')
+      : escapeHtml(text('shipping.unlocked', 'You’ve unlocked free shipping'));
+
+    return '<div class="ship-progress' + (p.remaining > 0 ? '' : ' ship-progress--done') + '">'
+         +   '<p class="ship-progress__text">' + message + '</p>'
+         +   '<div class="ship-progress__track" role="progressbar" aria-valuemin="0" aria-valuemax="100"'
+         +     ' aria-valuenow="' + p.percent + '" aria-label="' + escapeHtml(text('shipping.progress', 'Progress to free shipping')) + '">'
+         +     '<span class="ship-progress__bar" style="width:' + p.percent + '%"></span>'
+         +   '</div>'
+         + '</div>';
+  }
+
+  /**
+   * renderCostLabel(q)
+   * @param {Object} q — as returned by quote()
+   * @returns {string} 'Free' (in the page language) or the formatted cost
+   */
+  function renderCostLabel(q) {
+    return q.free ? escapeHtml(text('shipping.free', 'Free')) : formatPrice(q.cost);
+  }
+
+  /* ──────────────────────────────────────────────
+     Page wiring (browser only)
+  ────────────────────────────────────────────── */
+
+  /* Banners carry [data-free-shipping-threshold] so the amount is never
+     hard-coded twice. */
+  function renderThresholds() {
+    var els = root.document.querySelectorAll('[data-free-shipping-threshold]');
+    for (var i = 0; i < els.length; i++) {
+      els[i].textContent = formatWhole(freeShippingThreshold());
+    }
+  }
+
+  function injectShippingStyles() {
+    if (root.document.getElementById('meridian-shipping-styles')) return;
+
+    var style = root.document.createElement('style');
+    style.id = 'meridian-shipping-styles';
+    style.textContent = [
+      '.ship-progress { margin:0; }',
+      '.ship-progress__text { font-size:0.75rem; line-height:1.5; color:var(--color-text-muted,#7A6E68); margin:0 0 0.45rem; }',
+      '.ship-progress__text strong { font-weight:500; color:var(--color-text,#1A1715); }',
+      '.ship-progress__track { height:3px; background:var(--color-border,rgba(26,23,21,0.12)); overflow:hidden; }',
+      '.ship-progress__bar { display:block; height:100%; background:var(--color-copper,#BF9060); transition:width 0.4s ease; }',
+      '.ship-progress--done .ship-progress__text { color:var(--color-copper,#BF9060); }'
+    ].join('\n');
+    root.document.head.appendChild(style);
+  }
+
+  function init() {
+    injectShippingStyles();
+    renderThresholds();
+    root.document.addEventListener('currency:updated', renderThresholds);
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    ZONES:                 ZONES,
+    COUNTRIES:             COUNTRIES,
+    METHODS:               METHODS,
+    zoneFor:               zoneFor,
+    isMethod:              isMethod,
+    methodLabel:           methodLabel,
+    countryName:           countryName,
+    quote:                 quote,
+    progress:              progress,
+    freeShippingThreshold: freeShippingThreshold,
+    getSelection:          getSelection,
+    setSelection:          setSelection,
+    getAddress:            getAddress,
+    setAddress:            setAddress,
+    shippingAddress:       shippingAddress,
+    renderProgress:        renderProgress,
+    renderCostLabel:       renderCostLabel
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  if (root.document.readyState === 'loading') {
+    root.document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  root.MeridianShipping = api;
+
+}(this));
@@ -0,0 +1,245 @@
+/* ============================================================
+   MERIDIAN — tax.js
+   Sales tax / VAT estimation by destination. US states add
+   sales tax on top of the merchandise; VAT / GST countries show
+   the tax already included in the price. Used by the cart
+   sidebar, the cart.html order summary and server/server.js.
+   calculate() labels stay English (they are stored on orders);
+   describe() puts them in the page language.
+   Public API exposed on window.MeridianTax, or module.exports
+   under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  /* US state base sales-tax rates (no county / city surcharges).
+     [code, name, rate] */
+  var US_STATES = [
+    ['AL', 'Alabama', 0.04],        ['AK', 'Alaska', 0],
+    ['AZ', 'Arizona', 0.056],       ['AR', 'Arkansas', 0.065],
+    ['CA', 'California', 0.0725],   ['CO', 'Colorado', 0.029],
+    ['CT', 'Connecticut', 0.0635],  ['DE', 'Delaware', 0],
+    ['DC', 'District of Columbia', 0.06],
+    ['FL', 'Florida', 0.06],        ['GA', 'Georgia', 0.04],
+    ['HI', 'Hawaii', 0.04],         ['ID', 'Idaho', 0.06],
+    ['IL', 'Illinois', 0.0625],     ['IN', 'Indiana', 0.07],
+    ['IA', 'Iowa', 0.06],           ['KS', 'Kansas', 0.065],
+    ['KY', 'Kentucky', 0.06],       ['LA', 'Louisiana', 0.0445],
+    ['ME', 'Maine', 0.055],         ['MD', 'Maryland', 0.06],
+    ['MA', 'Massachusetts', 0.0625], ['MI', 'Michigan', 0.06],
+    ['MN', 'Minnesota', 0.06875],   ['MS', 'Mississippi', 0.07],
+    ['MO', 'Missouri', 0.04225],    ['MT', 'Montana', 0],
+    ['NE', 'Nebraska', 0.055],      ['NV', 'Nevada', 0.0685],
+    ['NH', 'New Hampshire', 0],     ['NJ', 'New Jersey', 0.06625],
+    ['NM', 'New Mexico', 0.04875],  ['NY', 'New York', 0.04],
+    ['NC', 'North Carolina', 0.0475], ['ND', 'North Dakota', 0.05],
+    ['OH', 'Ohio', 0.0575],         ['OK', 'Oklahoma', 0.045],
+    ['OR', 'Oregon', 0],            ['PA', 'Pennsylvania', 0.06],
+    ['RI', 'Rhode Island', 0.07],   ['SC', 'South Carolina', 0.06],
+    ['SD', 'South Dakota', 0.042],  ['TN', 'Tennessee', 0.07],
+    ['TX', 'Texas', 0.0625],        ['UT', 'Utah', 0.061],
+    ['VT', 'Vermont', 0.06],        ['VA', 'Virginia', 0.053],
+    ['WA', 'Washington', 0.065],    ['WV', 'West Virginia', 0.06],
+    ['WI', 'Wisconsin', 0.05],      ['WY', 'Wyoming', 0.04]
+  ];
+
+  /* Country-level rates.
+     inclusive: catalog prices already contain the tax; it is shown, not added.
+     shipping:  whether shipping is part of the taxable amount. */
+  var COUNTRY_RATES = {
+    AT: { label: 'VAT', rate: 0.20,  inclusive: true,  shipping: true },
+    BE: { label: 'VAT', rate: 0.21,  inclusive: true,  shipping: true },
+    DE: { label: 'VAT', rate: 0.19,  inclusive: true,  shipping: true },
+    DK: { label: 'VAT', rate: 0.25,  inclusive: true,  shipping: true },
+    ES: { label: 'VAT', rate: 0.21,  inclusive: true,  shipping: true },
+    FI: { label: 'VAT', rate: 0.255, inclusive: true,  shipping: true },
+    FR: { label: 'VAT', rate: 0.20,  inclusive: true,  shipping: true },
+    IE: { label: 'VAT', rate: 0.23,  inclusive: true,  shipping: true },
+    IT: { label: 'VAT', rate: 0.22,  inclusive: true,  shipping: true },
+    NL: { label: 'VAT', rate: 0.21,  inclusive: true,  shipping: true },
+    PL: { label: 'VAT', rate: 0.23,  inclusive: true,  shipping: true },
+    PT: { label: 'VAT', rate: 0.23,  inclusive: true,  shipping: true },
+    SE: { label: 'VAT', rate: 0.25,  inclusive: true,  shipping: true },
+    GB: { label: 'VAT', rate: 0.20,  inclusive: true,  shipping: true },
+    NO: { label: 'VAT', rate: 0.25,  inclusive: true,  shipping: true },
+    CH: { label: 'VAT', rate: 0.081, inclusive: true,  shipping: true },
+    AU: { label: 'GST', rate: 0.10,  inclusive: true,  shipping: true },
+    NZ: { label: 'GST', rate: 0.15,  inclusive: true,  shipping: true },
+    SG: { label: 'GST', rate: 0.09,  inclusive: true,  shipping: true },
+    JP: { label: 'Consumption tax', rate: 0.10, inclusive: true, shipping: true },
+    CA: { label: 'GST', rate: 0.05,  inclusive: false, shipping: true }
+  };
+
+  /* i18n keys for the labels calculate() returns */
+  var LABEL_KEYS = {
+    'Sales tax':       'tax.salesTax',
+    'VAT':             'tax.vat',
+    'GST':             'tax.gst',
+    'Consumption tax': 'tax.consumption',
+    'Tax':             'tax.tax'
+  };
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  function roundMoney(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /* In the display currency in the browser; always USD under Node */
+  function formatPrice(amount) {
+    if (root.MeridianCurrency) return root.MeridianCurrency.format(amount);
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  /* MeridianI18n.t() in the browser; the English copy under Node */
+  function text(key, english, vars) {
+    if (root.MeridianI18n) return root.MeridianI18n.t(key, vars);
+    return english.replace(/\{(\w+)\}/g, function (match, name) {
+      return vars && vars[name] !== undefined ? String(vars[name]) : match;
+    });
+  }
+
+  function labelText(label) {
+    return LABEL_KEYS[label] ? text(LABEL_KEYS[label], label) : label;
+  }
+
+  function formatRate(rate) {
+    return String(roundMoney(rate * 100)) + '%';
+  }
+
+  function findState(code) {
+    code = String(code || '').toUpperCase();
+    for (var i = 0; i < US_STATES.length; i++) {
+      if (US_STATES[i][0] === code) return US_STATES[i];
+    }
+    return null;
+  }
+
+  /* ──────────────────────────────────────────────
+     Rules
+  ────────────────────────────────────────────── */
+
+  /**
+   * regionsFor(country)
+   * Regions the customer must choose from before tax can be estimated.
+   * @param {string} country
+   * @returns {Array} [[code, name], ...]; empty when the country has none
+   */
+  function regionsFor(country) {
+    if (String(country || '').toUpperCase() !== 'US') return [];
+    return US_STATES.map(function (s) { return [s[0], s[1]]; });
+  }
+
+  /**
+   * isRegion(country, region)
+   * @param {string} country
+   * @param {string} region
+   * @returns {boolean}
+   */
+  function isRegion(country, region) {
+    return String(country || '').toUpperCase() === 'US' && !!findState(region);
+  }
+
+  /**
+   * calculate(amounts, destination)
+   * Estimates tax for an order.
+   * mode is one of:
+   *   'exclusive' — amount is added to the total (US sales tax, Canadian GST)
+   *   'inclusive' — amount is already inside the prices (VAT, GST)
+   *   'pending'   — a region must be chosen first (US without a state)
+   *   'none'      — no tax is collected at checkout
+   * @param {{ subtotal: number, shipping: number }} amounts
+   * @param {{ country: string, region?: string }} destination
+   * @returns {{ mode: string, label: string, rate: number, amount: number }}
+   */
+  function calculate(amounts, destination) {
+    var country = String(destination.country || '').toUpperCase();
+    var entry;
+
+    if (country === 'US') {
+      var state = findState(destination.region);
+      if (!state) return { mode: 'pending', label: 'Sales tax', rate: 0, amount: 0 };
+      entry = { label: 'Sales tax', rate: state[2], inclusive: false, shipping: false };
+    } else {
+      entry = COUNTRY_RATES[country];
+    }
+
+    if (!entry || entry.rate === 0) {
+      return { mode: 'none', label: entry ? entry.label : 'Tax', rate: 0, amount: 0 };
+    }
+
+    var base = (Number(amounts.subtotal) || 0) + (entry.shipping ? Number(amounts.shipping) || 0 : 0);
+    var amount = entry.inclusive
+      ? base - base / (1 + entry.rate)
+      : base * entry.rate;
+
+    return {
+      mode:   entry.inclusive ? 'inclusive' : 'exclusive',
+      label:  entry.label,
+      rate:   entry.rate,
+      amount: roundMoney(amount)
+    };
+  }
+
+  /**
+   * grandTotal(subtotal, shipping, tax)
+   * @param {number} subtotal
+   * @param {number} shipping
+   * @param {Object} tax — as returned by calculate()
+   * @returns {number}
+   */
+  function grandTotal(subtotal, shipping, tax) {
+    return roundMoney(subtotal + shipping + (tax.mode === 'exclusive' ? tax.amount : 0));
+  }
+
+  /* ──────────────────────────────────────────────
+     Render helpers (strings)
+  ────────────────────────────────────────────── */
+
+  /**
+   * describe(tax, [format])
+   * Label and value for the summary line, as plain text in the page
+   * language.
+   * @param {Object} tax — as returned by calculate()
+   * @param {Function} [format] — money formatter; defaults to the display currency
+   * @returns {{ label: string, value: string }}
+   */
+  function describe(tax, format) {
+    format = format || formatPrice;
+    var vars = { label: labelText(tax.label), rate: formatRate(tax.rate) };
+
+    switch (tax.mode) {
+      case 'exclusive':
+        return { label: text('tax.exclusive', '{label} ({rate})', vars), value: format(tax.amount) };
+      case 'inclusive':
+        return { label: text('tax.inclusive', 'Includes {label} ({rate})', vars), value: format(tax.amount) };
+      case 'pending':
+        return { label: vars.label, value: text('tax.selectState', 'Select a state') };
+      default:
+        return { label: text('tax.duties', 'Taxes & duties'), value: text('tax.onDelivery', 'May apply on delivery') };
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    regionsFor: regionsFor,
+    isRegion:   isRegion,
+    calculate:  calculate,
+    grandTotal: grandTotal,
+    describe:   describe
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianTax = api;
+
+}(this));
@@ -0,0 +1,133 @@
+/* ============================================================
+   MERIDIAN — variants.js
+   Product variants: the forms one tool is sold in (the Bianshi
+   ring as a ring or a pendant, the body roller's sizes). A
+   product's `variants` in data/products.json names one option
+   and its values; the first value is the default.
+
+     "variants": {
+       "option": "Style", "option_cn": "款式",
+       "values": [
+         { "id": "ring",    "label": "Ring",    "label_cn": "戒指", "price_delta": 0 },
+         { "id": "pendant", "label": "Pendant", "label_cn": "吊坠", "price_delta": 0,
+           "images": ["images/products/bianshi-ring/image_1.jpg"] }
+       ]
+     }
+
+   A value's price is the product price plus `price_delta`; its
+   `images`, if any, replace the product's. Used by cart.js, the
+   product page picker, scripts/build-products.js and
+   server/server.js, so every one prices a variant the same way.
+   Public API exposed on window.MeridianVariants, or
+   module.exports under Node.
+   ============================================================ */
+
+(function (root) {
+  'use strict';
+
+  function roundMoney(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /**
+   * hasVariants(product)
+   * @param {Object} product — catalog record
+   * @returns {boolean}
+   */
+  function hasVariants(product) {
+    return !!(product && product.variants && Array.isArray(product.variants.values)
+              && product.variants.values.length > 0);
+  }
+
+  /**
+   * findVariant(product, variantId)
+   * @param {Object} product
+   * @param {string} variantId
+   * @returns {Object|null} The variant value, or null if the product has no such variant
+   */
+  function findVariant(product, variantId) {
+    if (!hasVariants(product)) return null;
+    var values = product.variants.values;
+    for (var i = 0; i < values.length; i++) {
+      if (values[i].id === variantId) return values[i];
+    }
+    return null;
+  }
+
+  /**
+   * defaultVariant(product)
+   * @param {Object} product
+   * @returns {Object|null} The first variant value, or null for products without variants
+   */
+  function defaultVariant(product) {
+    return hasVariants(product) ? product.variants.values[0] : null;
+  }
+
+  /**
+   * resolve(product, [variantId])
+   * What a customer buys when they pick `variantId` of `product`.
+   * Products with variants fall back to the default when no id is given;
+   * products without them take no id.
+   * @param {Object} product
+   * @param {string} [variantId]
+   * @returns {{ variant: Object|null, price: number, images: Array<string> } | null}
+   *   null when the id does not name one of the product's variants
+   */
+  function resolve(product, variantId) {
+    if (!product) return null;
+
+    var variant = null;
+    if (hasVariants(product)) {
+      variant = variantId == null || variantId === '' ? defaultVariant(product) : findVariant(product, variantId);
+      if (!variant) return null;
+    } else if (variantId != null && variantId !== '') {
+      return null;
+    }
+
+    return {
+      variant: variant,
+      price:   roundMoney(product.price + ((variant && Number(variant.price_delta)) || 0)),
+      images:  variant && Array.isArray(variant.images) && variant.images.length
+                 ? variant.images
+                 : (product.images || [])
+    };
+  }
+
+  /**
+   * describe(product, variantId, [lang])
+   * The selected option as shown on cart and order lines, e.g. "Style: Pendant".
+   * @param {Object} product
+   * @param {string} variantId
+   * @param {string} [lang] — 'zh-CN' for the *_cn labels, where present
+   * @returns {string} '' for products without variants or unknown ids
+   */
+  function describe(product, variantId, lang) {
+    var variant = findVariant(product, variantId);
+    if (!variant) return '';
+
+    var zh = lang === 'zh-CN';
+    var option = (zh && product.variants.option_cn) || product.variants.option;
+    var label = (zh && variant.label_cn) || variant.label;
+    return option + (zh ? '：' : ': ') + label;
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  var api = {
+    hasVariants:    hasVariants,
+    findVariant:    findVariant,
+    defaultVariant: defaultVariant,
+    resolve:        resolve,
+    describe:       describe
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  root.MeridianVariants = api;
+
+}(this));
@@ -0,0 +1,399 @@
+/* ============================================================
+   MERIDIAN — wishlist.js
+   Saved-for-later product ids in localStorage, the nav heart
+   badge, the toggle buttons on product pages ([data-wishlist-id])
+   and the wishlist.html page (#wishlistGrid).
+   Public API exposed on window.MeridianWishlist.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'meridian_wishlist';
+  var Catalog     = window.MeridianCatalog;
+  var I18n        = window.MeridianI18n;
+
+  /* ──────────────────────────────────────────────
+     Core data helpers
+  ────────────────────────────────────────────── */
+
+  /**
+   * list()
+   * Saved product ids, oldest first.
+   * @returns {Array<string>}
+   */
+  function list() {
+    try {
+      var ids = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(ids) ? ids.filter(function (id) { return typeof id === 'string'; }) : [];
+    } catch (e) {
+      console.error('[MeridianWishlist] Could not parse wishlist:', e);
+      return [];
+    }
+  }
+
+  /**
+   * save(ids)
+   * Writes the list, refreshes badges and buttons, and fires 'wishlist:updated'.
+   * @param {Array<string>} ids
+   */
+  function save(ids) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    } catch (e) {
+      console.error('[MeridianWishlist] Could not save wishlist:', e);
+    }
+    refresh();
+    document.dispatchEvent(new CustomEvent('wishlist:updated', { detail: { ids: ids } }));
+  }
+
+  /**
+   * has(id)
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function has(id) {
+    return list().indexOf(String(id)) !== -1;
+  }
+
+  /**
+   * count()
+   * @returns {number}
+   */
+  function count() {
+    return list().length;
+  }
+
+  /**
+   * add(id)
+   * @param {string} id
+   * @returns {boolean} True if it was added, false if already saved
+   */
+  function add(id) {
+    id = String(id);
+    var ids = list();
+    if (ids.indexOf(id) !== -1) return false;
+    ids.push(id);
+    save(ids);
+    return true;
+  }
+
+  /**
+   * remove(id)
+   * @param {string} id
+   * @returns {boolean} True if it was removed, false if it was not saved
+   */
+  function remove(id) {
+    id = String(id);
+    var ids = list();
+    var index = ids.indexOf(id);
+    if (index === -1) return false;
+    ids.splice(index, 1);
+    save(ids);
+    return true;
+  }
+
+  /**
+   * toggle(id)
+   * @param {string} id
+   * @returns {boolean} True if the product is now saved
+   */
+  function toggle(id) {
+    if (has(id)) {
+      remove(id);
+      return false;
+    }
+    add(id);
+    return true;
+  }
+
+  /**
+   * clear()
+   * Empties the wishlist.
+   */
+  function clear() {
+    save([]);
+  }
+
+  /* ──────────────────────────────────────────────
+     Move to cart
+  ────────────────────────────────────────────── */
+
+  /**
+   * moveToCart(id)
+   * Adds one of the product to the cart, then removes it from the wishlist.
+   * @param {string} id
+   * @returns {Promise} Rejects (and keeps the item) if the cart refuses it
+   */
+  function moveToCart(id) {
+    if (!window.MeridianCart) return Promise.reject(new Error('MeridianCart is not loaded'));
+
+    return window.MeridianCart.addItem(id, 1).then(function () {
+      remove(id);
+    });
+  }
+
+  /**
+   * moveAllToCart()
+   * Moves every saved product; ones the cart refuses (e.g. retired
+   * products) stay on the list.
+   * @returns {Promise<{ moved: Array<string>, failed: Array<string> }>}
+   */
+  function moveAllToCart() {
+    var moved = [];
+    var failed = [];
+
+    /* Sequential, so each addItem sees the previous write */
+    return list().reduce(function (chain, id) {
+      return chain.then(function () {
+        return moveToCart(id).then(function () {
+          moved.push(id);
+        }, function () {
+          failed.push(id);
+        });
+      });
+    }, Promise.resolve()).then(function () {
+      return { moved: moved, failed: failed };
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Helpers
+  ────────────────────────────────────────────── */
+
+  /* In the display currency when currency.js is on the page */
+  function formatPrice(amount) {
+    if (window.MeridianCurrency) return window.MeridianCurrency.format(amount);
+    return '$' + Number(amount).toFixed(2);
+  }
+
+  function t(key, vars) {
+    return I18n.t(key, vars);
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: nav badge & toggle buttons
+  ────────────────────────────────────────────── */
+
+  /**
+   * renderBadges()
+   * Updates every [data-wishlist-count] element; hidden when empty.
+   */
+  function renderBadges() {
+    var n = count();
+    var els = document.querySelectorAll('[data-wishlist-count]');
+    for (var i = 0; i < els.length; i++) {
+      els[i].textContent = n > 99 ? '99+' : String(n);
+      els[i].hidden = n === 0;
+    }
+  }
+
+  /**
+   * renderButtons()
+   * Reflects saved state on every [data-wishlist-id] button.
+   */
+  function renderButtons() {
+    var btns = document.querySelectorAll('[data-wishlist-id]');
+    for (var i = 0; i < btns.length; i++) {
+      var saved = has(btns[i].dataset.wishlistId);
+      btns[i].classList.toggle('is-saved', saved);
+      btns[i].setAttribute('aria-pressed', saved ? 'true' : 'false');
+      btns[i].textContent = I18n.t(saved ? 'wishlist.saved' : 'wishlist.add');
+    }
+  }
+
+  function refresh() {
+    renderBadges();
+    renderButtons();
+  }
+
+  /* Delegated, so buttons rendered later need no re-binding */
+  function bindButtons() {
+    document.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-wishlist-id]');
+      if (!btn) return;
+      e.preventDefault();
+      toggle(btn.dataset.wishlistId);
+    });
+  }
+
+  /* ──────────────────────────────────────────────
+     Render: wishlist page
+  ────────────────────────────────────────────── */
+
+  function renderItem(product) {
+    var image = Catalog.imageUrl(product, 0);
+    var href  = Catalog.productUrl(product);
+    var name  = I18n.productText(product, 'name');
+
+    return '<li class="wishlist-item" data-id="' + escapeHtml(product.id) + '">'
+         +   '<a class="wishlist-item__image" href="' + escapeHtml(href) + '">'
+         +     (image ? '<img src="' + escapeHtml(image) + '" alt="' + escapeHtml(name) + '" loading="lazy" />' : '')
+         +   '</a>'
+         +   '<div class="wishlist-item__body">'
+         +     '<span class="wishlist-item__material">' + escapeHtml(I18n.productText(product, 'material')) + '</span>'
+         +     '<a class="wishlist-item__name" href="' + escapeHtml(href) + '">' + escapeHtml(name) + '</a>'
+         +     '<span class="wishlist-item__price">' + formatPrice(product.price) + '</span>'
+         +   '</div>'
+         +   '<div class="wishlist-item__actions">'
+         +     '<button type="button" class="wishlist-item__move" data-wishlist-move="' + escapeHtml(product.id) + '">' + escapeHtml(t('wishlist.move')) + '</button>'
+         +     '<button type="button" class="wishlist-item__remove" data-wishlist-remove="' + escapeHtml(product.id) + '">' + escapeHtml(t('cart.remove')) + '</button>'
+         +   '</div>'
+         + '</li>';
+  }
+
+  /**
+   * renderPage(grid)
+   * Lists saved products that still exist in the catalog; ids of retired
+   * products are dropped from storage.
+   * @param {Element} grid
+   */
+  function renderPage(grid) {
+    var ids = list();
+    var products = [];
+    var stale = [];
+
+    ids.forEach(function (id) {
+      var product = Catalog.getProduct(id);
+      if (product) {
+        products.push(product);
+      } else {
+        stale.push(id);
+      }
+    });
+
+    if (stale.length) {
+      save(ids.filter(function (id) { return stale.indexOf(id) === -1; }));
+      return; /* save() fired 'wishlist:updated', which re-renders */
+    }
+
+    var summary = document.getElementById('wishlistCount');
+    var moveAll = document.getElementById('wishlistMoveAll');
+
+    if (summary) {
+      summary.textContent = products.length === 0 ? t('wishlist.countEmpty')
+        : t(products.length === 1 ? 'wishlist.countOne' : 'wishlist.countOther', { n: products.length });
+    }
+    if (moveAll) moveAll.hidden = products.length === 0;
+
+    if (products.length === 0) {
+      grid.innerHTML = '<p class="wishlist-empty">' + escapeHtml(t('wishlist.empty')) + ' '
+                     + '<a href="products.html">' + escapeHtml(t('orders.explore')) + '</a></p>';
+      return;
+    }
+
+    grid.innerHTML = '<ul class="wishlist-list">' + products.map(renderItem).join('') + '</ul>';
+  }
+
+  function setStatus(text) {
+    var status = document.getElementById('wishlistStatus');
+    if (status) status.textContent = text;
+  }
+
+  function initPage(grid) {
+    if (!Catalog) return;
+
+    grid.setAttribute('aria-busy', 'true');
+    Catalog.load().then(function () {
+      grid.removeAttribute('aria-busy');
+      document.addEventListener('wishlist:updated', function () {
+        renderPage(grid);
+      });
+      document.addEventListener('currency:updated', function () {
+        renderPage(grid);
+      });
+      document.addEventListener('language:updated', function () {
+        renderPage(grid);
+      });
+      /* Another tab changed the list */
+      window.addEventListener('storage', function (e) {
+        if (e.key === STORAGE_KEY) renderPage(grid);
+      });
+      renderPage(grid);
+    }, function () {
+      grid.removeAttribute('aria-busy');
+      grid.innerHTML = '<p class="wishlist-empty">' + escapeHtml(t('wishlist.loadError')) + '</p>';
+    });
+
+    grid.addEventListener('click', function (e) {
+      var move = e.target.closest('[data-wishlist-move]');
+      var drop = e.target.closest('[data-wishlist-remove]');
+
+      if (move) {
+        move.disabled = true;
+        moveToCart(move.dataset.wishlistMove).then(function () {
+          setStatus(t('wishlist.moved'));
+        }, function () {
+          move.disabled = false;
+          setStatus(t('wishlist.moveFailed'));
+        });
+      } else if (drop) {
+        remove(drop.dataset.wishlistRemove);
+      }
+    });
+
+    var moveAll = document.getElementById('wishlistMoveAll');
+    if (moveAll) {
+      moveAll.addEventListener('click', function () {
+        moveAll.disabled = true;
+        moveAllToCart().then(function (result) {
+          moveAll.disabled = false;
+          setStatus(result.failed.length
+            ? t('wishlist.movedSome', { moved: result.moved.length, failed: result.failed.length })
+            : t('wishlist.movedAll'));
+        });
+      });
+    }
+  }
+
+  /* ──────────────────────────────────────────────
+     Initialization
+  ────────────────────────────────────────────── */
+
+  function init() {
+    refresh();
+    bindButtons();
+
+    /* Another tab changed the list */
+    window.addEventListener('storage', function (e) {
+      if (e.key === STORAGE_KEY) refresh();
+    });
+
+    document.addEventListener('language:updated', renderButtons);
+
+    var grid = document.getElementById('wishlistGrid');
+    if (grid) initPage(grid);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  /* ──────────────────────────────────────────────
+     Public API
+  ────────────────────────────────────────────── */
+
+  window.MeridianWishlist = {
+    list:          list,
+    has:           has,
+    count:         count,
+    add:           add,
+    remove:        remove,
+    toggle:        toggle,
+    clear:         clear,
+    moveToCart:    moveToCart,
+    moveAllToCart: moveAllToCart
+  };
+
+}());
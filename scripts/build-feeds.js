@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/* ============================================================
+   MERIDIAN — build-feeds.js
+   Writes the files feed readers and search engines look for,
+   at the site root:
+
+     feed.xml     Atom feed of the journal, full article content
+     sitemap.xml  index, collection, product and journal pages
+     robots.txt   crawl rules and the sitemap's location
+
+   Dates come from the content, not from file times: an article's
+   `updated` (or `date`) front matter, a product's `updated` field
+   in data/products.json. Listing pages take the newest date of
+   what they list.
+
+   URLs in these files must be absolute; the site's public origin
+   is read from SITE_URL, and the build fails without it rather
+   than publish a placeholder. The output is per deployment, so
+   it is not committed (see .gitignore).
+
+   Usage:  SITE_URL=https://shop.example.com/ node scripts/build-feeds.js
+   ============================================================ */
+
+'use strict';
+
+var fs       = require('fs');
+var path     = require('path');
+var markdown = require('./markdown.js');
+var journal  = require('./build-journal.js');
+
+var ROOT         = path.resolve(__dirname, '..');
+var CATALOG_FILE = path.join(ROOT, 'data', 'products.json');
+var SITE_URL     = (process.env.SITE_URL || '').replace(/\/*$/, '/');
+
+var FEED_TITLE    = 'The Meridian Journal';
+var FEED_SUBTITLE = 'TCM insights, gua sha technique, the science of copper, and the rituals worth keeping.';
+var FEED_AUTHOR   = 'Meridian';
+var FEED_LIMIT    = 20;
+
+/* Pages with nothing worth indexing: per-visitor state or order details */
+var DISALLOW = ['/cart.html', '/wishlist.html', '/orders.html', '/order-confirmation.html', '/api/'];
+
+/* ──────────────────────────────────────────────
+   Helpers
+────────────────────────────────────────────── */
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * absoluteUrl(p)
+ * @param {string} p — site-root-relative path, as used in the data files
+ * @returns {string}
+ */
+function absoluteUrl(p) {
+  return new URL(p, SITE_URL).href;
+}
+
+/* "2026-02-10" → "2026-02-10T00:00:00Z" (Atom wants a full timestamp) */
+function timestamp(date) {
+  return date + 'T00:00:00Z';
+}
+
+/**
+ * newest(dates)
+ * @param {Array<string>} dates — YYYY-MM-DD
+ * @returns {string} The latest of them
+ */
+function newest(dates) {
+  return dates.reduce(function (max, d) {
+    return d > max ? d : max;
+  });
+}
+
+/* ──────────────────────────────────────────────
+   feed.xml
+────────────────────────────────────────────── */
+
+/**
+ * renderEntryContent(article)
+ * The article body as HTML with every link and image made absolute,
+ * so it reads correctly inside a feed reader.
+ * @param {Object} article — from build-journal's loadArticles()
+ * @returns {string}
+ */
+function renderEntryContent(article) {
+  var pageUrl = absoluteUrl('journal/' + article.slug + '.html');
+
+  var body = markdown.render(article.body, {
+    url: function (p) {
+      return p.charAt(0) === '#' ? pageUrl + p : absoluteUrl(p);
+    }
+  });
+
+  return '<figure><img src="' + markdown.escapeHtml(absoluteUrl(article.hero)) + '"'
+       + ' alt="' + markdown.escapeHtml(article.hero_alt) + '" /></figure>\n'
+       + body;
+}
+
+/**
+ * renderFeed(articles)
+ * @param {Array<Object>} articles — newest first
+ * @returns {string} Atom 1.0 document
+ */
+function renderFeed(articles) {
+  var feedUrl = absoluteUrl('feed.xml');
+  var entries = articles.slice(0, FEED_LIMIT).map(function (a) {
+    var url = absoluteUrl('journal/' + a.slug + '.html');
+    return '  <entry>\n'
+         + '    <id>' + escapeXml(url) + '</id>\n'
+         + '    <title>' + escapeXml(a.title) + '</title>\n'
+         + '    <link rel="alternate" type="text/html" href="' + escapeXml(url) + '" />\n'
+         + '    <published>' + timestamp(a.date) + '</published>\n'
+         + '    <updated>' + timestamp(a.updated) + '</updated>\n'
+         + '    <category term="' + escapeXml(a.topic) + '" label="' + escapeXml(a.tag) + '" />\n'
+         + '    <summary>' + escapeXml(a.excerpt) + '</summary>\n'
+         + '    <content type="html">' + escapeXml(renderEntryContent(a)) + '</content>\n'
+         + '  </entry>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n'
+       + '<feed xmlns="http://www.w3.org/2005/Atom">\n'
+       + '  <id>' + escapeXml(feedUrl) + '</id>\n'
+       + '  <title>' + escapeXml(FEED_TITLE) + '</title>\n'
+       + '  <subtitle>' + escapeXml(FEED_SUBTITLE) + '</subtitle>\n'
+       + '  <link rel="self" type="application/atom+xml" href="' + escapeXml(feedUrl) + '" />\n'
+       + '  <link rel="alternate" type="text/html" href="' + escapeXml(absoluteUrl('journal.html')) + '" />\n'
+       + '  <updated>' + timestamp(newest(articles.map(function (a) { return a.updated; }))) + '</updated>\n'
+       + '  <author><name>' + escapeXml(FEED_AUTHOR) + '</name></author>\n'
+       + entries
+       + '</feed>\n';
+}
+
+/* ──────────────────────────────────────────────
+   sitemap.xml / robots.txt
+────────────────────────────────────────────── */
+
+/**
+ * sitemapEntries(products, articles)
+ * @param {Array<Object>} products — data/products.json
+ * @param {Array<Object>} articles — newest first
+ * @returns {Array<{ path: string, lastmod: string }>}
+ */
+function sitemapEntries(products, articles) {
+  var productDates = products.map(function (p) { return p.updated; });
+  var articleDates = articles.map(function (a) { return a.updated; });
+
+  return [
+    { path: '',              lastmod: newest(productDates.concat(articleDates)) },
+    { path: 'products.html', lastmod: newest(productDates) }
+  ].concat(products.map(function (p) {
+    return { path: 'product/' + p.slug + '.html', lastmod: p.updated };
+  })).concat([
+    { path: 'journal.html',  lastmod: newest(articleDates) }
+  ]).concat(articles.map(function (a) {
+    return { path: 'journal/' + a.slug + '.html', lastmod: a.updated };
+  }));
+}
+
+/**
+ * renderSitemap(entries)
+ * @param {Array<{ path: string, lastmod: string }>} entries
+ * @returns {string} sitemaps.org 0.9 document
+ */
+function renderSitemap(entries) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+       + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+       + entries.map(function (e) {
+           return '  <url>\n'
+                + '    <loc>' + escapeXml(absoluteUrl(e.path)) + '</loc>\n'
+                + '    <lastmod>' + e.lastmod + '</lastmod>\n'
+                + '  </url>\n';
+         }).join('')
+       + '</urlset>\n';
+}
+
+function renderRobots() {
+  return 'User-agent: *\n'
+       + DISALLOW.map(function (p) { return 'Disallow: ' + p + '\n'; }).join('')
+       + '\n'
+       + 'Sitemap: ' + absoluteUrl('sitemap.xml') + '\n';
+}
+
+/* ──────────────────────────────────────────────
+   Main
+────────────────────────────────────────────── */
+
+function build() {
+  if (!/^https?:\/\/[^/]+/.test(SITE_URL)) {
+    throw new Error('Set SITE_URL to the site\'s public origin, e.g. SITE_URL=https://shop.example.com/');
+  }
+
+  var products = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  var articles = journal.loadArticles();
+
+  products.forEach(function (p) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(p.updated))) {
+      throw new Error(p.id + ': no "updated" date (run scripts/validate-catalog.js)');
+    }
+  });
+  if (articles.length === 0) throw new Error('No journal articles in data/journal/');
+
+  var files = {
+    'feed.xml':    renderFeed(articles),
+    'sitemap.xml': renderSitemap(sitemapEntries(products, articles)),
+    'robots.txt':  renderRobots()
+  };
+
+  Object.keys(files).forEach(function (name) {
+    fs.writeFileSync(path.join(ROOT, name), files[name]);
+    console.log('wrote ' + name);
+  });
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (e) {
+    console.error('[build-feeds] ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  renderFeed:     renderFeed,
+  sitemapEntries: sitemapEntries,
+  renderSitemap:  renderSitemap,
+  renderRobots:   renderRobots
+};
@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/* ============================================================
+   MERIDIAN — build-journal.js
+   Renders journal/<slug>.html for every Markdown article in
+   data/journal/ from templates/article.html, and writes
+   data/journal.json, the index js/journal.js lists and filters
+   on journal.html.
+
+   Articles start with front matter:
+     title:     Why direction matters more than pressure
+     tag:       Technique            (one of TOPICS)
+     date:      2026-02-10
+     updated:   2026-03-01           (optional; last revision)
+     read_time: 6                    (minutes)
+     hero:      images/products/frog-face-lift/image_1.jpg
+     hero_alt:  Gua sha technique on face      (optional)
+     excerpt:   One or two sentences for the card (optional;
+                defaults to the first paragraph)
+     products:  [frog-face-lift, face-neck-sculpting]
+   Links and images in the body are written site-root-relative
+   (product/frog-face-lift.html), as in data/products.json.
+   The listed products are shown under the article as "Tools used
+   in this article", with Add to Cart buttons js/cart.js binds.
+
+   Usage:  node scripts/build-journal.js
+   ============================================================ */
+
+'use strict';
+
+var fs       = require('fs');
+var path     = require('path');
+var markdown = require('./markdown.js');
+
+var ROOT          = path.resolve(__dirname, '..');
+var ARTICLES_DIR  = path.join(ROOT, 'data', 'journal');
+var CATALOG_FILE  = path.join(ROOT, 'data', 'products.json');
+var INDEX_FILE    = path.join(ROOT, 'data', 'journal.json');
+var TEMPLATE_FILE = path.join(ROOT, 'templates', 'article.html');
+var OUT_DIR       = path.join(ROOT, 'journal');
+
+var GENERATED_NOTICE = 'Generated by scripts/build-journal.js from templates/article.html'
+                     + ' and data/journal/. Edit those, not this file.';
+
+/* [slug, name] — the topic pills on journal.html, in order */
+var TOPICS = [
+  ['technique',        'Technique'],
+  ['tcm-science',      'TCM Science'],
+  ['ritual',           'Ritual'],
+  ['copper-materials', 'Copper & Materials'],
+  ['meridian-theory',  'Meridian Theory']
+];
+
+var escapeHtml = markdown.escapeHtml;
+
+/* ──────────────────────────────────────────────
+   Helpers
+────────────────────────────────────────────── */
+
+/**
+ * asset(p)
+ * Article paths are site-root-relative; article pages live one level down.
+ * Absolute URLs and in-page anchors are left alone.
+ * @param {string} p
+ * @returns {string}
+ */
+function asset(p) {
+  return /^([a-z]+:|#|\/)/i.test(p) ? p : '../' + p;
+}
+
+/**
+ * fill(template, values)
+ * Replaces {{key}} tokens. Values are inserted verbatim, so callers
+ * escape anything that is not already HTML.
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function fill(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, function (match, key) {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error('Template token has no value: ' + match);
+    }
+    return values[key];
+  });
+}
+
+function topicByName(name) {
+  for (var i = 0; i < TOPICS.length; i++) {
+    if (TOPICS[i][1] === name) return TOPICS[i];
+  }
+  return null;
+}
+
+/**
+ * formatDate(date)
+ * @param {string} date — YYYY-MM-DD
+ * @returns {string} e.g. "February 10, 2026"
+ */
+function formatDate(date) {
+  return new Date(date + 'T00:00:00Z').toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/* ──────────────────────────────────────────────
+   Loading
+────────────────────────────────────────────── */
+
+/**
+ * readCatalog()
+ * @returns {Object} data/products.json records keyed by id
+ */
+function readCatalog() {
+  var byId = {};
+  JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')).forEach(function (p) {
+    byId[p.id] = p;
+  });
+  return byId;
+}
+
+/**
+ * readArticle(file, byId)
+ * Parses and checks one article.
+ * @param {string} file — path to a .md file
+ * @param {Object} byId — catalog records keyed by id
+ * @returns {{ article: Object|null, errors: Array<string> }}
+ */
+function readArticle(file, byId) {
+  var slug = path.basename(file, '.md');
+  var where = path.relative(ROOT, file);
+  var errors = [];
+  var parsed;
+
+  try {
+    parsed = markdown.parseFrontMatter(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return { article: null, errors: [where + ': ' + e.message] };
+  }
+
+  var data = parsed.data;
+  var topic = topicByName(data.tag);
+  var products = data.products === undefined ? [] : data.products;
+
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) errors.push(where + ': file name must be a lowercase slug');
+  if (typeof data.title !== 'string' || !data.title) errors.push(where + ': missing title');
+  if (!topic) {
+    errors.push(where + ': tag must be one of ' + TOPICS.map(function (t) { return '"' + t[1] + '"'; }).join(', '));
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date)) || isNaN(Date.parse(data.date))) {
+    errors.push(where + ': date must be YYYY-MM-DD');
+  }
+  if (data.updated !== undefined
+      && (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.updated)) || isNaN(Date.parse(data.updated)) || data.updated < data.date)) {
+    errors.push(where + ': updated must be YYYY-MM-DD, no earlier than date');
+  }
+  if (typeof data.read_time !== 'number' || data.read_time % 1 !== 0 || data.read_time < 1) {
+    errors.push(where + ': read_time must be a whole number of minutes');
+  }
+  if (typeof data.hero !== 'string' || !fs.existsSync(path.join(ROOT, data.hero))) {
+    errors.push(where + ': hero image ' + JSON.stringify(data.hero) + ' does not exist');
+  }
+  if (!Array.isArray(products)) {
+    errors.push(where + ': products must be a list of product ids');
+  } else {
+    products.forEach(function (id) {
+      if (!byId[id]) errors.push(where + ': no product with id "' + id + '"');
+    });
+  }
+  if (!parsed.body.trim()) errors.push(where + ': article has no body');
+
+  if (errors.length) return { article: null, errors: errors };
+
+  return {
+    article: {
+      slug:      slug,
+      title:     data.title,
+      topic:     topic[0],
+      tag:       topic[1],
+      date:      data.date,
+      updated:   data.updated || data.date,
+      read_time: data.read_time,
+      hero:      data.hero,
+      hero_alt:  typeof data.hero_alt === 'string' ? data.hero_alt : data.title,
+      excerpt:   typeof data.excerpt === 'string' ? data.excerpt : markdown.firstParagraph(parsed.body),
+      products:  products,
+      body:      parsed.body
+    },
+    errors: []
+  };
+}
+
+/**
+ * loadArticles()
+ * Every article in data/journal/, newest first.
+ * @returns {Array<Object>}
+ * @throws {Error} Listing every problem found, if any
+ */
+function loadArticles() {
+  var byId = readCatalog();
+  var articles = [];
+  var errors = [];
+
+  fs.readdirSync(ARTICLES_DIR).filter(function (name) {
+    return /\.md$/.test(name);
+  }).forEach(function (name) {
+    var result = readArticle(path.join(ARTICLES_DIR, name), byId);
+    if (result.article) articles.push(result.article);
+    errors = errors.concat(result.errors);
+  });
+
+  if (errors.length) throw new Error('Invalid articles:\n  ' + errors.join('\n  '));
+
+  return articles.sort(function (a, b) {
+    return a.date < b.date ? 1 : a.date > b.date ? -1 : a.slug.localeCompare(b.slug);
+  });
+}
+
+/* ──────────────────────────────────────────────
+   Pages
+────────────────────────────────────────────── */
+
+/**
+ * renderTools(article, byId)
+ * "Tools used in this article": a card per product in the front matter.
+ * The Add to Cart buttons carry only the id, as on product pages;
+ * js/cart.js binds them and reads price and name from the catalog.
+ * @param {Object} article
+ * @param {Object} byId — catalog records keyed by id
+ * @returns {string} '' when the article lists no products
+ */
+function renderTools(article, byId) {
+  if (article.products.length === 0) return '';
+
+  var cards = article.products.map(function (id) {
+    var p = byId[id];
+    var href = escapeHtml(asset('product/' + p.slug + '.html'));
+    var img = p.images && p.images[0];
+
+    return '          <article class="tool-card">\n'
+         + '            <a href="' + href + '" class="tool-card__img" tabindex="-1" aria-hidden="true">'
+         +   (img ? '<img src="' + escapeHtml(asset(img)) + '" alt="" loading="lazy" />' : '')
+         + '</a>\n'
+         + '            <div class="tool-card__body">\n'
+         + '              <span class="tool-card__material">' + escapeHtml(p.material) + '</span>\n'
+         + '              <h3 class="tool-card__name"><a href="' + href + '">' + escapeHtml(p.name) + '</a></h3>\n'
+         + '              <p class="tool-card__price" data-price="' + escapeHtml(p.price) + '">$' + escapeHtml(p.price) + '</p>\n'
+         + '              <button type="button" class="tool-card__add" data-product-id="' + escapeHtml(p.id) + '"'
+         +                ' data-i18n="cart.add" aria-label="Add ' + escapeHtml(p.name) + ' to cart">Add to Cart</button>\n'
+         + '            </div>\n'
+         + '          </article>\n';
+  }).join('');
+
+  return '      <section class="article-tools" aria-labelledby="article-tools-heading">\n'
+       + '        <h2 class="article-tools__heading" id="article-tools-heading">Tools used in this article</h2>\n'
+       + '        <div class="article-tools__grid">\n'
+       + cards
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+function renderArticle(article) {
+  var body = markdown.render(article.body, { url: asset }).replace(/^(?=.)/gm, '          ');
+
+  return '      <article class="article">\n'
+       + '        <header class="article__header">\n'
+       + '          <a href="../journal.html?topic=' + escapeHtml(article.topic) + '" class="article__tag">'
+       +              escapeHtml(article.tag) + '</a>\n'
+       + '          <h1 class="article__title">' + escapeHtml(article.title) + '</h1>\n'
+       + '          <p class="article__meta">'
+       +              '<time datetime="' + escapeHtml(article.date) + '">' + escapeHtml(formatDate(article.date)) + '</time>'
+       +              ' &middot; ' + article.read_time + ' min read</p>\n'
+       + '        </header>\n'
+       + '        <figure class="article__hero">\n'
+       + '          <img src="' + escapeHtml(asset(article.hero)) + '" alt="' + escapeHtml(article.hero_alt) + '" />\n'
+       + '        </figure>\n'
+       + '        <div class="article__body">\n'
+       + body + '\n'
+       + '        </div>\n'
+       + '        <footer class="article__footer">\n'
+       + '          <a href="../journal.html" class="article__back">&larr; Back to the Journal</a>\n'
+       + '        </footer>\n'
+       + '      </article>\n';
+}
+
+/**
+ * renderArticlePage(template, article, byId)
+ * @param {string} template
+ * @param {Object} article — as returned by loadArticles()
+ * @param {Object} byId — catalog records keyed by id
+ * @returns {string} Complete HTML document
+ */
+function renderArticlePage(template, article, byId) {
+  return fill(template, {
+    generatedNotice: GENERATED_NOTICE,
+    title:           escapeHtml(article.title),
+    description:     escapeHtml(article.excerpt),
+    main:            renderArticle(article) + renderTools(article, byId)
+  });
+}
+
+/**
+ * renderIndex(articles)
+ * data/journal.json: the topics and every article's card fields.
+ * @param {Array<Object>} articles
+ * @returns {string}
+ */
+function renderIndex(articles) {
+  return JSON.stringify({
+    topics: TOPICS.map(function (t) {
+      return { slug: t[0], name: t[1] };
+    }),
+    articles: articles.map(function (a) {
+      return {
+        slug:      a.slug,
+        url:       'journal/' + a.slug + '.html',
+        title:     a.title,
+        topic:     a.topic,
+        tag:       a.tag,
+        date:      a.date,
+        updated:   a.updated,
+        read_time: a.read_time,
+        hero:      a.hero,
+        hero_alt:  a.hero_alt,
+        excerpt:   a.excerpt,
+        products:  a.products
+      };
+    })
+  }, null, 2) + '\n';
+}
+
+/* ──────────────────────────────────────────────
+   Main
+────────────────────────────────────────────── */
+
+function build() {
+  var articles = loadArticles();
+  var byId = readCatalog();
+  var template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+
+  if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR);
+
+  articles.forEach(function (a) {
+    var file = path.join(OUT_DIR, a.slug + '.html');
+    fs.writeFileSync(file, renderArticlePage(template, a, byId));
+    console.log('wrote ' + path.relative(ROOT, file));
+  });
+
+  fs.writeFileSync(INDEX_FILE, renderIndex(articles));
+  console.log('wrote ' + path.relative(ROOT, INDEX_FILE));
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (e) {
+    console.error('[build-journal] ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  TOPICS:            TOPICS,
+  loadArticles:      loadArticles,
+  renderArticlePage: renderArticlePage,
+  renderIndex:       renderIndex
+};
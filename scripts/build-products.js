@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/* ============================================================
+   MERIDIAN — build-products.js
+   Renders product/<slug>.html for every record in
+   data/products.json from templates/product.html, plus a
+   product/404.html "tool not found" page. Chinese copy (the
+   *_cn fields) is rendered alongside the English for js/i18n.js
+   to switch between. Products with variants get a picker; the
+   page first shows the default variant's price and images.
+   Bundles list their tools and the saving. Low and sold-out
+   stock is shown as of the build.
+   Journal articles that list a product in
+   their front matter are linked from its page. Refuses to build
+   a catalog that fails scripts/validate-catalog.js.
+
+   Usage:  node scripts/build-products.js
+   ============================================================ */
+
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+
+var Variants        = require('../js/variants.js');
+var Inventory       = require('../js/inventory.js');
+var Bundles         = require('../js/bundles.js');
+var validateCatalog = require('./validate-catalog.js').validate;
+var loadArticles    = require('./build-journal.js').loadArticles;
+
+var ROOT          = path.resolve(__dirname, '..');
+var CATALOG_FILE  = path.join(ROOT, 'data', 'products.json');
+var TEMPLATE_FILE = path.join(ROOT, 'templates', 'product.html');
+var OUT_DIR       = path.join(ROOT, 'product');
+
+var GENERATED_NOTICE = 'Generated by scripts/build-products.js from templates/product.html'
+                     + ' and data/products.json. Edit those, not this file.';
+
+/* ──────────────────────────────────────────────
+   Helpers
+────────────────────────────────────────────── */
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * asset(p)
+ * Catalog paths are site-root-relative; product pages live one level down.
+ * @param {string} p
+ * @returns {string}
+ */
+function asset(p) {
+  return '../' + p;
+}
+
+/**
+ * lookup(byId)
+ * @param {Object} byId — catalog records keyed by id
+ * @returns {function(string): Object|null} For js/bundles.js and js/inventory.js
+ */
+function lookup(byId) {
+  return function (id) {
+    return byId[id] || null;
+  };
+}
+
+/**
+ * fill(template, values)
+ * Replaces {{key}} tokens. Values are inserted verbatim, so callers
+ * escape anything that is not already HTML.
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function fill(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, function (match, key) {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error('Template token has no value: ' + match);
+    }
+    return values[key];
+  });
+}
+
+/**
+ * bilingual(en, cn)
+ * Inline English / Chinese pair; js/i18n.js shows the one matching the
+ * page language. Just the English when there is no Chinese.
+ * @param {string} en
+ * @param {string} [cn]
+ * @returns {string} HTML
+ */
+function bilingual(en, cn) {
+  if (!cn) return escapeHtml(en);
+  return '<span lang="en" data-lang="en">' + escapeHtml(en) + '</span>'
+       + '<span lang="zh-CN" data-lang="zh-CN" hidden>' + escapeHtml(cn) + '</span>';
+}
+
+/* ──────────────────────────────────────────────
+   Sections
+────────────────────────────────────────────── */
+
+function renderGallery(product) {
+  var images = Variants.resolve(product).images;
+  var html = '';
+
+  html += '          <div class="gallery" id="gallery">\n'
+        + '            <div class="gallery__main">\n'
+        + '              <img id="gallery-main-img" src="' + escapeHtml(asset(images[0] || '')) + '"'
+        +                 ' alt="' + escapeHtml(product.name) + '" />\n'
+        + '            </div>\n';
+
+  if (images.length > 1) {
+    html += '            <div class="gallery__thumbs" role="list" aria-label="Product images">\n';
+    for (var i = 0; i < images.length; i++) {
+      var src = escapeHtml(asset(images[i]));
+      html += '              <div class="gallery__thumb' + (i === 0 ? ' is-active' : '') + '" role="listitem"'
+            +                 ' data-src="' + src + '" tabindex="0" aria-label="Image ' + (i + 1) + '">\n'
+            + '                <img src="' + src + '" alt="View ' + (i + 1) + '" loading="lazy" />\n'
+            + '              </div>\n';
+    }
+    html += '            </div>\n';
+  }
+
+  html += '          </div>\n';
+  return html;
+}
+
+function renderUsageTags(areas, lang) {
+  var attrs = lang ? ' lang="' + lang + '" data-lang="' + lang + '"' + (lang === 'en' ? '' : ' hidden') : '';
+  var tags = areas.map(function (area) {
+    return '              <span class="usage-tag">' + escapeHtml(area) + '</span>\n';
+  }).join('');
+
+  return '            <div class="usage-tags" aria-label="Usage areas"' + attrs + '>\n'
+       + tags
+       + '            </div>\n';
+}
+
+/**
+ * renderVariants(product)
+ * One radio per variant value, carrying its price and images for the
+ * picker script in templates/product.html. Nothing for products without
+ * a choice to make.
+ * @param {Object} product
+ * @returns {string} HTML
+ */
+function renderVariants(product) {
+  if (!Variants.hasVariants(product) || product.variants.values.length < 2) return '';
+
+  var selected = Variants.defaultVariant(product).id;
+  var options = product.variants.values.map(function (v) {
+    var resolved = Variants.resolve(product, v.id);
+    return '              <label class="variant-option">\n'
+         + '                <input type="radio" name="variant" value="' + escapeHtml(v.id) + '"'
+         +                   ' data-variant-price="' + escapeHtml(resolved.price) + '"'
+         +                   ' data-variant-images="' + escapeHtml(JSON.stringify(resolved.images.map(asset))) + '"'
+         +                   (v.id === selected ? ' checked' : '') + ' />\n'
+         + '                <span class="variant-option__label">' + bilingual(v.label, v.label_cn) + '</span>\n'
+         + '              </label>\n';
+  }).join('');
+
+  return '            <fieldset class="variant-picker" data-variant-picker>\n'
+       + '              <legend class="usage-label">' + bilingual(product.variants.option, product.variants.option_cn) + '</legend>\n'
+       + options
+       + '            </fieldset>\n';
+}
+
+/**
+ * renderStock(product, byId)
+ * "Only 3 left" / "Sold out" and any per-order limit, translated in the
+ * browser through data-i18n. Nothing for plentiful stock without a limit.
+ * @param {Object} product
+ * @param {Object} byId — for a bundle's components
+ * @returns {string} HTML
+ */
+function renderStock(product, byId) {
+  var stock = Inventory.availability(product, lookup(byId));
+  var notes = [];
+
+  if (stock.status === 'sold_out') {
+    notes.push('<span data-i18n="stock.soldOut">Sold out</span>');
+  } else {
+    if (stock.status === 'low_stock') {
+      notes.push('<span data-i18n="stock.onlyLeft" data-i18n-vars="' + escapeHtml(JSON.stringify({ n: stock.left })) + '">'
+                 + 'Only ' + stock.left + ' left</span>');
+    }
+    if (product.max_per_order) {
+      notes.push('<span data-i18n="stock.limitPerOrder" data-i18n-vars="' + escapeHtml(JSON.stringify({ n: product.max_per_order })) + '">'
+                 + 'Limit ' + product.max_per_order + ' per order</span>');
+    }
+  }
+  if (notes.length === 0) return '';
+
+  return '            <p class="product-stock product-stock--' + stock.status.replace('_', '-') + '">'
+       + notes.join(' · ') + '</p>\n';
+}
+
+/* A bundle's saving under its price */
+function renderSaving(product, byId) {
+  var saving = Bundles.savings(product, lookup(byId));
+  if (!saving) return '';
+  return '            <p class="product-saving"><span data-i18n="bundle.youSave">You save</span>'
+       + ' <span data-price="' + escapeHtml(saving) + '">$' + escapeHtml(saving) + '</span></p>\n';
+}
+
+function renderInfo(product, byId) {
+  /* usage_cn is one phrase: 眼周，下颌，鼻翼 */
+  var areasCn = product.usage_cn ? product.usage_cn.split(/\s*[，、,]\s*/).filter(Boolean) : [];
+  var tags = areasCn.length
+    ? renderUsageTags(product.usage_areas || [], 'en') + renderUsageTags(areasCn, 'zh-CN')
+    : renderUsageTags(product.usage_areas || []);
+  var resolved = Variants.resolve(product);
+  var variantAttr = resolved.variant ? ' data-variant="' + escapeHtml(resolved.variant.id) + '"' : '';
+  var soldOut = Inventory.availability(product, lookup(byId)).status === 'sold_out';
+
+  return '          <div class="product-info">\n'
+       + '            <nav class="breadcrumb" aria-label="Breadcrumb">\n'
+       + '              <a href="../products.html" data-i18n="product.collection">The Collection</a>\n'
+       + '              <span class="breadcrumb-sep" aria-hidden="true">/</span>\n'
+       + '              <span>' + bilingual(product.name, product.name_cn) + '</span>\n'
+       + '            </nav>\n'
+       + '            <span class="product-material-tag">' + bilingual(product.material, product.material_cn) + '</span>\n'
+       + '            <h1 class="product-name">' + bilingual(product.name, product.name_cn) + '</h1>\n'
+       + '            <p class="product-tagline">' + bilingual(product.tagline, product.tagline_cn) + '</p>\n'
+       + '            <div class="product-price" data-price="' + escapeHtml(resolved.price) + '"><sup>$</sup>' + escapeHtml(resolved.price) + '</div>\n'
+       + renderSaving(product, byId)
+       + renderStock(product, byId)
+       + '            <div class="product-divider"></div>\n'
+       + '            <p class="usage-label" data-i18n="product.targetAreas">Target areas</p>\n'
+       + tags
+       + renderVariants(product)
+       + '            <button class="btn-add-cart" data-product-id="' + escapeHtml(product.id) + '"' + variantAttr
+       +               (soldOut
+                         ? ' disabled data-i18n="stock.soldOut">Sold out</button>\n'
+                         : ' aria-label="Add ' + escapeHtml(product.name) + ' to cart" data-i18n="cart.add">Add to Cart</button>\n')
+       + '            <button class="btn-wishlist" data-wishlist-id="' + escapeHtml(product.id) + '"'
+       +               ' aria-pressed="false">Add to Wishlist</button>\n'
+       + '          </div>\n';
+}
+
+function renderHero(product, byId) {
+  return '      <section class="product-hero">\n'
+       + '        <div class="container">\n'
+       + '          <div class="product-layout">\n'
+       + renderGallery(product).replace(/^(?=.)/gm, '  ')
+       + renderInfo(product, byId).replace(/^(?=.)/gm, '  ')
+       + '          </div>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+/**
+ * renderBundle(product, byId)
+ * "What's in the set": each component with a link to its page, and the
+ * set price against buying them separately.
+ * @param {Object} product
+ * @param {Object} byId
+ * @returns {string} '' for products that are not bundles
+ */
+function renderBundle(product, byId) {
+  if (!Bundles.isBundle(product)) return '';
+
+  var items = Bundles.components(product, lookup(byId)).map(function (c) {
+    if (!c.product) throw new Error(product.id + ': bundle component "' + c.id + '" does not exist');
+    var p = c.product;
+    var price = p.price * c.qty;
+    return '            <li class="bundle-item">\n'
+         + '              <a class="bundle-item__link" href="' + escapeHtml(p.slug) + '.html">\n'
+         + '                <img src="' + escapeHtml(asset(p.images[0])) + '" alt="" loading="lazy" />\n'
+         + '                <span class="bundle-item__name">' + bilingual(p.name, p.name_cn) + '</span>\n'
+         + '              </a>\n'
+         + '              <span class="bundle-item__qty">&times;' + c.qty + '</span>\n'
+         + '              <span class="bundle-item__price" data-price="' + escapeHtml(price) + '">$' + escapeHtml(price) + '</span>\n'
+         + '            </li>\n';
+  }).join('');
+
+  var separately = Bundles.componentsPrice(product, lookup(byId));
+
+  return '      <section class="bundle-section">\n'
+       + '        <div class="container">\n'
+       + '          <span class="section-eyebrow" data-i18n="bundle.eyebrow">The set</span>\n'
+       + '          <h2 class="section-heading" data-i18n="bundle.inside">What’s in the Set</h2>\n'
+       + '          <ul class="bundle-list">\n'
+       + items
+       + '          </ul>\n'
+       + '          <p class="bundle-total">\n'
+       + '            <span data-i18n="bundle.separately">Bought separately</span>'
+       +             ' <s data-price="' + escapeHtml(separately) + '">$' + escapeHtml(separately) + '</s>\n'
+       + '            <span class="bundle-total__sep" aria-hidden="true">&middot;</span>\n'
+       + '            <span data-i18n="bundle.setPrice">Set price</span>'
+       +             ' <strong data-price="' + escapeHtml(product.price) + '">$' + escapeHtml(product.price) + '</strong>\n'
+       + '          </p>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+function renderDescription(product) {
+  var highlightsCn = product.highlights_cn || [];
+  var highlights = (product.highlights || []).map(function (h, i) {
+    return '                <li class="highlight-item"><span class="highlight-dot" aria-hidden="true"></span>'
+         + bilingual(h, highlightsCn[i]) + '</li>\n';
+  }).join('');
+
+  return '      <section class="desc-section">\n'
+       + '        <div class="container">\n'
+       + '          <div class="desc-grid reveal-group">\n'
+       + '            <div>\n'
+       + '              <p class="desc-label" data-i18n="product.about">About this tool</p>\n'
+       + '              <p class="desc-text">' + bilingual(product.description, product.description_cn) + '</p>\n'
+       + '              <br />\n'
+       + '              <p class="desc-text" style="color: var(--color-text-faint); font-size: 0.85rem">\n'
+       + '                <span data-i18n="product.size">Size:</span> ' + bilingual(product.size, product.size_cn)
+       +                 ' &nbsp;&middot;&nbsp; <span data-i18n="product.material">Material:</span> ' + bilingual(product.material, product.material_cn) + '\n'
+       + '              </p>\n'
+       + '            </div>\n'
+       + '            <div>\n'
+       + '              <p class="desc-label" data-i18n="product.whyItWorks">Why it works</p>\n'
+       + '              <ul class="highlights-list" aria-label="Product highlights">\n'
+       + highlights
+       + '              </ul>\n'
+       + '            </div>\n'
+       + '          </div>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+function renderRitual(product) {
+  var steps = product.ritual || [];
+  if (steps.length === 0) return '';
+
+  var html = '';
+  for (var i = 0; i < steps.length; i++) {
+    html += '            <div class="step">\n'
+          + '              <div class="step-num">' + (i < 9 ? '0' : '') + (i + 1) + '</div>\n'
+          + '              <h3 class="step-title">' + bilingual(steps[i].title, steps[i].title_cn) + '</h3>\n'
+          + '              <p class="step-text">' + bilingual(steps[i].text, steps[i].text_cn) + '</p>\n'
+          + '            </div>\n';
+  }
+
+  return '      <section class="how-section">\n'
+       + '        <div class="container">\n'
+       + '          <span class="section-eyebrow" data-i18n="product.ritualEyebrow">Ritual guide</span>\n'
+       + '          <h2 class="section-heading" data-i18n="product.howToUse">How to Use</h2>\n'
+       + '          <div class="steps-grid reveal-group">\n'
+       + html
+       + '          </div>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+function renderAlsoLike(product, byId) {
+  var related = (product.related || []).map(function (id) {
+    if (!byId[id]) throw new Error(product.id + ': related product "' + id + '" does not exist');
+    return byId[id];
+  });
+  if (related.length === 0) return '';
+
+  var cards = related.map(function (r) {
+    var img = r.images && r.images[0];
+    return '            <article class="also-card">\n'
+         + '              <div class="also-card__img">'
+         +   (img ? '<img src="' + escapeHtml(asset(img)) + '" alt="' + escapeHtml(r.name) + '" loading="lazy"'
+                  + ' style="width:100%;height:100%;object-fit:cover;">' : '')
+         + '</div>\n'
+         + '              <div class="also-card__body">\n'
+         + '                <h3 class="also-card__name">' + bilingual(r.name, r.name_cn) + '</h3>\n'
+         + '                <p class="also-card__price" data-price="' + escapeHtml(r.price) + '">$' + escapeHtml(r.price) + '</p>\n'
+         + '                <a href="' + escapeHtml(r.slug) + '.html" class="also-card__link" data-i18n="catalog.viewDetails">View Details</a>\n'
+         + '              </div>\n'
+         + '            </article>\n';
+  }).join('');
+
+  return '      <section class="also-section">\n'
+       + '        <div class="container also-like-inner">\n'
+       + '          <span class="section-eyebrow" data-i18n="product.alsoEyebrow">Continue exploring</span>\n'
+       + '          <h2 class="section-heading" data-i18n="product.alsoLike">You May Also Like</h2>\n'
+       + '          <div class="also-grid reveal-group">\n'
+       + cards
+       + '          </div>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+/**
+ * renderJournal(product, articles)
+ * "Read more in the Journal": articles whose front matter lists this
+ * product, newest first, at most three.
+ * @param {Object} product
+ * @param {Array<Object>} articles — from build-journal's loadArticles()
+ * @returns {string} '' when no article mentions the product
+ */
+function renderJournal(product, articles) {
+  var mentions = articles.filter(function (a) {
+    return a.products.indexOf(product.id) !== -1;
+  }).slice(0, 3);
+  if (mentions.length === 0) return '';
+
+  var cards = mentions.map(function (a) {
+    var href = escapeHtml(asset('journal/' + a.slug + '.html'));
+    return '            <article class="journal-card">\n'
+         + '              <span class="journal-card__tag">' + escapeHtml(a.tag) + '</span>\n'
+         + '              <h3 class="journal-card__title"><a href="' + href + '">' + escapeHtml(a.title) + '</a></h3>\n'
+         + '              <p class="journal-card__excerpt">' + escapeHtml(a.excerpt) + '</p>\n'
+         + '              <span class="journal-card__meta" data-i18n="journal.minRead"'
+         +   ' data-i18n-vars="' + escapeHtml(JSON.stringify({ n: a.read_time })) + '">' + a.read_time + ' min read</span>\n'
+         + '            </article>\n';
+  }).join('');
+
+  return '      <section class="journal-section">\n'
+       + '        <div class="container">\n'
+       + '          <span class="section-eyebrow" data-i18n="product.journalEyebrow">From the practitioner</span>\n'
+       + '          <h2 class="section-heading" data-i18n="product.journalHeading">Read More in the Journal</h2>\n'
+       + '          <div class="journal-cards reveal-group">\n'
+       + cards
+       + '          </div>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+function renderNotFound() {
+  return '      <section class="not-found">\n'
+       + '        <div class="container">\n'
+       + '          <span class="section-eyebrow">404</span>\n'
+       + '          <h1 class="not-found__title">We couldn&rsquo;t find that tool</h1>\n'
+       + '          <p class="not-found__text">It may have been renamed or retired from the collection.</p>\n'
+       + '          <a href="../products.html" class="btn-view-details">Browse the collection</a>\n'
+       + '        </div>\n'
+       + '      </section>\n';
+}
+
+/* ──────────────────────────────────────────────
+   Pages
+────────────────────────────────────────────── */
+
+/**
+ * renderProductPage(template, product, byId, articles)
+ * @param {string} template
+ * @param {Object} product — catalog record
+ * @param {Object} byId — all catalog records keyed by id
+ * @param {Array<Object>} [articles] — journal articles, newest first
+ * @returns {string} Complete HTML document
+ */
+function renderProductPage(template, product, byId, articles) {
+  var description = (product.meta_description || product.tagline) + ' $' + product.price + '.';
+
+  return fill(template, {
+    generatedNotice: GENERATED_NOTICE,
+    title:           escapeHtml(product.name),
+    description:     escapeHtml(description),
+    main:            renderHero(product, byId)
+                   + '\n' + renderBundle(product, byId)
+                   + '\n' + renderDescription(product)
+                   + '\n' + renderRitual(product)
+                   + '\n' + renderJournal(product, articles || [])
+                   + '\n' + renderAlsoLike(product, byId)
+  }).replace(/\n{3,}/g, '\n\n');
+}
+
+function renderNotFoundPage(template) {
+  return fill(template, {
+    generatedNotice: GENERATED_NOTICE,
+    title:           'Tool not found',
+    description:     'This tool is no longer part of the MERIDIAN collection.',
+    main:            renderNotFound()
+  });
+}
+
+/* ──────────────────────────────────────────────
+   Main
+────────────────────────────────────────────── */
+
+function build() {
+  var products = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  var template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  var byId = {};
+
+  var errors = validateCatalog(products);
+  if (errors.length) {
+    throw new Error(path.relative(ROOT, CATALOG_FILE) + ' is invalid (run scripts/validate-catalog.js):\n  '
+                    + errors.join('\n  '));
+  }
+
+  products.forEach(function (p) {
+    byId[p.id] = p;
+  });
+
+  var articles = loadArticles();
+
+  products.forEach(function (p) {
+    var file = path.join(OUT_DIR, p.slug + '.html');
+    fs.writeFileSync(file, renderProductPage(template, p, byId, articles));
+    console.log('wrote ' + path.relative(ROOT, file));
+  });
+
+  var notFound = path.join(OUT_DIR, '404.html');
+  fs.writeFileSync(notFound, renderNotFoundPage(template));
+  console.log('wrote ' + path.relative(ROOT, notFound));
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (e) {
+    console.error('[build-products] ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  renderProductPage:  renderProductPage,
+  renderNotFoundPage: renderNotFoundPage
+};
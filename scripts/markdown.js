@@ -0,0 +1,227 @@
+/* ============================================================
+   MERIDIAN — markdown.js
+   Front matter and Markdown for the journal (data/journal/*.md),
+   used by scripts/build-journal.js. Covers what the articles use
+   and no more:
+     front matter  key: value, quoted strings, numbers and lists
+                   ([a, b] or "- item" lines)
+     blocks        ## headings, paragraphs, - / 1. lists,
+                   > quotes, --- rules, ![alt](src) images
+     inline        **strong**, *em* / _em_, `code`, [text](href)
+   ============================================================ */
+
+'use strict';
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/* ──────────────────────────────────────────────
+   Front matter
+────────────────────────────────────────────── */
+
+function parseScalar(raw) {
+  var value = raw.trim();
+  if (/^".*"$/.test(value) || /^'.*'$/.test(value)) return value.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\[.*\]$/.test(value)) {
+    var inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+  return value;
+}
+
+/**
+ * parseFrontMatter(text)
+ * Splits a leading "---" block from the body.
+ * @param {string} text
+ * @returns {{ data: Object, body: string }}
+ * @throws {Error} When the block is unterminated or a line cannot be read
+ */
+function parseFrontMatter(text) {
+  var lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  var data = {};
+
+  if (lines[0] !== '---') return { data: data, body: lines.join('\n') };
+
+  var end = lines.indexOf('---', 1);
+  if (end === -1) throw new Error('Front matter is not closed with "---"');
+
+  var listKey = null;
+  for (var i = 1; i < end; i++) {
+    var line = lines[i];
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+
+    var item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    var pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+    if (!pair) throw new Error('Front matter line ' + (i + 1) + ' is not "key: value": ' + line);
+
+    if (pair[2] === '') {
+      data[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      data[pair[1]] = parseScalar(pair[2]);
+      listKey = null;
+    }
+  }
+
+  return { data: data, body: lines.slice(end + 1).join('\n') };
+}
+
+/* ──────────────────────────────────────────────
+   Inline
+────────────────────────────────────────────── */
+
+/**
+ * renderInline(text, [options])
+ * @param {string} text — Markdown source of one block
+ * @param {{ url?: function(string): string }} [options] — rewrites link and
+ *   image targets (e.g. to make site-root paths page-relative)
+ * @returns {string} HTML
+ */
+function renderInline(text, options) {
+  var url = (options && options.url) || function (href) { return href; };
+  var codes = [];
+
+  /* Code spans first, so their contents are left alone */
+  var html = escapeHtml(text).replace(/`([^`]+)`/g, function (match, code) {
+    codes.push('<code>' + code + '</code>');
+    return '\u0000' + (codes.length - 1) + '\u0000';
+  });
+
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function (match, label, href) {
+      return '<a href="' + escapeHtml(url(unescapeHtml(href))) + '">' + label + '</a>';
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1<em>$2</em>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, function (match, i) {
+    return codes[Number(i)];
+  });
+}
+
+function unescapeHtml(str) {
+  return str
+    .replace(/&#39;/g, '\'')
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+/* ──────────────────────────────────────────────
+   Blocks
+────────────────────────────────────────────── */
+
+var BLOCK_START = /^(#{1,6}\s|>\s?|[-*]\s|\d+\.\s|---\s*$|!\[)/;
+
+/**
+ * render(markdown, [options])
+ * @param {string} markdown
+ * @param {{ url?: function(string): string }} [options] — see renderInline()
+ * @returns {string} HTML, one block per line
+ */
+function render(markdown, options) {
+  var lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  var url = (options && options.url) || function (href) { return href; };
+  var out = [];
+  var i = 0;
+
+  function collect(pattern) {
+    var items = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      items.push(lines[i].replace(pattern, ''));
+      i++;
+    }
+    return items;
+  }
+
+  while (i < lines.length) {
+    var line = lines[i];
+    var match;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((match = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line))) {
+      /* The page title is the only <h1>; article headings start at <h2> */
+      var level = Math.max(match[1].length, 2);
+      out.push('<h' + level + '>' + renderInline(match[2], options) + '</h' + level + '>');
+      i++;
+    } else if (/^---\s*$/.test(line)) {
+      out.push('<hr />');
+      i++;
+    } else if ((match = /^!\[([^\]]*)\]\(([^)\s]+)\)\s*$/.exec(line))) {
+      out.push('<figure><img src="' + escapeHtml(url(match[2])) + '" alt="' + escapeHtml(match[1]) + '" loading="lazy" />'
+             + (match[1] ? '<figcaption>' + renderInline(match[1], options) + '</figcaption>' : '')
+             + '</figure>');
+      i++;
+    } else if (/^>\s?/.test(line)) {
+      var quote = collect(/^>\s?/);
+      out.push('<blockquote>' + render(quote.join('\n'), options) + '</blockquote>');
+    } else if (/^[-*]\s/.test(line)) {
+      out.push('<ul>' + collect(/^[-*]\s+/).map(function (item) {
+        return '<li>' + renderInline(item, options) + '</li>';
+      }).join('') + '</ul>');
+    } else if (/^\d+\.\s/.test(line)) {
+      out.push('<ol>' + collect(/^\d+\.\s+/).map(function (item) {
+        return '<li>' + renderInline(item, options) + '</li>';
+      }).join('') + '</ol>');
+    } else {
+      var para = [];
+      while (i < lines.length && lines[i].trim() && !(para.length && BLOCK_START.test(lines[i]))) {
+        para.push(lines[i].trim());
+        i++;
+      }
+      out.push('<p>' + renderInline(para.join(' '), options) + '</p>');
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * firstParagraph(markdown)
+ * The text of the first paragraph, without markup — for excerpts and
+ * meta descriptions.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function firstParagraph(markdown) {
+  var blocks = String(markdown).replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  for (var i = 0; i < blocks.length; i++) {
+    var block = blocks[i].trim();
+    if (block && !BLOCK_START.test(block)) {
+      var lines = block.split('\n');
+      var para = [];
+      for (var n = 0; n < lines.length && !(n && BLOCK_START.test(lines[n])); n++) {
+        para.push(lines[n].trim());
+      }
+      return para.join(' ')
+        .replace(/\s+/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/[*_`]/g, '');
+    }
+  }
+  return '';
+}
+
+module.exports = {
+  escapeHtml:       escapeHtml,
+  parseFrontMatter: parseFrontMatter,
+  renderInline:     renderInline,
+  render:           render,
+  firstParagraph:   firstParagraph
+};
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/* ============================================================
+   MERIDIAN — validate-catalog.js
+   Checks data/products.json against data/products.schema.json,
+   then what a schema cannot express: unique ids and slugs,
+   related ids that exist, unique variant ids with positive
+   prices, Chinese highlights that pair with the English ones,
+   bundles of existing single products priced below them
+   and without stock of their own, and image files that exist
+   under images/products/. Exits 1 with one line per problem,
+   so a broken catalog edit fails before deploy.
+
+   Usage:  node scripts/validate-catalog.js
+   ============================================================ */
+
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+
+var Bundles = require('../js/bundles.js');
+
+var ROOT         = path.resolve(__dirname, '..');
+var CATALOG_FILE = path.join(ROOT, 'data', 'products.json');
+var SCHEMA_FILE  = path.join(ROOT, 'data', 'products.schema.json');
+
+/* Keywords that only document the schema */
+var ANNOTATIONS = ['$schema', '$id', '$defs', 'title', 'description'];
+
+/* ──────────────────────────────────────────────
+   JSON Schema (the subset products.schema.json uses)
+────────────────────────────────────────────── */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && value % 1 === 0) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  var actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, rootSchema) {
+  if (ref.indexOf('#/') !== 0) throw new Error('Only local $refs are supported: ' + ref);
+
+  return ref.slice(2).split('/').reduce(function (node, key) {
+    if (!node || !Object.prototype.hasOwnProperty.call(node, key)) {
+      throw new Error('Unresolvable $ref: ' + ref);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+/**
+ * checkSchema(value, schema, rootSchema, where, errors)
+ * Appends "<where>: <problem>" strings to `errors`. Throws on keywords it
+ * does not implement, so the schema cannot silently outgrow the checker.
+ */
+function checkSchema(value, schema, rootSchema, where, errors) {
+  Object.keys(schema).forEach(function (keyword) {
+    if (ANNOTATIONS.indexOf(keyword) === -1 && !KEYWORDS[keyword]) {
+      throw new Error('Unsupported schema keyword "' + keyword + '" at ' + where);
+    }
+  });
+
+  if (schema.$ref) {
+    checkSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, where, errors);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(where + ': must be ' + (/^[aeiou]/.test(schema.type) ? 'an ' : 'a ') + schema.type);
+    return;
+  }
+
+  Object.keys(schema).forEach(function (keyword) {
+    if (KEYWORDS[keyword] && keyword !== '$ref' && keyword !== 'type') {
+      KEYWORDS[keyword](value, schema, rootSchema, where, errors);
+    }
+  });
+}
+
+var KEYWORDS = {
+  '$ref': true,
+  'type': true,
+
+  required: function (value, schema, rootSchema, where, errors) {
+    schema.required.forEach(function (key) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(where + ': missing required field "' + key + '"');
+      }
+    });
+  },
+
+  properties: function (value, schema, rootSchema, where, errors) {
+    Object.keys(schema.properties).forEach(function (key) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        checkSchema(value[key], schema.properties[key], rootSchema, where + '.' + key, errors);
+      }
+    });
+  },
+
+  additionalProperties: function (value, schema, rootSchema, where, errors) {
+    if (schema.additionalProperties !== false) return;
+    Object.keys(value).forEach(function (key) {
+      if (!schema.properties || !Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        errors.push(where + ': unknown field "' + key + '"');
+      }
+    });
+  },
+
+  items: function (value, schema, rootSchema, where, errors) {
+    value.forEach(function (item, i) {
+      checkSchema(item, schema.items, rootSchema, where + '[' + i + ']', errors);
+    });
+  },
+
+  minItems: function (value, schema, rootSchema, where, errors) {
+    if (value.length < schema.minItems) {
+      errors.push(where + ': must have at least ' + schema.minItems + ' item' + (schema.minItems === 1 ? '' : 's'));
+    }
+  },
+
+  uniqueItems: function (value, schema, rootSchema, where, errors) {
+    if (!schema.uniqueItems) return;
+    var seen = {};
+    value.forEach(function (item) {
+      var key = JSON.stringify(item);
+      if (seen[key]) errors.push(where + ': duplicate entry ' + key);
+      seen[key] = true;
+    });
+  },
+
+  minLength: function (value, schema, rootSchema, where, errors) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(where + ': must not be empty');
+    }
+  },
+
+  pattern: function (value, schema, rootSchema, where, errors) {
+    if (!new RegExp(schema.pattern).test(value)) {
+      errors.push(where + ': ' + JSON.stringify(value) + ' does not match ' + schema.pattern);
+    }
+  },
+
+  minimum: function (value, schema, rootSchema, where, errors) {
+    if (!(value >= schema.minimum) || !isFinite(value)) {
+      errors.push(where + ': must be at least ' + schema.minimum);
+    }
+  },
+
+  exclusiveMinimum: function (value, schema, rootSchema, where, errors) {
+    if (!(value > schema.exclusiveMinimum) || !isFinite(value)) {
+      errors.push(where + ': must be greater than ' + schema.exclusiveMinimum);
+    }
+  }
+};
+
+/* ──────────────────────────────────────────────
+   Catalog rules beyond the schema
+────────────────────────────────────────────── */
+
+function label(product, i) {
+  return product && typeof product.id === 'string' ? product.id : 'products[' + i + ']';
+}
+
+function checkUnique(products, field, errors) {
+  var seen = {};
+  products.forEach(function (p, i) {
+    if (!p || typeof p[field] !== 'string') return;
+    if (seen[p[field]] !== undefined) {
+      errors.push(label(p, i) + '.' + field + ': "' + p[field] + '" is also used by products[' + seen[p[field]] + ']');
+    } else {
+      seen[p[field]] = i;
+    }
+  });
+}
+
+function checkRelated(products, errors) {
+  var ids = {};
+  products.forEach(function (p) {
+    if (p && typeof p.id === 'string') ids[p.id] = true;
+  });
+
+  products.forEach(function (p, i) {
+    if (!p || !Array.isArray(p.related)) return;
+    p.related.forEach(function (id) {
+      if (id === p.id) {
+        errors.push(label(p, i) + '.related: lists itself');
+      } else if (!ids[id]) {
+        errors.push(label(p, i) + '.related: no product with id "' + id + '"');
+      }
+    });
+  });
+}
+
+function checkVariants(products, errors) {
+  products.forEach(function (p, i) {
+    if (!p || !p.variants || !Array.isArray(p.variants.values)) return;
+    var seen = {};
+
+    p.variants.values.forEach(function (v, n) {
+      if (!v) return;
+      var where = label(p, i) + '.variants.values[' + n + ']';
+      if (seen[v.id]) errors.push(where + '.id: "' + v.id + '" is used twice');
+      seen[v.id] = true;
+      if (typeof p.price === 'number' && typeof v.price_delta === 'number' && p.price + v.price_delta <= 0) {
+        errors.push(where + '.price_delta: leaves a price of ' + (p.price + v.price_delta));
+      }
+    });
+  });
+}
+
+function checkTranslations(products, errors) {
+  products.forEach(function (p, i) {
+    if (!p || !Array.isArray(p.highlights) || !Array.isArray(p.highlights_cn)) return;
+    if (p.highlights_cn.length !== p.highlights.length) {
+      errors.push(label(p, i) + '.highlights_cn: has ' + p.highlights_cn.length + ' entries for ' + p.highlights.length + ' highlights');
+    }
+  });
+}
+
+function checkBundles(products, errors) {
+  var byId = {};
+  products.forEach(function (p) {
+    if (p && typeof p.id === 'string') byId[p.id] = p;
+  });
+
+  products.forEach(function (p, i) {
+    if (!p) return;
+    var name = label(p, i);
+
+    if (!Bundles.isBundle(p)) return;
+    if (p.stock !== undefined) errors.push(name + '.stock: bundles take their stock from their components');
+    if (p.variants) errors.push(name + '.variants: bundles cannot have variants');
+
+    var seen = {};
+    var complete = true;
+    p.bundle.forEach(function (c, n) {
+      if (!c) return;
+      var where = name + '.bundle[' + n + '].id';
+      var component = byId[c.id];
+      if (seen[c.id]) errors.push(where + ': "' + c.id + '" is listed twice');
+      seen[c.id] = true;
+
+      if (!component) {
+        errors.push(where + ': no product with id "' + c.id + '"');
+        complete = false;
+      } else if (c.id === p.id || Bundles.isBundle(component)) {
+        errors.push(where + ': "' + c.id + '" is a bundle');
+        complete = false;
+      } else if (component.variants) {
+        errors.push(where + ': "' + c.id + '" has variants');
+      }
+    });
+
+    var separately = complete ? Bundles.componentsPrice(p, function (id) { return byId[id] || null; }) : null;
+    if (separately !== null && typeof p.price === 'number' && p.price >= separately) {
+      errors.push(name + '.price: ' + p.price + ' is no saving on the ' + separately + ' its components cost');
+    }
+  });
+}
+
+/* [where, path] for every image a product lists, its variants' included */
+function imagesOf(product, name) {
+  var list = [];
+  if (Array.isArray(product.images)) {
+    product.images.forEach(function (image, n) {
+      list.push([name + '.images[' + n + ']', image]);
+    });
+  }
+  if (product.variants && Array.isArray(product.variants.values)) {
+    product.variants.values.forEach(function (v, m) {
+      if (!v || !Array.isArray(v.images)) return;
+      v.images.forEach(function (image, n) {
+        list.push([name + '.variants.values[' + m + '].images[' + n + ']', image]);
+      });
+    });
+  }
+  return list;
+}
+
+function checkImages(products, root, errors) {
+  var imageDir = path.join(root, 'images', 'products') + path.sep;
+
+  products.forEach(function (p, i) {
+    if (!p) return;
+    imagesOf(p, label(p, i)).forEach(function (entry) {
+      var where = entry[0];
+      var image = entry[1];
+      if (typeof image !== 'string') return;
+      var file = path.resolve(root, image);
+      if (file.indexOf(imageDir) !== 0) {
+        errors.push(where + ': must be under images/products/');
+      } else if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        errors.push(where + ': ' + image + ' does not exist');
+      }
+    });
+  });
+}
+
+/* ──────────────────────────────────────────────
+   Public
+────────────────────────────────────────────── */
+
+/**
+ * validate(products, [options])
+ * @param {*} products — parsed data/products.json
+ * @param {{ schema?: Object, root?: string }} [options] — defaults to
+ *   data/products.schema.json and the repository root (for image paths)
+ * @returns {Array<string>} Problems, one per entry; empty when valid
+ */
+function validate(products, options) {
+  options = options || {};
+  var schema = options.schema || JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  var root = options.root || ROOT;
+  var errors = [];
+
+  checkSchema(products, schema, schema, 'products', errors);
+  if (!Array.isArray(products)) return errors;
+
+  /* Name records by id once the schema has checked them */
+  errors = errors.map(function (message) {
+    return message.replace(/^products\[(\d+)\]/, function (match, i) {
+      return label(products[Number(i)], Number(i));
+    });
+  });
+
+  checkUnique(products, 'id', errors);
+  checkUnique(products, 'slug', errors);
+  checkRelated(products, errors);
+  checkVariants(products, errors);
+  checkTranslations(products, errors);
+  checkBundles(products, errors);
+  checkImages(products, root, errors);
+
+  return errors;
+}
+
+function main() {
+  var products;
+  try {
+    products = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  } catch (e) {
+    console.error('[validate-catalog] ' + path.relative(ROOT, CATALOG_FILE) + ': ' + e.message);
+    return 1;
+  }
+
+  var errors = validate(products);
+  var file = path.relative(ROOT, CATALOG_FILE);
+
+  if (errors.length) {
+    errors.forEach(function (message) {
+      console.error(file + ': ' + message);
+    });
+    console.error(errors.length + ' problem' + (errors.length === 1 ? '' : 's') + ' found.');
+    return 1;
+  }
+
+  console.log(file + ': ' + products.length + ' products OK');
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main();
+  } catch (e) {
+    console.error('[validate-catalog] ' + e.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  validate: validate
+};
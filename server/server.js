@@ -0,0 +1,590 @@
+#!/usr/bin/env node
+/* ============================================================
+   MERIDIAN — server.js
+   Local stand-in for the checkout backend. Serves the static
+   site and a small JSON API; no dependencies, runs offline.
+
+     POST /api/create-checkout-session   { items: [{ id, variant?, qty }], shipping?, promoCode?, gift?, shippingAddress? }
+     GET  /api/orders/:id
+
+   Carts are re-priced and checked against stock and per-order
+   limits in data/products.json; promo codes, gift wrap,
+   shipping and tax are re-evaluated with js/promotions.js,
+   js/gift.js, js/shipping.js and js/tax.js — client totals
+   are never trusted — and orders are written to a local
+   JSON store. The "session" is a mock: its URL points straight
+   at order-confirmation.html.
+
+   Usage:  node server/server.js
+           PORT=3000 ORDERS_FILE=/tmp/orders.json node server/server.js
+   ============================================================ */
+
+'use strict';
+
+var http   = require('http');
+var fs     = require('fs');
+var path   = require('path');
+var crypto = require('crypto');
+
+var CartStorage = require('../js/cart-storage.js');
+var Shipping    = require('../js/shipping.js');
+var Tax         = require('../js/tax.js');
+var Promotions  = require('../js/promotions.js');
+var Variants    = require('../js/variants.js');
+var Inventory   = require('../js/inventory.js');
+var Gift        = require('../js/gift.js');
+
+var ROOT         = path.resolve(__dirname, '..');
+var CATALOG_FILE = path.join(ROOT, 'data', 'products.json');
+var ORDERS_FILE  = process.env.ORDERS_FILE || path.join(__dirname, 'orders.json');
+var PORT         = parseInt(process.env.PORT, 10) || 8080;
+
+var MAX_BODY_BYTES = 64 * 1024;
+var MAX_LINES      = 50;
+var MAX_QTY        = CartStorage.MAX_QTY;   /* same cap the cart enforces */
+
+/* All the static server hands out: pages at the top level, files of a
+   known type in the site directories, and the generated feed files.
+   Anything else in the checkout (server, scripts, templates, tests,
+   notes) is a 404. */
+var PUBLIC_DIRS  = ['css', 'js', 'data', 'images', 'product', 'journal'];
+var PUBLIC_FILES = ['feed.xml', 'sitemap.xml', 'robots.txt'];
+
+var MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.js':   'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml':  'application/xml; charset=utf-8',
+  '.txt':  'text/plain; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif':  'image/gif',
+  '.ico':  'image/x-icon'
+};
+
+/* ──────────────────────────────────────────────
+   Errors
+────────────────────────────────────────────── */
+
+/**
+ * HttpError(status, message, [code])
+ * Thrown by request handlers; turned into a JSON { error, code? }
+ * response. `code` names the errors the pages have their own copy for.
+ */
+function HttpError(status, message, code) {
+  this.name = 'HttpError';
+  this.status = status;
+  this.message = message;
+  if (code) this.code = code;
+}
+HttpError.prototype = Object.create(Error.prototype);
+HttpError.prototype.constructor = HttpError;
+
+/* ──────────────────────────────────────────────
+   Catalog & pricing
+────────────────────────────────────────────── */
+
+function loadCatalog() {
+  var products = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  var byId = {};
+  products.forEach(function (p) {
+    byId[p.id] = p;
+  });
+  return byId;
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * priceCart(items, byId)
+ * Validates submitted lines and prices them from the catalog.
+ * Lines are keyed by SKU (id plus variant, as in the cart); repeated SKUs
+ * are merged before the quantity limit is applied. Lines must then fit
+ * stock and `max_per_order`, shared as in the cart (variants, bundles).
+ * @param {*} items — the request's `items` value
+ * @param {Object} byId — catalog records keyed by id
+ * @returns {{ items: Array, subtotal: number }}
+ * @throws {HttpError} 400 on any invalid line
+ */
+function priceCart(items, byId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'Cart is empty.');
+  }
+  if (items.length > MAX_LINES) {
+    throw new HttpError(400, 'Too many cart lines (max ' + MAX_LINES + ').');
+  }
+
+  var bySku = {};
+  var order = [];
+
+  items.forEach(function (line) {
+    var id      = line && line.id;
+    var variant = line && line.variant;
+    var qty     = line && line.qty;
+
+    if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(byId, id)) {
+      throw new HttpError(400, 'Unknown product: ' + String(id));
+    }
+    if (variant !== undefined && variant !== null && typeof variant !== 'string') {
+      throw new HttpError(400, 'Unknown variant for ' + id + ': ' + String(variant));
+    }
+    var resolved = Variants.resolve(byId[id], variant);
+    if (!resolved) {
+      throw new HttpError(400, 'Unknown variant for ' + id + ': ' + String(variant));
+    }
+    if (typeof qty !== 'number' || qty % 1 !== 0 || qty < 1) {
+      throw new HttpError(400, 'Invalid quantity for ' + id + ': ' + String(qty));
+    }
+
+    /* An id-only line of a product with variants buys the default */
+    var variantId = resolved.variant ? resolved.variant.id : null;
+    var sku = CartStorage.skuFor(id, variantId);
+    if (!bySku[sku]) {
+      bySku[sku] = { id: id, variant: variantId, price: resolved.price, qty: 0 };
+      order.push(sku);
+    }
+    bySku[sku].qty += qty;
+
+    if (bySku[sku].qty > MAX_QTY) {
+      throw new HttpError(400, 'Quantity for ' + sku + ' exceeds the limit of ' + MAX_QTY + '.');
+    }
+  });
+
+  checkStock(order.map(function (sku) { return bySku[sku]; }), byId);
+
+  var priced = order.map(function (sku) {
+    var line = bySku[sku];
+    var product = byId[line.id];
+    var pricedLine = {
+      sku:       sku,
+      id:        line.id,
+      name:      product.name,
+      price:     line.price,
+      qty:       line.qty,
+      lineTotal: roundMoney(line.price * line.qty)
+    };
+    if (line.variant) {
+      pricedLine.variant = line.variant;
+      pricedLine.option  = Variants.describe(product, line.variant);
+    }
+    return pricedLine;
+  });
+
+  var subtotal = priced.reduce(function (sum, line) {
+    return sum + line.lineTotal;
+  }, 0);
+
+  return { items: priced, subtotal: roundMoney(subtotal) };
+}
+
+/**
+ * checkStock(lines, byId)
+ * @param {Array<{ id: string, qty: number }>} lines — one per SKU
+ * @param {Object} byId
+ * @throws {HttpError} 400 when a line is sold out or over its limit
+ */
+function checkStock(lines, byId) {
+  var rooms = Inventory.allocate(lines, function (id) { return byId[id] || null; });
+
+  lines.forEach(function (line, i) {
+    var room = rooms[i];
+    var name = byId[line.id].name;
+    if (line.qty <= room.max) return;
+
+    if (room.reason === 'max_per_order') {
+      throw new HttpError(400, name + ' is limited to ' + room.limit + ' per order.');
+    }
+    throw new HttpError(400, room.max === 0
+      ? name + ' is sold out.'
+      : 'Only ' + room.max + ' of ' + name + ' left in stock.');
+  });
+}
+
+/**
+ * quoteShipping(selection, subtotal)
+ * @param {*} selection — the request's `shipping` value ({ country, method })
+ * @param {number} subtotal
+ * @returns {Object} MeridianShipping.quote() result
+ * @throws {HttpError} 400 on a malformed selection
+ */
+function quoteShipping(selection, subtotal) {
+  selection = selection || {};
+  if (typeof selection !== 'object') throw new HttpError(400, 'Invalid shipping selection.');
+  if (selection.country !== undefined && !/^[A-Za-z]{2}$/.test(selection.country)) {
+    throw new HttpError(400, 'Invalid shipping country: ' + String(selection.country));
+  }
+  if (selection.method !== undefined && !Shipping.isMethod(selection.method)) {
+    throw new HttpError(400, 'Unknown shipping method: ' + String(selection.method));
+  }
+  if (selection.region && !Tax.isRegion(selection.country, selection.region)) {
+    throw new HttpError(400, 'Unknown region for ' + String(selection.country) + ': ' + String(selection.region));
+  }
+  return Shipping.quote(subtotal, selection);
+}
+
+/**
+ * applyPromo(code, items, byId)
+ * @param {*} code — the request's `promoCode` value
+ * @param {Array} items — priced lines from priceCart()
+ * @param {Object} byId
+ * @returns {Object|null} MeridianPromotions.evaluate() result, or null without a code
+ * @throws {HttpError} 400 when the code does not apply
+ */
+function applyPromo(code, items, byId) {
+  if (code === undefined || code === null || code === '') return null;
+  if (typeof code !== 'string') throw new HttpError(400, 'Invalid promo code.');
+
+  var result = Promotions.evaluate(code, items, {
+    getProduct: function (id) { return byId[id] || null; }
+  });
+  if (!result.ok) throw new HttpError(400, result.error);
+  return result;
+}
+
+/**
+ * normalizeGift(gift)
+ * @param {*} gift — the request's `gift` value
+ * @returns {{ wrap: boolean, message: string, hidePrices: boolean }|null}
+ *   null when no gift option is chosen
+ * @throws {HttpError} 400 on a malformed value or an over-long message
+ */
+function normalizeGift(gift) {
+  if (gift === undefined || gift === null) return null;
+  if (typeof gift !== 'object') throw new HttpError(400, 'Invalid gift options.');
+
+  ['wrap', 'hidePrices'].forEach(function (field) {
+    if (gift[field] !== undefined && typeof gift[field] !== 'boolean') {
+      throw new HttpError(400, 'Invalid gift option: ' + field);
+    }
+  });
+  if (gift.message !== undefined && typeof gift.message !== 'string') {
+    throw new HttpError(400, 'Invalid gift message.');
+  }
+  if (gift.message && gift.message.replace(/\r\n?/g, '\n').trim().length > Gift.MESSAGE_MAX) {
+    throw new HttpError(400, 'Gift messages are limited to ' + Gift.MESSAGE_MAX + ' characters.');
+  }
+
+  var options = Gift.normalize(gift);
+  return Gift.isGift(options) ? options : null;
+}
+
+/**
+ * normalizeAddress(address)
+ * The address typed on cart.html (see MeridianShipping.shippingAddress);
+ * optional, since a hosted payment page may collect it instead.
+ * @param {*} address
+ * @returns {Object|null}
+ * @throws {HttpError} 400 when present but incomplete
+ */
+function normalizeAddress(address) {
+  if (address === undefined || address === null) return null;
+  if (typeof address !== 'object') throw new HttpError(400, 'Invalid shipping address.');
+
+  var out = {};
+  ['name', 'line1', 'line2', 'city', 'state', 'postalCode', 'country'].forEach(function (field) {
+    var value = address[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new HttpError(400, 'Invalid shipping address field: ' + field);
+    }
+    out[field] = value ? value.trim().slice(0, 200) : '';
+  });
+
+  ['name', 'line1', 'city', 'postalCode', 'country'].forEach(function (field) {
+    if (!out[field]) throw new HttpError(400, 'Shipping address is missing ' + field + '.');
+  });
+
+  return out;
+}
+
+/**
+ * taxRegion(selection, country, address)
+ * The state sales tax is worked out for: the one chosen in the cart, or
+ * else the one in the shipping address when it is for the same country.
+ * @returns {string|undefined}
+ */
+function taxRegion(selection, country, address) {
+  if (selection && selection.region) return selection.region;
+  if (address && address.state && address.country.toUpperCase() === country) return address.state;
+  return undefined;
+}
+
+/* ──────────────────────────────────────────────
+   Order store (single JSON file: { id: order })
+────────────────────────────────────────────── */
+
+function readOrders() {
+  try {
+    return JSON.parse(fs.readFileSync(ORDERS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+/* Write-then-rename so a crash never leaves a half-written store */
+function writeOrders(orders) {
+  var tmp = ORDERS_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(orders, null, 2) + '\n');
+  fs.renameSync(tmp, ORDERS_FILE);
+}
+
+function createOrderId() {
+  return 'ord_' + crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * createOrder(body)
+ * @param {Object} body — parsed checkout request
+ * @returns {Object} The stored order
+ * @throws {HttpError} 400 on an invalid cart, promo code, gift options,
+ *   address or destination; 'state_required' when a US order names no
+ *   state in either the shipping choice or the address
+ */
+function createOrder(body) {
+  var byId = loadCatalog();
+  var priced = priceCart(body.items, byId);
+  var promo = applyPromo(body.promoCode, priced.items, byId);
+  var net = roundMoney(priced.subtotal - (promo ? promo.amount : 0));
+  var gift = normalizeGift(body.gift);
+  var giftWrap = Gift.wrapCost(gift);
+  var shipping = Promotions.applyToShipping(quoteShipping(body.shipping, net), promo);
+  var shippingAddress = normalizeAddress(body.shippingAddress);
+  var tax = Tax.calculate(
+    { subtotal: net + giftWrap, shipping: shipping.cost },
+    { country: shipping.country, region: taxRegion(body.shipping, shipping.country, shippingAddress) }
+  );
+  /* Never settle an order whose tax is still unknown */
+  if (tax.mode === 'pending') {
+    throw new HttpError(400, 'Choose a state for orders shipping to ' + shipping.country + ' so sales tax can be calculated.',
+      'state_required');
+  }
+  var orders = readOrders();
+
+  var order = {
+    id:        createOrderId(),
+    status:    'paid',
+    provider:  'mock',
+    createdAt: new Date().toISOString(),
+    currency:  'USD',
+    items:     priced.items,
+    subtotal:  priced.subtotal,
+    discount:  promo ? { code: promo.code, description: promo.description, amount: promo.amount } : null,
+    gift:      gift ? { wrap: gift.wrap, cost: giftWrap, message: gift.message, hidePrices: gift.hidePrices } : null,
+    shipping:  {
+      country: shipping.country,
+      method:  shipping.method,
+      cost:    shipping.cost
+    },
+    tax:       tax,
+    total:     Tax.grandTotal(net + giftWrap, shipping.cost, tax),
+    shippingAddress: shippingAddress
+  };
+
+  orders[order.id] = order;
+  writeOrders(orders);
+  return order;
+}
+
+/* ──────────────────────────────────────────────
+   HTTP helpers
+────────────────────────────────────────────── */
+
+function sendJson(res, status, data) {
+  var body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type':   MIME_TYPES['.json'],
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control':  'no-store'
+  });
+  res.end(body);
+}
+
+function readJsonBody(req) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+
+    /* Past the limit, stop reading and let the 413 response close the
+       connection — destroying the socket here would drop the response too */
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeListener('data', onData);
+        req.pause();
+        reject(new HttpError(413, 'Request body too large.'));
+        return;
+      }
+      chunks.push(chunk);
+    }
+
+    req.on('data', onData);
+
+    req.on('end', function () {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(new HttpError(400, 'Request body must be JSON.'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/* ──────────────────────────────────────────────
+   API routes
+────────────────────────────────────────────── */
+
+function handleApi(req, res, pathname) {
+  var orderMatch = pathname.match(/^\/api\/orders\/(ord_[0-9a-f]{16})$/);   /* as createOrderId() makes them */
+
+  if (pathname === '/api/create-checkout-session') {
+    if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed.');
+
+    return readJsonBody(req).then(function (body) {
+      if (!body || typeof body !== 'object') throw new HttpError(400, 'Request body must be a JSON object.');
+
+      var order = createOrder(body);
+      console.log('order ' + order.id + '  ' + order.items.length + ' line(s)  $' + order.total);
+      sendJson(res, 200, {
+        id:    order.id,
+        url:   '/order-confirmation.html?order=' + encodeURIComponent(order.id),
+        order: order
+      });
+    });
+  }
+
+  if (orderMatch) {
+    if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed.');
+
+    var orders = readOrders();
+    if (!Object.prototype.hasOwnProperty.call(orders, orderMatch[1])) throw new HttpError(404, 'Order not found.');
+    sendJson(res, 200, orders[orderMatch[1]]);
+    return;
+  }
+
+  throw new HttpError(404, 'Not found.');
+}
+
+/* ──────────────────────────────────────────────
+   Static files
+────────────────────────────────────────────── */
+
+function sendFile(res, status, file) {
+  fs.readFile(file, function (err, data) {
+    if (err) {
+      res.writeHead(500, { 'Content-Type': MIME_TYPES['.txt'] });
+      res.end('Internal server error');
+      return;
+    }
+    res.writeHead(status, {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+    });
+    res.end(data);
+  });
+}
+
+/**
+ * resolveStatic(pathname)
+ * Maps a URL path to a file under ROOT, or null when it is not part of
+ * the site (traversal, dotfiles, anything off the public allow-list).
+ */
+function resolveStatic(pathname) {
+  var file = path.normalize(path.join(ROOT, pathname));
+  var rel = path.relative(ROOT, file);
+  var parts = rel.split(path.sep);
+  var ext = path.extname(rel).toLowerCase();
+
+  if (parts[0] === '..' || path.isAbsolute(rel)) return null;
+  if (parts.some(function (part) { return part.charAt(0) === '.'; })) return null;
+
+  if (rel === '') return file;   /* the home page */
+  if (parts.length === 1) {
+    return ext === '.html' || PUBLIC_FILES.indexOf(rel) !== -1 ? file : null;
+  }
+  if (PUBLIC_DIRS.indexOf(parts[0]) === -1) return null;
+  return Object.prototype.hasOwnProperty.call(MIME_TYPES, ext) ? file : null;
+}
+
+function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Content-Type': MIME_TYPES['.txt'], 'Allow': 'GET, HEAD' });
+    res.end('Method not allowed');
+    return;
+  }
+
+  var file = resolveStatic(pathname);
+  if (file) {
+    try {
+      if (fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    } catch (e) { /* fall through to the existence check */ }
+  }
+
+  if (file && fs.existsSync(file)) {
+    sendFile(res, 200, file);
+  } else if (pathname.indexOf('/product/') === 0) {
+    /* Relative asset paths in product/404.html only resolve under /product/ */
+    sendFile(res, 404, path.join(ROOT, 'product', '404.html'));
+  } else {
+    res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] });
+    res.end('Not found');
+  }
+}
+
+/* ──────────────────────────────────────────────
+   Server
+────────────────────────────────────────────── */
+
+function handleRequest(req, res) {
+  var pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+    res.end('Bad request');
+    return;
+  }
+
+  if (pathname.indexOf('/api/') !== 0) {
+    serveStatic(req, res, pathname);
+    return;
+  }
+
+  Promise.resolve()
+    .then(function () {
+      return handleApi(req, res, pathname);
+    })
+    .catch(function (e) {
+      if (e instanceof HttpError) {
+        if (e.status === 413) res.setHeader('Connection', 'close');   /* the rest of the body is never read */
+        sendJson(res, e.status, e.code ? { error: e.message, code: e.code } : { error: e.message });
+      } else {
+        console.error('[server] ' + (e && e.stack || e));
+        sendJson(res, 500, { error: 'Internal server error.' });
+      }
+    });
+}
+
+function createServer() {
+  return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, function () {
+    console.log('MERIDIAN dev server on http://localhost:' + PORT);
+    console.log('orders → ' + path.relative(ROOT, ORDERS_FILE));
+  });
+}
+
+module.exports = {
+  createServer: createServer,
+  priceCart:    priceCart,
+  HttpError:    HttpError
+};
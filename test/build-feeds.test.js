@@ -0,0 +1,94 @@
+/* ============================================================
+   MERIDIAN — build-feeds.test.js
+   Feed and crawler files (scripts/build-feeds.js): every URL is
+   absolute under SITE_URL (and nothing is built without it),
+   feed entries carry escaped content with rewritten links, and
+   lastmod dates come from the content.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var path   = require('path');
+var spawnSync = require('child_process').spawnSync;
+
+/* Read once when the script loads; the trailing slash is optional */
+process.env.SITE_URL = 'https://shop.test/store';
+
+var Build = require('../scripts/build-feeds.js');
+
+function article(n, date, updated) {
+  return {
+    slug:      'article-' + n,
+    title:     'Copper & <stone> ' + n,
+    topic:     'technique',
+    tag:       'Technique',
+    date:      date,
+    updated:   updated || date,
+    hero:      'images/a.jpg',
+    hero_alt:  'A "tool"',
+    excerpt:   'It\'s short.',
+    body:      'See [the frog](product/frog-face-lift.html) and [below](#steps).'
+  };
+}
+
+test('the feed is absolute, escaped and dated by the newest update', function () {
+  var feed = Build.renderFeed([article(1, '2026-02-10'), article(2, '2026-01-01', '2026-03-05')]);
+
+  assert.match(feed, /<id>https:\/\/shop\.test\/store\/feed\.xml<\/id>/);
+  assert.match(feed, /^  <updated>2026-03-05T00:00:00Z<\/updated>$/m);
+  assert.match(feed, /<title>Copper &amp; &lt;stone&gt; 1<\/title>/);
+  assert.match(feed, /<summary>It&apos;s short\.<\/summary>/);
+  assert.match(feed, /<published>2026-01-01T00:00:00Z<\/published>\n    <updated>2026-03-05T00:00:00Z<\/updated>/);
+  assert.match(feed, /&lt;img src=&quot;https:\/\/shop\.test\/store\/images\/a\.jpg&quot;/);
+  assert.match(feed, /href=&quot;https:\/\/shop\.test\/store\/product\/frog-face-lift\.html&quot;/);
+  assert.match(feed, /href=&quot;https:\/\/shop\.test\/store\/journal\/article-1\.html#steps&quot;/);
+});
+
+test('the feed keeps the newest 20 articles', function () {
+  var articles = [];
+  for (var i = 0; i < 25; i++) articles.push(article(i, '2026-01-' + String(25 - i).padStart(2, '0')));
+
+  var feed = Build.renderFeed(articles);
+  assert.equal(feed.match(/<entry>/g).length, 20);
+  assert.doesNotMatch(feed, /article-20\.html/);
+});
+
+test('listing pages take the newest date of what they list', function () {
+  var products = [{ slug: 'frog', updated: '2026-01-04' }, { slug: 'ring', updated: '2026-02-01' }];
+  var entries = Build.sitemapEntries(products, [article(1, '2026-03-01'), article(2, '2025-12-01')]);
+
+  assert.deepEqual(entries, [
+    { path: '',                       lastmod: '2026-03-01' },
+    { path: 'products.html',          lastmod: '2026-02-01' },
+    { path: 'product/frog.html',      lastmod: '2026-01-04' },
+    { path: 'product/ring.html',      lastmod: '2026-02-01' },
+    { path: 'journal.html',           lastmod: '2026-03-01' },
+    { path: 'journal/article-1.html', lastmod: '2026-03-01' },
+    { path: 'journal/article-2.html', lastmod: '2025-12-01' }
+  ]);
+  assert.match(Build.renderSitemap(entries.slice(0, 1)),
+    /<url>\n    <loc>https:\/\/shop\.test\/store\/<\/loc>\n    <lastmod>2026-03-01<\/lastmod>\n  <\/url>/);
+});
+
+test('robots.txt keeps crawlers out of per-visitor pages and names the sitemap', function () {
+  var robots = Build.renderRobots();
+
+  assert.match(robots, /^User-agent: \*\n/);
+  assert.match(robots, /^Disallow: \/cart\.html$/m);
+  assert.match(robots, /^Disallow: \/api\/$/m);
+  assert.match(robots, /\nSitemap: https:\/\/shop\.test\/store\/sitemap\.xml\n$/);
+});
+
+test('the build refuses to run without a SITE_URL', function () {
+  var env = Object.assign({}, process.env);
+  delete env.SITE_URL;
+  var run = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'build-feeds.js')], { env: env, encoding: 'utf8' });
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Set SITE_URL to the site's public origin/);
+  assert.equal(run.stdout, '');
+});
@@ -0,0 +1,107 @@
+/* ============================================================
+   MERIDIAN — build-journal.test.js
+   Journal generation (scripts/build-journal.js): the committed
+   journal/*.html and data/journal.json match the articles in
+   data/journal/ and no page links to one that is gone,
+   articles are newest first, and article pages
+   escape their copy, point one level up for assets and list
+   the tools they use.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var fs     = require('fs');
+var path   = require('path');
+
+var Build = require('../scripts/build-journal.js');
+
+var ROOT     = path.resolve(__dirname, '..');
+var TEMPLATE = fs.readFileSync(path.join(ROOT, 'templates', 'article.html'), 'utf8');
+var CATALOG  = {};
+JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'products.json'), 'utf8')).forEach(function (p) {
+  CATALOG[p.id] = p;
+});
+
+var ARTICLE = {
+  slug:      'test-article',
+  title:     'Copper <and> "stone"',
+  topic:     'technique',
+  tag:       'Technique',
+  date:      '2026-02-10',
+  read_time: 6,
+  hero:      'images/products/frog-face-lift/image_1.jpg',
+  hero_alt:  'A tool',
+  excerpt:   'Short & sweet.',
+  products:  [],
+  body:      'See [the frog](product/frog-face-lift.html) or [the web](https://example.com/).'
+};
+
+test('the committed journal pages and index are up to date', function () {
+  var articles = Build.loadArticles();
+
+  articles.forEach(function (a) {
+    var committed = fs.readFileSync(path.join(ROOT, 'journal', a.slug + '.html'), 'utf8');
+    assert.equal(Build.renderArticlePage(TEMPLATE, a, CATALOG), committed, 'journal/' + a.slug + '.html — run node scripts/build-journal.js');
+  });
+  assert.equal(Build.renderIndex(articles), fs.readFileSync(path.join(ROOT, 'data', 'journal.json'), 'utf8'));
+});
+
+test('every journal link in the committed pages names an article that exists', function () {
+  var slugs = Build.loadArticles().map(function (a) { return a.slug; });
+
+  ['product', 'journal'].forEach(function (dir) {
+    fs.readdirSync(path.join(ROOT, dir)).forEach(function (file) {
+      var html = fs.readFileSync(path.join(ROOT, dir, file), 'utf8');
+      (html.match(/href="\.\.\/journal\/[\w-]+\.html/g) || []).forEach(function (link) {
+        var slug = link.replace(/^.*\/journal\/|\.html$/g, '');
+        assert.notEqual(slugs.indexOf(slug), -1, dir + '/' + file + ' links to ' + slug);
+      });
+    });
+  });
+});
+
+test('articles are listed newest first with a known topic', function () {
+  var articles = Build.loadArticles();
+  var topics = Build.TOPICS.map(function (t) { return t[0]; });
+
+  for (var i = 1; i < articles.length; i++) {
+    assert.ok(articles[i - 1].date >= articles[i].date, articles[i - 1].slug + ' before ' + articles[i].slug);
+  }
+  articles.forEach(function (a) {
+    assert.notEqual(topics.indexOf(a.topic), -1, a.slug);
+  });
+});
+
+test('an article page escapes its copy and resolves site paths from journal/', function () {
+  var html = Build.renderArticlePage(TEMPLATE, ARTICLE, CATALOG);
+
+  assert.match(html, /<h1 class="article__title">Copper &lt;and&gt; &quot;stone&quot;<\/h1>/);
+  assert.match(html, /<meta name="description" content="Short &amp; sweet\."/);
+  assert.match(html, /<time datetime="2026-02-10">February 10, 2026<\/time> &middot; 6 min read/);
+  assert.match(html, /src="\.\.\/images\/products\/frog-face-lift\/image_1\.jpg"/);
+  assert.match(html, /href="\.\.\/product\/frog-face-lift\.html"/);
+  assert.match(html, /href="https:\/\/example\.com\/"/);
+  assert.match(html, /href="\.\.\/journal\.html\?topic=technique"/);
+});
+
+test('the tools an article lists get a card with an add-to-cart button', function () {
+  var article = Object.assign({}, ARTICLE, { products: ['frog-face-lift', 'bianshi-ring'] });
+  var html = Build.renderArticlePage(TEMPLATE, article, CATALOG);
+
+  assert.match(html, /id="article-tools-heading"/);
+  assert.deepEqual(html.match(/data-product-id="[\w-]+"/g), ['data-product-id="frog-face-lift"', 'data-product-id="bianshi-ring"']);
+  assert.match(html, /<a href="\.\.\/product\/frog-face-lift\.html">/);
+  assert.doesNotMatch(Build.renderArticlePage(TEMPLATE, ARTICLE, CATALOG), /id="article-tools-heading"/);
+});
+
+test('the index lists the topics and each article\'s card fields', function () {
+  var index = JSON.parse(Build.renderIndex([ARTICLE]));
+
+  assert.deepEqual(index.topics[0], { slug: Build.TOPICS[0][0], name: Build.TOPICS[0][1] });
+  assert.equal(index.articles[0].url, 'journal/test-article.html');
+  assert.equal('body' in index.articles[0], false);
+});
@@ -0,0 +1,161 @@
+/* ============================================================
+   MERIDIAN — build-products.test.js
+   Product page generation (scripts/build-products.js): the
+   committed product/*.html match what the template and catalog
+   produce, copy is escaped, variants get a picker, bundles list
+   their tools, stock is flagged, journal articles that list a
+   tool are linked from its page, and broken data fails the
+   build.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var fs     = require('fs');
+var path   = require('path');
+
+var Build   = require('../scripts/build-products.js');
+var Journal = require('../scripts/build-journal.js');
+
+var ROOT     = path.resolve(__dirname, '..');
+var TEMPLATE = fs.readFileSync(path.join(ROOT, 'templates', 'product.html'), 'utf8');
+var PRODUCTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'products.json'), 'utf8'));
+
+function byId(products) {
+  var map = {};
+  products.forEach(function (p) { map[p.id] = p; });
+  return map;
+}
+
+function tool(changes) {
+  var base = JSON.parse(JSON.stringify(PRODUCTS[0]));
+  for (var key in changes) base[key] = changes[key];
+  return base;
+}
+
+test('the committed product pages are up to date', function () {
+  var catalog = byId(PRODUCTS);
+  var articles = Journal.loadArticles();
+
+  PRODUCTS.forEach(function (p) {
+    var committed = fs.readFileSync(path.join(ROOT, 'product', p.slug + '.html'), 'utf8');
+    assert.equal(Build.renderProductPage(TEMPLATE, p, catalog, articles), committed,
+      'product/' + p.slug + '.html — run node scripts/build-products.js');
+  });
+  assert.equal(Build.renderNotFoundPage(TEMPLATE), fs.readFileSync(path.join(ROOT, 'product', '404.html'), 'utf8'));
+});
+
+test('catalog copy is escaped into the page', function () {
+  var product = tool({ name: 'Frog <b>Lift</b> & "Co"', related: [] });
+  var html = Build.renderProductPage(TEMPLATE, product, byId([product]));
+
+  assert.match(html, /<title>Frog &lt;b&gt;Lift&lt;\/b&gt; &amp; &quot;Co&quot;/);
+  assert.doesNotMatch(html, /<b>Lift<\/b>/);
+  assert.doesNotMatch(html, /\{\{\w+\}\}/);
+});
+
+test('Chinese copy sits beside the English, highlight by highlight', function () {
+  var product = tool({ tagline: 'Lift', tagline_cn: '提拉', highlights: ['One', 'Two'], highlights_cn: ['一'], related: [] });
+  var html = Build.renderProductPage(TEMPLATE, product, byId([product]));
+
+  assert.match(html, /<p class="product-tagline"><span lang="en" data-lang="en">Lift<\/span><span lang="zh-CN" data-lang="zh-CN" hidden>提拉<\/span><\/p>/);
+  assert.match(html, /<\/span><span lang="en" data-lang="en">One<\/span><span lang="zh-CN" data-lang="zh-CN" hidden>一<\/span><\/li>/);
+  assert.match(html, /<\/span>Two<\/li>/);
+  assert.match(html, /<h2 class="section-heading" data-i18n="product.howToUse">/);
+});
+
+test('the meta description ends with the price', function () {
+  var product = tool({ meta_description: 'A tool.', price: 71, related: [] });
+
+  assert.match(Build.renderProductPage(TEMPLATE, product, byId([product])), /content="A tool\. \$71\."/);
+});
+
+test('a product sold in several forms gets a picker starting on the default', function () {
+  var images = PRODUCTS[0].images;
+  var product = tool({
+    price:    60,
+    related:  [],
+    variants: {
+      option:    'Finish',
+      option_cn: '表面',
+      values: [
+        { id: 'matte',  label: 'Matte <satin>', price_delta: 8, images: [images[1]] },
+        { id: 'polish', label: 'Polished', label_cn: '抛光', price_delta: 0 }
+      ]
+    }
+  });
+  var html = Build.renderProductPage(TEMPLATE, product, byId([product]));
+
+  assert.match(html, /<div class="product-price" data-price="68"><sup>\$<\/sup>68<\/div>/);
+  assert.match(html, /data-product-id="[\w-]+" data-variant="matte"/);
+  assert.match(html, /value="matte" data-variant-price="68" data-variant-images="\[&quot;\.\.\/images\/[^"]+&quot;\]" checked \/>/);
+  assert.match(html, /value="polish" data-variant-price="60" data-variant-images="[^"]+" \/>/);
+  assert.match(html, /Matte &lt;satin&gt;/);
+
+  product.variants.values.pop();
+  assert.doesNotMatch(Build.renderProductPage(TEMPLATE, product, byId([product])), /<fieldset class="variant-picker"/);
+});
+
+test('low stock, limits and sold-out tools are shown as of the build', function () {
+  function page(changes) {
+    var product = tool(Object.assign({ related: [], stock: 40, max_per_order: undefined }, changes));
+    return Build.renderProductPage(TEMPLATE, product, byId([product]));
+  }
+
+  assert.doesNotMatch(page({}), /<p class="product-stock/);
+  assert.match(page({ stock: 3, max_per_order: 2 }),
+    /<p class="product-stock product-stock--low-stock"><span data-i18n="stock.onlyLeft" data-i18n-vars="\{&quot;n&quot;:3\}">Only 3 left<\/span> · <span data-i18n="stock.limitPerOrder"[^>]*>Limit 2 per order<\/span><\/p>/);
+
+  var soldOut = page({ stock: 0 });
+  assert.match(soldOut, /product-stock--sold-out"><span data-i18n="stock.soldOut">Sold out<\/span>/);
+  assert.match(soldOut, /<button class="btn-add-cart"[^>]* disabled data-i18n="stock.soldOut">Sold out<\/button>/);
+});
+
+test('a bundle page lists its tools and the saving', function () {
+  var catalog = byId(PRODUCTS);
+  var set = PRODUCTS.filter(function (p) { return p.bundle; })[0];
+  var html = Build.renderProductPage(TEMPLATE, Object.assign({}, set, { price: 100 }), catalog);
+  var separately = set.bundle.reduce(function (sum, c) { return sum + catalog[c.id].price * c.qty; }, 0);
+
+  assert.equal(html.match(/<li class="bundle-item">/g).length, set.bundle.length);
+  assert.ok(html.includes('<a class="bundle-item__link" href="' + catalog[set.bundle[0].id].slug + '.html">'));
+  assert.ok(html.includes('<s data-price="' + separately + '">$' + separately + '</s>'));
+  assert.ok(html.includes('<span data-i18n="bundle.youSave">You save</span> <span data-price="' + (separately - 100) + '">'));
+  assert.doesNotMatch(Build.renderProductPage(TEMPLATE, tool({ related: [] }), catalog), /<section class="bundle-section">/);
+
+  assert.throws(function () {
+    Build.renderProductPage(TEMPLATE, Object.assign({}, set, { bundle: [{ id: 'ghost', qty: 1 }] }), catalog);
+  }, /bundle component "ghost" does not exist/);
+});
+
+test('the three newest articles that list the tool are linked', function () {
+  var product = tool({ related: [] });
+  function article(n, products) {
+    return { slug: 'a' + n, title: 'Article <' + n + '>', tag: 'Ritual', excerpt: 'E', read_time: n, products: products };
+  }
+  var articles = [article(1, [product.id]), article(2, ['other']), article(3, [product.id]),
+                  article(4, [product.id]), article(5, [product.id])];
+  var html = Build.renderProductPage(TEMPLATE, product, byId([product]), articles);
+
+  assert.deepEqual(html.match(/href="\.\.\/journal\/a\d\.html"/g),
+    ['href="../journal/a1.html"', 'href="../journal/a3.html"', 'href="../journal/a4.html"']);
+  assert.match(html, /Article &lt;1&gt;/);
+  assert.doesNotMatch(Build.renderProductPage(TEMPLATE, product, byId([product]), []), /Read More in the Journal/);
+});
+
+test('a related id that does not exist fails the build', function () {
+  var product = tool({ related: ['ghost'] });
+
+  assert.throws(function () {
+    Build.renderProductPage(TEMPLATE, product, byId([product]));
+  }, /related product "ghost" does not exist/);
+});
+
+test('a template token without a value fails the build', function () {
+  assert.throws(function () {
+    Build.renderNotFoundPage(TEMPLATE + '{{footer}}');
+  }, /Template token has no value: \{\{footer\}\}/);
+});
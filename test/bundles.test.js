@@ -0,0 +1,73 @@
+/* ============================================================
+   MERIDIAN — bundles.test.js
+   Bundles (js/bundles.js): what counts as a bundle, component
+   lookup with missing ids, prices bought separately and the
+   saving — checked against the shipped catalog as well.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var Bundles  = require('../js/bundles.js');
+var products = require('../data/products.json');
+
+var CATALOG = {
+  comb:  { id: 'comb',  price: 19.99 },
+  stone: { id: 'stone', price: 30.1 },
+  duo:   { id: 'duo',   price: 60, bundle: [{ id: 'comb' }, { id: 'stone', qty: 2 }] },
+  dear:  { id: 'dear',  price: 99, bundle: [{ id: 'comb', qty: 1 }, { id: 'stone', qty: 1 }] },
+  gone:  { id: 'gone',  price: 40, bundle: [{ id: 'comb', qty: 1 }, { id: 'retired', qty: 1 }] }
+};
+
+function getProduct(id) {
+  return CATALOG[id] || null;
+}
+
+test('isBundle needs a non-empty component list', function () {
+  assert.equal(Bundles.isBundle(CATALOG.duo), true);
+  assert.equal(Bundles.isBundle(CATALOG.comb), false);
+  assert.equal(Bundles.isBundle({ id: 'x', bundle: [] }), false);
+  assert.equal(Bundles.isBundle({ id: 'x', bundle: 'comb' }), false);
+  assert.equal(Bundles.isBundle(null), false);
+});
+
+test('components default qty to 1 and keep missing ids as null', function () {
+  assert.deepEqual(Bundles.components(CATALOG.duo, getProduct), [
+    { product: CATALOG.comb, id: 'comb', qty: 1 },
+    { product: CATALOG.stone, id: 'stone', qty: 2 }
+  ]);
+  assert.equal(Bundles.components(CATALOG.gone, getProduct)[1].product, null);
+  assert.deepEqual(Bundles.components(CATALOG.comb, getProduct), []);
+});
+
+test('componentsPrice adds components by quantity, rounded to cents', function () {
+  assert.equal(Bundles.componentsPrice(CATALOG.duo, getProduct), 80.19);
+  assert.equal(Bundles.componentsPrice(CATALOG.gone, getProduct), null);
+});
+
+test('savings is never negative and zero when unknown', function () {
+  assert.equal(Bundles.savings(CATALOG.duo, getProduct), 20.19);
+  assert.equal(Bundles.savings(CATALOG.dear, getProduct), 0);     /* dearer than buying separately */
+  assert.equal(Bundles.savings(CATALOG.gone, getProduct), 0);
+});
+
+test('every catalog bundle is made of single products and saves money', function () {
+  var byId = {};
+  products.forEach(function (p) { byId[p.id] = p; });
+  function lookup(id) { return byId[id] || null; }
+
+  var bundles = products.filter(Bundles.isBundle);
+  assert.ok(bundles.length > 0);
+
+  bundles.forEach(function (bundle) {
+    Bundles.components(bundle, lookup).forEach(function (c) {
+      assert.ok(c.product, bundle.id + ' → ' + c.id);
+      assert.equal(Bundles.isBundle(c.product), false, bundle.id + ' → ' + c.id);
+    });
+    assert.ok(Bundles.savings(bundle, lookup) > 0, bundle.id);
+  });
+});
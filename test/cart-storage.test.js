@@ -0,0 +1,181 @@
+/* ============================================================
+   MERIDIAN — cart-storage.test.js
+   The stored cart (js/cart-storage.js): SKUs, line validation
+   and timestamps, the migrations from every older shape,
+   quarantine of bad entries, carts saved by a newer release
+   and the saved-for-later list.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var CartStorage = require('../js/cart-storage.js');
+
+var helpers = require('./helpers/browser.js');
+
+var STAMP = '2026-09-01T10:00:00.000Z';
+
+function line(changes) {
+  var base = { sku: 'frog-face-lift', id: 'frog-face-lift', name: 'Frog', price: 68, qty: 1, image: '', addedAt: STAMP, updatedAt: STAMP };
+  for (var key in changes) base[key] = changes[key];
+  return base;
+}
+
+test('skuFor adds the variant only when there is one', function () {
+  assert.equal(CartStorage.skuFor('bianshi-ring', 'pendant'), 'bianshi-ring:pendant');
+  assert.equal(CartStorage.skuFor('frog-face-lift', null), 'frog-face-lift');
+  assert.equal(CartStorage.skuFor('frog-face-lift'), 'frog-face-lift');
+});
+
+test('validateItem keeps known fields and drops the rest', function () {
+  var checked = CartStorage.validateItem(line({ note: 'x', previousPrice: 72, unavailable: 'yes', savedAt: STAMP }));
+
+  assert.deepEqual(checked, { ok: true, item: line({ previousPrice: 72, savedAt: STAMP }) });
+  assert.equal(CartStorage.validateItem(line({ name: 7, image: null })).item.name, '');
+});
+
+test('validateItem rebuilds the SKU from the id and variant', function () {
+  var checked = CartStorage.validateItem(line({ sku: 'forged', variant: 'ring' }));
+
+  assert.deepEqual(checked.item, line({ sku: 'frog-face-lift:ring', variant: 'ring' }));
+  assert.equal(CartStorage.validateItem(line({ sku: 'forged', variant: null })).item.sku, 'frog-face-lift');
+});
+
+test('validateItem rejects each kind of bad line', function () {
+  var cases = [
+    [null, /not an object/],
+    [[], /not an object/],
+    [line({ id: '' }), /product id/],
+    [line({ variant: 'Not OK' }), /variant/],
+    [line({ variant: 7 }), /variant/],
+    [line({ price: 0 }), /Price/],
+    [line({ price: Infinity }), /Price/],
+    [line({ price: '68' }), /Price/],
+    [line({ qty: 0 }), /Quantity/],
+    [line({ qty: 1.5 }), /Quantity/],
+    [line({ qty: CartStorage.MAX_QTY + 1 }), /Quantity/]
+  ];
+
+  cases.forEach(function (c) {
+    var checked = CartStorage.validateItem(c[0]);
+    assert.equal(checked.ok, false, JSON.stringify(c[0]));
+    assert.match(checked.error, c[1]);
+  });
+  assert.equal(CartStorage.validateItem(line({ qty: CartStorage.MAX_QTY })).ok, true);
+});
+
+test('validateItem fills missing or broken timestamps', function () {
+  var item = CartStorage.validateItem(line({ addedAt: 'yesterday', updatedAt: undefined })).item;
+
+  assert.ok(!isNaN(Date.parse(item.addedAt)));
+  assert.notEqual(item.addedAt, 'yesterday');
+  assert.ok(!isNaN(Date.parse(item.updatedAt)));
+});
+
+test('parse of nothing is an empty cart that needs no write', function () {
+  [null, ''].forEach(function (raw) {
+    assert.deepEqual(CartStorage.parse(raw), { items: [], updatedAt: null, migrated: false, quarantine: [] });
+  });
+});
+
+test('parse quarantines unreadable and unknown shapes whole', function () {
+  var broken = CartStorage.parse('{not json');
+  assert.equal(broken.migrated, true);
+  assert.equal(broken.quarantine[0].reason, 'Stored cart is not valid JSON');
+  assert.equal(broken.quarantine[0].entry, '{not json');
+
+  var unknown = CartStorage.parse('"a string"');
+  assert.equal(unknown.quarantine[0].reason, 'Stored cart has an unknown shape');
+
+  var noItems = CartStorage.parse(JSON.stringify({ version: CartStorage.VERSION, items: 'x' }));
+  assert.equal(noItems.quarantine[0].reason, 'Stored cart has no item list');
+});
+
+test('parse migrates a version 0 array, capping quantities', function () {
+  var result = CartStorage.parse(JSON.stringify([{ id: 'frog-face-lift', price: 68, qty: 40 }]));
+
+  assert.equal(result.migrated, true);
+  assert.equal(result.items.length, 1);
+  assert.equal(result.items[0].qty, CartStorage.MAX_QTY);
+  assert.equal(result.updatedAt, null);
+});
+
+test('parse migrates version 1, dating lines from the envelope', function () {
+  var result = CartStorage.parse(JSON.stringify({
+    version:   1,
+    updatedAt: STAMP,
+    items:     [{ id: 'lotus-pod-eye', price: 54, qty: 2 }]
+  }));
+
+  assert.equal(result.migrated, true);
+  assert.equal(result.updatedAt, STAMP);
+  assert.equal(result.items[0].addedAt, STAMP);
+  assert.equal(result.items[0].updatedAt, STAMP);
+  assert.equal(result.items[0].sku, 'lotus-pod-eye');
+});
+
+test('parse keeps good lines and quarantines bad ones', function () {
+  var result = CartStorage.parse(CartStorage.serialize([line(), line({ qty: -1 }), 'junk'], STAMP));
+
+  assert.equal(result.migrated, false);
+  assert.equal(result.items.length, 1);
+  assert.deepEqual(result.quarantine.map(function (q) { return q.reason; }), [
+    'Quantity must be a whole number from 1 to ' + CartStorage.MAX_QTY,
+    'Line is not an object'
+  ]);
+});
+
+test('parse reads a cart saved by a newer version', function (t) {
+  var warn = t.mock.method(console, 'warn', function () {});
+  var result = CartStorage.parse(JSON.stringify({ version: CartStorage.VERSION + 1, updatedAt: null, items: [line()] }));
+
+  assert.equal(result.items.length, 1);
+  assert.equal(result.migrated, false);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('serialize round-trips through parse', function () {
+  var items = [line({ sku: 'frog-face-lift:ring', variant: 'ring', previousPrice: 72, unavailable: true })];
+  var result = CartStorage.parse(CartStorage.serialize(items, STAMP));
+
+  assert.deepEqual(result.items, items);
+  assert.equal(result.updatedAt, STAMP);
+  assert.equal(JSON.parse(CartStorage.serialize([], null)).updatedAt, null);
+});
+
+/* ──────────────────────────────────────────────
+   localStorage
+────────────────────────────────────────────── */
+
+test('read writes a migrated cart back once and sets bad lines aside', function (t) {
+  t.mock.method(console, 'warn', function () {});
+  var window = helpers.browser(['js/cart-storage.js'], {
+    storage: { meridian_cart: JSON.stringify({ version: 1, updatedAt: STAMP, items: [line(), line({ price: -5 })] }) }
+  });
+  var Storage = window.MeridianCartStorage;
+
+  assert.deepEqual(Storage.read(), [line()]);
+  assert.equal(JSON.parse(window.localStorage.getItem('meridian_cart')).updatedAt, STAMP);   /* not a customer change */
+  assert.equal(Storage.lastUpdated().toISOString(), STAMP);
+  assert.equal(JSON.parse(window.localStorage.getItem('meridian_cart')).version, CartStorage.VERSION);
+  assert.deepEqual(Storage.getQuarantine().map(function (q) { return q.reason; }), ['Price must be a positive number']);
+
+  Storage.read();
+  assert.equal(Storage.getQuarantine().length, 1);
+  Storage.clearQuarantine();
+  assert.deepEqual(Storage.getQuarantine(), []);
+});
+
+test('saved-for-later lines use their own key and the same validation', function () {
+  var window = helpers.browser(['js/cart-storage.js']);
+  var Storage = window.MeridianCartStorage;
+
+  Storage.writeSaved([line({ savedAt: STAMP })]);
+  assert.deepEqual(Storage.readSaved(), [line({ savedAt: STAMP })]);
+  assert.deepEqual(Storage.read(), []);
+  assert.equal(Storage.lastUpdated(), null);
+});
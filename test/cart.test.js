@@ -0,0 +1,479 @@
+/* ============================================================
+   MERIDIAN — cart.test.js
+   The cart (js/cart.js) against the catalog: lines priced and
+   named from data/products.json, repricing with the old price
+   kept, retired products flagged and left out of the total;
+   one line per variant or bundle; stock and per-order limits;
+   checkout held until a US order has a state for sales tax
+   and the order has a shipping address;
+   edits merged with whatever another tab saved meanwhile; stale
+   lines moved to "Saved for later" and the welcome back; Add to
+   Cart buttons and the meridian:add-to-cart event.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var PRODUCTS = [
+  { id: 'frog', slug: 'frog', name: 'Frog Face Lift', price: 68, images: ['images/frog.jpg'] },
+  { id: 'ring', slug: 'ring', name: 'Bianshi Ring', price: 42, images: [] },
+  { id: 'stone', slug: 'stone', name: 'Bianshi Stone', price: 40, images: ['images/stone.jpg'], variants: {
+    option: 'Style',
+    values: [
+      { id: 'ring', label: 'Ring', price_delta: 0 },
+      { id: 'pendant', label: 'Pendant', price_delta: 6, images: ['images/pendant.jpg'] }
+    ]
+  } }
+];
+
+function page(cart, options) {
+  options = options || {};
+  var storage = cart ? { meridian_cart: JSON.stringify(cart) } : {};
+  return helpers.browser(['js/cart-storage.js', 'js/i18n.js', 'js/catalog.js', 'js/variants.js', 'js/bundles.js', 'js/inventory.js', 'js/cart.js'], {
+    url:      'http://localhost/cart.html',
+    storage:  Object.assign(storage, options.storage),
+    session:  options.session,
+    files:    { 'data/products.json': options.products || PRODUCTS },
+    elements: options.elements
+  });
+}
+
+/* Lines without their addedAt / updatedAt stamps */
+function plain(lines) {
+  return lines.map(function (line) {
+    var copy = Object.assign({}, line);
+    delete copy.addedAt;
+    delete copy.updatedAt;
+    return copy;
+  });
+}
+
+function stored(window) {
+  return JSON.parse(window.localStorage.getItem('meridian_cart')).items;
+}
+
+test('stored lines are left alone until the catalog has loaded', function () {
+  var window = page([{ id: 'frog', name: 'Old name', price: 50, qty: 1 }]);
+
+  assert.deepEqual(plain(window.MeridianCart.getCart()), [{ sku: 'frog', id: 'frog', name: 'Old name', price: 50, qty: 1, image: '' }]);
+});
+
+test('getCart reprices, renames and flags lines from the catalog', async function () {
+  var window = page([
+    { id: 'frog', name: 'Old name', price: 50, qty: 2, image: '' },
+    { id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1, image: '' },
+    { id: 'retired', name: 'Retired tool', price: 30, qty: 1 }
+  ]);
+  await window.MeridianCatalog.load();
+  var cart = window.MeridianCart.getCart();
+
+  assert.deepEqual(plain(cart)[0], { sku: 'frog', id: 'frog', name: 'Frog Face Lift', price: 68, previousPrice: 50, qty: 2, image: 'images/frog.jpg' });
+  assert.equal('previousPrice' in cart[1], false);
+  assert.equal(cart[2].unavailable, true);
+  assert.equal(window.MeridianCart.calculateTotal(), 178);   /* the retired line does not count */
+});
+
+test('itemNote explains repriced and retired lines', function () {
+  var Cart = page().MeridianCart;
+
+  assert.equal(Cart.itemNote({ price: 68, previousPrice: 50 }), 'Price updated from $50.00');
+  assert.equal(Cart.itemNote({ price: 68, unavailable: true }), 'No longer available');
+  assert.equal(Cart.itemNote({ price: 68, previousPrice: 68 }), '');
+  assert.equal(Cart.itemNote({ price: 68 }), '');
+});
+
+test('addItem takes name, price and image from the catalog', async function () {
+  var window = page();
+  var updates = 0;
+  window.document.addEventListener('cart:updated', function () { updates++; });
+
+  await window.MeridianCart.addItem('frog', 2);
+  await window.MeridianCart.addItem('frog');
+
+  assert.deepEqual(plain(stored(window)), [{ sku: 'frog', id: 'frog', name: 'Frog Face Lift', price: 68, image: 'images/frog.jpg', qty: 3 }]);
+  assert.equal(updates, 2);
+});
+
+test('adding a repriced line again accepts the new price', async function () {
+  var window = page([{ id: 'frog', name: 'Frog Face Lift', price: 50, qty: 1 }]);
+  await window.MeridianCatalog.load();
+
+  await window.MeridianCart.addItem('frog');
+  assert.equal(stored(window)[0].previousPrice, undefined);
+  assert.equal(stored(window)[0].qty, 2);
+});
+
+test('addItem rejects ids that are not in the catalog', async function () {
+  var window = page();
+
+  await assert.rejects(window.MeridianCart.addItem('nope'), /Unknown product: nope/);
+  assert.equal(window.localStorage.getItem('meridian_cart'), null);
+});
+
+test('each variant is its own line, keyed by SKU', async function () {
+  var window = page();
+  var Cart = window.MeridianCart;
+
+  await Cart.addItem('stone', 1, 'pendant');
+  await Cart.addItem('stone');
+  await Cart.addItem('stone', 2, 'ring');
+
+  assert.deepEqual(stored(window).map(function (l) { return [l.sku, l.variant, l.price, l.image, l.qty]; }), [
+    ['stone:pendant', 'pendant', 46, 'images/pendant.jpg', 1],
+    ['stone:ring', 'ring', 40, 'images/stone.jpg', 3]
+  ]);
+  await assert.rejects(Cart.addItem('stone', 1, 'anklet'), /Unknown variant of stone: anklet/);
+  await assert.rejects(Cart.addItem('frog', 1, 'ring'), /Unknown variant of frog: ring/);
+
+  Cart.updateQuantity('stone:ring', 0);
+  assert.deepEqual(stored(window).map(function (l) { return l.sku; }), ['stone:pendant']);
+});
+
+test('lines saved before their product had variants move to the default one', async function () {
+  var window = page([
+    { id: 'stone', name: 'Bianshi Stone', price: 40, qty: 2 },
+    { id: 'stone', variant: 'ring', name: 'Bianshi Stone', price: 40, qty: 1 },
+    { id: 'stone', variant: 'retired', name: 'Bianshi Stone', price: 40, qty: 1 }
+  ]);
+  await window.MeridianCatalog.load();
+
+  assert.deepEqual(window.MeridianCart.getCart().map(function (l) { return [l.sku, l.qty, !!l.unavailable]; }), [
+    ['stone:ring', 3, false],
+    ['stone:retired', 1, true]
+  ]);
+});
+
+test('adds stop at the stock and per-order limit, counted across variants', async function () {
+  var window = page(null, {
+    products: PRODUCTS.concat([{ id: 'last', slug: 'last', name: 'Last One', price: 20, images: [], stock: 0 }])
+  });
+  var Cart = window.MeridianCart;
+  await window.MeridianCatalog.load();
+  Object.assign(window.MeridianCatalog.getProduct('stone'), { stock: 9, max_per_order: 3 });
+
+  await Cart.addItem('stone', 2, 'pendant');
+  await Cart.addItem('stone', 5, 'ring');
+  assert.deepEqual(stored(window).map(function (l) { return l.sku + ' x' + l.qty; }), ['stone:pendant x2', 'stone:ring x1']);
+
+  await assert.rejects(Cart.addItem('stone', 1, 'ring'), function (e) { return e.code === 'limit_reached'; });
+  await assert.rejects(Cart.addItem('last'), function (e) { return e.code === 'sold_out'; });
+});
+
+test('stored lines are held to the limit and a sold-out line is flagged', async function () {
+  var window = page([
+    { id: 'frog', name: 'Frog Face Lift', price: 68, qty: 5 },
+    { id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1 }
+  ]);
+  await window.MeridianCatalog.load();
+  window.MeridianCatalog.getProduct('frog').stock = 3;
+  window.MeridianCatalog.getProduct('ring').stock = 0;
+  var Cart = window.MeridianCart;
+  var cart = Cart.getCart();
+
+  assert.deepEqual([cart[0].qty, cart[0].stockLimit], [3, { max: 3, limit: 3, reason: 'stock' }]);
+  assert.equal(Cart.itemNote(cart[0]), 'Only 3 left');
+  assert.equal(cart[1].unavailable, true);
+  assert.equal(Cart.itemNote(cart[1]), 'Sold out');
+  assert.equal(Cart.calculateTotal(), 204);
+});
+
+test('a bundle is one line that lists its tools and shares their stock', async function () {
+  var window = page(null, {
+    products: PRODUCTS.concat([{ id: 'duo', slug: 'duo', name: 'Duo Set', price: 100, images: [],
+                                 bundle: [{ id: 'frog', qty: 1 }, { id: 'ring', qty: 2 }] }])
+  });
+  var Cart = window.MeridianCart;
+  await window.MeridianCatalog.load();
+  window.MeridianCatalog.getProduct('ring').stock = 5;
+
+  await Cart.addItem('ring', 2);
+  await Cart.addItem('duo', 3);
+  var cart = Cart.getCart();
+
+  assert.deepEqual(cart.map(function (l) { return l.sku + ' x' + l.qty; }), ['ring x2', 'duo x1']);
+  assert.deepEqual(Cart.bundleContents(cart[1]), {
+    items:   [{ name: 'Frog Face Lift', qty: 1 }, { name: 'Bianshi Ring', qty: 2 }],
+    savings: 52
+  });
+  assert.equal(Cart.bundleContents(cart[0]), null);
+  await assert.rejects(Cart.addItem('duo'), function (e) { return e.code === 'limit_reached'; });
+});
+
+test('updateQuantity sets, removes at zero and ignores nonsense', function () {
+  var window = page([{ id: 'frog', name: 'Frog', price: 68, qty: 1 }, { id: 'ring', name: 'Ring', price: 42, qty: 1 }]);
+  var Cart = window.MeridianCart;
+
+  Cart.updateQuantity('frog', '4');
+  Cart.updateQuantity('ring', -1);
+  Cart.updateQuantity('ring', 'many');
+  assert.deepEqual(stored(window).map(function (l) { return l.qty; }), [4, 1]);
+
+  Cart.updateQuantity('ring', 0);
+  assert.deepEqual(stored(window).map(function (l) { return l.id; }), ['frog']);
+
+  Cart.clearCart();
+  assert.deepEqual(stored(window), []);
+});
+
+test('checkout waits for a state while US sales tax is pending, then for an address', function () {
+  var window = helpers.browser(['js/cart-storage.js', 'js/i18n.js', 'js/catalog.js', 'js/variants.js', 'js/bundles.js', 'js/inventory.js',
+                                'js/shipping.js', 'js/tax.js', 'js/cart.js'], {
+    storage: { meridian_cart: JSON.stringify([{ id: 'frog', name: 'Frog', price: 68, qty: 1 }]) },
+    files:   { 'data/products.json': PRODUCTS }
+  });
+  var Cart = window.MeridianCart;
+
+  window.MeridianShipping.setSelection({ country: 'US' });
+  assert.equal(Cart.needsRegion(), true);
+  window.MeridianShipping.setSelection({ region: 'CA' });
+  assert.equal(Cart.needsRegion(), false);
+  window.MeridianShipping.setSelection({ country: 'DE' });
+  assert.equal(Cart.needsRegion(), false);
+  assert.equal(page().MeridianCart.needsRegion(), false);
+
+  window.MeridianShipping.setSelection({ country: 'US', region: '' });
+  assert.equal(Cart.checkoutBlocker(), 'cart.chooseState');
+  window.MeridianShipping.setSelection({ region: 'CA' });
+  assert.equal(Cart.checkoutBlocker(), 'cart.addAddress');
+  window.MeridianShipping.setAddress({ name: 'Ada', line1: '1 Main St', city: 'Fresno', postalCode: '93650' });
+  assert.equal(Cart.checkoutBlocker(), null);
+  assert.equal(page().MeridianCart.checkoutBlocker(), null);
+});
+
+test('a corrupt stored cart reads as empty', function (t) {
+  t.mock.method(console, 'warn', function () {});
+  var window = helpers.browser(['js/cart-storage.js', 'js/i18n.js', 'js/catalog.js', 'js/variants.js', 'js/bundles.js', 'js/inventory.js', 'js/cart.js'], { storage: { meridian_cart: '{oops' } });
+
+  assert.deepEqual(window.MeridianCart.getCart(), []);
+});
+
+/* ──────────────────────────────────────────────
+   Cross-tab merge
+────────────────────────────────────────────── */
+
+var FROG = { id: 'frog', name: 'Frog Face Lift', price: 68, qty: 1, image: '' };
+var RING = { id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1, image: '' };
+
+function line(item, qty) {
+  return Object.assign({}, item, { qty: qty });
+}
+
+function quantities(window) {
+  return window.MeridianCartStorage.read().map(function (l) { return l.id + ' x' + l.qty; });
+}
+
+test('a save applies this tab\'s change on top of another tab\'s', function () {
+  var window = page([line(FROG, 1)]);
+  var cart = window.MeridianCart.getCart();
+
+  window.MeridianCartStorage.write([line(FROG, 4), line(RING, 2)]);   /* the other tab */
+  cart[0].qty = 2;
+  window.MeridianCart.saveCart(cart);
+
+  assert.deepEqual(quantities(window), ['frog x5', 'ring x2']);
+});
+
+test('removals win on both sides unless this tab changed the line', function () {
+  var window = page([line(FROG, 2), line(RING, 1)]);
+  var cart = window.MeridianCart.getCart();
+
+  window.MeridianCartStorage.write([line(RING, 3)]);   /* the other tab removed the frog */
+  cart.splice(1, 1);                                    /* this tab removes the ring */
+  cart[0].qty = 5;                                      /* and adds three frogs */
+  window.MeridianCart.saveCart(cart);
+
+  assert.deepEqual(quantities(window), ['frog x3']);
+});
+
+test('merged quantities stay within the limit', function () {
+  var window = page([line(FROG, 2)]);
+  var cart = window.MeridianCart.getCart();
+
+  window.MeridianCartStorage.write([line(FROG, 9)]);
+  cart[0].qty = 4;
+  window.MeridianCart.saveCart(cart);
+
+  assert.deepEqual(quantities(window), ['frog x' + window.MeridianCartStorage.MAX_QTY]);
+});
+
+test('an array that did not come from getCart replaces the stored cart', function () {
+  var window = page([line(FROG, 2)]);
+
+  window.MeridianCart.saveCart([line(RING, 1)]);
+  assert.deepEqual(quantities(window), ['ring x1']);
+});
+
+test('a write from another tab re-renders and is announced as remote', function () {
+  var window = page([line(FROG, 1)]);
+  var events = [];
+  window.document.addEventListener('cart:updated', function (e) { events.push(e.detail); });
+
+  helpers.ready(window);
+  window.dispatchEvent(Object.assign(new Event('storage'), { key: 'meridian_wishlist' }));
+  window.dispatchEvent(Object.assign(new Event('storage'), { key: 'meridian_cart' }));
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].remote, true);
+  assert.equal(events[0].cart[0].id, 'frog');
+});
+
+/* ──────────────────────────────────────────────
+   Expiry, saved for later and welcome back
+────────────────────────────────────────────── */
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+function dated(item, qty, days) {
+  return Object.assign(line(item, qty), { addedAt: daysAgo(days), updatedAt: daysAgo(days) });
+}
+
+test('lines untouched past the expiry move to Saved for later', function () {
+  var window = page([dated(FROG, 2, 31), dated(RING, 1, 2)]);
+  var Cart = window.MeridianCart;
+
+  var moved = Cart.expireStaleLines();
+
+  assert.deepEqual(moved.map(function (l) { return l.id; }), ['frog']);
+  assert.deepEqual(quantities(window), ['ring x1']);
+  assert.deepEqual(Cart.getSavedForLater().map(function (l) { return l.id + ' x' + l.qty; }), ['frog x2']);
+  assert.ok(!isNaN(Date.parse(Cart.getSavedForLater()[0].savedAt)));
+});
+
+test('an expiry of 0 keeps every line', function () {
+  var window = page([dated(FROG, 2, 400)]);
+
+  window.MeridianCart.configure({ expiryDays: 0 });
+  assert.deepEqual(window.MeridianCart.expireStaleLines(), []);
+  assert.deepEqual(quantities(window), ['frog x2']);
+});
+
+test('restoring a saved line reprices it; a retired one stays saved', async function () {
+  var saved = [
+    Object.assign(dated(FROG, 2, 40), { price: 50, savedAt: daysAgo(5) }),
+    Object.assign(dated({ id: 'retired', name: 'Retired', price: 30, image: '' }, 1, 40), { savedAt: daysAgo(5) })
+  ];
+  var window = page(null, { storage: { meridian_saved_for_later: JSON.stringify({ version: 2, updatedAt: null, items: saved }) } });
+  var Cart = window.MeridianCart;
+
+  await Cart.restoreSaved('frog');
+  assert.deepEqual(plain(stored(window)), [{ sku: 'frog', id: 'frog', name: 'Frog Face Lift', price: 68, image: 'images/frog.jpg', qty: 2 }]);
+
+  await assert.rejects(Cart.restoreSaved('retired'), /Unknown product: retired/);
+  assert.deepEqual(Cart.getSavedForLater().map(function (l) { return l.id; }), ['retired']);
+});
+
+test('a cart left for a day is welcomed back once per session', function () {
+  var sidebar = helpers.element();
+  var cart = { version: 2, updatedAt: daysAgo(2), items: [dated(FROG, 2, 2), dated(RING, 1, 2)] };
+  var window = page(null, { storage: { meridian_cart: JSON.stringify(cart) }, elements: { cartSidebar: sidebar } });
+
+  helpers.ready(window);
+  assert.match(sidebar.innerHTML, /Welcome back — you left 3 items in your cart\./);
+  assert.equal(window.sessionStorage.getItem('meridian_welcome_back'), '1');
+
+  var nextPage = page(null, {
+    storage:  { meridian_cart: JSON.stringify(cart) },
+    session:  { meridian_welcome_back: '1' },
+    elements: { cartSidebar: sidebar }
+  });
+  helpers.ready(nextPage);
+  assert.doesNotMatch(sidebar.innerHTML, /Welcome back/);
+});
+
+/* ──────────────────────────────────────────────
+   Add to Cart buttons
+────────────────────────────────────────────── */
+
+/* A button[data-product-id] whose events bubble to the document */
+function addButton(window, productId) {
+  var btn = helpers.element({ tagName: 'BUTTON', textContent: 'Add to Cart', disabled: false });
+  btn.dataset.productId = productId;
+  btn.closest = function (selector) { return /^button/.test(selector) ? btn : null; };
+  btn.dispatchEvent = function (e) {
+    Object.defineProperty(e, 'target', { value: btn });
+    return window.document.dispatchEvent(e);
+  };
+  return btn;
+}
+
+test('a click on any product button adds through meridian:add-to-cart and opens the drawer', async function () {
+  var sidebar = helpers.element();
+  var window = page(null, { elements: { cartSidebar: sidebar } });
+  var btn = addButton(window, 'frog');
+  var sent = [];
+  window.document.addEventListener('meridian:add-to-cart', function (e) { sent.push(e.detail); });
+
+  helpers.ready(window);
+  var click = new Event('click', { cancelable: true });
+  btn.dispatchEvent(click);
+
+  assert.equal(click.defaultPrevented, true);
+  assert.deepEqual(sent, [{ productId: 'frog', variant: null, qty: 1 }]);
+  assert.equal(btn.getAttribute('data-add-state'), 'busy');
+  assert.equal(btn.disabled, true);
+
+  await helpers.settle();
+  assert.deepEqual(quantities(window), ['frog x1']);
+  assert.equal(sidebar.classList.contains('open'), true);
+  assert.equal(btn.getAttribute('data-add-state'), 'added');
+  assert.equal(btn.textContent, 'Added');
+  assert.equal(btn.disabled, false);
+});
+
+test('other scripts can fire the event with a quantity and see it handled', async function () {
+  var window = page();
+  helpers.ready(window);
+
+  var e = new CustomEvent('meridian:add-to-cart', { cancelable: true, detail: { productId: 'ring', qty: 3 } });
+  window.document.dispatchEvent(e);
+  await helpers.settle();
+
+  assert.equal(e.defaultPrevented, true);
+  assert.deepEqual(quantities(window), ['ring x3']);
+});
+
+test('the button says so when the product is unknown or the cart cannot be saved', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var window = page([line(FROG, 1)]);
+  var unknown = addButton(window, 'nope');
+  var frog = addButton(window, 'frog');
+  helpers.ready(window);
+
+  window.localStorage.setItem = function () { throw new Error('QuotaExceededError'); };
+  unknown.dispatchEvent(new Event('click', { cancelable: true }));
+  frog.dispatchEvent(new Event('click', { cancelable: true }));
+  await helpers.settle();
+
+  assert.equal(unknown.getAttribute('data-add-state'), 'error');
+  assert.equal(frog.getAttribute('data-add-state'), 'error');
+  assert.equal(frog.textContent, 'Unavailable');
+  assert.deepEqual(quantities(window), ['frog x1']);
+});
+
+test('pages without the drawer stay scrollable; the label returns in the page language', async function (t) {
+  var window = page();
+  var btn = addButton(window, 'frog');
+  helpers.ready(window);
+  await helpers.settle();
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  btn.dispatchEvent(new Event('click', { cancelable: true }));
+  for (var i = 0; i < 5; i++) await new Promise(setImmediate);
+  assert.equal(btn.textContent, 'Added');
+  assert.equal(window.document.body.style.overflow, undefined);
+
+  window.MeridianI18n.set('zh-CN');
+  t.mock.timers.tick(1400);
+  assert.equal(btn.textContent, '加入购物车');
+  assert.equal(btn.hasAttribute('data-add-state'), false);
+});
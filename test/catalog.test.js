@@ -0,0 +1,87 @@
+/* ============================================================
+   MERIDIAN — catalog.test.js
+   The catalog loader (js/catalog.js): one fetch per page,
+   retry after a failure, cache-only lookups and site-root
+   URLs from pages in sub-folders.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var PRODUCTS = [
+  { id: 'frog', slug: 'frog-face-lift', name: 'Frog', price: 68, images: ['images/frog/1.jpg', 'images/frog/2.jpg'] },
+  { id: 'ring', slug: 'bianshi-ring', name: 'Ring', price: 42 }
+];
+
+function page(options) {
+  return helpers.browser(['js/catalog.js'], options).MeridianCatalog;
+}
+
+test('load fetches the catalog once and fires catalog:loaded', async function () {
+  var window = helpers.browser(['js/catalog.js'], { files: { 'data/products.json': PRODUCTS } });
+  var Catalog = window.MeridianCatalog;
+  var fired = 0;
+  window.document.addEventListener('catalog:loaded', function () { fired++; });
+
+  assert.equal(Catalog.isLoaded(), false);
+  assert.deepEqual(Catalog.getProducts(), []);
+
+  var results = await Promise.all([Catalog.load(), Catalog.load()]);
+  await Catalog.load();
+
+  assert.equal(results[0].length, 2);
+  assert.deepEqual(window.requests, ['data/products.json']);
+  assert.equal(fired, 1);
+  assert.equal(Catalog.isLoaded(), true);
+});
+
+test('a failed load is not cached', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var window = helpers.browser(['js/catalog.js'], { files: { 'data/products.json': null } });
+
+  await assert.rejects(window.MeridianCatalog.load(), /HTTP 404/);
+  await assert.rejects(window.MeridianCatalog.load());
+  assert.equal(window.requests.length, 2);
+  assert.equal(window.MeridianCatalog.isLoaded(), false);
+});
+
+test('a catalog that is not an array is rejected', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var Catalog = page({ files: { 'data/products.json': { products: PRODUCTS } } });
+
+  await assert.rejects(Catalog.load(), /not an array/);
+});
+
+test('getProduct only knows catalog ids', async function () {
+  var Catalog = page({ files: { 'data/products.json': PRODUCTS } });
+
+  assert.equal(Catalog.getProduct('frog'), null);   /* not loaded yet */
+  await Catalog.load();
+  assert.equal(Catalog.getProduct('frog').name, 'Frog');
+  assert.equal(Catalog.getProduct('nope'), null);
+  assert.equal(Catalog.getProduct('constructor'), null);
+  assert.equal((await Catalog.findProduct('ring')).price, 42);
+});
+
+test('getProducts returns a copy', async function () {
+  var Catalog = page({ files: { 'data/products.json': PRODUCTS } });
+  await Catalog.load();
+
+  Catalog.getProducts().pop();
+  assert.equal(Catalog.getProducts().length, 2);
+});
+
+test('URLs resolve from the page the script runs on', function () {
+  var Catalog = page({ url: 'http://localhost/shop/cart.html' });
+
+  assert.equal(Catalog.resolveUrl('data/products.json'), 'http://localhost/shop/data/products.json');
+  assert.equal(Catalog.productUrl(PRODUCTS[0]), 'http://localhost/shop/product/frog-face-lift.html');
+  assert.equal(Catalog.imageUrl(PRODUCTS[0], 1), 'http://localhost/shop/images/frog/2.jpg');
+  assert.equal(Catalog.imageUrl(PRODUCTS[1]), '');
+});
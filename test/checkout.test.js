@@ -0,0 +1,197 @@
+/* ============================================================
+   MERIDIAN — checkout.test.js
+   The checkout flow (js/checkout.js): configuration, provider
+   adapters, the payload the server prices (with any shipping
+   address and gift options), one session per click, and the
+   button's loading / error / retry states.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var CART = [
+  { id: 'frog', name: 'Frog', price: 68, qty: 2, image: 'images/frog.jpg' },
+  { id: 'ring', variant: 'pendant', name: 'Ring', price: 42, qty: 1, image: '' }
+];
+
+function page(fetch) {
+  var window = helpers.createWindow({ url: 'http://localhost/cart.html' });
+  if (fetch) window.fetch = fetch;
+  return helpers.load(window, ['js/i18n.js', 'js/checkout.js']);
+}
+
+/* A checkout button with a parent that records inserted siblings */
+function button() {
+  var btn = helpers.element({ textContent: 'Checkout', disabled: false, nextElementSibling: null });
+  btn.parentNode = {
+    insertBefore: function (el) { btn.nextElementSibling = el; }
+  };
+  return btn;
+}
+
+test('buildPayload sends ids, variants and quantities only', function () {
+  var payload = page().MeridianCheckout.buildPayload(CART);
+
+  assert.deepEqual(payload, {
+    items:     [{ id: 'frog', variant: null, qty: 2 }, { id: 'ring', variant: 'pendant', qty: 1 }],
+    currency:  'USD',
+    cancelUrl: 'http://localhost/cart.html'
+  });
+});
+
+test('buildPayload carries the gift options stored beside the cart', function () {
+  var window = helpers.createWindow({
+    url:     'http://localhost/cart.html',
+    storage: { meridian_gift: JSON.stringify({ wrap: true, message: 'For you', hidePrices: false }) }
+  });
+  helpers.load(window, ['js/i18n.js', 'js/gift.js', 'js/checkout.js']);
+
+  assert.deepEqual(window.MeridianCheckout.buildPayload(CART).gift, { wrap: true, message: 'For you', hidePrices: false });
+  window.MeridianGift.clear();
+  assert.equal('gift' in window.MeridianCheckout.buildPayload(CART), false);
+});
+
+test('buildPayload sends the shipping address once it is complete', function () {
+  var window = helpers.createWindow({
+    url:     'http://localhost/cart.html',
+    storage: { meridian_shipping: JSON.stringify({ country: 'US', region: 'CA', method: 'standard' }) },
+    session: { meridian_address: JSON.stringify({ name: 'Ada', line1: '1 Main St', city: 'Fresno' }) }
+  });
+  helpers.load(window, ['js/i18n.js', 'js/shipping.js', 'js/checkout.js']);
+
+  assert.equal('shippingAddress' in window.MeridianCheckout.buildPayload(CART), false);
+  window.MeridianShipping.setAddress({ postalCode: ' 93650 ' });
+  assert.deepEqual(window.MeridianCheckout.buildPayload(CART).shippingAddress, {
+    name: 'Ada', line1: '1 Main St', line2: '', city: 'Fresno', postalCode: '93650', state: 'CA', country: 'US'
+  });
+});
+
+test('configure merges options, and a page can preset them', function () {
+  var Checkout = page().MeridianCheckout;
+  var config = Checkout.configure({ endpoint: '/pay', timeout: 5000 });
+
+  assert.equal(config.endpoint, '/pay');
+  assert.equal(config.provider, 'session');
+
+  var window = helpers.createWindow();
+  window.MERIDIAN_CHECKOUT = { provider: 'stripe' };
+  helpers.load(window, ['js/i18n.js', 'js/checkout.js']);
+  assert.equal(window.MeridianCheckout.configure({}).provider, 'stripe');
+});
+
+test('registerProvider needs both adapter methods', function () {
+  var Checkout = page().MeridianCheckout;
+
+  assert.throws(function () {
+    Checkout.registerProvider('half', { createSession: function () {} });
+  }, TypeError);
+});
+
+test('start posts to the endpoint and redirects to the session URL', async function () {
+  var sent = null;
+  var window = page(function (url, init) {
+    sent = { url: url, init: init };
+    return Promise.resolve({
+      ok:     true,
+      status: 200,
+      json:   function () { return Promise.resolve({ id: 'ord_1', url: '/order-confirmation.html?order=ord_1' }); }
+    });
+  });
+  var redirected = null;
+  window.document.addEventListener('checkout:redirect', function (e) { redirected = e.detail.session.id; });
+
+  await window.MeridianCheckout.start(CART);
+
+  assert.equal(sent.url, '/api/create-checkout-session');
+  assert.equal(sent.init.method, 'POST');
+  assert.deepEqual(JSON.parse(sent.init.body).items, [{ id: 'frog', variant: null, qty: 2 }, { id: 'ring', variant: 'pendant', qty: 1 }]);
+  assert.equal(redirected, 'ord_1');
+  assert.equal(window.location.href, 'http://localhost/order-confirmation.html?order=ord_1');
+});
+
+test('double clicks share one session', async function () {
+  var Checkout = page().MeridianCheckout;
+  var sessions = 0;
+  var redirects = 0;
+  Checkout.registerProvider('test', {
+    createSession: function () { sessions++; return Promise.resolve({ id: 's', url: '/done' }); },
+    redirect:      function () { redirects++; }
+  });
+  Checkout.configure({ provider: 'test' });
+
+  var first = Checkout.start(CART);
+  assert.equal(Checkout.start(CART), first);
+  await first;
+  await Checkout.start(CART);
+
+  assert.equal(sessions, 2);
+  assert.equal(redirects, 2);
+});
+
+test('the button shows loading, then the error and a retry label', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var window = page();
+  var Checkout = window.MeridianCheckout;
+  var btn = button();
+  var failed = null;
+  window.document.addEventListener('checkout:error', function (e) { failed = e.detail.error.message; });
+
+  Checkout.registerProvider('test', {
+    createSession: function () {
+      assert.equal(btn.disabled, true);
+      assert.equal(btn.textContent, 'Redirecting…');
+      return Promise.reject(new Error('Card declined.'));
+    },
+    redirect: function () {}
+  });
+  Checkout.configure({ provider: 'test' });
+
+  await assert.rejects(Checkout.start(CART, btn), /Card declined/);
+  assert.equal(btn.disabled, false);
+  assert.equal(btn.textContent, 'Try Again');
+  assert.equal(btn.nextElementSibling.textContent, 'Card declined.');
+  assert.equal(failed, 'Card declined.');
+});
+
+test('server errors and invalid sessions reach the customer', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var replies = [
+    { ok: false, status: 400, body: { error: 'Cart is empty.' } },
+    { ok: false, status: 400, body: { error: 'Choose a state for orders shipping to US…', code: 'state_required' } },
+    { ok: false, status: 502, body: null },
+    { ok: true, status: 200, body: { id: 'x' } }
+  ];
+  var window = page(function () {
+    var reply = replies.shift();
+    return Promise.resolve({
+      ok:     reply.ok,
+      status: reply.status,
+      json:   function () { return reply.body ? Promise.resolve(reply.body) : Promise.reject(new SyntaxError('no body')); }
+    });
+  });
+  var Checkout = window.MeridianCheckout;
+
+  await assert.rejects(Checkout.start(CART, button()), /^Error: Cart is empty\.$/);
+  await assert.rejects(Checkout.start(CART, button()), function (e) {
+    return e.code === 'state_required' && e.message === 'Choose a state so sales tax can be calculated, then try again.';
+  });
+  await assert.rejects(Checkout.start(CART, button()), /unavailable right now \(HTTP 502\)/);
+  await assert.rejects(Checkout.start(CART, button()), /invalid session/);
+});
+
+test('an unknown provider fails without a request', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var window = page();
+  var btn = button();
+  window.MeridianCheckout.configure({ provider: 'paypal' });
+
+  await assert.rejects(window.MeridianCheckout.start(CART, btn), /Unknown provider: paypal/);
+  assert.equal(btn.nextElementSibling.textContent, 'Checkout is misconfigured. Please contact us.');
+  assert.deepEqual(window.requests, []);
+});
@@ -0,0 +1,95 @@
+/* ============================================================
+   MERIDIAN — currency.test.js
+   Display currency (js/currency.js): prices stay in USD until
+   the rates arrive, conversion rounds to each currency's minor
+   unit, formatting follows the currency's locale, and a
+   selection we do not offer is refused.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var RATES = { base: 'USD', updated: '2026-10-01', rates: { USD: 1, EUR: 0.92, JPY: 149.5, GBP: 0.79 } };
+
+function page(selected, rates) {
+  return helpers.browser(['js/currency.js'], {
+    storage: selected ? { meridian_currency: selected } : {},
+    files:   { 'data/currency-rates.json': rates === undefined ? RATES : rates }
+  });
+}
+
+test('prices stay in USD until the selected currency has a rate', async function () {
+  var Currency = page('EUR').MeridianCurrency;
+
+  assert.equal(Currency.getSelected(), 'EUR');
+  assert.equal(Currency.get(), 'USD');
+  assert.equal(Currency.format(68), '$68.00');
+
+  await Currency.load();
+  assert.equal(Currency.get(), 'EUR');
+  assert.equal(Currency.format(100), '92,00 €');
+});
+
+test('convert rounds to the minor unit of the currency', async function () {
+  var Currency = page().MeridianCurrency;
+  await Currency.load();
+
+  assert.equal(Currency.convert(68.45, 'EUR'), 62.97);
+  assert.equal(Currency.convert(10.5, 'JPY'), 1570);
+  assert.equal(Currency.convert(68, 'USD'), 68);
+  assert.equal(Currency.convert(68, 'CNY'), 68);   /* no rate: left in USD */
+});
+
+test('toBase turns an amount typed in the display currency back into USD', async function () {
+  var Currency = page('EUR').MeridianCurrency;
+  await Currency.load();
+
+  assert.equal(Currency.toBase(92), 100);
+  assert.equal(Currency.toBase(1570, 'JPY'), 10.5);
+  assert.equal(Currency.toBase(68, 'CNY'), 68);      /* no rate: taken as USD */
+});
+
+test('compact formatting drops the cents on whole amounts only', function () {
+  var Currency = page().MeridianCurrency;
+
+  assert.equal(Currency.formatIn(68, 'USD', { compact: true }), '$68');
+  assert.equal(Currency.formatIn(68.5, 'USD', { compact: true }), '$68.50');
+  assert.equal(Currency.formatIn(1570, 'JPY'), '￥1,570');
+  assert.equal(Currency.formatIn('abc', 'XYZ'), '$0.00');
+});
+
+test('formatHtml puts the symbol in a <sup> wherever the locale places it', async function () {
+  var Currency = page('EUR').MeridianCurrency;
+
+  assert.equal(Currency.formatHtml(68), '<sup>$</sup>68');
+  await Currency.load();
+  assert.equal(Currency.formatHtml(68), '62,56<sup>€</sup>');
+});
+
+test('set accepts offered currencies only and announces the change', function () {
+  var window = page();
+  var Currency = window.MeridianCurrency;
+  var announced = [];
+  window.document.addEventListener('currency:updated', function (e) { announced.push(e.detail.code); });
+
+  assert.equal(Currency.set('xyz'), false);
+  assert.equal(Currency.set('gbp'), true);
+  assert.equal(window.localStorage.getItem('meridian_currency'), 'GBP');
+  assert.equal(announced.length, 1);
+});
+
+test('a rates file without USD rates is refused and not cached', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var window = page('EUR', { base: 'EUR', rates: { USD: 1.08 } });
+
+  await assert.rejects(window.MeridianCurrency.load(), /no USD rates/);
+  await assert.rejects(window.MeridianCurrency.load(), /no USD rates/);
+  assert.equal(window.requests.length, 2);
+  assert.equal(window.MeridianCurrency.get(), 'USD');
+});
@@ -0,0 +1,49 @@
+/* ============================================================
+   MERIDIAN — gift.test.js
+   Gift options (js/gift.js): coercing stored or submitted
+   options, the message limit and line endings, and the
+   once-per-order wrap charge.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var Gift = require('../js/gift.js');
+
+var NONE = { wrap: false, message: '', hidePrices: false };
+
+test('normalize turns anything that is not an object into no options', function () {
+  [undefined, null, 'wrap', 42, true].forEach(function (value) {
+    assert.deepEqual(Gift.normalize(value), NONE);
+  });
+});
+
+test('normalize only accepts real booleans and string messages', function () {
+  assert.deepEqual(Gift.normalize({ wrap: 'true', hidePrices: 1, message: 7 }), NONE);
+  assert.deepEqual(Gift.normalize({ wrap: true, hidePrices: true, message: 'Hi' }),
+    { wrap: true, message: 'Hi', hidePrices: true });
+});
+
+test('normalize trims the message, unifies line endings and cuts it to MESSAGE_MAX', function () {
+  assert.equal(Gift.normalize({ message: '  Dear Lin,\r\nEnjoy.\r  ' }).message, 'Dear Lin,\nEnjoy.');
+  assert.equal(Gift.normalize({ message: 'x'.repeat(Gift.MESSAGE_MAX + 50) }).message.length, Gift.MESSAGE_MAX);
+  assert.equal(Gift.normalize({ message: '   ' }).message, '');
+});
+
+test('isGift is true when any single option is chosen', function () {
+  assert.equal(Gift.isGift(NONE), false);
+  assert.equal(Gift.isGift(null), false);
+  assert.equal(Gift.isGift({ wrap: true, message: '', hidePrices: false }), true);
+  assert.equal(Gift.isGift({ wrap: false, message: 'Hi', hidePrices: false }), true);
+  assert.equal(Gift.isGift({ wrap: false, message: '', hidePrices: true }), true);
+});
+
+test('wrapCost charges WRAP_PRICE once, only with gift wrap', function () {
+  assert.equal(Gift.wrapCost({ wrap: true, message: 'Hi', hidePrices: true }), Gift.WRAP_PRICE);
+  assert.equal(Gift.wrapCost({ wrap: false, message: 'Hi', hidePrices: true }), 0);
+  assert.equal(Gift.wrapCost(null), 0);
+});
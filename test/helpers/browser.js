@@ -0,0 +1,208 @@
+/* ============================================================
+   MERIDIAN — test/helpers/browser.js
+   Runs the browser-only scripts (the window.Meridian* IIFEs)
+   under Node for the tests: a window with in-memory
+   localStorage and sessionStorage, a document without
+   elements, history that updates location, and fetch served
+   from the repository (or from fixtures). Nothing here is a
+   test by itself.
+   ============================================================ */
+
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+
+var ROOT = path.resolve(__dirname, '..', '..');
+
+/* Globals a script may read bare; the rest (URL, Intl, CustomEvent,
+   setTimeout, console…) are Node's own */
+var GLOBALS = ['window', 'document', 'localStorage', 'sessionStorage', 'location', 'history', 'fetch', 'navigator',
+               'Element'];
+
+function createStorage(initial) {
+  var data = new Map();
+  Object.keys(initial || {}).forEach(function (key) {
+    data.set(key, String(initial[key]));
+  });
+
+  return {
+    getItem:    function (key) { return data.has(key) ? data.get(key) : null; },
+    setItem:    function (key, value) { data.set(key, String(value)); },
+    removeItem: function (key) { data.delete(key); },
+    clear:      function () { data.clear(); },
+    key:        function (i) { return Array.from(data.keys())[i] || null; },
+    get length() { return data.size; }
+  };
+}
+
+function classList() {
+  var names = new Set();
+  return {
+    add:      function (name) { names.add(name); },
+    remove:   function (name) { names.delete(name); },
+    contains: function (name) { return names.has(name); },
+    toggle:   function (name, force) {
+      var on = force === undefined ? !names.has(name) : !!force;
+      if (on) names.add(name); else names.delete(name);
+      return on;
+    }
+  };
+}
+
+/* What element() returns is an Element, for `instanceof` checks */
+function Element() {}
+Object.setPrototypeOf(Element, EventTarget);
+Object.setPrototypeOf(Element.prototype, EventTarget.prototype);
+
+/**
+ * element([props])
+ * A stand-in for the few elements a test hands to a page (a grid, a
+ * badge): innerHTML, textContent, attributes, classList, listeners.
+ * @param {Object} [props] — extra properties
+ * @returns {Object}
+ */
+function element(props) {
+  var el = Object.setPrototypeOf(new EventTarget(), Element.prototype);
+  var attributes = {};
+
+  el.innerHTML = '';
+  el.textContent = '';
+  el.style = {};
+  el.dataset = {};
+  el.classList = classList();
+  el.setAttribute = function (name, value) { attributes[name] = String(value); };
+  el.getAttribute = function (name) { return name in attributes ? attributes[name] : null; };
+  el.hasAttribute = function (name) { return name in attributes; };
+  el.removeAttribute = function (name) { delete attributes[name]; };
+  el.querySelector = function () { return null; };
+  el.querySelectorAll = function () { return []; };
+  el.appendChild = function (child) { return child; };
+  el.remove = function () {};
+  Object.keys(props || {}).forEach(function (key) { el[key] = props[key]; });
+  return el;
+}
+
+function response(status, body) {
+  return {
+    ok:     status >= 200 && status < 300,
+    status: status,
+    json:   function () {
+      return new Promise(function (resolve) { resolve(JSON.parse(body)); });   /* rejects like fetch */
+    },
+    text:   function () { return Promise.resolve(body); }
+  };
+}
+
+/**
+ * createWindow([options])
+ * @param {{ url?: string, storage?: Object, session?: Object, files?: Object, elements?: Object,
+ *           language?: string }} [options]
+ *   url: the page address (default http://localhost/index.html)
+ *   elements: id → element() for document.getElementById
+ *   storage: initial localStorage entries (session: sessionStorage)
+ *   files: site-relative path → fixture served by fetch instead of the
+ *     repository file (objects are sent as JSON; null answers 404)
+ * @returns {Object} The window; `window.requests` lists fetched paths
+ */
+function createWindow(options) {
+  options = options || {};
+  var files = options.files || {};
+  var elements = options.elements || {};
+  var window = new EventTarget();
+  var document = new EventTarget();
+
+  document.readyState = 'loading';   /* page init waits for a DOMContentLoaded that never comes */
+  document.currentScript = null;
+  document.documentElement = { lang: 'en', setAttribute: function () {} };
+  document.body = { style: {}, classList: classList() };
+  document.getElementById = function (id) {
+    return Object.prototype.hasOwnProperty.call(elements, id) ? elements[id] : null;
+  };
+  document.querySelector = function () { return null; };
+  document.querySelectorAll = function () { return []; };
+  document.createElement = function (tag) { return element({ tagName: tag.toUpperCase() }); };
+  document.head = element();
+
+  window.window = window;
+  window.document = document;
+  window.Element = Element;
+  window.localStorage = createStorage(options.storage);
+  window.sessionStorage = createStorage(options.session);
+  window.location = new URL(options.url || 'http://localhost/index.html');
+  window.location.assign = function (url) { window.location.href = new URL(url, window.location.href).href; };
+  window.navigator = { language: options.language || 'en-US', languages: [options.language || 'en-US'] };
+  window.history = {
+    replaceState: function (state, title, url) { window.location.href = new URL(url, window.location.href).href; },
+    pushState:    function (state, title, url) { window.location.href = new URL(url, window.location.href).href; }
+  };
+  window.requests = [];
+  window.fetch = function (url) {
+    var pathname = decodeURIComponent(new URL(url, window.location.href).pathname).replace(/^\//, '');
+    window.requests.push(pathname);
+
+    if (Object.prototype.hasOwnProperty.call(files, pathname)) {
+      var fixture = files[pathname];
+      if (fixture === null) return Promise.resolve(response(404, ''));
+      return Promise.resolve(response(200, typeof fixture === 'string' ? fixture : JSON.stringify(fixture)));
+    }
+    try {
+      return Promise.resolve(response(200, fs.readFileSync(path.join(ROOT, pathname), 'utf8')));
+    } catch (e) {
+      return Promise.resolve(response(404, ''));
+    }
+  };
+
+  return window;
+}
+
+/**
+ * load(window, files)
+ * Runs site scripts in order, as the pages' <script> tags would.
+ * @param {Object} window — from createWindow()
+ * @param {Array<string>} files — repository paths, e.g. ['js/catalog.js']
+ * @returns {Object} The window
+ */
+function load(window, files) {
+  files.forEach(function (file) {
+    var code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    var run = vm.runInThisContext(
+      '(function (' + GLOBALS.join(', ') + ') {\n' + code + '\n})',
+      { filename: path.join(ROOT, file), lineOffset: -1 }
+    );
+    run.apply(window, GLOBALS.map(function (name) { return window[name]; }));
+  });
+  return window;
+}
+
+/**
+ * browser(files, [options])
+ * createWindow() and load() in one step.
+ * @returns {Object} The window
+ */
+function browser(files, options) {
+  return load(createWindow(options), files);
+}
+
+/* Runs the pages' DOMContentLoaded handlers */
+function ready(window) {
+  window.document.readyState = 'interactive';
+  window.document.dispatchEvent(new Event('DOMContentLoaded'));
+  return window;
+}
+
+/* Lets pending promise callbacks and timers-at-zero run */
+function settle() {
+  return new Promise(function (resolve) { setTimeout(resolve, 0); });
+}
+
+module.exports = {
+  ROOT:         ROOT,
+  createWindow: createWindow,
+  load:         load,
+  browser:      browser,
+  element:      element,
+  ready:        ready,
+  settle:       settle
+};
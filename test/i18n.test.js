@@ -0,0 +1,115 @@
+/* ============================================================
+   MERIDIAN — i18n.test.js
+   English / Chinese copy (js/i18n.js): both string tables carry
+   the same keys and {tokens}, every key the pages and scripts
+   ask for exists, and lookups, catalog fields and the language
+   switch behave.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var fs     = require('fs');
+var path   = require('path');
+
+var helpers = require('./helpers/browser.js');
+
+var SOURCE = fs.readFileSync(path.join(helpers.ROOT, 'js', 'i18n.js'), 'utf8');
+
+/* key → string for one language's block of the STRINGS table */
+function table(lang) {
+  var start = SOURCE.indexOf("    '" + lang + "': {");
+  var end = SOURCE.indexOf('\n    }', start);
+  var strings = {};
+  var re = /^\s+'([\w.]+)':\s+'((?:[^'\\]|\\.)*)'/gm;
+  var block = SOURCE.slice(start, end);
+  var m;
+
+  assert.notEqual(start, -1, 'no ' + lang + ' table');
+  while ((m = re.exec(block))) strings[m[1]] = m[2];
+  return strings;
+}
+
+function tokens(str) {
+  return (str.match(/\{\w+\}/g) || []).sort();
+}
+
+/* Keys named by markup (data-i18n, data-i18n-label) and scripts (t('…')),
+   skipping prefixes a script completes at run time (t('shipping.' + m)) */
+function usedKeys() {
+  var files = [];
+  ['.', 'templates', 'js', 'scripts'].forEach(function (dir) {
+    fs.readdirSync(path.join(helpers.ROOT, dir)).forEach(function (name) {
+      if (/\.(html|js)$/.test(name) && name !== 'i18n.js') files.push(path.join(helpers.ROOT, dir, name));
+    });
+  });
+
+  var keys = {};
+  files.forEach(function (file) {
+    var text = fs.readFileSync(file, 'utf8');
+    var re = /data-i18n(?:-label)?="([\w.]+)"|\bt\('([\w.]*\w)'/g;
+    var m;
+    while ((m = re.exec(text))) keys[m[1] || m[2]] = path.relative(helpers.ROOT, file);
+  });
+  return keys;
+}
+
+function page(lang) {
+  return helpers.browser(['js/i18n.js'], { storage: lang ? { meridian_lang: lang } : {} });
+}
+
+test('English and Chinese have the same keys and the same {tokens}', function () {
+  var en = table('en');
+  var zh = table('zh-CN');
+
+  assert.ok(Object.keys(en).length > 20);
+  assert.deepEqual(Object.keys(zh).sort(), Object.keys(en).sort());
+  Object.keys(en).forEach(function (key) {
+    assert.deepEqual(tokens(zh[key]), tokens(en[key]), key);
+  });
+});
+
+test('every key the pages and scripts use is defined', function () {
+  var en = table('en');
+  var used = usedKeys();
+
+  Object.keys(used).forEach(function (key) {
+    assert.ok(Object.prototype.hasOwnProperty.call(en, key), key + ' (used in ' + used[key] + ')');
+  });
+});
+
+test('t fills tokens and falls back to the key when a string is missing', function (t) {
+  var warn = t.mock.method(console, 'warn', function () {});
+  var I18n = page().MeridianI18n;
+
+  assert.equal(I18n.t('catalog.countFiltered', { shown: 2, total: 6 }), '2 of 6 tools');
+  assert.equal(I18n.t('catalog.countFiltered', { shown: 2 }), '2 of {total} tools');
+  assert.equal(I18n.t('no.such.key'), 'no.such.key');
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('productText reads the _cn field only when Chinese is chosen and it exists', function () {
+  var product = { name: 'Bianshi Ring', name_cn: '砭石戒指', tagline: 'Wear it' };
+
+  assert.equal(page().MeridianI18n.productText(product, 'name'), 'Bianshi Ring');
+  assert.equal(page('zh-CN').MeridianI18n.productText(product, 'name'), '砭石戒指');
+  assert.equal(page('zh-CN').MeridianI18n.productText(product, 'tagline'), 'Wear it');
+  assert.equal(page('zh-CN').MeridianI18n.productText(null, 'name'), '');
+});
+
+test('set switches offered languages only and announces the change', function () {
+  var window = page();
+  var I18n = window.MeridianI18n;
+  var announced = [];
+  window.document.addEventListener('language:updated', function (e) { announced.push(e.detail.lang); });
+
+  assert.equal(I18n.set('fr'), false);
+  assert.equal(I18n.set('zh-CN'), true);
+  assert.equal(I18n.get(), 'zh-CN');
+  assert.equal(window.document.documentElement.lang, 'zh-CN');
+  assert.deepEqual(announced, ['zh-CN']);
+  assert.equal(page('klingon').MeridianI18n.get(), 'en');
+});
@@ -0,0 +1,98 @@
+/* ============================================================
+   MERIDIAN — inventory.test.js
+   Stock and purchase limits (js/inventory.js): untracked and
+   fractional stock, the low-stock edge, per-order limits, and
+   allocate() sharing stock across variants and bundles.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var Inventory = require('../js/inventory.js');
+
+var CATALOG = {
+  frog:  { id: 'frog',  price: 68, stock: 4 },
+  lotus: { id: 'lotus', price: 54, stock: 10 },
+  ring:  { id: 'ring',  price: 42, stock: 3, max_per_order: 2 },
+  gift:  { id: 'gift',  price: 10 },
+  set:   { id: 'set',   price: 110, bundle: [{ id: 'frog', qty: 1 }, { id: 'lotus', qty: 2 }] },
+  lost:  { id: 'lost',  price: 90, bundle: [{ id: 'frog', qty: 1 }, { id: 'retired', qty: 1 }] }
+};
+
+function getProduct(id) {
+  return CATALOG[id] || null;
+}
+
+test('stockOf treats missing stock as untracked and floors the rest', function () {
+  assert.equal(Inventory.stockOf(CATALOG.gift), Infinity);
+  assert.equal(Inventory.stockOf({ id: 'x', stock: 2.7 }), 2);
+  assert.equal(Inventory.stockOf({ id: 'x', stock: -3 }), 0);
+  assert.equal(Inventory.stockOf(null), 0);
+});
+
+test('a bundle has as much stock as its scarcest component allows', function () {
+  assert.equal(Inventory.stockOf(CATALOG.set, getProduct), 4);   /* frog 4, lotus 10 / 2 = 5 */
+  assert.equal(Inventory.stockOf(CATALOG.lost, getProduct), 0);  /* a component left the catalog */
+  assert.equal(Inventory.stockOf(CATALOG.set), 0);               /* no lookup, no components */
+});
+
+test('orderLimit reports whichever limit is smaller', function () {
+  assert.deepEqual(Inventory.orderLimit(CATALOG.ring), { max: 2, reason: 'max_per_order' });
+  assert.deepEqual(Inventory.orderLimit({ id: 'x', stock: 1, max_per_order: 2 }), { max: 1, reason: 'stock' });
+  assert.deepEqual(Inventory.orderLimit({ id: 'x', stock: 2, max_per_order: 2 }), { max: 2, reason: 'stock' });
+  assert.deepEqual(Inventory.orderLimit(CATALOG.gift), { max: Infinity, reason: 'stock' });
+});
+
+test('availability turns low at LOW_STOCK and sold out at zero', function () {
+  assert.deepEqual(Inventory.availability({ id: 'x', stock: Inventory.LOW_STOCK + 1 }), { status: 'in_stock', left: null });
+  assert.deepEqual(Inventory.availability({ id: 'x', stock: Inventory.LOW_STOCK }), { status: 'low_stock', left: Inventory.LOW_STOCK });
+  assert.deepEqual(Inventory.availability({ id: 'x', stock: 0 }), { status: 'sold_out', left: 0 });
+  assert.deepEqual(Inventory.availability(CATALOG.gift), { status: 'in_stock', left: null });
+});
+
+test('allocate shares the per-order limit across lines of one product', function () {
+  var rooms = Inventory.allocate([
+    { id: 'ring', qty: 1 },
+    { id: 'ring', qty: 5 },
+    { id: 'ring', qty: 1 }
+  ], getProduct);
+
+  assert.deepEqual(rooms, [
+    { max: 2, limit: 2, reason: 'max_per_order' },
+    { max: 1, limit: 2, reason: 'max_per_order' },
+    { max: 0, limit: 2, reason: 'max_per_order' }
+  ]);
+});
+
+test('allocate lets bundles and single tools draw on one stock', function () {
+  var rooms = Inventory.allocate([
+    { id: 'lotus', qty: 7 },
+    { id: 'set',   qty: 3 },
+    { id: 'frog',  qty: 4 }
+  ], getProduct);
+
+  assert.deepEqual(rooms[0], { max: 10, limit: 10, reason: 'stock' });
+  assert.deepEqual(rooms[1], { max: 1, limit: 1, reason: 'stock' });   /* 3 lotus left → 1 set */
+  assert.deepEqual(rooms[2], { max: 3, limit: 3, reason: 'stock' });   /* that set took a frog */
+});
+
+test('allocate only uses up what a line can actually have', function () {
+  var rooms = Inventory.allocate([
+    { id: 'frog', qty: 9 },
+    { id: 'frog', qty: 1 }
+  ], getProduct);
+
+  assert.equal(rooms[0].max, 4);
+  assert.equal(rooms[1].max, 0);
+});
+
+test('allocate gives null for products missing from the catalog', function () {
+  var rooms = Inventory.allocate([{ id: 'retired', qty: 1 }, { id: 'gift', qty: 3 }], getProduct);
+
+  assert.equal(rooms[0], null);
+  assert.deepEqual(rooms[1], { max: Infinity, limit: Infinity, reason: 'stock' });
+});
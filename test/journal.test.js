@@ -0,0 +1,150 @@
+/* ============================================================
+   MERIDIAN — journal.test.js
+   The journal.html listing (js/journal.js): topic and page state
+   in the URL, pagination clamped to the pages that exist, and
+   the grid, page links and corrected address once the index
+   has loaded, in the page language.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var TOPICS = [{ slug: 'technique', name: 'Technique' }, { slug: 'ritual', name: 'Ritual' }];
+
+/* n articles, newest first; every third is a ritual */
+function articles(n) {
+  var list = [];
+  for (var i = 0; i < n; i++) {
+    list.push({
+      slug:      'article-' + i,
+      url:       'journal/article-' + i + '.html',
+      title:     'Article <' + i + '>',
+      topic:     i % 3 === 2 ? 'ritual' : 'technique',
+      tag:       i % 3 === 2 ? 'Ritual' : 'Technique',
+      date:      '2026-02-' + String(20 - i).padStart(2, '0'),
+      read_time: 5,
+      hero:      'images/a.jpg',
+      excerpt:   'Excerpt ' + i
+    });
+  }
+  return list;
+}
+
+function page(search, index, storage) {
+  var grid = helpers.element();
+  var nav = helpers.element();
+  var window = helpers.browser(['js/i18n.js', 'js/journal.js'], {
+    url:      'http://localhost/journal.html' + (search || ''),
+    storage:  storage,
+    files:    { 'data/journal.json': index === undefined ? { topics: TOPICS, articles: articles(8) } : index },
+    elements: { journalGrid: grid, journalPagination: nav }
+  });
+  return { window: window, grid: grid, nav: nav };
+}
+
+function titles(grid) {
+  return (grid.innerHTML.match(/class="article-title">[^<]+/g) || []).map(function (m) {
+    return m.replace('class="article-title">', '');
+  });
+}
+
+test('readState and writeState round-trip and drop defaults', function () {
+  var Journal = page().window.MeridianJournal;
+
+  assert.deepEqual(Journal.readState(''), { topic: '', page: 1 });
+  assert.deepEqual(Journal.readState('?topic=ritual&page=0'), { topic: 'ritual', page: 1 });
+  assert.deepEqual(Journal.readState('?page=two'), { topic: '', page: 1 });
+  assert.equal(Journal.writeState({ topic: '', page: 1 }), '');
+  assert.equal(Journal.writeState({ topic: 'ritual', page: 2 }), '?topic=ritual&page=2');
+});
+
+test('paginate filters by topic and clamps the page', function () {
+  var Journal = page().window.MeridianJournal;
+  var list = articles(8);
+
+  var second = Journal.paginate(list, { topic: '', page: 2 });
+  assert.deepEqual(second.items.map(function (a) { return a.slug; }), ['article-6', 'article-7']);
+  assert.deepEqual([second.page, second.pages, second.total], [2, 2, 8]);
+
+  assert.equal(Journal.paginate(list, { topic: '', page: 9 }).page, 2);
+  assert.equal(Journal.paginate(list, { topic: 'ritual', page: 1 }).total, 2);
+  assert.deepEqual(Journal.paginate([], { topic: '', page: 3 }), { items: [], page: 1, pages: 1, total: 0 });
+});
+
+test('the grid shows the requested page with escaped cards and page links', async function () {
+  var journal = page('?page=2');
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.deepEqual(titles(journal.grid), ['Article &lt;6&gt;', 'Article &lt;7&gt;']);
+  assert.match(journal.grid.innerHTML, /February 2026 · 5 min read/);
+  assert.equal(journal.nav.hidden, false);
+  assert.match(journal.nav.innerHTML, /href="journal\.html" data-page="1">← Newer<\/a>/);
+  assert.match(journal.nav.innerHTML, /data-page="2" aria-current="page">2<\/a>/);
+});
+
+test('an unknown topic or a page past the end is corrected in the address bar', async function () {
+  var journal = page('?topic=retired&page=5');
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.equal(journal.window.location.search, '?page=2');
+  assert.equal(titles(journal.grid).length, 2);
+});
+
+test('one page of results hides the pagination', async function () {
+  var journal = page('?topic=ritual');
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.equal(titles(journal.grid).length, 2);
+  assert.equal(journal.nav.hidden, true);
+  assert.equal(journal.nav.innerHTML, '');
+});
+
+test('an index that cannot load leaves a message', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var journal = page('', { articles: 'none' });
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.match(journal.grid.innerHTML, /could not be loaded/);
+  assert.equal(journal.grid.hasAttribute('aria-busy'), false);
+});
+
+test('dates and copy follow the page language and the read time is a number', async function () {
+  var index = { topics: TOPICS, articles: articles(8) };
+  index.articles[6].read_time = '7';
+  index.articles[7].read_time = '<img src=x onerror=alert(1)>';
+  var journal = page('?page=2', index, { meridian_lang: 'zh-CN' });
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.match(journal.grid.innerHTML, /2026年2月 · 阅读约 7 分钟/);
+  assert.doesNotMatch(journal.grid.innerHTML, /<img src=x/);
+  assert.match(journal.nav.innerHTML, /data-page="1">← 较新<\/a>/);
+
+  journal.window.MeridianI18n.set('en');
+  assert.match(journal.grid.innerHTML, /February 2026 · 7 min read/);
+  assert.match(journal.nav.innerHTML, /← Newer/);
+});
+
+test('an empty topic says so in the page language', async function () {
+  var journal = page('?topic=ritual', { topics: TOPICS, articles: [] }, { meridian_lang: 'zh-CN' });
+
+  helpers.ready(journal.window);
+  await helpers.settle();
+
+  assert.match(journal.grid.innerHTML, /<p class="journal-empty">这个主题下还没有文章。 <a href="journal\.html" data-topic-link="">查看全部文章<\/a><\/p>/);
+});
@@ -0,0 +1,99 @@
+/* ============================================================
+   MERIDIAN — markdown.test.js
+   The journal's Markdown subset (scripts/markdown.js): front
+   matter values, each block type, inline markup with escaping,
+   link rewriting and the excerpt taken from the first paragraph.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var markdown = require('../scripts/markdown.js');
+
+test('front matter reads strings, numbers, booleans and both list forms', function () {
+  var parsed = markdown.parseFrontMatter([
+    '---',
+    'title: "Direction: over pressure"',
+    'read_time: 6',
+    'draft: false',
+    '# a comment',
+    'products: [frog-face-lift, lotus-pod-eye]',
+    'tags:',
+    '  - Technique',
+    '  - Ritual',
+    '---',
+    'Body text.'
+  ].join('\r\n'));
+
+  assert.deepEqual(parsed.data, {
+    title:     'Direction: over pressure',
+    read_time: 6,
+    draft:     false,
+    products:  ['frog-face-lift', 'lotus-pod-eye'],
+    tags:      ['Technique', 'Ritual']
+  });
+  assert.equal(parsed.body, 'Body text.');
+});
+
+test('a file without front matter is all body; a broken block throws', function () {
+  assert.deepEqual(markdown.parseFrontMatter('Just text.'), { data: {}, body: 'Just text.' });
+  assert.throws(function () { markdown.parseFrontMatter('---\ntitle: x\n'); }, /not closed/);
+  assert.throws(function () { markdown.parseFrontMatter('---\nnot a pair\n---\n'); }, /line 2 is not "key: value"/);
+});
+
+test('blocks: headings start at h2, lists, quotes, rules and figures', function () {
+  var html = markdown.render([
+    '# Title',
+    '### Section',
+    '- one',
+    '- two',
+    '',
+    '1. first',
+    '2. second',
+    '',
+    '> quoted',
+    '> text',
+    '',
+    '---',
+    '![A tool](images/a.jpg)',
+    'A paragraph',
+    'over two lines.'
+  ].join('\n'));
+
+  assert.equal(html, [
+    '<h2>Title</h2>',
+    '<h3>Section</h3>',
+    '<ul><li>one</li><li>two</li></ul>',
+    '<ol><li>first</li><li>second</li></ol>',
+    '<blockquote><p>quoted text</p></blockquote>',
+    '<hr />',
+    '<figure><img src="images/a.jpg" alt="A tool" loading="lazy" /><figcaption>A tool</figcaption></figure>',
+    '<p>A paragraph over two lines.</p>'
+  ].join('\n'));
+});
+
+test('inline markup is escaped first and code spans are left alone', function () {
+  assert.equal(markdown.renderInline('**bold** *em* _em_ snake_case'),
+    '<strong>bold</strong> <em>em</em> <em>em</em> snake_case');
+  assert.equal(markdown.renderInline('<b>not html</b> & `**code** <x>`'),
+    '&lt;b&gt;not html&lt;/b&gt; &amp; <code>**code** &lt;x&gt;</code>');
+  assert.equal(markdown.renderInline('[a "link"](product/a.html?x=1&y=2)'),
+    '<a href="product/a.html?x=1&amp;y=2">a &quot;link&quot;</a>');
+});
+
+test('the url option rewrites link and image targets', function () {
+  var options = { url: function (href) { return '../' + href; } };
+
+  assert.equal(markdown.renderInline('[Frog](product/frog.html)', options), '<a href="../product/frog.html">Frog</a>');
+  assert.match(markdown.render('![x](images/x.jpg)', options), /src="\.\.\/images\/x\.jpg"/);
+});
+
+test('firstParagraph skips headings and strips markup', function () {
+  assert.equal(markdown.firstParagraph('## Heading\n\nSee the **[care guide](journal/care.html)**\nfor `more`.\n- a list'),
+    'See the care guide for more.');
+  assert.equal(markdown.firstParagraph('## Only a heading'), '');
+});
@@ -0,0 +1,179 @@
+/* ============================================================
+   MERIDIAN — orders.test.js
+   Order confirmation and history (js/orders.js): a paid order
+   seen for the first time takes what was bought and its promo
+   code out of the cart, the local history stays newest first,
+   and reorder refills the cart from the catalog, sorting the
+   lines it leaves out by why.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var PRODUCTS = [
+  { id: 'frog', slug: 'frog', name: 'Frog Face Lift', price: 68, images: [] },
+  { id: 'ring', slug: 'ring', name: 'Bianshi Ring', price: 42, images: [] }
+];
+
+var ORDER = {
+  id:        'ord_1',
+  status:    'paid',
+  createdAt: '2026-03-01T10:00:00.000Z',
+  items:     [{ id: 'frog', name: 'Frog Face Lift', price: 68, qty: 2, lineTotal: 136 }],
+  subtotal:  136,
+  total:     136,
+  shippingAddress: null
+};
+
+var CART = [{ id: 'frog', name: 'Frog Face Lift', price: 68, qty: 3 }, { id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1 }];
+
+function page(options) {
+  options = options || {};
+  var files = { 'data/products.json': PRODUCTS };
+  Object.keys(options.files || {}).forEach(function (key) { files[key] = options.files[key]; });
+
+  return helpers.browser(['js/cart-storage.js', 'js/i18n.js', 'js/catalog.js', 'js/variants.js', 'js/bundles.js', 'js/inventory.js', 'js/cart.js', 'js/orders.js'], {
+    url:      options.url || 'http://localhost/orders.html',
+    storage:  options.storage,
+    files:    files,
+    elements: options.elements
+  });
+}
+
+function cartLines(window) {
+  return JSON.parse(window.localStorage.getItem('meridian_cart')).items.map(function (line) {
+    return line.id + ' x' + line.qty;
+  });
+}
+
+function order(changes) {
+  var copy = JSON.parse(JSON.stringify(ORDER));
+  for (var key in changes) copy[key] = changes[key];
+  return copy;
+}
+
+/* Opens order-confirmation.html?order=<id> with the backend answering `reply` */
+async function confirm(reply, storage) {
+  var el = helpers.element();
+  var window = page({
+    url:      'http://localhost/order-confirmation.html?order=ord_1',
+    storage:  storage,
+    files:    { 'api/orders/ord_1': reply },
+    elements: { orderConfirmation: el }
+  });
+
+  helpers.ready(window);
+  await helpers.settle();
+  return { window: window, el: el };
+}
+
+/* ──────────────────────────────────────────────
+   Local history
+────────────────────────────────────────────── */
+
+test('saveOrder keeps the history newest first, one entry per order', function () {
+  var Orders = page().MeridianOrders;
+
+  Orders.saveOrder(order({ id: 'ord_old', createdAt: '2026-01-01T00:00:00.000Z' }));
+  Orders.saveOrder(order({ id: 'ord_new', createdAt: '2026-02-01T00:00:00.000Z' }));
+  Orders.saveOrder(order({ id: 'ord_old', createdAt: '2026-01-01T00:00:00.000Z', total: 99 }));
+
+  assert.deepEqual(Orders.getOrders().map(function (o) { return o.id; }), ['ord_new', 'ord_old']);
+  assert.equal(Orders.getOrders()[1].total, 99);
+  assert.equal(Orders.hasOrder('ord_new'), true);
+  assert.equal(Orders.hasOrder('ord_gone'), false);
+});
+
+test('a corrupt history reads as empty', function (t) {
+  t.mock.method(console, 'error', function () {});
+  var Orders = page({ storage: { meridian_orders: '{oops' } }).MeridianOrders;
+
+  assert.deepEqual(Orders.getOrders(), []);
+});
+
+/* ──────────────────────────────────────────────
+   Confirmation
+────────────────────────────────────────────── */
+
+test('a paid order leaves the cart with what it bought, the first time only', async function () {
+  var first = await confirm(order({ discount: { code: 'WELCOME10', description: '', amount: 13.6 } }), {
+    meridian_cart:  JSON.stringify(CART),
+    meridian_promo: 'WELCOME10'
+  });
+
+  assert.deepEqual(cartLines(first.window), ['frog x1', 'ring x1']);
+  assert.equal(first.window.localStorage.getItem('meridian_promo'), null);
+  assert.equal(first.window.MeridianOrders.hasOrder('ord_1'), true);
+  assert.match(first.el.innerHTML, /Thank you for your order/);
+  assert.match(first.el.innerHTML, /Confirmed with your payment details/);
+
+  var again = await confirm(ORDER, {
+    meridian_cart:   JSON.stringify(CART),
+    meridian_orders: first.window.localStorage.getItem('meridian_orders')
+  });
+  assert.deepEqual(cartLines(again.window), ['frog x3', 'ring x1']);
+});
+
+test('an unpaid or missing order leaves the cart alone', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var storage = { meridian_cart: JSON.stringify(CART) };
+
+  var unpaid = await confirm(order({ status: 'pending' }), storage);
+  assert.match(unpaid.el.innerHTML, /Payment not completed/);
+  assert.deepEqual(cartLines(unpaid.window), ['frog x3', 'ring x1']);
+  assert.equal(unpaid.window.MeridianOrders.hasOrder('ord_1'), false);
+
+  var missing = await confirm(null, storage);
+  assert.match(missing.el.innerHTML, /Order could not be loaded \(HTTP 404\)\. Your cart has not been changed\./);
+  assert.deepEqual(cartLines(missing.window), ['frog x3', 'ring x1']);
+});
+
+test('the shipping address is escaped onto the confirmation', async function () {
+  var shipped = await confirm(order({
+    shippingAddress: { name: 'Ada <Lovelace>', line1: '1 Loom St', line2: '', city: 'London', state: '', postalCode: 'N1', country: 'GB' }
+  }));
+
+  assert.match(shipped.el.innerHTML, /<address class="order-address">Ada &lt;Lovelace&gt;<br>1 Loom St<br>London, N1<br>GB<\/address>/);
+});
+
+/* ──────────────────────────────────────────────
+   Reorder
+────────────────────────────────────────────── */
+
+test('reorder refills the cart at catalog prices and skips retired tools', async function () {
+  var window = page();
+  var result = await window.MeridianOrders.reorder(order({
+    items: [
+      { id: 'frog', name: 'Frog Face Lift', price: 50, qty: 2 },
+      { id: 'retired', name: 'Retired tool', price: 30, qty: 1 }
+    ]
+  }));
+
+  assert.deepEqual(result.added.map(function (i) { return i.id; }), ['frog']);
+  assert.deepEqual(result.skipped.map(function (i) { return i.id; }), ['retired']);
+  assert.deepEqual(cartLines(window), ['frog x2']);
+  assert.equal(window.MeridianCart.getCart()[0].price, 68);
+});
+
+test('lines left out are sorted into sold out, at the limit and retired', async function () {
+  var window = page({ files: { 'data/products.json': [
+    { id: 'frog', slug: 'frog', name: 'Frog Face Lift', price: 68, images: [], stock: 0 },
+    { id: 'ring', slug: 'ring', name: 'Bianshi Ring', price: 42, images: [], max_per_order: 1 }
+  ] }, storage: { meridian_cart: JSON.stringify([{ id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1 }]) } });
+  var result = await window.MeridianOrders.reorder(order({
+    items: [
+      { id: 'frog', name: 'Frog Face Lift', price: 68, qty: 1 },
+      { id: 'ring', name: 'Bianshi Ring', price: 42, qty: 1 },
+      { id: 'retired', name: 'Retired tool', price: 30, qty: 1 }
+    ]
+  }));
+
+  assert.deepEqual(result.added, []);
+  assert.deepEqual([result.soldOut.length, result.limited.length, result.retired.length, result.skipped.length], [1, 1, 1, 3]);
+});
@@ -0,0 +1,184 @@
+/* ============================================================
+   MERIDIAN — products.test.js
+   The products.html grid (js/products.js): cards built from the
+   catalog with escaped copy, stock flags, eager images above
+   the fold, the 'products:rendered' event and the load-error
+   message; filter, sort and search state and its round trip
+   through the URL.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var PRODUCTS = [
+  { id: 'frog', slug: 'frog-face-lift', name: 'Frog <Lift>', material: 'Copper & Walnut', tagline: 'Sculpt "lift"', price: 68, images: ['images/frog.jpg'] },
+  { id: 'ring', slug: 'bianshi-ring', name: 'Ring', material: 'Bianshi', tagline: 'Wear it', price: 42, images: ['images/ring.jpg'] },
+  { id: 'roller', slug: 'roller', name: 'Roller', material: 'Beech', tagline: 'Roll', price: 62, images: [] }
+];
+
+function page(options) {
+  options = options || {};
+  return helpers.browser(['js/i18n.js', 'js/catalog.js', 'js/bundles.js', 'js/inventory.js', 'js/products.js'], {
+    url:      'http://localhost/products.html',
+    files:    { 'data/products.json': options.products === undefined ? PRODUCTS : options.products },
+    elements: options.elements
+  });
+}
+
+test('renderCard escapes catalog copy and links the detail page', function () {
+  var html = page().MeridianProducts.renderCard(PRODUCTS[0], 0);
+
+  assert.match(html, /Frog &lt;Lift&gt;/);
+  assert.match(html, /Copper &amp; Walnut/);
+  assert.match(html, /Sculpt &quot;lift&quot;/);
+  assert.match(html, /href="http:\/\/localhost\/product\/frog-face-lift\.html"/);
+  assert.match(html, /data-product-id="frog"/);
+  assert.doesNotMatch(html, /<Lift>/);
+});
+
+test('low and sold-out stock is flagged; a sold-out card has no quick-add', function () {
+  var Products = page().MeridianProducts;
+  var low = Products.renderCard(Object.assign({}, PRODUCTS[1], { stock: 2 }), 0);
+  var gone = Products.renderCard(Object.assign({}, PRODUCTS[1], { stock: 0 }), 0);
+
+  assert.match(low, /catalog-card__stock--low">Only 2 left</);
+  assert.match(low, /data-product-id="ring"/);
+  assert.match(gone, /class="catalog-card catalog-card--sold-out"/);
+  assert.match(gone, /<button type="button" class="btn-quick-add" disabled>Sold out<\/button>/);
+  assert.doesNotMatch(gone, /data-product-id/);
+  assert.doesNotMatch(Products.renderCard(PRODUCTS[1], 0), /catalog-card__stock/);
+});
+
+test('the first two cards load their image eagerly; cards without images have none', function () {
+  var Products = page().MeridianProducts;
+
+  assert.match(Products.renderCard(PRODUCTS[1], 1), /loading="eager"/);
+  assert.match(Products.renderCard(PRODUCTS[1], 2), /loading="lazy"/);
+  assert.doesNotMatch(Products.renderCard(PRODUCTS[2], 0), /<img/);
+});
+
+test('the page renders every product and fires products:rendered', async function () {
+  var grid = helpers.element();
+  var window = page({ elements: { catalogGrid: grid } });
+  var rendered = null;
+  window.document.addEventListener('products:rendered', function (e) { rendered = e.detail; });
+
+  helpers.ready(window);
+  assert.equal(grid.getAttribute('aria-busy'), 'true');
+  await helpers.settle();
+
+  assert.equal(grid.innerHTML.match(/<article/g).length, 3);
+  assert.equal(grid.hasAttribute('aria-busy'), false);
+  assert.equal(rendered.container, grid);
+  assert.equal(rendered.products.length, 3);
+});
+
+test('a catalog that cannot load leaves a message instead of a spinner', async function (t) {
+  t.mock.method(console, 'error', function () {});
+  var grid = helpers.element();
+  var window = page({ products: null, elements: { catalogGrid: grid } });
+
+  helpers.ready(window);
+  await helpers.settle();
+
+  assert.match(grid.innerHTML, /could not be loaded/);
+  assert.equal(grid.hasAttribute('aria-busy'), false);
+});
+
+/* ──────────────────────────────────────────────
+   Filter / sort / search state
+────────────────────────────────────────────── */
+
+var TOOLS = [
+  { id: 'a', name: 'Frog Face Lift', tagline: 'Sculpt', description: 'Walnut and copper', price: 68, featured: true,
+    materials: ['Copper', 'Black Walnut'], usage_areas: ['Eye contour', 'Jawline'] },
+  { id: 'b', name: 'Bianshi Ring', name_cn: '砭石戒指', tagline: 'Wear it', description: 'Stone', price: 42,
+    materials: ['Bianshi Stone'], usage_areas: ['Daily acupressure'] },
+  { id: 'c', name: 'Body Roller', tagline: 'Roll', description: 'Beech and copper', description_cn: '榉木与铜', price: 62,
+    materials: ['Copper', 'Beech'], usage_areas: ['Neck'], usage_cn: '颈部' },
+  { id: 'd', name: 'Eye Massager', tagline: 'Calm', description: 'Rosewood', price: 54, featured: true,
+    materials: ['Copper', 'Rosewood'], usage_areas: ['Eye contour'] }
+];
+
+function ids(list) {
+  return list.map(function (p) { return p.id; });
+}
+
+test('readState fills defaults and drops values it cannot use', function () {
+  var Products = page().MeridianProducts;
+
+  assert.deepEqual(Products.readState(''), { q: '', material: '', area: '', min: null, max: null, sort: 'featured' });
+  assert.deepEqual(Products.readState('?q=%20frog%20&min=abc&max=70.5&sort=cheapest'),
+    { q: 'frog', material: '', area: '', min: null, max: 70.5, sort: 'featured' });
+  assert.equal(Products.readState('?sort=hasOwnProperty').sort, 'featured');
+});
+
+test('writeState omits defaults and round-trips through readState', function () {
+  var Products = page().MeridianProducts;
+  var state = { q: 'eye lift', material: 'Copper', area: 'Eye contour', min: 0, max: 60, sort: 'price-desc' };
+
+  assert.equal(Products.writeState(Products.readState('')), '');
+  assert.equal(Products.writeState(state), '?q=eye+lift&material=Copper&area=Eye+contour&min=0&max=60&sort=price-desc');
+  assert.deepEqual(Products.readState(Products.writeState(state)), state);
+});
+
+test('applyState filters by material, area and price bounds inclusively', function () {
+  var Products = page().MeridianProducts;
+
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?material=Copper&sort=price-asc'))), ['d', 'c', 'a']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?area=Eye+contour'))), ['a', 'd']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?min=54&max=62&sort=price-asc'))), ['d', 'c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?material=Jade'))), []);
+});
+
+test('price bounds are USD whatever the display currency', async function () {
+  var window = helpers.browser(['js/currency.js', 'js/i18n.js', 'js/catalog.js', 'js/bundles.js', 'js/inventory.js', 'js/products.js'], {
+    storage: { meridian_currency: 'EUR' },
+    files:   { 'data/currency-rates.json': { base: 'USD', rates: { USD: 1, EUR: 0.5 } } }
+  });
+  await window.MeridianCurrency.load();
+  var Products = window.MeridianProducts;
+
+  assert.equal(window.MeridianCurrency.get(), 'EUR');
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?min=54&max=62&sort=price-asc'))), ['d', 'c']);
+});
+
+test('search needs every word, ignores case and reads the Chinese copy', function () {
+  var Products = page().MeridianProducts;
+
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=COPPER+beech'))), ['c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=砭石'))), ['b']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=榉木'))), ['c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=颈部'))), ['c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=neck'))), ['c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?q=copper+stone'))), []);
+});
+
+test('featured sorts first and keeps catalog order; the input is untouched', function () {
+  var Products = page().MeridianProducts;
+  var before = ids(TOOLS);
+
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState(''))), ['a', 'd', 'b', 'c']);
+  assert.deepEqual(ids(Products.applyState(TOOLS, Products.readState('?sort=price-desc'))), ['a', 'c', 'd', 'b']);
+  assert.deepEqual(ids(TOOLS), before);
+});
+
+test('the page starts from the filters in its URL', async function () {
+  var grid = helpers.element();
+  var window = helpers.browser(['js/i18n.js', 'js/catalog.js', 'js/bundles.js', 'js/inventory.js', 'js/products.js'], {
+    url:      'http://localhost/products.html?material=Copper&sort=price-asc',
+    files:    { 'data/products.json': TOOLS },
+    elements: { catalogGrid: grid }
+  });
+
+  helpers.ready(window);
+  await helpers.settle();
+
+  assert.deepEqual(grid.innerHTML.match(/data-product-id="\w"/g), ['data-product-id="d"', 'data-product-id="c"', 'data-product-id="a"']);
+});
@@ -0,0 +1,118 @@
+/* ============================================================
+   MERIDIAN — promotions.test.js
+   Promo code rules (js/promotions.js): each code type, minimum
+   subtotals, eligibility, start / expiry dates and the
+   free-shipping waiver, and descriptions in the page language.
+   Dates are pinned with `now`.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers    = require('./helpers/browser.js');
+var Promotions = require('../js/promotions.js');
+
+var CATALOG = {
+  frog:   { id: 'frog',   materials: ['Copper', 'Black Walnut'] },
+  ring:   { id: 'ring',   materials: ['Bianshi Stone'] },
+  roller: { id: 'roller', materials: ['Copper', 'Beech'] }
+};
+
+var NOW = new Date('2026-10-19T12:00:00');
+
+function evaluate(code, lines, now) {
+  return Promotions.evaluate(code, lines, {
+    getProduct: function (id) { return CATALOG[id] || null; },
+    now:        now || NOW
+  });
+}
+
+test('codes are trimmed and case-insensitive', function () {
+  assert.equal(Promotions.normalizeCode('  welcome10 '), 'WELCOME10');
+  assert.equal(evaluate(' welcome10', [{ id: 'ring', price: 42, qty: 1 }]).code, 'WELCOME10');
+});
+
+test('an empty or unknown code fails with a message', function () {
+  assert.deepEqual(evaluate('', []), { ok: false, code: '', error: 'Enter a promo code.' });
+  assert.equal(evaluate('nope', []).error, '“NOPE” isn’t a valid code.');
+});
+
+test('percent codes take a share of the subtotal, rounded to cents', function () {
+  var result = evaluate('WELCOME10', [{ id: 'ring', price: 42, qty: 1 }, { id: 'frog', price: 68.45, qty: 1 }]);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.description, '10% off your order');
+  assert.equal(result.amount, 11.05);
+  assert.equal(result.freeShipping, false);
+});
+
+test('percent codes with eligibility discount only eligible lines', function () {
+  var lines = [{ id: 'frog', price: 68, qty: 1 }, { id: 'ring', price: 42, qty: 1 }];
+
+  assert.equal(evaluate('COPPER15', lines).amount, 10.2);   /* 15% of the frog only */
+});
+
+test('the minimum counts the whole subtotal, not only eligible lines', function () {
+  var lines = [{ id: 'frog', price: 68, qty: 1 }, { id: 'ring', price: 42, qty: 1 }];
+
+  assert.equal(evaluate('COPPER15', lines).ok, true);
+  assert.equal(evaluate('COPPER15', [{ id: 'frog', price: 68, qty: 1 }]).error,
+    'Spend $32.00 more to use COPPER15 (minimum $100.00).');
+});
+
+test('a cart without eligible lines names what the code is for', function () {
+  var result = evaluate('COPPER15', [{ id: 'ring', price: 42, qty: 3 }]);
+
+  assert.equal(result.error, 'COPPER15 only applies to copper tools.');
+  assert.equal(evaluate('COPPER15', [{ id: 'unknown', price: 120, qty: 1 }]).ok, false);
+});
+
+test('fixed codes never take more than the subtotal', function () {
+  assert.equal(evaluate('RITUAL20', [{ id: 'frog', price: 150, qty: 1 }]).amount, 20);
+  assert.equal(evaluate('RITUAL20', [{ id: 'frog', price: 149.99, qty: 1 }]).ok, false);
+});
+
+test('buy-two-get-one frees the cheapest unit of each group of three', function () {
+  var lines = [
+    { id: 'frog', price: 68, qty: 2 },
+    { id: 'ring', price: 42, qty: 3 },
+    { id: 'roller', price: 62, qty: 1 }
+  ];
+  /* Sorted: 68 68 62 | 42 42 42 → 62 + 42 free */
+  assert.equal(evaluate('TRIO', lines).amount, 104);
+  assert.equal(evaluate('TRIO', [{ id: 'frog', price: 68, qty: 2 }]).error, 'Add 1 more tool(s) to use TRIO.');
+});
+
+test('dated codes work on their first and last day only', function () {
+  var lines = [{ id: 'ring', price: 42, qty: 1 }];
+
+  assert.equal(evaluate('SPRING26', lines, new Date('2026-02-28T23:59:00')).error, 'SPRING26 starts on March 1, 2026.');
+  assert.equal(evaluate('SPRING26', lines, new Date('2026-03-01T00:00:00')).ok, true);
+  assert.equal(evaluate('SPRING26', lines, new Date('2026-05-31T23:59:00')).ok, true);
+  assert.equal(evaluate('SPRING26', lines, new Date('2026-06-01T00:00:00')).error, 'SPRING26 expired on May 31, 2026.');
+});
+
+test('free-shipping codes waive standard shipping only', function () {
+  var result = evaluate('SHIPFREE', [{ id: 'ring', price: 42, qty: 1 }]);
+  var standard = { method: 'standard', cost: 18, free: false };
+  var express = { method: 'express', cost: 38, free: false };
+
+  assert.equal(result.amount, 0);
+  assert.equal(result.freeShipping, true);
+  assert.deepEqual(Promotions.applyToShipping(standard, result), { method: 'standard', cost: 0, free: true });
+  assert.equal(standard.cost, 18);                /* the quote itself is left alone */
+  assert.equal(Promotions.applyToShipping(express, result), express);
+  assert.equal(Promotions.applyToShipping(standard, evaluate('WELCOME10', [{ id: 'ring', price: 42, qty: 1 }])), standard);
+  assert.equal(Promotions.applyToShipping(standard, null), standard);
+});
+
+test('a page in Chinese gets the Chinese description', function () {
+  var window = helpers.browser(['js/i18n.js', 'js/promotions.js'], { storage: { meridian_lang: 'zh-CN' } });
+  var result = window.MeridianPromotions.evaluate('WELCOME10', [{ id: 'ring', price: 42, qty: 1 }]);
+
+  assert.equal(result.description, '全单立减 10%');
+});
@@ -0,0 +1,367 @@
+/* ============================================================
+   MERIDIAN — server.test.js
+   The local checkout backend (server/server.js): carts
+   re-priced from the catalog, malformed or oversized
+   requests refused, orders stored and served back, and
+   static files kept inside the site. Orders go to a temporary
+   ORDERS_FILE, never to server/orders.json.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var fs     = require('fs');
+var os     = require('os');
+var path   = require('path');
+var http   = require('http');
+
+var TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'meridian-orders-'));
+process.env.ORDERS_FILE = path.join(TMP_DIR, 'orders.json');
+
+var server = require('../server/server.js');
+
+var CATALOG = {};
+JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'products.json'), 'utf8')).forEach(function (p) {
+  CATALOG[p.id] = p;
+});
+
+/* Oregon has no sales tax: totals are merchandise plus shipping */
+var US_OR = { country: 'US', region: 'OR' };
+
+test.after(function () {
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+/* ──────────────────────────────────────────────
+   Helpers
+────────────────────────────────────────────── */
+
+function storedOrders() {
+  try {
+    return JSON.parse(fs.readFileSync(process.env.ORDERS_FILE, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+/* Starts a server on a free port for one test; closed when it ends */
+async function listen(t) {
+  t.mock.method(console, 'log', function () {});
+  var app = server.createServer().listen(0);
+  t.after(function () { app.close(); });
+  await new Promise(function (resolve) { app.once('listening', resolve); });
+  return app.address().port;
+}
+
+function request(port, method, pathname, body) {
+  return new Promise(function (resolve, reject) {
+    var req = http.request({ port: port, method: method, path: pathname }, function (res) {
+      var chunks = [];
+      res.on('data', function (chunk) { chunks.push(chunk); });
+      res.on('end', function () {
+        var text = Buffer.concat(chunks).toString('utf8');
+        var json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+        resolve({ status: res.statusCode, headers: res.headers, text: text, body: json });
+      });
+    });
+    /* The server may close the connection before the whole body is sent */
+    req.on('error', function (e) {
+      if (e.code !== 'EPIPE' && e.code !== 'ECONNRESET') reject(e);
+    });
+    if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+function checkout(port, body) {
+  return request(port, 'POST', '/api/create-checkout-session', body);
+}
+
+function rejects400(items, pattern, catalog) {
+  assert.throws(function () {
+    server.priceCart(items, catalog || CATALOG);
+  }, function (e) {
+    return e instanceof server.HttpError && e.status === 400 && pattern.test(e.message);
+  });
+}
+
+/* ──────────────────────────────────────────────
+   Pricing
+────────────────────────────────────────────── */
+
+test('priceCart prices from the catalog, not the request', function () {
+  var priced = server.priceCart([{ id: 'frog-face-lift', qty: 2, price: 1, name: 'Free frog' }], CATALOG);
+
+  assert.deepEqual(priced, {
+    items:    [{ sku: 'frog-face-lift', id: 'frog-face-lift', name: CATALOG['frog-face-lift'].name, price: 68, qty: 2, lineTotal: 136 }],
+    subtotal: 136
+  });
+});
+
+test('priceCart merges repeated ids before the quantity limit', function () {
+  var priced = server.priceCart([{ id: 'lotus-pod-eye', qty: 4 }, { id: 'lotus-pod-eye', qty: 6 }], CATALOG);
+
+  assert.equal(priced.items.length, 1);
+  assert.equal(priced.items[0].qty, 10);
+  rejects400([{ id: 'lotus-pod-eye', qty: 6 }, { id: 'lotus-pod-eye', qty: 5 }], /exceeds the limit of 10/);
+});
+
+test('priceCart keys lines by SKU and buys the default variant for a bare id', function () {
+  var merged = server.priceCart([{ id: 'bianshi-ring', variant: 'ring', qty: 1 }, { id: 'bianshi-ring', qty: 1 }], CATALOG);
+  var pendant = server.priceCart([{ id: 'bianshi-ring', variant: 'pendant', qty: 1 }], CATALOG);
+
+  assert.deepEqual(merged.items.map(function (l) { return [l.sku, l.qty, l.option]; }), [['bianshi-ring:ring', 2, 'Style: Ring']]);
+  assert.deepEqual(pendant.items.map(function (l) { return [l.sku, l.qty, l.option]; }), [['bianshi-ring:pendant', 1, 'Style: Pendant on cord']]);
+  rejects400([{ id: 'bianshi-ring', variant: 'anklet', qty: 1 }], /Unknown variant for bianshi-ring: anklet/);
+  rejects400([{ id: 'bianshi-ring', variant: 7, qty: 1 }], /Unknown variant/);
+  rejects400([{ id: 'frog-face-lift', variant: 'ring', qty: 1 }], /Unknown variant for frog-face-lift: ring/);
+});
+
+test('priceCart holds each product to its stock and per-order limit', function () {
+  function limited(changes) {
+    var ring = Object.assign({}, CATALOG['bianshi-ring'], { stock: undefined, max_per_order: undefined }, changes);
+    return { 'bianshi-ring': ring };
+  }
+  var both = [{ id: 'bianshi-ring', variant: 'ring', qty: 2 }, { id: 'bianshi-ring', variant: 'pendant', qty: 1 }];
+
+  assert.equal(server.priceCart(both, limited({ stock: 3 })).subtotal, 126);
+  rejects400([both[0], { id: 'bianshi-ring', variant: 'pendant', qty: 2 }],
+    /^Only 1 of Bianshi Stone Ring left in stock\.$/, limited({ stock: 3 }));
+  rejects400(both, /^Bianshi Stone Ring is limited to 2 per order\.$/, limited({ stock: 9, max_per_order: 2 }));
+  rejects400(both, /^Bianshi Stone Ring is sold out\.$/, limited({ stock: 0 }));
+});
+
+test('a bundle and the single tools in it draw on the same stock', function () {
+  var catalog = {
+    'frog-face-lift':    Object.assign({}, CATALOG['frog-face-lift'], { stock: 5 }),
+    'lotus-pod-eye':     Object.assign({}, CATALOG['lotus-pod-eye'], { stock: 2 }),
+    'facial-ritual-set': Object.assign({}, CATALOG['facial-ritual-set'], {
+      bundle: [{ id: 'frog-face-lift', qty: 1 }, { id: 'lotus-pod-eye', qty: 1 }]
+    })
+  };
+  var set = { id: 'facial-ritual-set', qty: 1 };
+
+  assert.equal(server.priceCart([{ id: 'lotus-pod-eye', qty: 1 }, set], catalog).items.length, 2);
+  rejects400([{ id: 'lotus-pod-eye', qty: 2 }, set], /^The Facial Ritual Set is sold out\.$/, catalog);
+});
+
+test('priceCart rejects malformed carts', function () {
+  var tooMany = [];
+  for (var i = 0; i < 51; i++) tooMany.push({ id: 'frog-face-lift', qty: 1 });
+
+  rejects400(undefined, /Cart is empty/);
+  rejects400([], /Cart is empty/);
+  rejects400(tooMany, /Too many cart lines/);
+  rejects400([null], /Unknown product/);
+  rejects400([{ id: 'no-such-tool', qty: 1 }], /Unknown product: no-such-tool/);
+  rejects400([{ id: 'constructor', qty: 1 }], /Unknown product: constructor/);
+  rejects400([{ id: 'frog-face-lift', qty: 1.5 }], /Invalid quantity/);
+  rejects400([{ id: 'frog-face-lift', qty: 0 }], /Invalid quantity/);
+  rejects400([{ id: 'frog-face-lift', qty: '2' }], /Invalid quantity/);
+});
+
+/* ──────────────────────────────────────────────
+   API
+────────────────────────────────────────────── */
+
+test('checkout stores a paid order and serves it back', async function (t) {
+  var port = await listen(t);
+  var created = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }, { id: 'lotus-pod-eye', qty: 2 }], shipping: US_OR });
+
+  assert.equal(created.status, 200);
+  assert.match(created.body.id, /^ord_[0-9a-f]{16}$/);
+  assert.equal(created.body.url, '/order-confirmation.html?order=' + created.body.id);
+  assert.equal(created.body.order.status, 'paid');
+  assert.equal(created.body.order.total, 176);
+  assert.deepEqual(storedOrders()[created.body.id], created.body.order);
+
+  var fetched = await request(port, 'GET', '/api/orders/' + created.body.id);
+  assert.equal(fetched.status, 200);
+  assert.deepEqual(fetched.body, created.body.order);
+});
+
+test('order ids that name Object.prototype members are not found', async function (t) {
+  var port = await listen(t);
+
+  var names = ['constructor', 'toString', '__proto__'];
+
+  for (var i = 0; i < names.length; i++) {
+    var response = await request(port, 'GET', '/api/orders/' + names[i]);
+    assert.equal(response.status, 404, names[i]);
+    assert.deepEqual(response.body, { error: 'Not found.' }, names[i]);
+  }
+});
+
+test('a refused cart stores nothing and explains why', async function (t) {
+  var port = await listen(t);
+  var before = Object.keys(storedOrders()).length;
+  var refused = await checkout(port, { items: [{ id: 'no-such-tool', qty: 1 }] });
+
+  assert.equal(refused.status, 400);
+  assert.deepEqual(refused.body, { error: 'Unknown product: no-such-tool' });
+  assert.equal(Object.keys(storedOrders()).length, before);
+});
+
+test('the API refuses bad methods, bodies and routes', async function (t) {
+  var port = await listen(t);
+
+  assert.equal((await request(port, 'GET', '/api/create-checkout-session')).status, 405);
+  assert.equal((await request(port, 'POST', '/api/orders/ord_0000000000000000')).status, 405);
+  assert.deepEqual((await checkout(port, '{')).body, { error: 'Request body must be JSON.' });
+  assert.deepEqual((await checkout(port, 'null')).body, { error: 'Request body must be a JSON object.' });
+  assert.equal((await request(port, 'GET', '/api/orders/ord_missing')).status, 404);
+  assert.equal((await request(port, 'GET', '/api/orders/ord_0000000000000000')).status, 404);
+  assert.equal((await request(port, 'GET', '/api/nothing')).status, 404);
+});
+
+test('an oversized body is answered with a 413 and the connection closed', async function (t) {
+  var port = await listen(t);
+  var response = await checkout(port, 'x'.repeat(200 * 1024));
+
+  assert.equal(response.status, 413);
+  assert.equal(response.headers.connection, 'close');
+  assert.deepEqual(response.body, { error: 'Request body too large.' });
+});
+
+/* ──────────────────────────────────────────────
+   Static files
+────────────────────────────────────────────── */
+
+test('only the site is served: pages and the site directories', async function (t) {
+  var port = await listen(t);
+
+  var home = await request(port, 'GET', '/');
+  assert.equal(home.status, 200);
+  assert.match(home.headers['content-type'], /^text\/html/);
+  assert.equal((await request(port, 'GET', '/js/cart.js')).status, 200);
+  assert.equal((await request(port, 'GET', '/data/products.json')).status, 200);
+  assert.equal((await request(port, 'GET', '/product/frog-face-lift.html')).status, 200);
+
+  /* Not on the allow-list, whether or not the file exists */
+  var hidden = ['/server/server.js', '/scripts/build-products.js', '/templates/product.html', '/test/server.test.js',
+                '/requests.jsonl', '/REVIEW_DIFF.patch', '/notes.txt', '/data/journal/h65-copper-alloy.md', '/.gitignore'];
+  for (var i = 0; i < hidden.length; i++) {
+    assert.equal((await request(port, 'GET', hidden[i])).status, 404, hidden[i]);
+  }
+  assert.equal((await request(port, 'GET', '/%2e%2e/%2e%2e/etc/passwd')).status, 404);
+  assert.equal((await request(port, 'POST', '/index.html')).status, 405);
+});
+
+test('unknown product pages get the product 404 page', async function (t) {
+  var port = await listen(t);
+  var missing = await request(port, 'GET', '/product/retired-tool.html');
+
+  assert.equal(missing.status, 404);
+  assert.match(missing.text, /find that tool/);
+});
+
+test('a shipping address is kept on the order; an incomplete one is refused', async function (t) {
+  var port = await listen(t);
+  var address = { name: ' Ada Lovelace ', line1: '1 Loom St', city: 'London', postalCode: 'N1', country: 'GB' };
+
+  var created = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], shippingAddress: address, shipping: US_OR });
+  assert.deepEqual(created.body.order.shippingAddress,
+    { name: 'Ada Lovelace', line1: '1 Loom St', line2: '', city: 'London', state: '', postalCode: 'N1', country: 'GB' });
+  assert.equal((await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], shipping: US_OR })).body.order.shippingAddress, null);
+
+  var incomplete = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], shippingAddress: { name: 'Ada' }, shipping: US_OR });
+  assert.equal(incomplete.status, 400);
+  assert.equal(incomplete.body.error, 'Shipping address is missing line1.');
+  assert.equal((await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], shippingAddress: { name: 7 }, shipping: US_OR })).status, 400);
+});
+
+test('shipping is re-quoted on the server and added to the total', async function (t) {
+  var port = await listen(t);
+  var cart = [{ id: 'frog-face-lift', qty: 1 }];
+
+  var express = await checkout(port, { items: cart, shipping: { country: 'us', region: 'OR', method: 'express', cost: 0 } });
+  assert.deepEqual(express.body.order.shipping, { country: 'US', method: 'express', cost: 20 });
+  assert.equal(express.body.order.total, 88);
+
+  var free = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 2 }], shipping: US_OR });
+  assert.deepEqual(free.body.order.shipping, { country: 'US', method: 'standard', cost: 0 });
+
+  assert.equal((await checkout(port, { items: cart, shipping: { method: 'drone' } })).body.error, 'Unknown shipping method: drone');
+  assert.equal((await checkout(port, { items: cart, shipping: { country: 'USA' } })).body.error, 'Invalid shipping country: USA');
+  assert.equal((await checkout(port, { items: cart, shipping: 'express' })).status, 400);
+});
+
+test('tax is recalculated for the destination', async function (t) {
+  var port = await listen(t);
+  var cart = [{ id: 'frog-face-lift', qty: 1 }];
+
+  var california = await checkout(port, { items: cart, shipping: { country: 'US', region: 'CA' } });
+  assert.deepEqual(california.body.order.tax, { mode: 'exclusive', label: 'Sales tax', rate: 0.0725, amount: 4.93 });
+  assert.equal(california.body.order.total, 80.93);   /* 68 + 8 shipping + 4.93 */
+
+  var germany = await checkout(port, { items: cart, shipping: { country: 'DE' } });
+  assert.equal(germany.body.order.tax.mode, 'inclusive');
+  assert.equal(germany.body.order.total, 86);          /* VAT is inside 68 + 18 */
+
+  var unknown = await checkout(port, { items: cart, shipping: { country: 'US', region: 'ZZ' } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'Unknown region for US: ZZ');
+
+  var stateless = await checkout(port, { items: cart, shipping: { country: 'US' } });
+  assert.equal(stateless.status, 400);
+  assert.deepEqual(stateless.body, {
+    error: 'Choose a state for orders shipping to US so sales tax can be calculated.',
+    code:  'state_required'
+  });
+});
+
+test('without a state in the shipping choice, tax follows the address', async function (t) {
+  var port = await listen(t);
+  var cart = [{ id: 'frog-face-lift', qty: 1 }];
+  var address = { name: 'Ada', line1: '1 Main St', city: 'Fresno', state: 'ca', postalCode: '93650', country: 'US' };
+
+  var fromAddress = await checkout(port, { items: cart, shipping: { country: 'US' }, shippingAddress: address });
+  assert.equal(fromAddress.body.order.tax.rate, 0.0725);
+  assert.equal(fromAddress.body.order.total, 80.93);
+
+  var chosen = await checkout(port, { items: cart, shipping: US_OR, shippingAddress: address });
+  assert.equal(chosen.body.order.tax.rate, 0);
+
+  var abroad = Object.assign({}, address, { country: 'CA' });
+  assert.equal((await checkout(port, { items: cart, shipping: { country: 'US' }, shippingAddress: abroad })).body.code, 'state_required');
+});
+
+test('a promo code is re-checked and discounts before shipping and tax', async function (t) {
+  var port = await listen(t);
+
+  var welcome = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], promoCode: 'welcome10', shipping: US_OR });
+  assert.deepEqual(welcome.body.order.discount, { code: 'WELCOME10', description: '10% off your order', amount: 6.8 });
+  assert.equal(welcome.body.order.total, 69.2);       /* 68 - 6.80 + 8 shipping */
+
+  var shipFree = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], promoCode: 'SHIPFREE', shipping: US_OR });
+  assert.equal(shipFree.body.order.shipping.cost, 0);
+  assert.equal(shipFree.body.order.total, 68);
+
+  var unknown = await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], promoCode: 'nope' });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, '“NOPE” isn’t a valid code.');
+  assert.equal((await checkout(port, { items: [{ id: 'frog-face-lift', qty: 1 }], promoCode: 10 })).status, 400);
+});
+
+test('gift wrap is charged once and taxed; a blank choice stores no gift', async function (t) {
+  var port = await listen(t);
+  var cart = [{ id: 'lotus-pod-eye', qty: 1 }];
+  var CA = { country: 'US', region: 'CA' };
+
+  var wrapped = await checkout(port, { items: cart, shipping: CA, gift: { wrap: true, message: '  Happy birthday  ', hidePrices: true } });
+  assert.deepEqual(wrapped.body.order.gift, { wrap: true, cost: 6, message: 'Happy birthday', hidePrices: true });
+  assert.equal(wrapped.body.order.shipping.cost, 8);   /* free shipping counts merchandise only */
+  assert.equal(wrapped.body.order.tax.amount, 4.35);   /* 7.25% of 54 + 6 */
+  assert.equal(wrapped.body.order.total, 72.35);
+
+  assert.equal((await checkout(port, { items: cart, gift: { wrap: false, message: '   ' }, shipping: US_OR })).body.order.gift, null);
+
+  assert.equal((await checkout(port, { items: cart, gift: 'yes' })).body.error, 'Invalid gift options.');
+  assert.equal((await checkout(port, { items: cart, gift: { wrap: 'yes' } })).body.error, 'Invalid gift option: wrap');
+  assert.equal((await checkout(port, { items: cart, gift: { message: 'x'.repeat(201) } })).body.error,
+    'Gift messages are limited to 200 characters.');
+});
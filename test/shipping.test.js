@@ -0,0 +1,116 @@
+/* ============================================================
+   MERIDIAN — shipping.test.js
+   Shipping rules (js/shipping.js): zones, the free-shipping
+   threshold and its edges, express and the rest-of-world
+   fallback, copy in the page language, and the shipping
+   address kept for checkout.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers  = require('./helpers/browser.js');
+var Shipping = require('../js/shipping.js');
+
+test('zoneFor matches case-insensitively and falls back to rest of world', function () {
+  assert.equal(Shipping.zoneFor('us').id, 'us');
+  assert.equal(Shipping.zoneFor('MX').id, 'north-america');
+  assert.equal(Shipping.zoneFor('gb').id, 'europe');
+  assert.equal(Shipping.zoneFor('JP').id, 'international');
+  assert.equal(Shipping.zoneFor('').id, 'international');
+  assert.equal(Shipping.zoneFor(undefined).id, 'international');
+});
+
+test('every offered country has a zone and every zone has both methods', function () {
+  Shipping.COUNTRIES.forEach(function (entry) {
+    assert.ok(Shipping.zoneFor(entry[0]));
+  });
+  Shipping.ZONES.forEach(function (zone) {
+    Object.keys(Shipping.METHODS).forEach(function (method) {
+      assert.equal(typeof zone.rates[method], 'number', zone.id + ' ' + method);
+      assert.ok(zone.days[method][0] <= zone.days[method][1], zone.id + ' ' + method);
+    });
+  });
+});
+
+test('quote defaults to standard shipping to the US', function () {
+  var quote = Shipping.quote(20);
+
+  assert.equal(quote.country, 'US');
+  assert.equal(quote.method, 'standard');
+  assert.equal(quote.label, 'Standard');
+  assert.equal(quote.days, '3–5 business days');
+  assert.equal(quote.cost, 8);
+  assert.equal(quote.free, false);
+});
+
+test('standard US shipping is free from the threshold up, not below it', function () {
+  var threshold = Shipping.freeShippingThreshold();
+
+  assert.equal(Shipping.quote(threshold - 0.01, { country: 'US' }).cost, 8);
+  assert.equal(Shipping.quote(threshold, { country: 'US' }).cost, 0);
+  assert.equal(Shipping.quote(threshold, { country: 'US' }).free, true);
+});
+
+test('express is never free, and neither are zones without a threshold', function () {
+  assert.equal(Shipping.quote(500, { country: 'US', method: 'express' }).cost, 20);
+  assert.equal(Shipping.quote(500, { country: 'DE' }).cost, 18);
+  assert.equal(Shipping.quote(500, { country: 'AU', method: 'express' }).cost, 45);
+});
+
+test('an empty order ships for nothing', function () {
+  assert.equal(Shipping.quote(0, { country: 'AU', method: 'express' }).cost, 0);
+});
+
+test('quote ignores an unknown method and upper-cases the country', function () {
+  var quote = Shipping.quote(10, { country: 'ca', method: 'drone' });
+
+  assert.equal(quote.country, 'CA');
+  assert.equal(quote.method, 'standard');
+  assert.equal(quote.cost, 15);
+  assert.equal(Shipping.isMethod('drone'), false);
+  assert.equal(Shipping.isMethod('toString'), false);
+});
+
+test('progress counts down to the threshold and stops at 100%', function () {
+  assert.deepEqual(Shipping.progress(50, 'US'), { threshold: 75, remaining: 25, percent: 67 });
+  assert.deepEqual(Shipping.progress(80, 'US'), { threshold: 75, remaining: 0, percent: 100 });
+  assert.equal(Shipping.progress(80, 'DE'), null);
+});
+
+test('a page with MeridianI18n gets labels, days and the progress line in its language', function () {
+  var window = helpers.browser(['js/i18n.js', 'js/shipping.js'], { storage: { meridian_lang: 'zh-CN' } });
+  var quote = window.MeridianShipping.quote(20, { country: 'DE' });
+
+  assert.equal(quote.label, '标准配送');
+  assert.equal(quote.days, '6–10 个工作日');
+  assert.equal(window.MeridianShipping.renderCostLabel({ free: true }), '免运费');
+  assert.equal(window.MeridianShipping.countryName('DE'), '德国');
+  assert.equal(Shipping.countryName('de'), 'Germany');
+});
+
+test('the address lives in sessionStorage and is sent only when complete', function () {
+  var window = helpers.browser(['js/shipping.js'], {
+    storage: { meridian_shipping: JSON.stringify({ country: 'DE', region: '', method: 'standard' }) },
+    session: { meridian_address: '{not json' }
+  });
+  var Shipping = window.MeridianShipping;
+  var events = 0;
+  window.document.addEventListener('shipping:updated', function () { events++; });
+
+  assert.deepEqual(Shipping.getAddress(), { name: '', line1: '', line2: '', city: '', postalCode: '' });
+  Shipping.setAddress({ name: ' Ada ', line1: 'Hauptstr. 1', city: 'Berlin', country: 'FR' });
+  assert.equal(events, 1);
+  assert.equal(Shipping.shippingAddress(), null);
+
+  Shipping.setAddress({ postalCode: '10115' });
+  assert.deepEqual(Shipping.shippingAddress(), {
+    name: 'Ada', line1: 'Hauptstr. 1', line2: '', city: 'Berlin', postalCode: '10115', state: '', country: 'DE'
+  });
+  assert.equal(JSON.parse(window.sessionStorage.getItem('meridian_address')).city, 'Berlin');
+  assert.equal(window.localStorage.getItem('meridian_address'), null);
+});
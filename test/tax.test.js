@@ -0,0 +1,104 @@
+/* ============================================================
+   MERIDIAN — tax.test.js
+   Tax rules (js/tax.js): US sales tax by state, a US order
+   still waiting on its state, inclusive VAT / GST, Canadian
+   GST on top, untaxed destinations and the summary line in
+   the page language.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+var Tax     = require('../js/tax.js');
+
+test('US sales tax uses the state rate and leaves shipping out', function () {
+  var tax = Tax.calculate({ subtotal: 100, shipping: 8 }, { country: 'US', region: 'ca' });
+
+  assert.deepEqual(tax, { mode: 'exclusive', label: 'Sales tax', rate: 0.0725, amount: 7.25 });
+  assert.equal(Tax.grandTotal(100, 8, tax), 115.25);
+});
+
+test('a US order without a valid state is pending, and pending adds nothing', function () {
+  [undefined, '', 'ZZ'].forEach(function (region) {
+    var tax = Tax.calculate({ subtotal: 100, shipping: 8 }, { country: 'US', region: region });
+    assert.equal(tax.mode, 'pending');
+    assert.equal(tax.amount, 0);
+    assert.equal(Tax.grandTotal(100, 8, tax), 108);
+  });
+});
+
+test('states without sales tax collect none', function () {
+  var tax = Tax.calculate({ subtotal: 100, shipping: 8 }, { country: 'US', region: 'DE' });
+
+  assert.equal(tax.mode, 'none');
+  assert.equal(tax.label, 'Sales tax');
+  assert.equal(Tax.grandTotal(100, 8, tax), 108);
+});
+
+test('VAT is shown inside the price, shipping included, and not added', function () {
+  var tax = Tax.calculate({ subtotal: 100, shipping: 20 }, { country: 'de' });
+
+  assert.equal(tax.mode, 'inclusive');
+  assert.equal(tax.label, 'VAT');
+  assert.equal(tax.amount, 19.16);                /* 120 - 120 / 1.19 */
+  assert.equal(Tax.grandTotal(100, 20, tax), 120);
+});
+
+test('Canadian GST is added on top of merchandise and shipping', function () {
+  var tax = Tax.calculate({ subtotal: 100, shipping: 15 }, { country: 'CA' });
+
+  assert.equal(tax.mode, 'exclusive');
+  assert.equal(tax.amount, 5.75);
+  assert.equal(Tax.grandTotal(100, 15, tax), 120.75);
+});
+
+test('destinations without a rate collect nothing at checkout', function () {
+  var tax = Tax.calculate({ subtotal: 100, shipping: 25 }, { country: 'CN' });
+
+  assert.deepEqual(tax, { mode: 'none', label: 'Tax', rate: 0, amount: 0 });
+});
+
+test('non-numeric amounts count as zero', function () {
+  assert.equal(Tax.calculate({ subtotal: 'abc', shipping: null }, { country: 'US', region: 'TX' }).amount, 0);
+});
+
+test('regions are only asked for US destinations', function () {
+  assert.equal(Tax.regionsFor('us').length, 51);  /* 50 states and DC */
+  assert.deepEqual(Tax.regionsFor('DE'), []);
+  assert.equal(Tax.isRegion('US', 'ny'), true);
+  assert.equal(Tax.isRegion('CA', 'ON'), false);
+});
+
+test('describe gives the summary line for each mode', function () {
+  function usd(n) { return '$' + n.toFixed(2); }
+
+  assert.deepEqual(
+    Tax.describe(Tax.calculate({ subtotal: 100, shipping: 0 }, { country: 'US', region: 'CA' }), usd),
+    { label: 'Sales tax (7.25%)', value: '$7.25' });
+  assert.deepEqual(
+    Tax.describe(Tax.calculate({ subtotal: 100, shipping: 0 }, { country: 'GB' }), usd),
+    { label: 'Includes VAT (20%)', value: '$16.67' });
+  assert.deepEqual(
+    Tax.describe(Tax.calculate({ subtotal: 100, shipping: 0 }, { country: 'US' }), usd),
+    { label: 'Sales tax', value: 'Select a state' });
+  assert.deepEqual(
+    Tax.describe(Tax.calculate({ subtotal: 100, shipping: 0 }, { country: 'CN' }), usd),
+    { label: 'Taxes & duties', value: 'May apply on delivery' });
+});
+
+test('describe translates the summary line; calculate keeps stored labels English', function () {
+  var window = helpers.browser(['js/i18n.js', 'js/tax.js'], { storage: { meridian_lang: 'zh-CN' } });
+  var ZhTax = window.MeridianTax;
+  function usd(n) { return '$' + n.toFixed(2); }
+
+  var tax = ZhTax.calculate({ subtotal: 100, shipping: 0 }, { country: 'US', region: 'CA' });
+  assert.equal(tax.label, 'Sales tax');
+  assert.deepEqual(ZhTax.describe(tax, usd), { label: '销售税（7.25%）', value: '$7.25' });
+  assert.deepEqual(ZhTax.describe(ZhTax.calculate({ subtotal: 100, shipping: 0 }, { country: 'US' }), usd),
+    { label: '销售税', value: '请选择州' });
+});
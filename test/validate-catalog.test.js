@@ -0,0 +1,152 @@
+/* ============================================================
+   MERIDIAN — validate-catalog.test.js
+   The catalog check (scripts/validate-catalog.js): the
+   committed data/products.json passes, and each kind of broken
+   record, variants and bundles included, is reported against
+   the product's id.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+var fs     = require('fs');
+var path   = require('path');
+var spawnSync = require('child_process').spawnSync;
+
+var Validate = require('../scripts/validate-catalog.js');
+
+var ROOT     = path.resolve(__dirname, '..');
+var PRODUCTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'products.json'), 'utf8'));
+
+/* A plain tool no bundle is made of, so editing it trips only its own checks */
+var AT = PRODUCTS.findIndex(function (p) {
+  return !p.variants && !p.bundle && !PRODUCTS.some(function (b) {
+    return (b.bundle || []).some(function (c) { return c.id === p.id; });
+  });
+});
+var SUBJECT = PRODUCTS[AT];
+
+/* The catalog with `changes` applied to a copy of SUBJECT */
+function catalog(changes) {
+  var products = JSON.parse(JSON.stringify(PRODUCTS));
+  for (var key in changes) {
+    if (changes[key] === undefined) delete products[AT][key];
+    else products[AT][key] = changes[key];
+  }
+  return products;
+}
+
+test('the committed catalog is valid', function () {
+  assert.deepEqual(Validate.validate(PRODUCTS), []);
+
+  var run = spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'validate-catalog.js')], { encoding: 'utf8' });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /data\/products\.json: \d+ products OK/);
+});
+
+test('schema problems name the product and the field', function () {
+  var id = SUBJECT.id;
+
+  assert.deepEqual(Validate.validate(catalog({ name_cn: undefined })), [id + ': missing required field "name_cn"']);
+  assert.deepEqual(Validate.validate(catalog({ price: 0 })), [id + '.price: must be greater than 0']);
+  assert.deepEqual(Validate.validate(catalog({ price: '68' })), [id + '.price: must be a number']);
+  assert.deepEqual(Validate.validate(catalog({ tagline: '  ' })), [id + '.tagline: must not be empty']);
+  assert.deepEqual(Validate.validate(catalog({ colour: 'red' })), [id + ': unknown field "colour"']);
+  assert.deepEqual(Validate.validate(catalog({ highlights: [], highlights_cn: undefined })), [id + '.highlights: must have at least 1 item']);
+  assert.deepEqual(Validate.validate(catalog({ highlights_cn: ['只有一条'] })),
+    [id + '.highlights_cn: has 1 entries for ' + SUBJECT.highlights.length + ' highlights']);
+  assert.deepEqual(Validate.validate(catalog({ stock: 4, max_per_order: 2 })), []);
+  assert.deepEqual(Validate.validate(catalog({ stock: 1.5 })), [id + '.stock: must be an integer']);
+  assert.deepEqual(Validate.validate(catalog({ stock: -1 })), [id + '.stock: must be at least 0']);
+  assert.deepEqual(Validate.validate(catalog({ max_per_order: 0 })), [id + '.max_per_order: must be at least 1']);
+});
+
+test('a bad id is reported; one that is not a string names the position', function () {
+  /* Renaming the product also orphans the related ids that named it */
+  assert.equal(Validate.validate(catalog({ id: 'Not A Slug' }))[0],
+    'Not A Slug.id: "Not A Slug" does not match ^[a-z0-9]+(-[a-z0-9]+)*$');
+  assert.equal(Validate.validate(catalog({ id: 7 }))[0], 'products[' + AT + '].id: must be a string');
+});
+
+test('ids and slugs are unique and related ids exist', function () {
+  var products = catalog({ related: [SUBJECT.id, 'ghost'] });
+  products[1].slug = products[0].slug;
+
+  assert.deepEqual(Validate.validate(products), [
+    PRODUCTS[1].id + '.slug: "' + PRODUCTS[0].slug + '" is also used by products[0]',
+    SUBJECT.id + '.related: lists itself',
+    SUBJECT.id + '.related: no product with id "ghost"'
+  ]);
+});
+
+test('variant ids are unique and no variant is free', function () {
+  var id = SUBJECT.id;
+  var price = SUBJECT.price;
+  var products = catalog({
+    variants: {
+      option: 'Size',
+      values: [
+        { id: 'small', label: 'Small', price_delta: 0 },
+        { id: 'small', label: 'Small again', price_delta: -price },
+        { id: 'large', label: 'Large', price_delta: 10, images: ['images/products/' + id + '/missing.jpg'] }
+      ]
+    }
+  });
+
+  assert.deepEqual(Validate.validate(products), [
+    id + '.variants.values[1].id: "small" is used twice',
+    id + '.variants.values[1].price_delta: leaves a price of 0',
+    id + '.variants.values[2].images[0]: images/products/' + id + '/missing.jpg does not exist'
+  ]);
+});
+
+test('a bundle is made of existing single products and costs less than they do', function () {
+  var products = JSON.parse(JSON.stringify(PRODUCTS));
+  var set = products.filter(function (p) { return p.bundle; })[0];
+  var ring = products.filter(function (p) { return p.variants; })[0];
+  set.bundle = [
+    { id: SUBJECT.id, qty: 1 },
+    { id: SUBJECT.id, qty: 1 },
+    { id: set.id, qty: 1 },
+    { id: 'ghost', qty: 1 },
+    { id: ring.id, qty: 1 }
+  ];
+  set.stock = 4;
+
+  assert.deepEqual(Validate.validate(products), [
+    set.id + '.stock: bundles take their stock from their components',
+    set.id + '.bundle[1].id: "' + SUBJECT.id + '" is listed twice',
+    set.id + '.bundle[2].id: "' + set.id + '" is a bundle',
+    set.id + '.bundle[3].id: no product with id "ghost"',
+    set.id + '.bundle[4].id: "' + ring.id + '" has variants'
+  ]);
+
+  var dear = catalog({});
+  dear.filter(function (p) { return p.bundle; })[0].price = 1000;
+  assert.match(Validate.validate(dear)[0], /\.price: 1000 is no saving on the [\d.]+ its components cost$/);
+});
+
+test('images must exist under images/products/', function () {
+  var id = SUBJECT.id;
+
+  assert.deepEqual(Validate.validate(catalog({ images: ['images/products/' + id + '/missing.jpg'] })),
+    [id + '.images[0]: images/products/' + id + '/missing.jpg does not exist']);
+  assert.deepEqual(Validate.validate(catalog({ images: ['images/products/../../server/x.jpg'] })), [
+    id + '.images[0]: "images/products/../../server/x.jpg" does not match ^images/products/[a-z0-9-]+/[A-Za-z0-9_.-]+\\.(jpg|jpeg|png|webp)$',
+    id + '.images[0]: must be under images/products/'
+  ]);
+});
+
+test('a catalog that is not a list stops at the schema', function () {
+  assert.deepEqual(Validate.validate({}), ['products: must be an array']);
+  assert.deepEqual(Validate.validate([]), ['products: must have at least 1 item']);
+});
+
+test('a schema keyword the checker does not know is an error, not a pass', function () {
+  assert.throws(function () {
+    Validate.validate(PRODUCTS, { schema: { type: 'array', maxItems: 3 } });
+  }, /Unsupported schema keyword "maxItems" at products/);
+});
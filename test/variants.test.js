@@ -0,0 +1,64 @@
+/* ============================================================
+   MERIDIAN — variants.test.js
+   Product variants (js/variants.js): the default variant, the
+   price and images a variant resolves to, ids that do not fit
+   the product, and the option label in both languages.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var Variants = require('../js/variants.js');
+
+var RING = {
+  id:       'bianshi-ring',
+  price:    42,
+  images:   ['images/ring.jpg', 'images/ring-2.jpg'],
+  variants: {
+    option:    'Style',
+    option_cn: '款式',
+    values: [
+      { id: 'ring',    label: 'Ring',    label_cn: '戒指', price_delta: 0 },
+      { id: 'pendant', label: 'Pendant',                    price_delta: 6.5, images: ['images/pendant.jpg'] }
+    ]
+  }
+};
+
+var FROG = { id: 'frog-face-lift', price: 68, images: ['images/frog.jpg'] };
+
+test('the first value is the default; products without values have none', function () {
+  assert.equal(Variants.hasVariants(RING), true);
+  assert.equal(Variants.defaultVariant(RING).id, 'ring');
+  assert.equal(Variants.hasVariants(FROG), false);
+  assert.equal(Variants.hasVariants({ variants: { option: 'Size', values: [] } }), false);
+  assert.equal(Variants.defaultVariant(FROG), null);
+  assert.equal(Variants.findVariant(RING, 'anklet'), null);
+});
+
+test('resolve adds the price delta and swaps in the variant\'s images', function () {
+  assert.deepEqual(Variants.resolve(RING, 'pendant'), {
+    variant: RING.variants.values[1],
+    price:   48.5,
+    images:  ['images/pendant.jpg']
+  });
+  assert.deepEqual(Variants.resolve(RING).images, RING.images);
+  assert.equal(Variants.resolve(RING, '').variant.id, 'ring');
+  assert.deepEqual(Variants.resolve(FROG), { variant: null, price: 68, images: FROG.images });
+});
+
+test('resolve refuses ids that do not name one of the product\'s variants', function () {
+  assert.equal(Variants.resolve(RING, 'anklet'), null);
+  assert.equal(Variants.resolve(FROG, 'ring'), null);
+  assert.equal(Variants.resolve(null), null);
+});
+
+test('describe names the option and value, in Chinese where it has the copy', function () {
+  assert.equal(Variants.describe(RING, 'ring'), 'Style: Ring');
+  assert.equal(Variants.describe(RING, 'ring', 'zh-CN'), '款式：戒指');
+  assert.equal(Variants.describe(RING, 'pendant', 'zh-CN'), '款式：Pendant');
+  assert.equal(Variants.describe(FROG, 'ring'), '');
+});
@@ -0,0 +1,98 @@
+/* ============================================================
+   MERIDIAN — wishlist.test.js
+   The wishlist (js/wishlist.js): saved ids kept once each and
+   announced with 'wishlist:updated', moving tools to the cart,
+   and the wishlist page dropping retired products and
+   following other tabs.
+
+   Usage:  node --test test/
+   ============================================================ */
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert/strict');
+
+var helpers = require('./helpers/browser.js');
+
+var PRODUCTS = [
+  { id: 'frog', slug: 'frog', name: 'Frog Face Lift', tagline: 'Sculpt', price: 68, images: [] },
+  { id: 'ring', slug: 'ring', name: 'Bianshi Ring', tagline: 'Wear it', price: 42, images: [] }
+];
+
+function page(saved, elements) {
+  var storage = saved ? { meridian_wishlist: JSON.stringify(saved) } : {};
+  return helpers.browser(['js/cart-storage.js', 'js/i18n.js', 'js/catalog.js', 'js/variants.js', 'js/bundles.js', 'js/inventory.js', 'js/cart.js', 'js/wishlist.js'], {
+    url:      'http://localhost/wishlist.html',
+    storage:  storage,
+    files:    { 'data/products.json': PRODUCTS },
+    elements: elements
+  });
+}
+
+test('add, remove and toggle keep each id once and announce changes', function () {
+  var window = page();
+  var Wishlist = window.MeridianWishlist;
+  var updates = [];
+  window.document.addEventListener('wishlist:updated', function (e) { updates.push(e.detail.ids.join(',')); });
+
+  assert.equal(Wishlist.add('frog'), true);
+  assert.equal(Wishlist.add('frog'), false);
+  assert.equal(Wishlist.toggle('ring'), true);
+  assert.equal(Wishlist.toggle('frog'), false);
+  assert.equal(Wishlist.remove('frog'), false);
+
+  assert.deepEqual(Wishlist.list(), ['ring']);
+  assert.equal(Wishlist.has('ring'), true);
+  assert.equal(Wishlist.count(), 1);
+  assert.deepEqual(updates, ['frog', 'frog,ring', 'ring']);
+
+  Wishlist.clear();
+  assert.deepEqual(Wishlist.list(), []);
+});
+
+test('a corrupt wishlist reads as empty and stray values are ignored', function (t) {
+  t.mock.method(console, 'error', function () {});
+
+  assert.deepEqual(page(['frog', 7, null, 'ring']).MeridianWishlist.list(), ['frog', 'ring']);
+  assert.deepEqual(page({ frog: true }).MeridianWishlist.list(), []);
+  assert.deepEqual(helpers.browser(['js/wishlist.js'], { storage: { meridian_wishlist: '{oops' } }).MeridianWishlist.list(), []);
+});
+
+test('moveAllToCart moves what the cart accepts and keeps the rest', async function () {
+  var window = page(['frog', 'retired', 'ring']);
+  var result = await window.MeridianWishlist.moveAllToCart();
+
+  assert.deepEqual(result, { moved: ['frog', 'ring'], failed: ['retired'] });
+  assert.deepEqual(window.MeridianWishlist.list(), ['retired']);
+  assert.deepEqual(window.MeridianCart.getCart().map(function (l) { return l.id + ' x' + l.qty; }), ['frog x1', 'ring x1']);
+});
+
+test('the wishlist page drops retired products and lists the rest', async function () {
+  var grid = helpers.element();
+  var summary = helpers.element();
+  var window = page(['retired', 'ring'], { wishlistGrid: grid, wishlistCount: summary });
+
+  helpers.ready(window);
+  await helpers.settle();
+
+  assert.deepEqual(window.MeridianWishlist.list(), ['ring']);
+  assert.equal(summary.textContent, '1 saved tool');
+  assert.match(grid.innerHTML, /Bianshi Ring/);
+  assert.doesNotMatch(grid.innerHTML, /retired/);
+});
+
+test('the wishlist page follows changes made in another tab', async function () {
+  var grid = helpers.element();
+  var window = page(['ring'], { wishlistGrid: grid });
+
+  helpers.ready(window);
+  await helpers.settle();
+  assert.doesNotMatch(grid.innerHTML, /Frog Face Lift/);
+
+  window.localStorage.setItem('meridian_wishlist', JSON.stringify(['ring', 'frog']));
+  window.dispatchEvent(Object.assign(new Event('storage'), { key: 'meridian_cart' }));
+  assert.doesNotMatch(grid.innerHTML, /Frog Face Lift/);
+  window.dispatchEvent(Object.assign(new Event('storage'), { key: 'meridian_wishlist' }));
+  assert.match(grid.innerHTML, /Frog Face Lift/);
+});